@@ -0,0 +1,71 @@
+import express from "express";
+import cors from "cors";
+
+import deviceRoutes from"./routes/device.routes.js";
+import tenantRoutes from "./routes/tenant.routes.js";
+import userRoutes from"./routes/user.routes.js";
+import monitorRoutes from "./routes/monitor.routes.js";
+import metricsRoutes from "./routes/metrics.routes.js";
+import facilityRoutes from "./routes/facility.routes.js";
+import alertRoutes from "./routes/alert.routes.js";
+import authRoutes from "./routes/auth.routes.js";
+import roleRoutes from "./routes/role.routes.js";
+import apiKeyRoutes from "./routes/apikey.routes.js";
+import invitationRoutes from "./routes/invitation.routes.js";
+import auditRoutes from "./routes/audit.routes.js";
+import docsRoutes from "./routes/docs.routes.js";
+import requestId from "./middleware/requestId.middleware.js";
+import requestLog from "./middleware/logging.middleware.js";
+import httpMetrics, { recordRouteBase } from "./middleware/metrics.middleware.js";
+import { limitByIp } from "./middleware/rateLimit.middleware.js";
+import { notFound, errorHandler } from "./middleware/error.middleware.js";
+import { AUTH_PROVIDER } from "./auth/index.js";
+import { TRUST_PROXY } from "./utils/proxy.js";
+
+// Express app without a listener, so tests can mount it on their own server
+const app = express();
+
+// Behind a proxy or load balancer (Render, nginx), req.ip must come from X-Forwarded-For:
+// TRUST_PROXY=1 trusts one hop (see Express "trust proxy")
+app.set("trust proxy", TRUST_PROXY);
+
+
+app.use(requestId);
+app.use(requestLog);
+app.use(httpMetrics);
+app.use(cors({ exposedHeaders: ["x-request-id", "retry-after", "ratelimit-limit", "ratelimit-remaining", "ratelimit-reset"] }));
+app.use(limitByIp);
+// Bulk device imports carry up to 1000 rows
+app.use(express.json({ limit: "1mb" }));
+
+// Mount prefix -> router. Every route in here must be described in docs/openapi.js
+// (test/openapi.test.js fails otherwise).
+export const apiRouters = {
+  "/api/facilities": facilityRoutes,
+  "/api/devices": deviceRoutes,
+  "/api/tenants": tenantRoutes,
+  "/api/users": userRoutes,
+  "/api/monitor": monitorRoutes,
+  "/api/alerts": alertRoutes,
+  "/api/roles": roleRoutes,
+  "/api/api-keys": apiKeyRoutes,
+  "/api/invitations": invitationRoutes,
+  "/api/audit": auditRoutes,
+  "/api": docsRoutes,
+  "/metrics": metricsRoutes
+};
+
+if (AUTH_PROVIDER === "local") apiRouters["/api/auth"] = authRoutes;
+
+for (const [prefix, router] of Object.entries(apiRouters)) {
+  app.use(prefix, recordRouteBase, router);
+}
+app.use((req, res, next) => {
+  res.setHeader("Cross-Origin-Opener-Policy", "same-origin-allow-popups");
+  next();
+});
+
+app.use(notFound);
+app.use(errorHandler);
+
+export default app;
@@ -0,0 +1,9 @@
+import { getAuth } from "../config/firebase.js";
+
+// Thin pass-through to Firebase Auth
+export const verifyIdToken = (token) => getAuth().verifyIdToken(token);
+export const createUser = (properties) => getAuth().createUser(properties);
+export const getUser = (uid) => getAuth().getUser(uid);
+export const updateUser = (uid, properties) => getAuth().updateUser(uid, properties);
+export const deleteUser = (uid) => getAuth().deleteUser(uid);
+export const setCustomUserClaims = (uid, claims) => getAuth().setCustomUserClaims(uid, claims);
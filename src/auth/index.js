@@ -0,0 +1,18 @@
+import * as firebaseProvider from "./firebase.provider.js";
+import * as localProvider from "./local.provider.js";
+
+// "firebase" (default) or "local" (offline development, see POST /api/auth/login)
+export const AUTH_PROVIDER = process.env.AUTH_PROVIDER || "firebase";
+
+const providers = {
+  firebase: firebaseProvider,
+  local: localProvider
+};
+
+if (!providers[AUTH_PROVIDER]) {
+  throw new Error(`Unknown AUTH_PROVIDER "${AUTH_PROVIDER}" (expected firebase or local)`);
+}
+
+if (AUTH_PROVIDER === "local") localProvider.assertConfigured();
+
+export const authProvider = providers[AUTH_PROVIDER];
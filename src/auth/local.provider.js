@@ -0,0 +1,160 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import { authAccountsRepository } from "../repositories/index.js";
+
+// Offline stand-in for Firebase Auth: accounts in the data backend, HS256 ID tokens.
+// Errors carry Firebase-style codes so callers handle both providers the same way.
+
+const TOKEN_TTL = process.env.LOCAL_AUTH_TOKEN_TTL || "1h";
+
+// Checked when AUTH_PROVIDER=local is selected, so a misconfigured server does not start
+export function assertConfigured() {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("AUTH_PROVIDER=local is for development and tests; use firebase in production");
+  }
+
+  if (!process.env.LOCAL_AUTH_SECRET) {
+    throw new Error("AUTH_PROVIDER=local requires LOCAL_AUTH_SECRET");
+  }
+}
+
+function getSecret() {
+  return process.env.LOCAL_AUTH_SECRET;
+}
+
+function authError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function toUserRecord(uid, account) {
+  return {
+    uid,
+    email: account.email,
+    emailVerified: Boolean(account.emailVerified),
+    disabled: Boolean(account.disabled),
+    customClaims: account.claims || {}
+  };
+}
+
+async function findByEmail(email) {
+  const matches = await authAccountsRepository.findBy("email", String(email).toLowerCase());
+  const [uid] = Object.keys(matches);
+  return uid ? { uid, account: matches[uid] } : null;
+}
+
+async function getAccount(uid) {
+  const account = await authAccountsRepository.get(uid);
+  if (!account) throw authError("auth/user-not-found", "There is no user record corresponding to the provided identifier.");
+  return account;
+}
+
+export async function verifyIdToken(token) {
+  let payload;
+
+  try {
+    payload = jwt.verify(token, getSecret(), { issuer: "local" });
+  } catch (err) {
+    throw authError("auth/argument-error", err.message);
+  }
+
+  const account = await getAccount(payload.sub);
+  if (account.disabled) throw authError("auth/user-disabled", "The user account has been disabled.");
+
+  return { ...payload, uid: payload.sub, email: account.email };
+}
+
+// Local-only: exchange email/password for an ID token
+export async function signIn(email, password) {
+  const found = email && await findByEmail(email);
+
+  if (!found || !verifyPassword(password, found.account.passwordHash)) {
+    throw authError("auth/invalid-credential", "Invalid email or password");
+  }
+
+  if (found.account.disabled) throw authError("auth/user-disabled", "The user account has been disabled.");
+
+  const idToken = jwt.sign(
+    { email: found.account.email, ...(found.account.claims || {}) },
+    getSecret(),
+    { subject: found.uid, issuer: "local", expiresIn: TOKEN_TTL }
+  );
+
+  return { idToken, uid: found.uid, expiresIn: TOKEN_TTL };
+}
+
+export async function createUser({ uid, email, password, emailVerified, disabled }) {
+  if (!email) throw authError("auth/invalid-email", "The email address is improperly formatted.");
+
+  if (await findByEmail(email)) {
+    throw authError("auth/email-already-exists", "The email address is already in use by another account.");
+  }
+
+  const id = uid || uuidv4();
+
+  const account = {
+    email: String(email).toLowerCase(),
+    passwordHash: password ? hashPassword(password) : null,
+    emailVerified: Boolean(emailVerified),
+    disabled: Boolean(disabled),
+    claims: {},
+    createdAt: Date.now()
+  };
+
+  await authAccountsRepository.set(id, account);
+
+  return toUserRecord(id, account);
+}
+
+export async function getUser(uid) {
+  return toUserRecord(uid, await getAccount(uid));
+}
+
+export async function updateUser(uid, { email, password, disabled, emailVerified }) {
+  await getAccount(uid);
+  const patch = {};
+
+  if (email !== undefined) {
+    const existing = await findByEmail(email);
+    if (existing && existing.uid !== uid) {
+      throw authError("auth/email-already-exists", "The email address is already in use by another account.");
+    }
+    patch.email = String(email).toLowerCase();
+  }
+
+  if (password !== undefined) patch.passwordHash = hashPassword(password);
+  if (disabled !== undefined) patch.disabled = Boolean(disabled);
+  if (emailVerified !== undefined) patch.emailVerified = Boolean(emailVerified);
+
+  await authAccountsRepository.update(uid, patch);
+
+  return getUser(uid);
+}
+
+export async function deleteUser(uid) {
+  await getAccount(uid);
+  await authAccountsRepository.remove(uid);
+}
+
+export async function setCustomUserClaims(uid, claims) {
+  await getAccount(uid);
+  await authAccountsRepository.update(uid, { claims: claims || {} });
+}
@@ -2,14 +2,46 @@ import admin from "firebase-admin"
 import dotenv from "dotenv"
 dotenv.config();
 
-const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-serviceAccount.private_key = serviceAccount.private_key.replace(/\\n/g, '\n');
+// Initialised on first use so the in-memory backend and local auth never need credentials
+function initFirebase() {
+  if (admin.apps.length) return;
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  databaseURL: process.env.FIREBASE_DB_URL
-});
+  if (!process.env.FIREBASE_SERVICE_ACCOUNT) {
+    throw new Error("FIREBASE_SERVICE_ACCOUNT is not set (use DATA_BACKEND=memory and AUTH_PROVIDER=local to run without Firebase)");
+  }
 
-export const db = admin.database();
+  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+  serviceAccount.private_key = serviceAccount.private_key.replace(/\\n/g, '\n');
 
-export {admin};
\ No newline at end of file
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    databaseURL: process.env.FIREBASE_DB_URL
+  });
+}
+
+export function getDb() {
+  initFirebase();
+  return admin.database();
+}
+
+export function getAuth() {
+  initFirebase();
+  return admin.auth();
+}
+
+// Child keys of a node without their data (REST "shallow" read; the Admin SDK has no equivalent)
+export async function getShallowKeys(path) {
+  initFirebase();
+
+  const { access_token } = await admin.app().options.credential.getAccessToken();
+  const url = `${process.env.FIREBASE_DB_URL.replace(/\/$/, "")}/${path}.json?shallow=true`;
+
+  const res = await fetch(url, { headers: { Authorization: `Bearer ${access_token}` } });
+  if (!res.ok) throw new Error(`Shallow read of ${path} failed with ${res.status}`);
+
+  // A leaf comes back as its value, which has no children
+  const body = await res.json();
+  return body && typeof body === "object" ? Object.keys(body) : [];
+}
+
+export {admin};
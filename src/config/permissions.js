@@ -0,0 +1,88 @@
+// Named permissions checked by requirePermission(). Grouped "<resource>:<action>";
+// a grant of "<resource>:*" covers every action of that resource, "*" covers everything.
+export const PERMISSIONS = {
+  "tenant:read": "View own tenant",
+  "tenant:create": "Create tenants",
+  "tenant:update": "Rename tenants, change enabled sensors",
+  "tenant:delete": "Delete tenants",
+  "tenant:limits": "Override a tenant's rate limits",
+
+  "facility:read": "View facilities",
+  "facility:create": "Create facilities",
+  "facility:update": "Rename facilities and manage their zones",
+  "facility:delete": "Delete facilities (cascading or reassigning their devices and users)",
+
+  "device:read": "View devices and their connection/command history",
+  "device:register": "Register new devices",
+  "device:write": "Rename, tag and place devices (zone, group)",
+  "device:group": "Create, rename and delete device groups",
+  "device:delete": "Delete devices",
+  "device:credentials": "Rotate or revoke device secrets",
+  "device:command": "Send downlink commands",
+  "device:claim": "Claim pending devices",
+  "device:pending": "List, reject and block unregistered devices",
+  "device:assign": "Move devices between tenants",
+  "device:detach": "Detach devices from a tenant",
+
+  "sensor:read": "Read sensor history",
+
+  "alert:read": "View alerts and alert rules",
+  "alert:manage": "Acknowledge and resolve alerts",
+  "rule:write": "Create, update and delete alert rules",
+
+  "user:read": "List users",
+  "user:invite": "Invite users",
+  "user:write": "Change user email",
+  "user:delete": "Delete users",
+  "user:assign": "Assign facility and custom roles",
+  "user:role": "Change any user's built-in role, re-sync claims",
+  "user:create": "Create accounts with a password, including super admins",
+
+  "role:read": "View roles",
+  "role:write": "Create, update and delete custom roles",
+
+  "audit:read": "Read the audit log",
+
+  "apikey:manage": "Create, scope and revoke the tenant's API keys",
+
+  "monitor:read": "Platform-wide statistics"
+};
+
+// Built-in roles. The role also decides scope (see services/access.service.js).
+export const ROLE_PERMISSIONS = {
+  super_admin: ["*"],
+
+  tenant_admin: [
+    "tenant:read",
+    "facility:read", "facility:create", "facility:update", "facility:delete",
+    "device:read", "device:register", "device:write", "device:delete", "device:group",
+    "device:credentials", "device:command", "device:claim", "device:detach",
+    "sensor:read",
+    "alert:read", "alert:manage", "rule:write",
+    "user:read", "user:invite", "user:write", "user:delete", "user:assign",
+    "role:read", "role:write",
+    "audit:read",
+    "apikey:manage"
+  ],
+
+  facility_admin: [
+    "tenant:read",
+    "facility:read", "facility:update",
+    "device:read", "device:register", "device:write", "device:delete",
+    "device:credentials", "device:command", "device:claim",
+    "sensor:read",
+    "alert:read", "alert:manage", "rule:write",
+    "role:read"
+  ],
+
+  facility_user: [
+    "tenant:read",
+    "facility:read",
+    "device:read",
+    "sensor:read",
+    "alert:read"
+  ]
+};
+
+// Custom roles may only hand out what a tenant admin has (no platform permissions)
+export const GRANTABLE_PERMISSIONS = ROLE_PERMISSIONS.tenant_admin;
@@ -0,0 +1,26 @@
+import pg from "pg";
+import fs from "fs";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Connection comes from DATABASE_URL or the standard PG* variables
+export function createPool() {
+  return new pg.Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.PGSSL === "true" ? { rejectUnauthorized: false } : undefined,
+    max: Number(process.env.PG_POOL_MAX) || 10
+  });
+}
+
+let pool = null;
+
+export function getPool() {
+  if (!pool) pool = createPool();
+  return pool;
+}
+
+// Idempotent; safe to run on every start
+export async function ensureSchema(client = getPool()) {
+  const sql = fs.readFileSync(new URL("./postgres.schema.sql", import.meta.url), "utf8");
+  await client.query(sql);
+}
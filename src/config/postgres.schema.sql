@@ -0,0 +1,27 @@
+-- Sensor readings, one row per reading (mirrors tenants/<tenantId>/<sensorType>/<mac>/<timestamp>)
+CREATE TABLE IF NOT EXISTS sensor_readings (
+  tenant_id    TEXT        NOT NULL,
+  sensor_type  TEXT        NOT NULL,
+  mac          TEXT        NOT NULL,
+  recorded_at  TIMESTAMPTZ NOT NULL,
+  data         JSONB       NOT NULL,
+  PRIMARY KEY (tenant_id, sensor_type, mac, recorded_at)
+);
+
+-- Cross-device scans by time (retention, tenant-wide charts)
+CREATE INDEX IF NOT EXISTS sensor_readings_tenant_time_idx
+  ON sensor_readings (tenant_id, recorded_at);
+
+CREATE INDEX IF NOT EXISTS sensor_readings_recorded_at_brin
+  ON sensor_readings USING BRIN (recorded_at);
+
+-- Rate limit counters when RATE_LIMIT_STORE=postgres: one fixed window per key
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key           TEXT        PRIMARY KEY,
+  window_start  BIGINT      NOT NULL,
+  count         INTEGER     NOT NULL,
+  expires_at    TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_counters_expires_at_idx
+  ON rate_limit_counters (expires_at);
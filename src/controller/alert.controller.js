@@ -0,0 +1,80 @@
+import * as alertService from "../services/alert.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+// ==========================================
+// ALERT RULES
+// ==========================================
+export const createRule = async (req, res) => {
+  const rule = await alertService.createRule(req.user, req.body);
+
+  await recordAudit(req, { action: "rule.create", targetType: "rule", targetId: rule.id, tenantId: rule.tenantId, after: rule });
+
+  res.status(201).json(rule);
+};
+
+export const getRules = async (req, res) => {
+  const rules = await alertService.getRules(req.user, req.query);
+  res.json(rules);
+};
+
+export const getRuleById = async (req, res) => {
+  res.json(req.resources.rule);
+};
+
+export const updateRule = async (req, res) => {
+  const rule = req.resources.rule;
+
+  const updated = await alertService.updateRule(req.user, rule, req.body);
+
+  await recordAudit(req, {
+    action: "rule.update",
+    targetType: "rule",
+    targetId: rule.id,
+    tenantId: rule.tenantId,
+    before: rule,
+    after: updated
+  });
+
+  res.json(updated);
+};
+
+export const deleteRule = async (req, res) => {
+  const rule = req.resources.rule;
+
+  await alertService.deleteRule(rule);
+
+  await recordAudit(req, { action: "rule.delete", targetType: "rule", targetId: rule.id, tenantId: rule.tenantId, before: rule });
+  res.json({ message: "Rule deleted successfully" });
+};
+
+// ==========================================
+// ALERTS
+// ==========================================
+export const getAlerts = async (req, res) => {
+  const alerts = await alertService.getAlerts(req.user, req.query);
+  res.json(alerts);
+};
+
+export const getAlertById = async (req, res) => {
+  res.json(req.resources.alert);
+};
+
+export const acknowledgeAlert = async (req, res) => {
+  const alert = req.resources.alert;
+
+  const updated = await alertService.acknowledgeAlert(req.user, alert);
+
+  await recordAudit(req, { action: "alert.acknowledge", targetType: "alert", targetId: alert.id, tenantId: alert.tenantId });
+
+  res.json(updated);
+};
+
+export const resolveAlert = async (req, res) => {
+  const alert = req.resources.alert;
+
+  const updated = await alertService.resolveAlert(alert, req.user.uid);
+
+  await recordAudit(req, { action: "alert.resolve", targetType: "alert", targetId: alert.id, tenantId: alert.tenantId });
+
+  res.json(updated);
+};
@@ -0,0 +1,58 @@
+import * as apiKeyService from "../services/apikey.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+// ==========================================
+// API KEYS (machine-to-machine access to one tenant)
+// ==========================================
+export const getApiKeys = async (req, res) => {
+  res.json(await apiKeyService.listApiKeys(req.user, req.query));
+};
+
+export const getApiKeyById = async (req, res) => {
+  res.json(apiKeyService.toPublicApiKey(req.resources.apiKey));
+};
+
+// The plain key is only part of this response
+export const createApiKey = async (req, res) => {
+  const { apiKey, key } = await apiKeyService.createApiKey(req.user, req.body);
+
+  await recordAudit(req, {
+    action: "apikey.create",
+    targetType: "apikey",
+    targetId: apiKey.id,
+    tenantId: apiKey.tenantId,
+    after: apiKey
+  });
+
+  res.status(201).json({ ...apiKey, key });
+};
+
+export const updateApiKey = async (req, res) => {
+  const before = req.resources.apiKey;
+  const apiKey = await apiKeyService.updateApiKey(req.user, before, req.body);
+
+  await recordAudit(req, {
+    action: "apikey.update",
+    targetType: "apikey",
+    targetId: apiKey.id,
+    tenantId: apiKey.tenantId,
+    before: apiKeyService.toPublicApiKey(before),
+    after: apiKey
+  });
+
+  res.json(apiKey);
+};
+
+// Revoked keys stay listed (status "revoked") so their use can still be traced
+export const revokeApiKey = async (req, res) => {
+  const apiKey = await apiKeyService.revokeApiKey(req.user, req.resources.apiKey);
+
+  await recordAudit(req, {
+    action: "apikey.revoke",
+    targetType: "apikey",
+    targetId: apiKey.id,
+    tenantId: apiKey.tenantId
+  });
+
+  res.json(apiKey);
+};
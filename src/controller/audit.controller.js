@@ -0,0 +1,7 @@
+import * as auditService from "../services/audit.service.js";
+
+// GET /api/audit?action=&actorUid=&targetType=&targetId=&from=&to=&limit=&cursor=
+export const getAuditLog = async (req, res) => {
+  const page = await auditService.queryAuditLog(req.user, req.query);
+  res.json(page);
+};
@@ -0,0 +1,18 @@
+import { authProvider } from "../auth/index.js";
+import { UnauthorizedError } from "../utils/errors.js";
+
+// LOCAL LOGIN (AUTH_PROVIDER=local only)
+export async function localLogin(req, res) {
+  const { email, password } = req.body;
+
+  let session;
+
+  // Unknown email, wrong password and disabled account all answer the same 401
+  try {
+    session = await authProvider.signIn(email, password);
+  } catch (err) {
+    throw new UnauthorizedError(err.message);
+  }
+
+  res.json(session);
+}
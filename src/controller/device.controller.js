@@ -1,129 +1,303 @@
-import { db } from "../config/firebase.js";
+import { devicesRepository } from "../repositories/index.js";
 import * as deviceService from "../services/device.service.js";
-
-// GET ALL DEVICES (SUPER ADMIN)
+import { disconnectDevice } from "../websocket/connections.js";
+import { getConnectionHistory } from "../services/presence.service.js";
+import * as commandService from "../services/command.service.js";
+import * as inventoryService from "../services/inventory.service.js";
+import { resolveDeviceZone } from "../services/zone.service.js";
+import { resolveDeviceGroup } from "../services/group.service.js";
+import { recordAudit, diff } from "../services/audit.service.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+
+// Device list query: filters (facilityId, zoneId, groupId, tag, status, sensorType, q),
+// sort/order, and limit/cursor for pages. See deviceService.listDevices.
+
+// GET ALL DEVICES (everything for super admins, own tenant/facility otherwise)
 export async function getAllDevices(req, res) {
-  try {
+  const devices = await deviceService.listDevices(req.user, req.query);
 
-    if (req.user.role !== "super_admin") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
+  res.json(devices);
+}
 
-    const snapshot = await db.ref("devices_registry").once("value");
 
-    if (!snapshot.exists()) {
-      return res.json([]);
-    }
+// GET DEVICES BY TENANT
+export async function getTenantDevices(req, res) {
+  // Facility roles only see their own facility's devices
+  const devices = await deviceService.listDevices(req.user, { ...req.query, tenantId: req.user.tenantId });
 
-    const devices = Object.entries(snapshot.val()).map(([id, data]) => ({
-      id,
-      ...data
-    }));
+  res.json(devices);
+}
 
-    res.json(devices);
 
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+// Super admins name the tenant; everyone else works in their own
+function targetTenant(user, tenantId, field) {
+  const target = user.role === "super_admin" ? tenantId : user.tenantId;
+
+  if (!target) throw new ValidationError("Invalid request", [{ field, message: "is required" }]);
+
+  return target;
 }
 
 
-// GET DEVICES BY TENANT
-export async function getTenantDevices(req, res) {
-  try {
+// REGISTER DEVICE
+export async function registerDevice(req, res) {
+  const tenantId = targetTenant(req.user, req.body.tenantId, "body.tenantId");
+
+  // Facility-level callers always register into their own facility
+  const facilityId = req.user.facilityId || req.body.facilityId || null;
+
+  // Super admins may name a facility of any tenant
+  if (req.resources?.facility && req.resources.facility.tenantId !== tenantId) {
+    throw new ValidationError("Invalid request", [{ field: "body.facilityId", message: "must be a facility of the device's tenant" }]);
+  }
 
-    const tenantId = req.user.tenantId;
+  const { deviceId, deviceSecret, device } = await deviceService.registerDevice(req.user, {
+    mac: req.body.mac,
+    name: req.body.name,
+    tenantId,
+    facilityId
+  });
+
+  await recordAudit(req, {
+    action: "device.register",
+    targetType: "device",
+    targetId: deviceId,
+    tenantId,
+    after: { mac: device.mac, name: device.name, tenantId, facilityId: device.facilityId }
+  });
+
+  // deviceSecret is only shown here; flash it onto the ESP32
+  res.json({ success: true, deviceId, deviceSecret });
+}
 
-    const snapshot = await db
-      .ref("devices_registry")
-      .orderByChild("tenantId")
-      .equalTo(tenantId)
-      .once("value");
 
-    if (!snapshot.exists()) {
-      return res.json([]);
-    }
+// BULK IMPORT (CSV text or JSON rows; dryRun only reports)
+export async function importDevices(req, res) {
+  const { csv, devices, dryRun } = req.body;
+  const tenantId = targetTenant(req.user, req.body.tenantId, "body.tenantId");
 
-    const devices = Object.entries(snapshot.val()).map(([id, data]) => ({
-      id,
-      ...data
-    }));
+  const plan = await inventoryService.planImport(req.user, tenantId, { csv, devices });
 
-    res.json(devices);
+  if (dryRun) return res.json({ dryRun: true, ...plan });
 
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  // All or nothing: one bad row and nothing is written
+  if (plan.errors.length) {
+    throw new ValidationError(`${plan.errors.length} row(s) cannot be imported`, plan.errors);
   }
+
+  const created = await inventoryService.commitImport(req.user, tenantId, plan);
+
+  await recordAudit(req, {
+    action: "device.import",
+    targetType: "tenant",
+    targetId: tenantId,
+    tenantId,
+    details: { count: created.length, deviceIds: created.map(device => device.deviceId) }
+  });
+
+  // deviceSecret is only shown here, as with single registration
+  res.status(201).json({ imported: created.length, devices: created });
 }
 
 
-// GET SINGLE DEVICE
-export async function getDeviceById(req, res) {
-  try {
+// INVENTORY EXPORT (same rows as the import)
+export async function exportDevices(req, res) {
+  const format = req.query.format || "json";
+  const tenantId = targetTenant(req.user, req.query.tenantId, "query.tenantId");
 
-    const { deviceId } = req.params;
+  const inventory = await inventoryService.exportInventory(req.user, tenantId, format);
 
-    const snapshot = await db.ref(`devices_registry/${deviceId}`).once("value");
+  if (format !== "csv") return res.json(inventory);
 
-    if (!snapshot.exists()) {
-      return res.status(404).json({ message: "Device not found" });
-    }
+  res.type("text/csv");
+  res.attachment(`devices-${tenantId}.csv`);
+  res.send(inventory);
+}
 
-    res.json(snapshot.val());
 
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+// GET SINGLE DEVICE
+export async function getDeviceById(req, res) {
+  // Loaded and ownership-checked by requireOwnership("device")
+  res.json(deviceService.toPublicDevice(req.resources.device));
 }
 
 
-// UPDATE DEVICE NAME
+// UPDATE DEVICE NAME / ZONE / GROUP / TAGS
 export async function updateDevice(req, res) {
-  try {
+  const { deviceId } = req.params;
+  const { name, zoneId, groupId, tags } = req.body;
+  const device = req.resources.device;
+  const update = {};
 
-    const { deviceId } = req.params;
-    const { name } = req.body;
+  if (name !== undefined) update.name = name;
 
-    await db.ref(`devices_registry/${deviceId}/name`).set(name);
+  // The zone must be in the device's facility; null takes the device out of its zone
+  if (zoneId !== undefined) update.zoneId = (await resolveDeviceZone(device, zoneId))?.id || null;
 
-    res.json({ message: "Device updated successfully" });
+  if (groupId !== undefined) update.groupId = (await resolveDeviceGroup(device, groupId))?.id || null;
 
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  // Replaces the whole tag list
+  if (tags !== undefined) update.tags = deviceService.normalizeTags(tags);
+
+  await devicesRepository.update(deviceId, update);
+
+  if (update.tags) await deviceService.reindexDeviceTags(device.tenantId, deviceId, device.tags, update.tags);
+
+  await recordAudit(req, {
+    action: "device.update",
+    targetType: "device",
+    targetId: deviceId,
+    tenantId: device.tenantId,
+    ...diff(device, update)
+  });
+
+  res.json({ message: "Device updated successfully" });
 }
 
 
 // DELETE DEVICE
 export async function deleteDevice(req, res) {
-  try {
+  const { deviceId } = req.params;
+
+  await deviceService.removeDeviceData(deviceId, req.resources.device);
+  await devicesRepository.remove(deviceId);
+
+  await recordAudit(req, {
+    action: "device.delete",
+    targetType: "device",
+    targetId: deviceId,
+    tenantId: req.resources.device.tenantId,
+    before: req.resources.device
+  });
+
+  res.json({ message: "Device deleted successfully" });
+}
+
+// ROTATE DEVICE CREDENTIAL
+export async function rotateDeviceCredential(req, res) {
+  const { deviceId } = req.params;
 
-    const { deviceId } = req.params;
+  const deviceSecret = await deviceService.rotateDeviceCredential(deviceId);
 
-    await db.ref(`devices_registry/${deviceId}`).remove();
+  // Existing session was opened with the old secret
+  disconnectDevice(deviceId, "Credential rotated");
 
-    res.json({ message: "Device deleted successfully" });
+  await recordAudit(req, {
+    action: "device.credentials_rotate",
+    targetType: "device",
+    targetId: deviceId,
+    tenantId: req.resources.device.tenantId
+  });
 
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  res.json({ message: "Device credential rotated", deviceId, deviceSecret });
+}
+
+
+// REVOKE DEVICE CREDENTIAL
+export async function revokeDeviceCredential(req, res) {
+  const { deviceId } = req.params;
+
+  await deviceService.revokeDeviceCredential(deviceId);
+  disconnectDevice(deviceId, "Credential revoked");
+
+  await recordAudit(req, {
+    action: "device.credentials_revoke",
+    targetType: "device",
+    targetId: deviceId,
+    tenantId: req.resources.device.tenantId
+  });
+
+  res.json({ message: "Device credential revoked" });
+}
+
+// DEVICE CONNECTION HISTORY
+export async function getDeviceConnections(req, res) {
+  const { deviceId } = req.params;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  const connections = await getConnectionHistory(deviceId, limit);
+
+  res.json(connections);
+}
+
+// SEND COMMAND TO DEVICE
+export async function sendDeviceCommand(req, res) {
+  const { deviceId } = req.params;
+  const { command, params, timeoutSec, ttlSec } = req.body;
+
+  if (!command || typeof command !== "string") {
+    throw new ValidationError("command is required");
+  }
+
+  if (params !== undefined && (typeof params !== "object" || params === null)) {
+    throw new ValidationError("params must be an object");
+  }
+
+  const result = await commandService.createCommand(
+    req.user,
+    req.resources.device,
+    { command, params, timeoutSec: Number(timeoutSec) || 0, ttlSec: Number(ttlSec) || 0 }
+  );
+
+  await recordAudit(req, {
+    action: "device.command",
+    targetType: "device",
+    targetId: deviceId,
+    tenantId: req.resources.device.tenantId,
+    details: { command, params: params || null, commandId: result.id }
+  });
+
+  // 202: delivery and ack happen asynchronously
+  res.status(202).json(result);
+}
+
+
+// DEVICE COMMAND HISTORY
+export async function getDeviceCommands(req, res) {
+  const { deviceId } = req.params;
+  const { status } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  if (status && !commandService.COMMAND_STATES.includes(status)) {
+    throw new ValidationError(`status must be one of ${commandService.COMMAND_STATES.join(", ")}`);
+  }
+
+  const commands = await commandService.getCommands(deviceId, { status, limit });
+
+  res.json(commands);
+}
+
+
+// SINGLE DEVICE COMMAND
+export async function getDeviceCommand(req, res) {
+  const { deviceId, commandId } = req.params;
+
+  const command = await commandService.getCommand(deviceId, commandId);
+
+  if (!command) {
+    throw new NotFoundError("Command not found");
   }
+
+  res.json(command);
 }
 
 // FACILITY FUNCTIONS
 export const addDevice = async (req, res) => {
-  try {
-    const device = await deviceService.addDevice(req.user, req.body);
-    res.json(device);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+  const tenantId = targetTenant(req.user, req.body.tenantId, "body.tenantId");
+  const device = await deviceService.addDevice(req.user, tenantId, req.body);
+
+  await recordAudit(req, {
+    action: "device.register",
+    targetType: "device",
+    targetId: device.id,
+    tenantId: device.tenantId,
+    after: device
+  });
+
+  res.json(device);
 };
 
 export const getDevices = async (req, res) => {
-  try {
-    const devices = await deviceService.getDevices(req.user);
-    res.json(devices);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+  const devices = await deviceService.listDevices(req.user, req.query);
+  res.json(devices);
 };
\ No newline at end of file
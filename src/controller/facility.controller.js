@@ -1,19 +1,57 @@
 import * as facilityService from "../services/facility.service.js";
+import { recordAudit, diff } from "../services/audit.service.js";
 
 export const createFacility = async(req,res) => {
-    try {
-        const facility = await facilityService.createFacility(req.user,req.body);
-        res.json(facility);
-    } catch (error) {
-        res.status(500).json({error:error.message});
-    }
+    const facility = await facilityService.createFacility(req.user,req.body);
+
+    await recordAudit(req, {
+        action: "facility.create",
+        targetType: "facility",
+        targetId: facility.id,
+        tenantId: facility.tenantId,
+        after: facility
+    });
+
+    res.json(facility);
 };
 
 export const getFacilities = async (req,res) => {
-    try {
-        const data = await facilityService.getFacilities(req.user);
-        res.json(data);
-    } catch (error) {
-        res.status(500).json({error:error.message});
-    }
+    const data = await facilityService.getFacilities(req.user, req.query);
+    res.json(data);
+};
+
+// Loaded and ownership-checked by requireOwnership("facility")
+export const getFacility = async (req,res) => {
+    res.json(req.resources.facility);
+};
+
+export const updateFacility = async (req,res) => {
+    const facility = req.resources.facility;
+    const updated = await facilityService.updateFacility(facility, req.body);
+
+    await recordAudit(req, {
+        action: "facility.update",
+        targetType: "facility",
+        targetId: facility.id,
+        tenantId: facility.tenantId,
+        ...diff(facility, { name: updated.name, address: updated.address })
+    });
+
+    res.json(updated);
+};
+
+export const deleteFacility = async (req,res) => {
+    const facility = req.resources.facility;
+    const result = await facilityService.deleteFacility(req.user, facility, req.query);
+
+    await recordAudit(req, {
+        action: "facility.delete",
+        targetType: "facility",
+        targetId: facility.id,
+        tenantId: facility.tenantId,
+        before: facility,
+        details: result
+    });
+
+    res.json({ message: "Facility deleted successfully", ...result });
 };
@@ -0,0 +1,57 @@
+import * as groupService from "../services/group.service.js";
+import { recordAudit, diff } from "../services/audit.service.js";
+
+// GET /api/devices/groups - by name; super admins see every tenant's (?tenantId= narrows)
+export async function getGroups(req, res) {
+  const groups = await groupService.getGroups(req.user, req.query);
+  res.json(groups);
+}
+
+export async function getGroup(req, res) {
+  res.json(req.resources.group);
+}
+
+export async function createGroup(req, res) {
+  const group = await groupService.createGroup(req.user, req.body);
+
+  await recordAudit(req, {
+    action: "group.create",
+    targetType: "group",
+    targetId: group.id,
+    tenantId: group.tenantId,
+    after: group
+  });
+
+  res.status(201).json(group);
+}
+
+export async function updateGroup(req, res) {
+  const group = req.resources.group;
+  const updated = await groupService.updateGroup(group, req.body);
+
+  await recordAudit(req, {
+    action: "group.update",
+    targetType: "group",
+    targetId: group.id,
+    tenantId: group.tenantId,
+    ...diff(group, { name: updated.name, description: updated.description })
+  });
+
+  res.json(updated);
+}
+
+export async function deleteGroup(req, res) {
+  const group = req.resources.group;
+  const result = await groupService.deleteGroup(group);
+
+  await recordAudit(req, {
+    action: "group.delete",
+    targetType: "group",
+    targetId: group.id,
+    tenantId: group.tenantId,
+    before: group,
+    details: result
+  });
+
+  res.json({ message: "Group deleted successfully", ...result });
+}
@@ -0,0 +1,69 @@
+import * as invitationService from "../services/invitation.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+// ==========================================
+// INVITATIONS
+// ==========================================
+export const createInvitation = async (req, res) => {
+  const invitation = await invitationService.createInvitation(req.user, req.body);
+
+  await recordAudit(req, {
+    action: "invitation.create",
+    targetType: "invitation",
+    targetId: invitation.id,
+    tenantId: invitation.tenantId,
+    after: invitation
+  });
+
+  res.status(201).json(invitation);
+};
+
+export const getInvitations = async (req, res) => {
+  const invitations = await invitationService.listInvitations(req.user, req.query);
+  res.json(invitations);
+};
+
+export const getInvitationById = async (req, res) => {
+  res.json(invitationService.toPublicInvitation(req.resources.invitation));
+};
+
+export const resendInvitation = async (req, res) => {
+  const invitation = await invitationService.resendInvitation(req.resources.invitation);
+
+  await recordAudit(req, {
+    action: "invitation.resend",
+    targetType: "invitation",
+    targetId: invitation.id,
+    tenantId: invitation.tenantId
+  });
+
+  res.json(invitation);
+};
+
+export const revokeInvitation = async (req, res) => {
+  const invitation = await invitationService.revokeInvitation(req.user, req.resources.invitation);
+
+  await recordAudit(req, {
+    action: "invitation.revoke",
+    targetType: "invitation",
+    targetId: invitation.id,
+    tenantId: invitation.tenantId
+  });
+
+  res.json(invitation);
+};
+
+// Unauthenticated: the invitation token is the credential
+export const acceptInvitation = async (req, res) => {
+  const result = await invitationService.acceptInvitation(req.body);
+
+  await recordAudit(req, {
+    action: "invitation.accept",
+    targetType: "user",
+    targetId: result.uid,
+    tenantId: result.tenantId,
+    details: { email: result.email, role: result.role, invitationId: result.invitationId }
+  });
+
+  res.status(201).json(result);
+};
@@ -1,93 +1,81 @@
-import { db } from "../config/firebase.js";
+import { devicesRepository, tenantsRepository, usersRepository } from "../repositories/index.js";
+import { getLiveness, getReadiness, getFrontendHealth } from "../services/health.service.js";
+import { renderMetrics } from "../utils/metrics.js";
 
-// BACKEND HEALTH CHECK
+// LIVENESS: the process answers; no dependency is probed
+export async function liveness(req, res) {
+  res.json(getLiveness());
+}
+
+
+// READINESS: data store(s) and WebSocket server; 503 when any check is down
+export async function readiness(req, res) {
+  const report = await getReadiness();
+
+  res.status(report.status === "ok" ? 200 : 503).json(report);
+}
+
+
+// BACKEND HEALTH CHECK (readiness, plus the original backend field)
 export async function backendHealth(req, res) {
-  try {
-    res.json({
-      backend: "running",
-      timestamp: new Date().toISOString()
-    });
-  } catch (err) {
-    res.status(500).json({ backend: "down" });
-  }
+  const report = await getReadiness();
+
+  res.status(report.status === "ok" ? 200 : 503).json({
+    backend: report.status === "ok" ? "running" : "degraded",
+    ...report
+  });
 }
 
 
 // FRONTEND HEALTH CHECK
 export async function frontendHealth(req, res) {
+  const check = await getFrontendHealth();
+
   res.json({
-    frontend: "running"
+    frontend: check.status === "up" ? "running" : check.status,
+    ...check
   });
 }
 
 
 // TOTAL DEVICES
 export async function getDevicesCount(req, res) {
-  try {
-
-    const snapshot = await db.ref("devices_registry").once("value");
+  const count = await devicesRepository.count();
 
-    const count = snapshot.exists()
-      ? Object.keys(snapshot.val()).length
-      : 0;
-
-    res.json({ totalDevices: count });
-
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  res.json({ totalDevices: count });
 }
 
 
 // TOTAL TENANTS
 export async function getTenantsCount(req, res) {
-  try {
-
-    const snapshot = await db.ref("tenants").once("value");
-
-    const count = snapshot.exists()
-      ? Object.keys(snapshot.val()).length
-      : 0;
-
-    res.json({ totalTenants: count });
+  const count = await tenantsRepository.count();
 
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  res.json({ totalTenants: count });
 }
 
 
 // SYSTEM STATS
 export async function getSystemStats(req, res) {
-  try {
-
-    const devicesSnapshot = await db.ref("devices_registry").once("value");
-    const tenantsSnapshot = await db.ref("tenants").once("value");
-    const usersSnapshot = await db.ref("users").once("value");
-
-    const devices = devicesSnapshot.exists()
-      ? Object.keys(devicesSnapshot.val()).length
-      : 0;
-
-    const tenants = tenantsSnapshot.exists()
-      ? Object.keys(tenantsSnapshot.val()).length
-      : 0;
-
-    const users = usersSnapshot.exists()
-      ? Object.keys(usersSnapshot.val()).length
-      : 0;
-
-    res.json({
-      backendStatus: "running",
-      frontendStatus: "running",
-      totalDevices: devices,
-      totalTenants: tenants,
-      totalUsers: users,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  const [devices, tenants, users, backend, frontend] = await Promise.all([
+    devicesRepository.count(),
+    tenantsRepository.count(),
+    usersRepository.count(),
+    getReadiness(),
+    getFrontendHealth()
+  ]);
+
+  res.json({
+    backendStatus: backend.status === "ok" ? "running" : "degraded",
+    frontendStatus: frontend.status === "up" ? "running" : frontend.status,
+    totalDevices: devices,
+    totalTenants: tenants,
+    totalUsers: users,
+    timestamp: new Date().toISOString()
+  });
 }
 
+
+// PROMETHEUS METRICS
+export async function getMetrics(req, res) {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+}
@@ -0,0 +1,56 @@
+import * as pendingService from "../services/pending.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { normalizeMac } from "../utils/mac.js";
+import { ValidationError } from "../utils/errors.js";
+
+// LIST UNCLAIMED DEVICES (SUPER ADMIN)
+export const getPendingDevices = async (req, res) => {
+  const { status } = req.query;
+
+  if (status && !["pending", "blocked"].includes(status)) {
+    throw new ValidationError("status must be pending or blocked");
+  }
+
+  const devices = await pendingService.listPendingDevices({ status });
+  res.json(devices);
+};
+
+// CLAIM BY MAC OR CLAIM CODE
+export const claimPendingDevice = async (req, res) => {
+  const { mac, claimCode, facilityId, name } = req.body;
+
+  if (!mac && !claimCode) {
+    throw new ValidationError("mac or claimCode is required");
+  }
+
+  const result = await pendingService.claimPendingDevice(req.user, { mac, claimCode, facilityId, name });
+
+  await recordAudit(req, {
+    action: "device.claim",
+    targetType: "device",
+    targetId: result.deviceId,
+    tenantId: result.device.tenantId,
+    after: result.device
+  });
+
+  // deviceSecret is only shown here (also pushed to the device if it is still connected)
+  res.status(201).json(result);
+};
+
+export const rejectPendingDevice = async (req, res) => {
+  await pendingService.rejectPendingDevice(req.params.mac);
+  await recordAudit(req, { action: "pending.reject", targetType: "pending_device", targetId: normalizeMac(req.params.mac), tenantId: null });
+  res.json({ message: "Pending device rejected" });
+};
+
+export const blockPendingDevice = async (req, res) => {
+  await pendingService.blockPendingDevice(req.user, req.params.mac);
+  await recordAudit(req, { action: "pending.block", targetType: "pending_device", targetId: normalizeMac(req.params.mac), tenantId: null });
+  res.json({ message: "Device blocked" });
+};
+
+export const unblockPendingDevice = async (req, res) => {
+  await pendingService.unblockPendingDevice(req.params.mac);
+  await recordAudit(req, { action: "pending.unblock", targetType: "pending_device", targetId: normalizeMac(req.params.mac), tenantId: null });
+  res.json({ message: "Device unblocked" });
+};
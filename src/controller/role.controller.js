@@ -0,0 +1,58 @@
+import * as permissionService from "../services/permission.service.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { recordAudit } from "../services/audit.service.js";
+
+// ==========================================
+// PERMISSION CATALOGUE
+// ==========================================
+export const getPermissions = async (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([id, description]) => ({ id, description })));
+};
+
+// ==========================================
+// ROLES (built-in + tenant custom roles)
+// ==========================================
+export const getRoles = async (req, res) => {
+  const roles = await permissionService.listRoles(req.user, req.query);
+  res.json(roles);
+};
+
+export const getRoleById = async (req, res) => {
+  res.json(req.resources.role);
+};
+
+export const createRole = async (req, res) => {
+  const role = await permissionService.createRole(req.user, req.body);
+
+  await recordAudit(req, { action: "role.create", targetType: "role", targetId: role.id, tenantId: role.tenantId, after: role });
+
+  res.status(201).json(role);
+};
+
+export const updateRole = async (req, res) => {
+  const role = await permissionService.updateRole(req.user, req.resources.role, req.body);
+
+  await recordAudit(req, {
+    action: "role.update",
+    targetType: "role",
+    targetId: role.id,
+    tenantId: role.tenantId,
+    before: req.resources.role,
+    after: role
+  });
+
+  res.json(role);
+};
+
+export const deleteRole = async (req, res) => {
+  await permissionService.deleteRole(req.resources.role);
+
+  await recordAudit(req, {
+    action: "role.delete",
+    targetType: "role",
+    targetId: req.resources.role.id,
+    tenantId: req.resources.role.tenantId,
+    before: req.resources.role
+  });
+  res.json({ message: "Role deleted successfully" });
+};
@@ -1,27 +1,124 @@
-import { db } from "../config/firebase.js";
+import * as sensorService from "../services/sensor.service.js";
+import { loadAccessible } from "../services/access.service.js";
+import { findDevices } from "../services/device.service.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+
+const DAY_MS = 86400000;
+
+// Parses from/to/limit/interval; returns { error } on bad input
+function parseRangeQuery(query) {
+  const now = Date.now();
+
+  const from = query.from !== undefined ? Number(query.from) : undefined;
+  const to = query.to !== undefined ? Number(query.to) : undefined;
+  const limit = query.limit !== undefined ? Number(query.limit) : 50;
+  const interval = sensorService.parseInterval(query.interval);
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: "from and to must be epoch milliseconds" };
+  }
+
+  if (from !== undefined && to !== undefined && from > to) {
+    return { error: "from must be before to" };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > sensorService.MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${sensorService.MAX_PAGE_SIZE}` };
+  }
+
+  if (Number.isNaN(interval) || interval === 0) {
+    return { error: "interval must look like 30s, 5m, 1h, 1d or milliseconds" };
+  }
+
+  return { from, to, limit, interval, now };
+}
+
+// Downsampling needs a closed range; default to the last 24 hours
+function resolveBuckets({ from, to, interval, now }) {
+  const end = to ?? now;
+  const start = from ?? end - DAY_MS;
+  const step = sensorService.resolveInterval(interval, start, end);
+
+  if ((end - start) / step > sensorService.MAX_REQUESTED_BUCKETS) {
+    return { error: `interval too small for range (max ${sensorService.MAX_REQUESTED_BUCKETS} buckets)` };
+  }
+
+  return { from: start, to: end, interval: step };
+}
+
+// GET /api/devices/:sensorType/:mac
+// No query -> latest 50 readings (array). from/to/cursor/limit -> page. interval or downsample -> buckets.
 export async function getDeviceSensorData(req, res) {
-  try {
-    const { mac, sensorType } = req.params;
-    const tenantId = req.user.tenantId;
-    
-    const snapshot = await db.ref(
-      `tenants/${tenantId}/${sensorType}/${mac}`
-    )
-    .limitToLast(50) 
-    .once("value");
-
-    if (!snapshot.exists()) {
-      return res.json([]);
-    }
-    
-    const raw = snapshot.val();
-    const data = Object.entries(raw).map(([timestamp,value])=>({
-      timestamp: Number(timestamp),
-      ...value
-    }));
-    res.json(data);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  const { sensorType } = req.params;
+
+  // Readings live under the device's tenant and stored MAC (requireOwnership("deviceMac"))
+  const { tenantId, mac } = req.resources.deviceMac;
+
+  const query = parseRangeQuery(req.query);
+  if (query.error) throw new ValidationError(query.error);
+
+  if (req.query.interval !== undefined || req.query.downsample !== undefined) {
+    const range = resolveBuckets(query);
+    if (range.error) throw new ValidationError(range.error);
+
+    const result = await sensorService.getDownsampledReadings(tenantId, sensorType, mac, range);
+    return res.json(result);
+  }
+
+  const paged = ["from", "to", "cursor", "limit"].some(key => req.query[key] !== undefined);
+
+  if (!paged) {
+    const data = await sensorService.getLatestReadings(tenantId, sensorType, mac);
+    return res.json(data);
   }
+
+  const page = await sensorService.getReadingsPage(tenantId, sensorType, mac, {
+    from: query.from,
+    to: query.to,
+    cursor: req.query.cursor,
+    limit: query.limit
+  });
+
+  res.json(page);
 }
 
+// GET /api/devices/:sensorType/series?macs=A,B&from=&to=&interval=
+// ?facilityId= / ?zoneId= instead of (or to narrow) macs: every device placed there
+export async function getSensorSeries(req, res) {
+  const { sensorType } = req.params;
+  const { facilityId, zoneId } = req.query;
+
+  const macs = String(req.query.macs || "")
+    .split(",")
+    .map(mac => mac.trim())
+    .filter(Boolean);
+
+  const query = parseRangeQuery(req.query);
+  if (query.error) throw new ValidationError(query.error);
+
+  const range = resolveBuckets(query);
+  if (range.error) throw new ValidationError(range.error);
+
+  let devices = [];
+
+  for (const mac of new Set(macs)) {
+    const device = await loadAccessible(req.user, "deviceMac", mac);
+    if (!device) throw new NotFoundError(`Device not found: ${mac}`);
+    devices.push({ tenantId: device.tenantId, mac: device.mac });
+  }
+
+  if (facilityId || zoneId) {
+    const placed = await findDevices(req.user, { facilityId, zoneId });
+
+    devices = macs.length
+      ? devices.filter(d => placed.some(p => p.mac === d.mac))
+      : placed.map(({ tenantId, mac }) => ({ tenantId, mac }));
+  }
+
+  if (devices.length > sensorService.MAX_SERIES_DEVICES) {
+    throw new ValidationError(`Selection has ${devices.length} devices (max ${sensorService.MAX_SERIES_DEVICES}); narrow it with zoneId or macs`);
+  }
+
+  const result = await sensorService.getAlignedSeries(sensorType, devices, range);
+  res.json(result);
+}
@@ -1,62 +1,50 @@
-import { db, admin } from "../config/firebase.js";
-
+import { tenantsRepository, devicesRepository } from "../repositories/index.js";
+import { toPublicDevice, reindexDeviceTags } from "../services/device.service.js";
+import { canAccessScope } from "../services/access.service.js";
+import { createInvitation } from "../services/invitation.service.js";
+import { recordAudit, diff } from "../services/audit.service.js";
+import { disconnectDevice } from "../websocket/connections.js";
+import * as tenantService from "../services/tenant.service.js";
+import * as rateLimitService from "../services/ratelimit.service.js";
+import { NotFoundError, ConflictError } from "../utils/errors.js";
+
+// Invite Tenant Admin: sends an invitation, the account is created when it is accepted
 export async function inviteTenantAdmin(req, res) {
-  try {
-    const { email, tenantId } = req.body;
-
-    // check super_admin
-    if (req.user.role !== "super_admin") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
-
-    //  Create user
-    const user = await admin.auth().createUser({
-      email,
-      emailVerified: false
-    });
-
-    //  Set custom claims
-    await admin.auth().setCustomUserClaims(user.uid, {
-      role: "tenant_admin",
-      tenantId
-    });
-
-    res.json({
-      message: "Tenant admin created successfully",
-      email
-    });
-
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  const { email, tenantId } = req.body;
+
+  const invitation = await createInvitation(req.user, { email, tenantId, role: "tenant_admin" });
+
+  await recordAudit(req, {
+    action: "invitation.create",
+    targetType: "invitation",
+    targetId: invitation.id,
+    tenantId: invitation.tenantId,
+    after: invitation
+  });
+
+  res.status(201).json({
+    message: "Invitation sent",
+    email: invitation.email,
+    invitationId: invitation.id,
+    expiresAt: invitation.expiresAt
+  });
 }
 
 
 export async function getTenantDevices(req, res) {
-  try {
-
-    const { tenantId } = req.params;
-
-    const snapshot = await admin
-      .database()
-      .ref("/devices_registry")
-      .once("value");
+  const { tenantId } = req.params;
 
-    const devices = snapshot.val() || {};
+  const devices = await devicesRepository.findBy("tenantId", tenantId);
 
-    const tenantDevices = Object.entries(devices)
-      .filter(([id, device]) => device.tenantId === tenantId)
-      .map(([id, device]) => ({
-        deviceId: id,
-        ...device
-      }));
+  // Facility roles only see their own facility's devices
+  const tenantDevices = Object.entries(devices)
+    .filter(([, device]) => canAccessScope(req.user, device))
+    .map(([id, device]) => ({
+      deviceId: id,
+      ...toPublicDevice(device)
+    }));
 
-    res.json(tenantDevices);
-
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to fetch tenant devices" });
-  }
+  res.json(tenantDevices);
 };
 
 
@@ -65,26 +53,34 @@ export async function getTenantDevices(req, res) {
 
 export async function assignDeviceToTenant(req, res) {
 
-  try {
+  const { tenantId } = req.params;
+  const { deviceId } = req.body;
 
-    const { tenantId } = req.params;
-    const { deviceId } = req.body;
+  const device = deviceId && await devicesRepository.get(deviceId);
 
-    await admin
-      .database()
-      .ref(`/devices_registry/${deviceId}`)
-      .update({
-        tenantId
-      });
+  if (!device) {
+    throw new NotFoundError("Device not found");
+  }
 
-    res.json({ message: "Device assigned to tenant" });
+  // The old tenant's facility, zone and group mean nothing in the new one
+  const update = { tenantId, facilityId: null, zoneId: null, groupId: null };
 
-  } catch (err) {
+  await devicesRepository.update(deviceId, update);
+  await reindexDeviceTags(device.tenantId, deviceId, device.tags, []);
+  await reindexDeviceTags(tenantId, deviceId, [], device.tags);
 
-    console.error(err);
-    res.status(500).json({ error: "Failed to assign device" });
+  // An open session still writes and publishes under the tenant it connected with
+  disconnectDevice(deviceId, "Tenant reassigned");
 
-  }
+  await recordAudit(req, {
+    action: "device.assign",
+    targetType: "device",
+    targetId: deviceId,
+    tenantId,
+    ...diff(device, update)
+  });
+
+  res.json({ message: "Device assigned to tenant" });
 
 };
 
@@ -94,25 +90,29 @@ export async function assignDeviceToTenant(req, res) {
 
 export const removeDeviceFromTenant = async (req, res) => {
 
-  try {
-
-    const { deviceId } = req.params;
+  const { tenantId, deviceId } = req.params;
 
-    await admin
-      .database()
-      .ref(`/devices_registry/${deviceId}`)
-      .update({
-        tenantId: null
-      });
+  // requireOwnership("device") checked the caller, this checks the URL is consistent
+  if (req.resources.device.tenantId !== tenantId) {
+    throw new NotFoundError("Device not found");
+  }
 
-    res.json({ message: "Device removed from tenant" });
+  const { tags } = req.resources.device;
+  const update = { tenantId: null, facilityId: null, zoneId: null, groupId: null };
 
-  } catch (err) {
+  await devicesRepository.update(deviceId, update);
+  await reindexDeviceTags(tenantId, deviceId, tags, []);
+  disconnectDevice(deviceId, "Removed from tenant");
 
-    console.error(err);
-    res.status(500).json({ error: "Failed to remove device" });
+  await recordAudit(req, {
+    action: "device.detach",
+    targetType: "device",
+    targetId: deviceId,
+    tenantId,
+    ...diff(req.resources.device, update)
+  });
 
-  }
+  res.json({ message: "Device removed from tenant" });
 
 };
 
@@ -121,47 +121,30 @@ export const removeDeviceFromTenant = async (req, res) => {
 // ==========================================
 // GET ALL TENANTS
 // ==========================================
-export async function getAllTenants(req, res) {
-
-  try {
-
-    const snapshot = await db.ref("tenants").once("value");
-
-    if (!snapshot.exists()) {
-
-      return res.status(200).json({
-        success: true,
-        count: 0,
-        data: []
-      });
-
-    }
-
-    const tenantsObj = snapshot.val();
-
-    const tenants = Object.entries(tenantsObj).map(
-      ([id, value]) => ({
-        id,
-        ...value
-      })
-    );
-
-    res.status(200).json({
-      success: true,
-      count: tenants.length,
-      data: tenants
-    });
+async function ownTenant(user) {
+  const tenant = user.tenantId && await tenantsRepository.get(user.tenantId);
+  return tenant ? { [user.tenantId]: tenant } : {};
+}
 
-  } catch (err) {
+export async function getAllTenants(req, res) {
 
-    console.error(err);
+  // Everyone but super admins only sees their own tenant
+  const tenantsObj = req.user.role === "super_admin"
+    ? await tenantsRepository.list()
+    : await ownTenant(req.user);
 
-    res.status(500).json({
-      success: false,
-      message: err.message
-    });
+  const tenants = Object.entries(tenantsObj).map(
+    ([id, value]) => ({
+      id,
+      ...value
+    })
+  );
 
-  }
+  res.status(200).json({
+    success: true,
+    count: tenants.length,
+    data: tenants
+  });
 
 }
 
@@ -172,130 +155,164 @@ export async function getAllTenants(req, res) {
 // ==========================================
 export async function getTenantById(req, res) {
 
-  try {
+  // Loaded and ownership-checked by requireOwnership("tenant")
+  const { id, ...tenant } = req.resources.tenant;
 
-    const { tenantId } = req.params;
+  res.json(tenant);
 
-    const snapshot = await db
-      .ref(`tenants/${tenantId}`)
-      .once("value");
+}
+// ==========================================
+// UPDATE TENANT
+// ==========================================
+export async function updateTenant(req, res) {
 
-    if (!snapshot.exists()) {
+  const { tenantId } = req.params;
 
-      return res.status(404).json({
-        message: "Tenant not found"
-      });
+  const { name, sensors } = req.body;
 
-    }
+  const tenant = await tenantsRepository.get(tenantId);
 
-    res.json(snapshot.val());
+  if (!tenant) throw new NotFoundError("Tenant not found");
 
-  } catch (err) {
+  if (tenant.deletedAt) throw new ConflictError("Tenant is deleted; restore it first");
 
-    console.error(err);
+  const updateData = {};
 
-    res.status(500).json({
-      message: err.message
-    });
+  if (name !== undefined) updateData.name = name;
+  if (sensors !== undefined) updateData.sensors = sensors;
 
-  }
+  await tenantsRepository.update(tenantId, updateData);
+
+  await recordAudit(req, {
+    action: "tenant.update",
+    targetType: "tenant",
+    targetId: tenantId,
+    tenantId,
+    ...diff(tenant, updateData)
+  });
+
+  res.json({
+    message: "Tenant updated successfully"
+  });
 
 }
-// ==========================================
-// UPDATE TENANT
-// ==========================================
-export async function updateTenant(req, res) {
 
-  try {
 
-    if (req.user.role !== "super_admin") {
-      return res.status(403).json({
-        message: "Forbidden"
-      });
-    }
 
-    const { tenantId } = req.params;
+// ==========================================
+// DELETE TENANT (soft; purged after the grace period)
+// ==========================================
+export async function deleteTenant(req, res) {
 
-    const { name, sensors } = req.body;
+  const { tenantId } = req.params;
 
-    const ref = db.ref(`tenants/${tenantId}`);
+  const tenant = await tenantsRepository.get(tenantId);
 
-    const snapshot = await ref.once("value");
+  if (!tenant) throw new NotFoundError("Tenant not found");
 
-    if (!snapshot.exists()) {
+  const deletion = await tenantService.softDeleteTenant(req.user, tenantId, tenant);
 
-      return res.status(404).json({
-        message: "Tenant not found"
-      });
+  await recordAudit(req, {
+    action: "tenant.delete",
+    targetType: "tenant",
+    targetId: tenantId,
+    tenantId,
+    details: { name: deletion.name, purgeAt: deletion.purgeAt }
+  });
 
-    }
+  res.json({
+    message: "Tenant suspended; its data is purged after the grace period unless it is restored",
+    purgeAt: deletion.purgeAt
+  });
 
-    const updateData = {};
+}
 
-    if (name !== undefined) updateData.name = name;
-    if (sensors !== undefined) updateData.sensors = sensors;
 
-    await ref.update(updateData);
 
-    res.json({
-      message: "Tenant updated successfully"
-    });
+// ==========================================
+// RESTORE TENANT
+// ==========================================
+export async function restoreTenant(req, res) {
 
-  } catch (err) {
+  const { tenantId } = req.params;
 
-    console.error(err);
+  const deletion = await tenantService.restoreTenant(tenantId);
 
-    res.status(500).json({
-      message: err.message
-    });
+  await recordAudit(req, {
+    action: "tenant.restore",
+    targetType: "tenant",
+    targetId: tenantId,
+    tenantId,
+    details: { deletedAt: deletion.deletedAt, deletedBy: deletion.deletedBy }
+  });
 
-  }
+  res.json({ message: "Tenant restored" });
 
 }
 
 
 
 // ==========================================
-// DELETE TENANT
+// DELETION REPORTS
 // ==========================================
-export async function deleteTenant(req, res) {
+export async function getTenantDeletions(req, res) {
+  res.json(await tenantService.getDeletions(req.query));
+}
 
-  try {
+export async function getTenantDeletion(req, res) {
 
-    if (req.user.role !== "super_admin") {
-      return res.status(403).json({
-        message: "Forbidden"
-      });
-    }
+  const deletion = await tenantService.getDeletion(req.params.tenantId);
 
-    const { tenantId } = req.params;
+  if (!deletion) throw new NotFoundError("Tenant deletion not found");
 
-    const ref = db.ref(`tenants/${tenantId}`);
+  res.json(deletion);
 
-    const snapshot = await ref.once("value");
+}
 
-    if (!snapshot.exists()) {
 
-      return res.status(404).json({
-        message: "Tenant not found"
-      });
 
-    }
+// ==========================================
+// RATE LIMITS
+// ==========================================
+export async function getTenantRateLimits(req, res) {
+  res.json(await rateLimitService.describeTenantLimits(req.params.tenantId));
+}
 
-    await ref.remove();
+export async function setTenantRateLimits(req, res) {
 
-    res.json({
-      message: "Tenant deleted successfully"
-    });
+  const { tenantId } = req.params;
 
-  } catch (err) {
+  const before = await rateLimitService.describeTenantLimits(tenantId);
+  const overrides = await rateLimitService.setTenantOverrides(req.user, tenantId, req.body);
 
-    console.error(err);
+  await recordAudit(req, {
+    action: "tenant.rate_limits.update",
+    targetType: "tenant",
+    targetId: tenantId,
+    tenantId,
+    before: before.overrides,
+    after: overrides
+  });
 
-    res.status(500).json({
-      message: err.message
-    });
+  res.json(await rateLimitService.describeTenantLimits(tenantId));
 
-  }
+}
+
+export async function clearTenantRateLimits(req, res) {
+
+  const { tenantId } = req.params;
+
+  const before = await rateLimitService.describeTenantLimits(tenantId);
+  await rateLimitService.clearTenantOverrides(tenantId);
 
-}
\ No newline at end of file
+  await recordAudit(req, {
+    action: "tenant.rate_limits.clear",
+    targetType: "tenant",
+    targetId: tenantId,
+    tenantId,
+    before: before.overrides
+  });
+
+  res.json({ message: "Rate limit overrides removed" });
+
+}
@@ -1,255 +1,269 @@
 
-import { db ,admin} from "../config/firebase.js";
+import { authProvider } from "../auth/index.js";
+import { usersRepository, facilitiesRepository } from "../repositories/index.js";
+import { canAccessScope } from "../services/access.service.js";
+import * as permissionService from "../services/permission.service.js";
+import * as userService from "../services/user.service.js";
+import { INVITABLE_ROLES } from "../services/invitation.service.js";
+import { recordAudit, diff } from "../services/audit.service.js";
+import { releaseBootstrap, completeBootstrap } from "../services/bootstrap.service.js";
+import { ValidationError } from "../utils/errors.js";
 
 
-// GET ALL USERS (SUPER ADMIN)
+// GET ALL USERS (everyone for super admins, own tenant otherwise)
 export async function getAllUsers(req, res) {
-  try {
-
-    if (req.user.role !== "super_admin") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
-
-    const snapshot = await db.ref("users").once("value");
+  const data = await usersRepository.list();
 
-    if (!snapshot.exists()) {
-      return res.json([]);
-    }
-
-    const users = Object.entries(snapshot.val()).map(([uid, data]) => ({
+  const users = Object.entries(data)
+    .filter(([, data]) => canAccessScope(req.user, data))
+    .map(([uid, data]) => ({
       uid,
       ...data
     }));
 
-    res.json(users);
-
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  res.json(users);
 }
 
 
 // GET USERS BY TENANT
 export async function getUsersByTenant(req, res) {
-  try {
-    
-    if (req.user.role !== "super_admin" && req.user.role!=="tenant_admin") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
-
-    const { tenantId } = req.params;
+  const { tenantId } = req.params;
 
-    const snapshot = await db
-      .ref("users")
-      .orderByChild("tenantId")
-      .equalTo(tenantId)
-      .once("value");
-
-    if (!snapshot.exists()) {
-      return res.json([]);
-    }
-
-    const users = Object.entries(snapshot.val()).map(([uid, data]) => ({
-      uid,
-      ...data
-    }));
+  const data = await usersRepository.findBy("tenantId", tenantId);
 
-    res.json(users);
+  const users = Object.entries(data).map(([uid, data]) => ({
+    uid,
+    ...data
+  }));
 
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  res.json(users);
 }
 
 
 // CHANGE USER ROLE
 export async function updateUserRole(req, res) {
-  try {
-
-    if (req.user.role !== "super_admin") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
+  const { uid } = req.params;
+  const { role } = req.body;
+  const user = req.resources.user;
 
-    const { uid } = req.params;
-    const { role } = req.body;
+  // Keep tenant/facility in the claims, only the role changes
+  await authProvider.setCustomUserClaims(uid, userService.claimsFor({ ...user, role }));
 
-    const user = await admin.auth().getUser(uid);
+  await usersRepository.update(uid, { role });
 
-    await admin.auth().setCustomUserClaims(uid, {
-      role
-    });
+  await recordAudit(req, {
+    action: "user.role",
+    targetType: "user",
+    targetId: uid,
+    tenantId: user.tenantId || null,
+    ...diff(user, { role })
+  });
 
-    await db.ref(`users/${uid}/role`).set(role);
-
-    res.json({ message: "Role updated successfully" });
-
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  res.json({ message: "Role updated successfully" });
 }
 
 
 // UPDATE EMAIL
 export async function updateUserEmail(req, res) {
-  try {
+  const { uid } = req.params;
+  const { email } = req.body;
 
-    if (req.user.role !== "super_admin" && req.user.role!=="tenant_admin") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
-
-    const { uid } = req.params;
-    const { email } = req.body;
-
-    await admin.auth().updateUser(uid, { email });
+  await authProvider.updateUser(uid, { email });
 
-    await db.ref(`users/${uid}/email`).set(email);
+  await usersRepository.update(uid, { email });
 
-    res.json({ message: "Email updated successfully" });
+  await recordAudit(req, {
+    action: "user.email",
+    targetType: "user",
+    targetId: uid,
+    tenantId: req.resources.user.tenantId || null,
+    ...diff(req.resources.user, { email })
+  });
 
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  res.json({ message: "Email updated successfully" });
 }
 
 
 // DELETE USER
 export async function deleteUser(req, res) {
-  try {
-
-    if (req.user.role !== "super_admin" && req.user.role!=="tenant_admin") {
-      return res.status(403).json({ message: "Forbidden" });
-    }
-
-    const { uid } = req.params;
+  const { uid } = req.params;
 
-    await admin.auth().deleteUser(uid);
+  await authProvider.deleteUser(uid);
 
-    await db.ref(`users/${uid}`).remove();
+  await usersRepository.remove(uid);
 
-    res.json({ message: "User deleted successfully" });
+  await recordAudit(req, {
+    action: "user.delete",
+    targetType: "user",
+    targetId: uid,
+    tenantId: req.resources.user.tenantId || null,
+    before: req.resources.user
+  });
 
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+  res.json({ message: "User deleted successfully" });
 }
 
+// RE-SYNC CLAIMS FROM users/<uid>
 export async function setRoles(req,res){
-  try {
-      const { uid } = req.body;
-      const snapshot = await db
-        .ref(`/users/${uid}`)
-        .once("value");
-  
-      const userData = snapshot.val();
-  
-      if (!userData) {
-        return res.status(404).json({ error: "User not found" });
-      }
-  
-      const { role, tenantId } = userData;
-  
-      await admin.auth().setCustomUserClaims(uid, {
-        role,
-        tenantId,
-      });
-  
-      res.json({ success: true });
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ error: "Failed to set claims" });
-    }
+  const { uid } = req.body;
+  const userData = req.resources.user;
+
+  const claims = userService.claimsFor(userData);
+
+  await authProvider.setCustomUserClaims(uid, claims);
+
+  await recordAudit(req, {
+    action: "user.claims_sync",
+    targetType: "user",
+    targetId: uid,
+    tenantId: userData.tenantId || null,
+    details: { claims }
+  });
+
+  res.json({ success: true });
 }
 
-// Create Super Admin
-export const createSuperAdmin = async (req, res) => {
+// First Super Admin (setup token, once)
+export const bootstrapSuperAdmin = async (req, res) => {
+  const { email, password } = req.body;
+
+  let uid;
+
+  // The setup token was claimed by requireSetupToken; give it back if the account is not created
   try {
-    const { email, password } = req.body;
-
-    const user = await admin.auth().createUser({
-      email,
-      password,
-    });
-
-    await admin.auth().setCustomUserClaims(user.uid, {
-      role: "super_admin",
-    });
-
-    await admin.database().ref(`users/${user.uid}`).set({
-      email,
-      role: "super_admin",
-      createdAt: Date.now(),
-    });
-
-    return res.status(201).json({
-      message: "Super Admin created",
-      uid: user.uid,
-    });
+    uid = await userService.createAccount({ email, password, role: "super_admin" });
   } catch (err) {
-    return res.status(500).json({
-      error: err.message,
-    });
+    await releaseBootstrap();
+    throw err;
   }
+
+  await completeBootstrap(uid);
+
+  await recordAudit(req, {
+    action: "bootstrap.super_admin",
+    targetType: "user",
+    targetId: uid,
+    tenantId: null,
+    details: { email }
+  });
+
+  return res.status(201).json({
+    message: "Super Admin created; the setup token is now disabled",
+    uid,
+  });
 };
 
-// Create Tenant Admin
+// Create Super Admin (existing super admin)
+export const createSuperAdmin = async (req, res) => {
+  const { email, password } = req.body;
+
+  const uid = await userService.createAccount({ email, password, role: "super_admin" });
+
+  await recordAudit(req, {
+    action: "user.create",
+    targetType: "user",
+    targetId: uid,
+    tenantId: null,
+    details: { email, role: "super_admin" }
+  });
+
+  return res.status(201).json({
+    message: "Super Admin created",
+    uid,
+  });
+};
+
+// Create Tenant Admin (or facility user) with a password; invitations are the usual path
 export const createTenantAdmin = async (req, res) => {
-  try {
-    const { email, password, tenantId ,role } = req.body;
+  const { email, password, tenantId } = req.body;
+  const role = req.body.role || "tenant_admin";
+  const facilityId = req.body.facilityId || null;
 
-    if (!tenantId) {
-      return res.status(400).json({
-        error: "tenantId is required",
-      });
-    }
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of ${INVITABLE_ROLES.join(", ")}`);
+  }
 
-    const user = await admin.auth().createUser({
-      email,
-      password,
-    });
-
-    await admin.auth().setCustomUserClaims(user.uid, {
-      role: role,
-      tenantId,
-    });
-
-    await admin.database().ref(`users/${user.uid}`).set({
-      email,
-      role: role,
-      tenantId,
-      createdAt: Date.now(),
-    });
-
-    return res.status(201).json({
-      message: "User created",
-      uid: user.uid,
-    });
-  } catch (err) {
-    return res.status(500).json({
-      error: err.message,
-    });
+  // tenantId checked by requireOwnership("tenant"); facility roles also need a facility of that tenant
+  if (role !== "tenant_admin") {
+    const facility = facilityId && await facilitiesRepository.get(facilityId);
+
+    if (!facility || facility.tenantId !== tenantId) {
+      throw new ValidationError("facilityId of the tenant is required for facility roles");
+    }
   }
-};
 
+  const uid = await userService.createAccount({
+    email,
+    password,
+    role,
+    tenantId,
+    facilityId: role === "tenant_admin" ? null : facilityId
+  });
+
+  await recordAudit(req, {
+    action: "user.create",
+    targetType: "user",
+    targetId: uid,
+    tenantId,
+    details: { email, role, facilityId }
+  });
+
+  return res.status(201).json({
+    message: "User created",
+    uid,
+  });
+};
 
 
-/*
-GET /api/users	List all users
-GET /api/users/:tenantId	List users by tenant
-PATCH /api/users/:uid/role	Change role
-PATCH /api/users/:uid/email	Update email
-DELETE /api/users/:uid	Delete user 
-POST /api/users/create-tenant-admin 
-POST /api/users/create-super-admin 
-*/
 
 // NEW FACILITY 
-import * as userService from "../services/user.service.js";
-
 export const assignFacilityRole = async (req, res) => {
-  try {
-    const result = await userService.assignFacilityRole(req.body);
-    res.json(result);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  const result = await userService.assignFacilityRole(req.body);
+  const user = req.resources.user;
+
+  await recordAudit(req, {
+    action: "user.facility_role",
+    targetType: "user",
+    targetId: user.id,
+    tenantId: user.tenantId || null,
+    ...diff(user, { role: req.body.role, facilityId: req.body.facilityId })
+  });
+
+  res.json(result);
+};
+
+// EFFECTIVE PERMISSIONS OF THE CALLER
+export const getMyPermissions = async (req, res) => {
+  const permissions = await permissionService.getEffectivePermissions(req.user);
+
+  res.json({
+    uid: req.user.uid,
+    role: req.user.role,
+    customRoleId: req.user.customRoleId || null,
+    tenantId: req.user.tenantId || null,
+    facilityId: req.user.facilityId || null,
+    permissions
+  });
+};
+
+// ASSIGN / CLEAR CUSTOM ROLE
+export const assignCustomRole = async (req, res) => {
+  const role = req.resources.role || null;
+
+  if (req.body.roleId === undefined) {
+    throw new ValidationError("roleId is required (null clears it)");
   }
-};
\ No newline at end of file
+
+  const result = await permissionService.assignCustomRole(req.resources.user, role);
+  const user = req.resources.user;
+
+  await recordAudit(req, {
+    action: "user.custom_role",
+    targetType: "user",
+    targetId: user.id,
+    tenantId: user.tenantId || null,
+    ...diff(user, { customRoleId: role ? role.id : null })
+  });
+
+  res.json(result);
+};
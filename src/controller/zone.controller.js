@@ -0,0 +1,67 @@
+import * as zoneService from "../services/zone.service.js";
+import { recordAudit, diff } from "../services/audit.service.js";
+import { NotFoundError } from "../utils/errors.js";
+
+// requireOwnership loaded both; this checks the zone belongs to the facility in the URL
+function zoneOf(req) {
+  const { facility, zone } = req.resources;
+
+  if (zone.facilityId !== facility.id) throw new NotFoundError("Zone not found");
+
+  return zone;
+}
+
+// GET /api/facilities/:facilityId/zones - flat, outermost first; parentId links the tree
+export async function getZones(req, res) {
+  const zones = await zoneService.getZones(req.resources.facility.id);
+  res.json(zones);
+}
+
+export async function getZone(req, res) {
+  res.json(zoneOf(req));
+}
+
+export async function createZone(req, res) {
+  const zone = await zoneService.createZone(req.user, req.resources.facility, req.body);
+
+  await recordAudit(req, {
+    action: "zone.create",
+    targetType: "zone",
+    targetId: zone.id,
+    tenantId: zone.tenantId,
+    after: zone
+  });
+
+  res.status(201).json(zone);
+}
+
+export async function updateZone(req, res) {
+  const zone = zoneOf(req);
+  const updated = await zoneService.updateZone(req.resources.facility, zone, req.body);
+
+  await recordAudit(req, {
+    action: "zone.update",
+    targetType: "zone",
+    targetId: zone.id,
+    tenantId: zone.tenantId,
+    ...diff(zone, { name: updated.name, parentId: updated.parentId })
+  });
+
+  res.json(updated);
+}
+
+export async function deleteZone(req, res) {
+  const zone = zoneOf(req);
+  const result = await zoneService.deleteZone(zone);
+
+  await recordAudit(req, {
+    action: "zone.delete",
+    targetType: "zone",
+    targetId: zone.id,
+    tenantId: zone.tenantId,
+    before: zone,
+    details: result
+  });
+
+  res.json({ message: "Zone deleted successfully", ...result });
+}
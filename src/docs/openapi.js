@@ -0,0 +1,1334 @@
+import * as deviceSchemas from "../validation/device.schemas.js";
+import * as tenantSchemas from "../validation/tenant.schemas.js";
+import * as userSchemas from "../validation/user.schemas.js";
+import * as alertSchemas from "../validation/alert.schemas.js";
+import * as roleSchemas from "../validation/role.schemas.js";
+import * as invitationSchemas from "../validation/invitation.schemas.js";
+import * as auditSchemas from "../validation/audit.schemas.js";
+import * as facilitySchemas from "../validation/facility.schemas.js";
+import * as authSchemas from "../validation/auth.schemas.js";
+import * as apiKeySchemas from "../validation/apikey.schemas.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { ZONE_TYPES } from "../services/zone.service.js";
+import { WEBSOCKETS, WEBSOCKET_SCHEMAS } from "./websockets.js";
+
+// OpenAPI 3.0 description of every /api route. Parameters and request bodies come from the
+// same validation schemas the routes run (validation/*.schemas.js), so they cannot drift;
+// the operation list itself is checked against the mounted routers by test/openapi.test.js.
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (name) => ({ type: "array", items: schemaRef(name) });
+
+const DEVICE_LIST_DESCRIPTION = "Filters combine: `facilityId`, `zoneId` (sub-zones included), `groupId`, `tag`, `status` (live), `sensorType` (reported by the device) and `q` (name or MAC). Sorted by `sort` (default name) and `order`. Without `limit` / `cursor` the whole list is returned as an array; with either, a page `{ data, nextCursor }`.";
+
+const timestamp = { type: "integer", description: "Epoch milliseconds" };
+const nullableString = { type: "string", nullable: true };
+
+const Message = {
+  type: "object",
+  properties: { message: { type: "string" } }
+};
+
+// ==========================================
+// OPERATIONS
+// ==========================================
+// [method, Express path, { tag, summary, description, permission, auth, validate, status, response }]
+//   auth: "bearer" (default), "none", "setupToken" (bearer or x-setup-token) or "metricsToken"
+//   validate: the schema passed to validate() on that route
+//   response: schema of the success body (default { message }), sent as contentType (default JSON)
+//   rateLimited: false for the routes exempt from rate limits (health probes, metrics)
+const OPERATIONS = [
+  // Auth
+  ["post", "/api/auth/login", {
+    tag: "Auth", auth: "none", validate: authSchemas.login,
+    summary: "Exchange email and password for an ID token",
+    description: "Only mounted with AUTH_PROVIDER=local; Firebase clients sign in with the Firebase SDK.",
+    response: {
+      type: "object",
+      properties: { idToken: { type: "string" }, uid: { type: "string" }, expiresIn: { type: "string" } }
+    }
+  }],
+
+  // Devices
+  ["post", "/api/devices/register", {
+    tag: "Devices", permission: "device:register", validate: deviceSchemas.registerDevice,
+    summary: "Register a device",
+    description: "Facility-level callers always register into their own facility; super admins name the `tenantId`. 409 when the MAC is already registered. `deviceSecret` is only returned here.",
+    response: {
+      type: "object",
+      properties: { success: { type: "boolean" }, deviceId: { type: "string" }, deviceSecret: { type: "string" } }
+    }
+  }],
+  ["post", "/api/devices", {
+    tag: "Devices", permission: "device:register", validate: deviceSchemas.addDevice,
+    summary: "Add a device to the caller's facility",
+    description: "409 when the MAC is already registered.",
+    response: { allOf: [schemaRef("Device"), { type: "object", properties: { deviceSecret: { type: "string" } } }] }
+  }],
+  ["get", "/api/devices", {
+    tag: "Devices", permission: "device:read", validate: deviceSchemas.listDevices,
+    summary: "Devices of the caller's tenant (facility roles: their facility)",
+    description: DEVICE_LIST_DESCRIPTION,
+    response: { oneOf: [listOf("Device"), schemaRef("DevicesPage")] }
+  }],
+  ["get", "/api/devices/all", {
+    tag: "Devices", permission: "device:read", validate: deviceSchemas.listDevices,
+    summary: "Every device in the caller's scope",
+    description: DEVICE_LIST_DESCRIPTION,
+    response: { oneOf: [listOf("Device"), schemaRef("DevicesPage")] }
+  }],
+  ["get", "/api/devices/groups", {
+    tag: "Devices", permission: "device:read", validate: deviceSchemas.listGroups,
+    summary: "Device groups of the caller's tenant, by name",
+    response: listOf("DeviceGroup")
+  }],
+  ["post", "/api/devices/groups", {
+    tag: "Devices", permission: "device:group", validate: deviceSchemas.createGroup,
+    summary: "Create a device group",
+    status: 201,
+    response: schemaRef("DeviceGroup")
+  }],
+  ["get", "/api/devices/groups/:groupId", {
+    tag: "Devices", permission: "device:read", validate: deviceSchemas.groupById,
+    summary: "Get a device group",
+    response: schemaRef("DeviceGroup")
+  }],
+  ["patch", "/api/devices/groups/:groupId", {
+    tag: "Devices", permission: "device:group", validate: deviceSchemas.updateGroup,
+    summary: "Rename a device group or change its description",
+    response: schemaRef("DeviceGroup")
+  }],
+  ["delete", "/api/devices/groups/:groupId", {
+    tag: "Devices", permission: "device:group", validate: deviceSchemas.groupById,
+    summary: "Delete a device group",
+    description: "Its devices leave the group.",
+    response: { type: "object", properties: { message: { type: "string" }, devices: { type: "integer" } } }
+  }],
+  ["post", "/api/devices/import", {
+    tag: "Devices", permission: "device:register", validate: deviceSchemas.importDevices,
+    summary: "Register many devices from CSV or JSON rows",
+    description: "Send `csv` (header `mac,name,facility,tags`) or `devices` (rows with the same keys). `facility` is a facility id or name; facility roles import into their own facility. Every row is checked first: invalid MACs, MACs already registered or repeated in the file, unknown facilities. With `dryRun` the report is returned (200) and nothing is written; otherwise one bad row fails the whole import (400, `details` lists the rows) and a clean import is written in one atomic update. Device secrets are only returned here.",
+    status: 201,
+    response: {
+      oneOf: [schemaRef("ImportReport"), schemaRef("ImportResult")]
+    }
+  }],
+  ["get", "/api/devices/export", {
+    tag: "Devices", permission: "device:read", validate: deviceSchemas.exportDevices,
+    summary: "Device inventory in the import format",
+    description: "JSON by default (`{ devices }`, accepted as is by the import); `?format=csv` returns a `text/csv` attachment.",
+    response: schemaRef("InventoryExport")
+  }],
+  ["get", "/api/devices/:deviceId", {
+    tag: "Devices", permission: "device:read", validate: deviceSchemas.deviceById,
+    summary: "Get a device",
+    response: schemaRef("Device")
+  }],
+  ["patch", "/api/devices/:deviceId", {
+    tag: "Devices", permission: "device:write", validate: deviceSchemas.updateDevice,
+    summary: "Rename, tag or group a device, or place it in a zone",
+    description: "`tags` replaces the whole list. A device is in at most one group, which must belong to its tenant."
+  }],
+  ["delete", "/api/devices/:deviceId", {
+    tag: "Devices", permission: "device:delete", validate: deviceSchemas.deviceById,
+    summary: "Delete a device and close its connection"
+  }],
+  ["get", "/api/devices/:deviceId/connections", {
+    tag: "Devices", permission: "device:read", validate: deviceSchemas.listConnections,
+    summary: "Connection history, newest first",
+    response: listOf("Connection")
+  }],
+  ["post", "/api/devices/:deviceId/credentials/rotate", {
+    tag: "Devices", permission: "device:credentials", validate: deviceSchemas.deviceById,
+    summary: "Issue a new device secret (closes the open connection)",
+    response: {
+      type: "object",
+      properties: { message: { type: "string" }, deviceId: { type: "string" }, deviceSecret: { type: "string" } }
+    }
+  }],
+  ["delete", "/api/devices/:deviceId/credentials", {
+    tag: "Devices", permission: "device:credentials", validate: deviceSchemas.deviceById,
+    summary: "Revoke the device secret (closes the open connection)"
+  }],
+
+  // Commands
+  ["post", "/api/devices/:deviceId/commands", {
+    tag: "Commands", permission: "device:command", validate: deviceSchemas.sendCommand,
+    summary: "Send a command; queued while the device is offline",
+    status: 202,
+    response: schemaRef("Command")
+  }],
+  ["get", "/api/devices/:deviceId/commands", {
+    tag: "Commands", permission: "device:read", validate: deviceSchemas.listCommands,
+    summary: "Command history",
+    response: listOf("Command")
+  }],
+  ["get", "/api/devices/:deviceId/commands/:commandId", {
+    tag: "Commands", permission: "device:read", validate: deviceSchemas.commandById,
+    summary: "Get a command",
+    response: schemaRef("Command")
+  }],
+
+  // Pending devices
+  ["get", "/api/devices/pending", {
+    tag: "Pending devices", permission: "device:pending", validate: deviceSchemas.listPending,
+    summary: "Unregistered devices that connected, most recent first",
+    response: listOf("PendingDevice")
+  }],
+  ["post", "/api/devices/pending/claim", {
+    tag: "Pending devices", permission: "device:claim", validate: deviceSchemas.claimPending,
+    summary: "Claim a pending device by MAC or claim code",
+    status: 201,
+    response: {
+      type: "object",
+      properties: {
+        deviceId: { type: "string" },
+        deviceSecret: { type: "string" },
+        provisioned: { type: "boolean", description: "The secret was pushed to the still-connected device" },
+        device: schemaRef("Device")
+      }
+    }
+  }],
+  ["post", "/api/devices/pending/:mac/reject", {
+    tag: "Pending devices", permission: "device:pending", validate: deviceSchemas.pendingByMac,
+    summary: "Drop a pending entry"
+  }],
+  ["post", "/api/devices/pending/:mac/block", {
+    tag: "Pending devices", permission: "device:pending", validate: deviceSchemas.pendingByMac,
+    summary: "Block a MAC from connecting"
+  }],
+  ["post", "/api/devices/pending/:mac/unblock", {
+    tag: "Pending devices", permission: "device:pending", validate: deviceSchemas.pendingByMac,
+    summary: "Unblock a MAC"
+  }],
+
+  // Sensor data
+  ["get", "/api/devices/:sensorType/:mac", {
+    tag: "Sensor data", permission: "sensor:read", validate: deviceSchemas.sensorData,
+    summary: "Sensor history of one device",
+    description: "No query: the latest 50 readings. `from`/`to`/`cursor`/`limit`: a page. `interval` or `downsample`: buckets (last 24 hours by default).",
+    response: {
+      oneOf: [listOf("Reading"), schemaRef("ReadingsPage"), schemaRef("DownsampledReadings")]
+    }
+  }],
+  ["get", "/api/devices/:sensorType/series", {
+    tag: "Sensor data", permission: "sensor:read", validate: deviceSchemas.sensorSeries,
+    summary: "Several devices bucketed onto one time axis",
+    description: "Select devices with `macs`, or every device placed in `facilityId` / `zoneId` (sub-zones included); with both, the intersection. At most 20 devices.",
+    response: schemaRef("AlignedSeries")
+  }],
+
+  // Tenants
+  ["post", "/api/tenants/create", {
+    tag: "Tenants", permission: "tenant:create", validate: tenantSchemas.createTenant,
+    summary: "Create a tenant",
+    response: { type: "object", properties: { tenantId: { type: "string" } } }
+  }],
+  ["get", "/api/tenants", {
+    tag: "Tenants", permission: "tenant:read",
+    summary: "All tenants (super admins) or the caller's own",
+    response: {
+      type: "object",
+      properties: { success: { type: "boolean" }, count: { type: "integer" }, data: listOf("Tenant") }
+    }
+  }],
+  ["get", "/api/tenants/:tenantId", {
+    tag: "Tenants", permission: "tenant:read", validate: tenantSchemas.tenantById,
+    summary: "Get a tenant",
+    response: schemaRef("Tenant")
+  }],
+  ["patch", "/api/tenants/:tenantId", {
+    tag: "Tenants", permission: "tenant:update", validate: tenantSchemas.updateTenant,
+    summary: "Rename a tenant or change its sensor types",
+    description: "409 while the tenant is deleted."
+  }],
+  ["delete", "/api/tenants/:tenantId", {
+    tag: "Tenants", permission: "tenant:delete", validate: tenantSchemas.tenantById,
+    summary: "Delete a tenant (soft)",
+    description: "Suspends the tenant: its users get 403, its devices and dashboards are disconnected and refused. After `TENANT_PURGE_GRACE_DAYS` (default 30) every record, auth account and reading of the tenant is deleted and a deletion report is stored.",
+    response: { type: "object", properties: { message: { type: "string" }, purgeAt: timestamp } }
+  }],
+  ["post", "/api/tenants/:tenantId/restore", {
+    tag: "Tenants", permission: "tenant:delete", validate: tenantSchemas.tenantById,
+    summary: "Restore a deleted tenant before it is purged"
+  }],
+  ["get", "/api/tenants/:tenantId/rate-limits", {
+    tag: "Tenants", permission: "tenant:limits", validate: tenantSchemas.tenantById,
+    summary: "Rate limit overrides, defaults and effective limits of a tenant",
+    response: schemaRef("TenantRateLimits")
+  }],
+  ["put", "/api/tenants/:tenantId/rate-limits", {
+    tag: "Tenants", permission: "tenant:limits", validate: tenantSchemas.setRateLimits,
+    summary: "Replace a tenant's rate limit overrides",
+    description: "Scopes left out fall back to the `RATE_LIMIT_*` defaults. Overrides reach every instance within 30 seconds.",
+    response: schemaRef("TenantRateLimits")
+  }],
+  ["delete", "/api/tenants/:tenantId/rate-limits", {
+    tag: "Tenants", permission: "tenant:limits", validate: tenantSchemas.tenantById,
+    summary: "Remove a tenant's rate limit overrides"
+  }],
+  ["get", "/api/tenants/deletions", {
+    tag: "Tenants", permission: "tenant:delete", validate: tenantSchemas.listDeletions,
+    summary: "Deleted tenants, newest first",
+    response: listOf("TenantDeletion")
+  }],
+  ["get", "/api/tenants/deletions/:tenantId", {
+    tag: "Tenants", permission: "tenant:delete", validate: tenantSchemas.tenantById,
+    summary: "Deletion state and purge report of a tenant",
+    response: schemaRef("TenantDeletion")
+  }],
+  ["get", "/api/tenants/:tenantId/devices", {
+    tag: "Tenants", permission: "device:read", validate: tenantSchemas.tenantById,
+    summary: "Devices of a tenant (facility roles: their facility)",
+    response: listOf("Device")
+  }],
+  ["post", "/api/tenants/:tenantId/devices/assign", {
+    tag: "Tenants", permission: "device:assign", validate: tenantSchemas.assignDevice,
+    summary: "Move a device into the tenant"
+  }],
+  ["delete", "/api/tenants/:tenantId/devices/:deviceId", {
+    tag: "Tenants", permission: "device:detach", validate: tenantSchemas.detachDevice,
+    summary: "Detach a device from the tenant"
+  }],
+  ["post", "/api/tenants/invite-admin", {
+    tag: "Tenants", permission: "user:invite", validate: tenantSchemas.inviteAdmin,
+    summary: "Invite a tenant admin",
+    status: 201,
+    response: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        email: { type: "string" },
+        invitationId: { type: "string" },
+        expiresAt: timestamp
+      }
+    }
+  }],
+
+  // Facilities
+  ["post", "/api/facilities", {
+    tag: "Facilities", permission: "facility:create", validate: facilitySchemas.createFacility,
+    summary: "Create a facility in the caller's tenant",
+    response: schemaRef("Facility")
+  }],
+  ["get", "/api/facilities", {
+    tag: "Facilities", permission: "facility:read", validate: facilitySchemas.listFacilities,
+    summary: "Facilities in the caller's scope",
+    description: "Super admins see every facility (or `tenantId`'s), facility roles only their own.",
+    response: listOf("Facility")
+  }],
+  ["get", "/api/facilities/:facilityId", {
+    tag: "Facilities", permission: "facility:read", validate: facilitySchemas.facilityById,
+    summary: "Get a facility",
+    response: schemaRef("Facility")
+  }],
+  ["patch", "/api/facilities/:facilityId", {
+    tag: "Facilities", permission: "facility:update", validate: facilitySchemas.updateFacility,
+    summary: "Rename a facility or change its address",
+    response: schemaRef("Facility")
+  }],
+  ["delete", "/api/facilities/:facilityId", {
+    tag: "Facilities", permission: "facility:delete", validate: facilitySchemas.deleteFacility,
+    summary: "Delete a facility",
+    description: "While the facility has devices or users a `strategy` is required (409 otherwise). `cascade` deletes them (auth accounts, device connection and command history and tag index entries included) and revokes pending invitations; `reassign` moves devices, users, alert rules and pending invitations to `reassignTo`. Zones are always deleted.",
+    response: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        strategy: nullableString,
+        reassignTo: nullableString,
+        devices: { type: "integer" },
+        users: { type: "integer" },
+        zones: { type: "integer" },
+        rules: { type: "integer" },
+        invitations: { type: "integer" }
+      }
+    }
+  }],
+
+  // Zones
+  ["get", "/api/facilities/:facilityId/zones", {
+    tag: "Zones", permission: "facility:read", validate: facilitySchemas.listZones,
+    summary: "Zones of a facility, outermost first",
+    response: listOf("Zone")
+  }],
+  ["post", "/api/facilities/:facilityId/zones", {
+    tag: "Zones", permission: "facility:update", validate: facilitySchemas.createZone,
+    summary: "Create a building, floor or zone",
+    description: "A parent must be of an outer type: floors go in buildings, zones on floors or directly in buildings.",
+    status: 201,
+    response: schemaRef("Zone")
+  }],
+  ["get", "/api/facilities/:facilityId/zones/:zoneId", {
+    tag: "Zones", permission: "facility:read", validate: facilitySchemas.zoneById,
+    summary: "Get a zone",
+    response: schemaRef("Zone")
+  }],
+  ["patch", "/api/facilities/:facilityId/zones/:zoneId", {
+    tag: "Zones", permission: "facility:update", validate: facilitySchemas.updateZone,
+    summary: "Rename a zone or move it to another parent",
+    response: schemaRef("Zone")
+  }],
+  ["delete", "/api/facilities/:facilityId/zones/:zoneId", {
+    tag: "Zones", permission: "facility:update", validate: facilitySchemas.zoneById,
+    summary: "Delete a zone without child zones; its devices stay in the facility",
+    response: {
+      type: "object",
+      properties: { message: { type: "string" }, devices: { type: "integer", description: "Devices taken out of the zone" } }
+    }
+  }],
+
+  // Users
+  ["get", "/api/users", {
+    tag: "Users", permission: "user:read",
+    summary: "Users in the caller's scope",
+    response: listOf("User")
+  }],
+  ["get", "/api/users/me/permissions", {
+    tag: "Users",
+    summary: "Effective permissions of the caller",
+    response: {
+      type: "object",
+      properties: {
+        uid: { type: "string" },
+        role: { type: "string" },
+        customRoleId: nullableString,
+        tenantId: nullableString,
+        facilityId: nullableString,
+        permissions: { type: "array", items: { type: "string" } }
+      }
+    }
+  }],
+  ["get", "/api/users/tenant/:tenantId", {
+    tag: "Users", permission: "user:read", validate: userSchemas.usersByTenant,
+    summary: "Users of a tenant",
+    response: listOf("User")
+  }],
+  ["patch", "/api/users/:uid/role", {
+    tag: "Users", permission: "user:role", validate: userSchemas.updateRole,
+    summary: "Change a user's built-in role"
+  }],
+  ["patch", "/api/users/:uid/email", {
+    tag: "Users", permission: "user:write", validate: userSchemas.updateEmail,
+    summary: "Change a user's email"
+  }],
+  ["patch", "/api/users/:uid/custom-role", {
+    tag: "Users", permission: "user:assign", validate: userSchemas.assignCustomRole,
+    summary: "Assign a custom role (null goes back to the built-in role's permissions)",
+    response: schemaRef("User")
+  }],
+  ["delete", "/api/users/:uid", {
+    tag: "Users", permission: "user:delete", validate: userSchemas.userById,
+    summary: "Delete a user and their auth account"
+  }],
+  ["post", "/api/users/auth/setClaims", {
+    tag: "Users", permission: "user:role", validate: userSchemas.setClaims,
+    summary: "Re-sync auth claims from the user profile",
+    response: { type: "object", properties: { success: { type: "boolean" } } }
+  }],
+  ["post", "/api/users/create-super-admin", {
+    tag: "Users", permission: "user:create", auth: "setupToken", validate: userSchemas.createSuperAdmin,
+    summary: "Create a super admin",
+    description: "With `x-setup-token: <SETUP_TOKEN>` this creates the very first super admin and works once; otherwise an authenticated caller with `user:create` is required.",
+    status: 201,
+    response: { type: "object", properties: { message: { type: "string" }, uid: { type: "string" } } }
+  }],
+  ["post", "/api/users/create-tenant-admin", {
+    tag: "Users", permission: "user:create", validate: userSchemas.createTenantAdmin,
+    summary: "Create a tenant admin or facility user with a password",
+    status: 201,
+    response: { type: "object", properties: { message: { type: "string" }, uid: { type: "string" } } }
+  }],
+  ["post", "/api/users/assign-role", {
+    tag: "Users", permission: "user:assign", validate: userSchemas.assignFacilityRole,
+    summary: "Give a user a facility role"
+  }],
+
+  // Roles
+  ["get", "/api/roles/permissions", {
+    tag: "Roles",
+    summary: "Permission catalogue",
+    response: {
+      type: "array",
+      items: { type: "object", properties: { id: { type: "string" }, description: { type: "string" } } }
+    }
+  }],
+  ["get", "/api/roles", {
+    tag: "Roles", permission: "role:read", validate: roleSchemas.listRoles,
+    summary: "Built-in roles and the tenant's custom roles",
+    response: listOf("Role")
+  }],
+  ["post", "/api/roles", {
+    tag: "Roles", permission: "role:write", validate: roleSchemas.createRole,
+    summary: "Create a custom role",
+    status: 201,
+    response: schemaRef("Role")
+  }],
+  ["get", "/api/roles/:roleId", {
+    tag: "Roles", permission: "role:read", validate: roleSchemas.roleById,
+    summary: "Get a custom role",
+    response: schemaRef("Role")
+  }],
+  ["patch", "/api/roles/:roleId", {
+    tag: "Roles", permission: "role:write", validate: roleSchemas.updateRole,
+    summary: "Update a custom role",
+    response: schemaRef("Role")
+  }],
+  ["delete", "/api/roles/:roleId", {
+    tag: "Roles", permission: "role:write", validate: roleSchemas.roleById,
+    summary: "Delete a custom role"
+  }],
+
+  // API keys
+  ["get", "/api/api-keys", {
+    tag: "API keys", permission: "apikey:manage", validate: apiKeySchemas.listApiKeys,
+    summary: "API keys of the caller's tenant, newest first",
+    response: listOf("ApiKey")
+  }],
+  ["post", "/api/api-keys", {
+    tag: "API keys", permission: "apikey:manage", validate: apiKeySchemas.createApiKey,
+    summary: "Create an API key",
+    description: "`key` is only returned here; store it right away. Callers can only grant permissions they hold themselves. Send it as `Authorization: Bearer <key>` or `x-api-key: <key>`.",
+    status: 201,
+    response: { allOf: [schemaRef("ApiKey"), { type: "object", properties: { key: { type: "string", example: "pwk_3f9c1a2b4d5e6f70_…" } } }] }
+  }],
+  ["get", "/api/api-keys/:keyId", {
+    tag: "API keys", permission: "apikey:manage", validate: apiKeySchemas.apiKeyById,
+    summary: "Get an API key (without the key itself)",
+    response: schemaRef("ApiKey")
+  }],
+  ["patch", "/api/api-keys/:keyId", {
+    tag: "API keys", permission: "apikey:manage", validate: apiKeySchemas.updateApiKey,
+    summary: "Rename or re-scope an API key",
+    description: "409 for revoked keys.",
+    response: schemaRef("ApiKey")
+  }],
+  ["delete", "/api/api-keys/:keyId", {
+    tag: "API keys", permission: "apikey:manage", validate: apiKeySchemas.apiKeyById,
+    summary: "Revoke an API key",
+    description: "The key stops working at once on this instance and within 30 seconds on the others. Revoked keys stay listed.",
+    response: schemaRef("ApiKey")
+  }],
+
+  // Invitations
+  ["post", "/api/invitations", {
+    tag: "Invitations", permission: "user:invite", validate: invitationSchemas.createInvitation,
+    summary: "Invite a user by email",
+    status: 201,
+    response: schemaRef("Invitation")
+  }],
+  ["get", "/api/invitations", {
+    tag: "Invitations", permission: "user:invite", validate: invitationSchemas.listInvitations,
+    summary: "List invitations (pending by default)",
+    response: listOf("Invitation")
+  }],
+  ["get", "/api/invitations/:invitationId", {
+    tag: "Invitations", permission: "user:invite", validate: invitationSchemas.invitationById,
+    summary: "Get an invitation",
+    response: schemaRef("Invitation")
+  }],
+  ["post", "/api/invitations/:invitationId/resend", {
+    tag: "Invitations", permission: "user:invite", validate: invitationSchemas.invitationById,
+    summary: "New link and expiry; the previous link stops working",
+    response: schemaRef("Invitation")
+  }],
+  ["delete", "/api/invitations/:invitationId", {
+    tag: "Invitations", permission: "user:invite", validate: invitationSchemas.invitationById,
+    summary: "Revoke an invitation",
+    response: schemaRef("Invitation")
+  }],
+  ["post", "/api/invitations/accept", {
+    tag: "Invitations", auth: "none", validate: invitationSchemas.acceptInvitation,
+    summary: "Accept an invitation and set a password",
+    status: 201,
+    response: {
+      type: "object",
+      properties: {
+        uid: { type: "string" },
+        email: { type: "string" },
+        role: { type: "string" },
+        tenantId: { type: "string" },
+        invitationId: { type: "string" }
+      }
+    }
+  }],
+
+  // Alerts
+  ["get", "/api/alerts/rules", {
+    tag: "Alerts", permission: "alert:read", validate: alertSchemas.listRules,
+    summary: "Alert rules in the caller's scope",
+    response: listOf("AlertRule")
+  }],
+  ["post", "/api/alerts/rules", {
+    tag: "Alerts", permission: "rule:write", validate: alertSchemas.createRule,
+    summary: "Create an alert rule",
+    description: "Band operators (`outside`, `between`) need `min` and `max`; the others need `threshold`.",
+    status: 201,
+    response: schemaRef("AlertRule")
+  }],
+  ["get", "/api/alerts/rules/:ruleId", {
+    tag: "Alerts", permission: "alert:read", validate: alertSchemas.ruleById,
+    summary: "Get an alert rule",
+    response: schemaRef("AlertRule")
+  }],
+  ["patch", "/api/alerts/rules/:ruleId", {
+    tag: "Alerts", permission: "rule:write", validate: alertSchemas.updateRule,
+    summary: "Update an alert rule",
+    response: schemaRef("AlertRule")
+  }],
+  ["delete", "/api/alerts/rules/:ruleId", {
+    tag: "Alerts", permission: "rule:write", validate: alertSchemas.ruleById,
+    summary: "Delete an alert rule"
+  }],
+  ["get", "/api/alerts", {
+    tag: "Alerts", permission: "alert:read", validate: alertSchemas.listAlerts,
+    summary: "Triggered alerts, newest first",
+    response: listOf("Alert")
+  }],
+  ["get", "/api/alerts/:alertId", {
+    tag: "Alerts", permission: "alert:read", validate: alertSchemas.alertById,
+    summary: "Get an alert",
+    response: schemaRef("Alert")
+  }],
+  ["post", "/api/alerts/:alertId/acknowledge", {
+    tag: "Alerts", permission: "alert:manage", validate: alertSchemas.alertById,
+    summary: "Acknowledge an open alert",
+    response: schemaRef("Alert")
+  }],
+  ["post", "/api/alerts/:alertId/resolve", {
+    tag: "Alerts", permission: "alert:manage", validate: alertSchemas.alertById,
+    summary: "Resolve an alert",
+    response: schemaRef("Alert")
+  }],
+
+  // Audit
+  ["get", "/api/audit", {
+    tag: "Audit", permission: "audit:read", validate: auditSchemas.queryAuditLog,
+    summary: "Audit entries, newest first",
+    description: "`action` matches exactly or as a prefix (`device` matches `device.delete`). Pass `nextCursor` as `cursor` for the next page.",
+    response: {
+      type: "object",
+      properties: { data: listOf("AuditEntry"), nextCursor: nullableString }
+    }
+  }],
+
+  // Monitor
+  ["get", "/api/monitor/health/live", {
+    tag: "Monitor", auth: "none", rateLimited: false,
+    summary: "Liveness probe",
+    description: "Answers while the process runs; no dependency is checked.",
+    response: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["ok"] },
+        uptime: { type: "integer", description: "Seconds" },
+        timestamp: { type: "string", format: "date-time" }
+      }
+    }
+  }],
+  ["get", "/api/monitor/health/ready", {
+    tag: "Monitor", auth: "none", rateLimited: false,
+    summary: "Readiness probe",
+    description: "Probes the data store, the sensor store (when separate) and the WebSocket server. Answers 503 with the same body when a check is down.",
+    response: schemaRef("Readiness")
+  }],
+  ["get", "/api/monitor/health", {
+    tag: "Monitor", auth: "none", rateLimited: false,
+    summary: "Backend status",
+    description: "The readiness report plus `backend` (running or degraded); 503 when degraded.",
+    response: { allOf: [schemaRef("Readiness"), { type: "object", properties: { backend: { type: "string", enum: ["running", "degraded"] } } }] }
+  }],
+  ["get", "/api/monitor/frontend", {
+    tag: "Monitor", auth: "none",
+    summary: "Frontend status",
+    description: "Requests FRONTEND_URL; `unknown` when it is not configured.",
+    response: {
+      type: "object",
+      properties: {
+        frontend: { type: "string", enum: ["running", "down", "unknown"] },
+        url: nullableString,
+        latencyMs: { type: "integer" },
+        error: { type: "string" }
+      }
+    }
+  }],
+  ["get", "/api/monitor/devices-count", {
+    tag: "Monitor", permission: "monitor:read",
+    summary: "Total devices",
+    response: { type: "object", properties: { totalDevices: { type: "integer" } } }
+  }],
+  ["get", "/api/monitor/tenants-count", {
+    tag: "Monitor", permission: "monitor:read",
+    summary: "Total tenants",
+    response: { type: "object", properties: { totalTenants: { type: "integer" } } }
+  }],
+  ["get", "/api/monitor/stats", {
+    tag: "Monitor", permission: "monitor:read",
+    summary: "Platform statistics",
+    response: {
+      type: "object",
+      properties: {
+        backendStatus: { type: "string" },
+        frontendStatus: { type: "string" },
+        totalDevices: { type: "integer" },
+        totalTenants: { type: "integer" },
+        totalUsers: { type: "integer" },
+        timestamp: { type: "string", format: "date-time" }
+      }
+    }
+  }],
+
+  // Metrics
+  ["get", "/metrics", {
+    tag: "Monitor", auth: "metricsToken", rateLimited: false,
+    summary: "Prometheus metrics",
+    description: "HTTP requests and latency per route, live ESP and dashboard connections, ingest rate and errors, DB write latency. Open when METRICS_TOKEN is not set.",
+    contentType: "text/plain; version=0.0.4",
+    response: { type: "string" }
+  }],
+
+  // Docs
+  ["get", "/api/openapi.json", {
+    tag: "Docs", auth: "none",
+    summary: "This document",
+    response: { type: "object" }
+  }],
+  ["get", "/api/docs", {
+    tag: "Docs", auth: "none",
+    summary: "Browsable API documentation",
+    contentType: "text/html",
+    response: { type: "string" }
+  }]
+];
+
+// ==========================================
+// COMPONENTS
+// ==========================================
+const SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["code", "message", "requestId"],
+    properties: {
+      code: {
+        type: "string",
+        enum: ["VALIDATION_FAILED", "UNAUTHORIZED", "FORBIDDEN", "NOT_FOUND", "CONFLICT", "GONE", "PAYLOAD_TOO_LARGE", "RATE_LIMITED", "INTERNAL"]
+      },
+      message: { type: "string" },
+      requestId: { type: "string", description: "Also sent as the x-request-id header" },
+      details: {
+        description: "Failing fields for VALIDATION_FAILED, { missing } permissions for FORBIDDEN, the exhausted limit for RATE_LIMITED",
+        oneOf: [
+          {
+            type: "array",
+            items: {
+              type: "object",
+              properties: { field: { type: "string", example: "body.mac" }, message: { type: "string" } }
+            }
+          },
+          { type: "object", properties: { missing: { type: "array", items: { type: "string" } } } },
+          {
+            type: "object",
+            properties: {
+              scope: { type: "string", enum: ["ip", "user", "tenant"] },
+              limit: { type: "integer" },
+              windowSeconds: { type: "integer" }
+            }
+          }
+        ]
+      }
+    }
+  },
+  Message,
+  Device: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      mac: { type: "string", example: "AA:BB:CC:DD:EE:FF" },
+      name: { type: "string" },
+      tenantId: nullableString,
+      facilityId: nullableString,
+      zoneId: nullableString,
+      groupId: nullableString,
+      tags: { type: "array", items: { type: "string" } },
+      sensorTypes: { type: "array", items: { type: "string" }, description: "Sensor types the device has reported" },
+      status: { type: "string", enum: ["online", "offline"] },
+      lastSeen: timestamp,
+      connectedAt: timestamp,
+      disconnectedAt: timestamp,
+      remoteAddress: nullableString,
+      metadata: {
+        type: "object",
+        nullable: true,
+        properties: { firmware: nullableString, model: nullableString },
+        additionalProperties: true
+      },
+      credentialIssuedAt: timestamp,
+      credentialRevokedAt: { ...timestamp, nullable: true },
+      createdAt: timestamp
+    }
+  },
+  Connection: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      connectedAt: timestamp,
+      disconnectedAt: timestamp,
+      remoteAddress: nullableString,
+      metadata: { type: "object", nullable: true, additionalProperties: true },
+      reason: nullableString
+    }
+  },
+  Command: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      deviceId: { type: "string" },
+      mac: { type: "string" },
+      command: { type: "string", example: "relay" },
+      params: { type: "object", additionalProperties: true },
+      status: { type: "string", enum: ["pending", "delivered", "acked", "failed", "timed_out"] },
+      attempts: { type: "integer" },
+      ackTimeoutMs: { type: "integer" },
+      expiresAt: timestamp,
+      createdBy: { type: "string" },
+      createdAt: timestamp,
+      deliveredAt: timestamp,
+      ackDeadline: timestamp,
+      completedAt: timestamp,
+      result: { nullable: true },
+      error: nullableString
+    }
+  },
+  PendingDevice: {
+    type: "object",
+    properties: {
+      mac: { type: "string" },
+      status: { type: "string", enum: ["pending", "blocked"] },
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      connectCount: { type: "integer" },
+      remoteAddress: nullableString,
+      claimCode: nullableString,
+      metadata: { type: "object", nullable: true, additionalProperties: true },
+      samples: {
+        type: "array",
+        items: { type: "object", properties: { receivedAt: timestamp, payload: {} } }
+      }
+    }
+  },
+  Reading: {
+    type: "object",
+    properties: { timestamp },
+    additionalProperties: true,
+    description: "The fields the device sent, e.g. voltage, current, power"
+  },
+  ReadingsPage: {
+    type: "object",
+    properties: { data: listOf("Reading"), nextCursor: nullableString }
+  },
+  Bucket: {
+    type: "object",
+    properties: {
+      timestamp,
+      count: { type: "integer" },
+      avg: { type: "object", additionalProperties: { type: "number" } },
+      min: { type: "object", additionalProperties: { type: "number" } },
+      max: { type: "object", additionalProperties: { type: "number" } }
+    }
+  },
+  DownsampledReadings: {
+    type: "object",
+    properties: {
+      interval: { type: "integer" },
+      from: timestamp,
+      to: timestamp,
+      truncated: { type: "boolean" },
+      data: listOf("Bucket")
+    }
+  },
+  AlignedSeries: {
+    type: "object",
+    properties: {
+      interval: { type: "integer" },
+      from: timestamp,
+      to: timestamp,
+      truncated: { type: "boolean" },
+      timestamps: { type: "array", items: timestamp },
+      series: {
+        type: "object",
+        description: "MAC -> one bucket (or null) per timestamp",
+        additionalProperties: { type: "array", items: { ...schemaRef("Bucket"), nullable: true } }
+      }
+    }
+  },
+  DevicesPage: {
+    type: "object",
+    properties: { data: listOf("Device"), nextCursor: nullableString }
+  },
+  DeviceGroup: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      description: nullableString,
+      tenantId: { type: "string" },
+      createdBy: { type: "string" },
+      createdAt: timestamp
+    }
+  },
+  InventoryRow: {
+    type: "object",
+    properties: {
+      mac: { type: "string", example: "AA:BB:CC:DD:EE:FF" },
+      name: { type: "string" },
+      facility: { type: "string", description: "Facility id (or name, on import)" },
+      tags: { type: "array", items: { type: "string" } }
+    }
+  },
+  InventoryExport: {
+    type: "object",
+    properties: { devices: listOf("InventoryRow") }
+  },
+  ImportReport: {
+    type: "object",
+    description: "Dry run",
+    properties: {
+      dryRun: { type: "boolean" },
+      total: { type: "integer" },
+      valid: { type: "integer" },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            row: { type: "integer", description: "1-based, not counting the CSV header" },
+            field: { type: "string" },
+            message: { type: "string" }
+          }
+        }
+      },
+      devices: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            row: { type: "integer" },
+            mac: { type: "string" },
+            name: { type: "string" },
+            facilityId: nullableString,
+            tags: { type: "array", items: { type: "string" } }
+          }
+        }
+      }
+    }
+  },
+  ImportResult: {
+    type: "object",
+    properties: {
+      imported: { type: "integer" },
+      devices: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            deviceId: { type: "string" },
+            mac: { type: "string" },
+            name: { type: "string" },
+            facilityId: nullableString,
+            tags: { type: "array", items: { type: "string" } },
+            deviceSecret: { type: "string" }
+          }
+        }
+      }
+    }
+  },
+  Tenant: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      sensors: { type: "array", items: { type: "string" } },
+      createdAt: timestamp,
+      deletedAt: { ...timestamp, description: "Set while the tenant is soft-deleted" },
+      purgeAt: timestamp
+    }
+  },
+  RateLimit: {
+    type: "object",
+    nullable: true,
+    description: "At most `limit` per `windowSeconds`; null when the scope is not limited",
+    properties: { limit: { type: "integer" }, windowSeconds: { type: "integer" } }
+  },
+  TenantRateLimits: {
+    type: "object",
+    properties: {
+      tenantId: { type: "string" },
+      overrides: {
+        type: "object",
+        nullable: true,
+        properties: {
+          user: schemaRef("RateLimit"),
+          tenant: schemaRef("RateLimit"),
+          device: schemaRef("RateLimit"),
+          updatedAt: timestamp,
+          updatedBy: { type: "string" }
+        }
+      },
+      defaults: { type: "object", additionalProperties: schemaRef("RateLimit") },
+      effective: { type: "object", additionalProperties: schemaRef("RateLimit") }
+    }
+  },
+  TenantDeletion: {
+    type: "object",
+    properties: {
+      tenantId: { type: "string" },
+      name: nullableString,
+      status: { type: "string", enum: ["scheduled", "purged"] },
+      deletedAt: timestamp,
+      deletedBy: { type: "string" },
+      purgeAt: timestamp,
+      purgedAt: timestamp,
+      report: {
+        type: "object",
+        description: "Number of records deleted per kind (readings: null when the store cannot count them)",
+        additionalProperties: { type: "integer", nullable: true }
+      }
+    }
+  },
+  Facility: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      address: nullableString,
+      tenantId: { type: "string" },
+      createdBy: { type: "string" },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  Zone: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      type: { type: "string", enum: ZONE_TYPES },
+      parentId: nullableString,
+      tenantId: { type: "string" },
+      facilityId: { type: "string" },
+      createdBy: { type: "string" },
+      createdAt: timestamp
+    }
+  },
+  User: {
+    type: "object",
+    properties: {
+      uid: { type: "string" },
+      email: { type: "string", format: "email" },
+      role: { type: "string" },
+      tenantId: nullableString,
+      facilityId: nullableString,
+      customRoleId: nullableString,
+      createdAt: timestamp
+    }
+  },
+  Role: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      builtIn: { type: "boolean" },
+      tenantId: { type: "string" },
+      description: nullableString,
+      permissions: { type: "array", items: { type: "string", enum: ["*", ...Object.keys(PERMISSIONS)] } }
+    }
+  },
+  ApiKey: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      tenantId: { type: "string" },
+      facilityId: { ...nullableString, description: "Set for keys limited to one facility" },
+      name: { type: "string" },
+      description: nullableString,
+      permissions: { type: "array", items: { type: "string" } },
+      readOnly: { type: "boolean", description: "Only GET requests are accepted" },
+      status: { type: "string", enum: ["active", "revoked"] },
+      createdBy: { type: "string" },
+      createdAt: timestamp,
+      lastUsedAt: { ...timestamp, nullable: true, description: "Updated at most once a minute" },
+      revokedAt: { ...timestamp, nullable: true }
+    }
+  },
+  Invitation: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      email: { type: "string", format: "email" },
+      role: { type: "string" },
+      tenantId: { type: "string" },
+      facilityId: nullableString,
+      status: { type: "string", enum: ["pending", "expired", "accepted", "revoked"] },
+      invitedBy: { type: "string" },
+      createdAt: timestamp,
+      expiresAt: timestamp,
+      sentAt: timestamp,
+      sendCount: { type: "integer" }
+    }
+  },
+  AlertRule: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      tenantId: { type: "string" },
+      deviceId: nullableString,
+      mac: nullableString,
+      facilityId: nullableString,
+      sensorType: { type: "string" },
+      field: nullableString,
+      operator: { type: "string" },
+      threshold: { type: "number", nullable: true },
+      min: { type: "number", nullable: true },
+      max: { type: "number", nullable: true },
+      durationSec: { type: "number" },
+      severity: { type: "string" },
+      autoResolve: { type: "boolean" },
+      enabled: { type: "boolean" },
+      createdBy: { type: "string" },
+      createdAt: timestamp
+    }
+  },
+  Alert: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      ruleId: { type: "string" },
+      ruleName: { type: "string" },
+      severity: { type: "string" },
+      tenantId: { type: "string" },
+      facilityId: nullableString,
+      deviceId: nullableString,
+      mac: { type: "string" },
+      sensorType: { type: "string" },
+      field: nullableString,
+      value: { type: "number" },
+      state: { type: "string", enum: ["open", "acknowledged", "resolved"] },
+      triggeredAt: timestamp,
+      acknowledgedBy: { type: "string" },
+      acknowledgedAt: timestamp,
+      resolvedBy: { type: "string" },
+      resolvedAt: timestamp
+    }
+  },
+  AuditEntry: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      action: { type: "string", example: "device.delete" },
+      actorUid: nullableString,
+      actorRole: nullableString,
+      targetType: nullableString,
+      targetId: nullableString,
+      tenantId: nullableString,
+      before: { type: "object", nullable: true, additionalProperties: true },
+      after: { type: "object", nullable: true, additionalProperties: true },
+      details: { type: "object", nullable: true, additionalProperties: true },
+      ip: nullableString,
+      userAgent: nullableString,
+      at: timestamp
+    }
+  },
+  HealthCheck: {
+    type: "object",
+    required: ["status", "latencyMs"],
+    properties: {
+      status: { type: "string", enum: ["up", "down"] },
+      latencyMs: { type: "integer" },
+      error: { type: "string", description: "Why the check is down" }
+    }
+  },
+  Readiness: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["ok", "error"] },
+      checks: {
+        type: "object",
+        properties: {
+          dataStore: { allOf: [schemaRef("HealthCheck"), { type: "object", properties: { backend: { type: "string" } } }] },
+          sensorStore: { allOf: [schemaRef("HealthCheck"), { type: "object", properties: { backend: { type: "string" } } }] },
+          websocket: {
+            allOf: [schemaRef("HealthCheck"), {
+              type: "object",
+              properties: {
+                connections: { type: "object", properties: { esp: { type: "integer" }, dashboard: { type: "integer" } } }
+              }
+            }]
+          }
+        }
+      },
+      timestamp: { type: "string", format: "date-time" }
+    }
+  },
+  ...WEBSOCKET_SCHEMAS
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: schemaRef("Error") } }
+});
+
+const RESPONSES = {
+  BadRequest: errorResponse("Invalid request; details lists the failing fields"),
+  Unauthorized: errorResponse("Missing or invalid ID token"),
+  Forbidden: errorResponse("Missing permission"),
+  NotFound: errorResponse("Not found or outside the caller's scope"),
+  TooManyRequests: {
+    ...errorResponse("Rate limit exceeded; details: { scope, limit, windowSeconds }"),
+    headers: {
+      "Retry-After": { description: "Seconds until the limit resets", schema: { type: "integer" } }
+    }
+  }
+};
+
+const SECURITY_SCHEMES = {
+  bearerAuth: {
+    type: "http",
+    scheme: "bearer",
+    description: "Firebase ID token (or the local provider's token from POST /api/auth/login), or a tenant API key (pwk_…)"
+  },
+  setupToken: {
+    type: "apiKey",
+    in: "header",
+    name: "x-setup-token",
+    description: "One-time SETUP_TOKEN for the first super admin"
+  },
+  metricsToken: {
+    type: "http",
+    scheme: "bearer",
+    description: "METRICS_TOKEN, only required when it is set"
+  }
+};
+
+// ==========================================
+// BUILDING
+// ==========================================
+// "/api/devices/:deviceId" -> "/api/devices/{deviceId}"
+export function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+function parameters(validate = {}) {
+  const fromRules = (location, rules = {}) => Object.entries(rules).map(([name, rule]) => ({
+    name,
+    in: location === "params" ? "path" : "query",
+    required: location === "params" || rule.required,
+    schema: rule.schema
+  }));
+
+  return [...fromRules("params", validate.params), ...fromRules("query", validate.query)];
+}
+
+function requestBody(validate = {}) {
+  if (!validate.body) return undefined;
+
+  const required = Object.entries(validate.body).filter(([, rule]) => rule.required).map(([name]) => name);
+
+  // anyOf: [["body.mac", "body.macId"]] -> at least one of the properties must be present
+  const alternatives = (validate.anyOf || [])
+    .map(group => group.filter(path => path.startsWith("body.")).map(path => path.slice(5)))
+    .filter(group => group.length)
+    .map(group => ({ anyOf: group.map(name => ({ required: [name] })) }));
+
+  const schema = {
+    type: "object",
+    properties: Object.fromEntries(Object.entries(validate.body).map(([name, rule]) => [name, rule.schema])),
+    ...(required.length ? { required } : {}),
+    ...(alternatives.length ? { allOf: alternatives } : {})
+  };
+
+  return { required: true, content: { "application/json": { schema } } };
+}
+
+function security(auth) {
+  if (auth === "none") return [];
+  if (auth === "setupToken") return [{ bearerAuth: [] }, { setupToken: [] }];
+  if (auth === "metricsToken") return [{ metricsToken: [] }, {}];
+  return [{ bearerAuth: [] }];
+}
+
+function operation(method, path, details) {
+  const {
+    tag,
+    summary,
+    description,
+    permission,
+    auth = "bearer",
+    validate,
+    status = 200,
+    response = schemaRef("Message"),
+    contentType = "application/json",
+    rateLimited = true
+  } = details;
+
+  const responses = {
+    [status]: {
+      description: "Success",
+      content: { [contentType]: { schema: response } }
+    }
+  };
+
+  if (validate) responses[400] = { $ref: "#/components/responses/BadRequest" };
+  if (auth !== "none") responses[401] = { $ref: "#/components/responses/Unauthorized" };
+  if (permission) responses[403] = { $ref: "#/components/responses/Forbidden" };
+  if (validate?.params) responses[404] = { $ref: "#/components/responses/NotFound" };
+  if (rateLimited) responses[429] = { $ref: "#/components/responses/TooManyRequests" };
+
+  const permissionNote = permission ? `Requires \`${permission}\`.` : null;
+
+  return {
+    tags: [tag],
+    summary,
+    ...(description || permissionNote ? { description: [description, permissionNote].filter(Boolean).join("\n\n") } : {}),
+    operationId: `${method}${toOpenApiPath(path).replace(/^\/api/, "").replace(/[^A-Za-z0-9]+(.)?/g, (m, c) => (c ? c.toUpperCase() : ""))}`,
+    ...(permission ? { "x-permission": permission } : {}),
+    security: security(auth),
+    parameters: parameters(validate),
+    ...(validate?.body ? { requestBody: requestBody(validate) } : {}),
+    responses
+  };
+}
+
+export function buildOpenApiSpec() {
+  const paths = {};
+
+  for (const [method, path, details] of OPERATIONS) {
+    const key = toOpenApiPath(path);
+    paths[key] = { ...paths[key], [method]: operation(method, path, details) };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "PR Warehouse Security API",
+      version: "1.0.0",
+      description: "Multi-tenant IoT backend. Errors use the `Error` envelope. WebSocket endpoints and their messages are described under `x-websockets`."
+    },
+    servers: [{ url: "/" }],
+    tags: [...new Set(OPERATIONS.map(([, , details]) => details.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      responses: RESPONSES,
+      securitySchemes: SECURITY_SCHEMES
+    },
+    "x-websockets": WEBSOCKETS
+  };
+}
+
+let cached;
+
+export function getOpenApiSpec() {
+  cached ??= buildOpenApiSpec();
+  return cached;
+}
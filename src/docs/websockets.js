@@ -0,0 +1,161 @@
+// WebSocket endpoints are outside OpenAPI's model; they are described under the
+// "x-websockets" extension with their messages in components.schemas.
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const timestamp = { type: "integer", description: "Epoch milliseconds" };
+
+export const WEBSOCKETS = {
+  "/ws/esp32": {
+    summary: "Device telemetry and commands",
+    description: "Registered devices authenticate with their MAC and secret. Unknown MACs are accepted as pending devices (unless ALLOW_PENDING_DEVICES=false or the MAC is blocked) until claimed through POST /api/devices/pending/claim.",
+    handshake: {
+      headers: {
+        "x-device-mac": "Device MAC (or ?mac=)",
+        "x-device-key": "Device secret (or ?key=)",
+        "x-claim-code": "Optional claim code for pending devices (or ?claimCode=)",
+        "x-firmware-version": "Optional, stored as device metadata",
+        "x-device-model": "Optional, stored as device metadata"
+      },
+      rejected: "401 when the credential is wrong or the MAC is blocked"
+    },
+    clientMessages: [schemaRef("DeviceReadings"), schemaRef("DeviceCommandAck")],
+    serverMessages: [schemaRef("DeviceCommand"), schemaRef("DevicePending"), schemaRef("DeviceProvisioned"), schemaRef("DeviceThrottled")]
+  },
+  "/ws/dashboard": {
+    summary: "Live readings for dashboards",
+    description: "Requires `sensor:read`. Readings outside the caller's scope are never sent; subscriptions the caller may not see are listed under `rejected`. The session is re-checked every `DASHBOARD_SESSION_CHECK_MS` (60s): a revoked key, a suspended tenant or a lost `sensor:read` closes the socket with 1008, as does the ID token's expiry. Clients must answer pings.",
+    handshake: {
+      query: { token: "ID token or API key (or an Authorization: Bearer header)" },
+      rejected: "401 without a valid token or without sensor:read"
+    },
+    clientMessages: [schemaRef("DashboardSubscription")],
+    serverMessages: [
+      schemaRef("DashboardWelcome"),
+      schemaRef("DashboardSubscribed"),
+      schemaRef("DashboardReading"),
+      schemaRef("DashboardError")
+    ]
+  }
+};
+
+const idList = { type: "array", items: { type: "string" } };
+
+export const WEBSOCKET_SCHEMAS = {
+  DeviceReadings: {
+    type: "object",
+    properties: {
+      mac: { type: "string", description: "Ignored unless it differs from the authenticated MAC, which drops the message" },
+      meta: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          firmware: { type: "string", maxLength: 64, nullable: true },
+          model: { type: "string", maxLength: 64, nullable: true }
+        },
+        description: "Stored as device metadata; other keys drop the message"
+      },
+      sensors: {
+        type: "array",
+        maxItems: 20,
+        items: {
+          type: "object",
+          required: ["type", "data"],
+          properties: {
+            type: { type: "string", pattern: "^[A-Za-z0-9_-]{1,32}$", example: "pzem" },
+            data: { type: "object", additionalProperties: true, example: { voltage: 229.8, current: 1.2 } }
+          }
+        }
+      }
+    }
+  },
+  DeviceCommandAck: {
+    type: "object",
+    required: ["type", "commandId"],
+    properties: {
+      type: { type: "string", enum: ["ack"] },
+      commandId: { type: "string" },
+      ok: { type: "boolean", description: "false marks the command failed" },
+      result: {},
+      error: { type: "string" }
+    }
+  },
+  DeviceCommand: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ["command"] },
+      commandId: { type: "string" },
+      command: { type: "string" },
+      params: { type: "object", additionalProperties: true }
+    }
+  },
+  DevicePending: {
+    type: "object",
+    description: "Sent to an unregistered device after it connects",
+    properties: { type: { type: "string", enum: ["pending"] }, mac: { type: "string" } }
+  },
+  DeviceProvisioned: {
+    type: "object",
+    description: "Sent when a connected pending device is claimed; reconnect with the new secret",
+    properties: {
+      type: { type: "string", enum: ["provisioned"] },
+      deviceId: { type: "string" },
+      deviceSecret: { type: "string" }
+    }
+  },
+  DeviceThrottled: {
+    type: "object",
+    description: "Sent once per window when the device exceeds its message limit (RATE_LIMIT_DEVICE or the tenant's override); further messages in the window are dropped",
+    properties: {
+      type: { type: "string", enum: ["throttled"] },
+      retryAfter: { type: "integer", description: "Seconds until messages are accepted again" },
+      limit: { type: "integer" },
+      windowSeconds: { type: "integer" }
+    }
+  },
+  DashboardSubscription: {
+    type: "object",
+    required: ["type"],
+    description: "Empty lists mean everything in the caller's scope",
+    properties: {
+      type: { type: "string", enum: ["subscribe", "unsubscribe"] },
+      devices: { ...idList, maxItems: 500, description: "At most 500 subscribed per connection" },
+      facilities: { ...idList, maxItems: 100, description: "At most 100 subscribed per connection" },
+      sensorTypes: { ...idList, maxItems: 50, description: "At most 50 subscribed per connection; like pzem" }
+    }
+  },
+  DashboardWelcome: {
+    type: "object",
+    properties: { type: { type: "string", enum: ["welcome"] }, uid: { type: "string" }, role: { type: "string" } }
+  },
+  DashboardSubscribed: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ["subscribed"] },
+      subscriptions: {
+        type: "object",
+        properties: { devices: idList, facilities: idList, sensorTypes: idList }
+      },
+      rejected: {
+        type: "array",
+        items: { type: "object", properties: { device: { type: "string" }, facility: { type: "string" } } }
+      }
+    }
+  },
+  DashboardReading: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ["reading"] },
+      deviceId: { type: "string" },
+      mac: { type: "string" },
+      tenantId: { type: "string" },
+      facilityId: { type: "string", nullable: true },
+      sensorType: { type: "string" },
+      timestamp,
+      data: { type: "object", additionalProperties: true }
+    }
+  },
+  DashboardError: {
+    type: "object",
+    properties: { type: { type: "string", enum: ["error"] }, message: { type: "string" } }
+  }
+};
@@ -0,0 +1,8 @@
+import logger from "../utils/logger.js";
+
+// Development stand-in: logs that a message was sent, without its body (invitation links are
+// credentials). MAIL_TRANSPORT=file keeps the whole message.
+export async function send({ from, to, subject }) {
+  logger.info("Mail not delivered (console transport)", { from, to, subject });
+  return { delivered: false, transport: "console" };
+}
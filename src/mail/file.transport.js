@@ -0,0 +1,15 @@
+import fs from "fs/promises";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+
+// Development stand-in: each message becomes <MAIL_DIR>/<timestamp>-<id>.json
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || "./data/mail");
+
+export async function send(message) {
+  await fs.mkdir(MAIL_DIR, { recursive: true });
+
+  const file = path.join(MAIL_DIR, `${Date.now()}-${uuidv4()}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+  return { delivered: false, transport: "file", file };
+}
@@ -0,0 +1,28 @@
+import * as consoleTransport from "./console.transport.js";
+import * as fileTransport from "./file.transport.js";
+
+// "console" (default, logs who a message is for) or "file" (one JSON file per message in MAIL_DIR).
+// A real transport only needs to export send({ to, subject, text, html }).
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+
+export const MAIL_FROM = process.env.MAIL_FROM || "no-reply@localhost";
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+if (!transports[MAIL_TRANSPORT]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}" (expected console or file)`);
+}
+
+// Mail that is only logged would silently never arrive
+if (MAIL_TRANSPORT === "console" && process.env.NODE_ENV === "production") {
+  throw new Error("MAIL_TRANSPORT=console does not deliver mail; configure a real transport in production");
+}
+
+const transport = transports[MAIL_TRANSPORT];
+
+export async function sendMail(message) {
+  return transport.send({ from: MAIL_FROM, ...message });
+}
@@ -1,24 +1,51 @@
-import { admin,db } from "../config/firebase.js";
+import { authProvider } from "../auth/index.js";
+import { usersRepository } from "../repositories/index.js";
+import { isTenantSuspended } from "../services/tenant.service.js";
+import { isApiKey, resolveApiKey, assertKeyAllowsMethod } from "../services/apikey.service.js";
+import { UnauthorizedError, ForbiddenError, NotFoundError } from "../utils/errors.js";
+import { addLogContext } from "../utils/logger.js";
+import { limitCaller } from "./rateLimit.middleware.js";
 
+// ID token or API key -> user context (null when the user has no profile or the key is not valid)
+export async function resolveUser(token) {
+  if (isApiKey(token)) return resolveApiKey(token);
+
+  const decoded = await authProvider.verifyIdToken(token);
+  const user = await usersRepository.get(decoded.uid);
+  if (!user) return null;
+
+  return {
+    uid:decoded.uid,
+    ...user
+  };
+}
+
+// Authorization: Bearer <ID token | API key>, or an API key as x-api-key
 export async function verifyToken(req, res, next) {
+  const token = req.headers.authorization?.split("Bearer ")[1] || req.headers["x-api-key"];
+  if (!token) throw new UnauthorizedError("No token provided");
+
+  let user;
+
   try {
-    const token = req.headers.authorization?.split("Bearer ")[1];
-    if (!token) return res.status(401).json({ error: "No token provided" });
-
-    const decoded = await admin.auth().verifyIdToken(token);
-    const userSnap = await db.ref(`users/${decoded.uid}`).once("value");
-    const user = userSnap.val();
-    if(!user) return res.status(404).json({message:"User not found"});
-    req.user = {
-      uid:decoded.uid,
-      ...user
-    };
-
-    next();
-  } catch (err) {
-    console.log(err);
-    return res.status(401).json({ error: "Unauthorized" });
+    user = await resolveUser(token);
+  } catch {
+    throw new UnauthorizedError();
   }
+
+  if (!user) throw isApiKey(token) ? new UnauthorizedError("Invalid or revoked API key") : new NotFoundError("User not found");
+
+  // A deleted tenant's users are locked out until it is restored
+  if (await isTenantSuspended(user.tenantId)) throw new ForbiddenError("Tenant is suspended");
+
+  assertKeyAllowsMethod(user, req.method);
+
+  req.user = user;
+  addLogContext({ uid: user.uid, tenantId: user.tenantId || null });
+
+  await limitCaller(req, res);
+
+  next();
 }
 
 
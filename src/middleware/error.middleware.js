@@ -0,0 +1,47 @@
+import { AppError, NotFoundError, ValidationError, fromAuthError } from "../utils/errors.js";
+import logger from "../utils/logger.js";
+
+// Mounted after every router: unknown paths get the same envelope as other errors
+export function notFound(req, res, next) {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+}
+
+// Anything that is not an application error yet
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  const authError = fromAuthError(err);
+  if (authError) return authError;
+
+  // express.json() rejects malformed or oversized bodies with a status of its own
+  if (err.type === "entity.parse.failed") return new ValidationError("Request body is not valid JSON");
+  if (err.type === "entity.too.large") return new AppError(413, "PAYLOAD_TOO_LARGE", "Request body is too large");
+
+  return null;
+}
+
+// Error envelope: { code, message, requestId, details? }
+// Unexpected errors are logged with the request ID and answered with a generic 500.
+// Express recognises error handlers by their four parameters, so next stays in the signature.
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  const appError = toAppError(err);
+
+  if (!appError) {
+    logger.error("Unhandled error", { requestId: req.id, method: req.method, path: req.originalUrl, err });
+  }
+
+  const status = appError?.status || 500;
+
+  const body = {
+    code: appError?.code || "INTERNAL",
+    message: appError?.message || "Internal server error",
+    requestId: req.id
+  };
+
+  if (appError?.details !== undefined) body.details = appError.details;
+  if (appError?.retryAfter !== undefined) res.setHeader("Retry-After", appError.retryAfter);
+
+  res.status(status).json(body);
+}
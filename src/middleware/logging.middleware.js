@@ -0,0 +1,29 @@
+import logger from "../utils/logger.js";
+
+// Probes and scrapes arrive every few seconds; they are only logged at LOG_LEVEL=debug
+const QUIET_PATHS = /^\/(api\/monitor\/health|metrics)(\/|$)/;
+
+// One line per request once the response is sent: route pattern, status, duration and caller.
+// Server errors are logged at error level (the error itself is logged by the error handler).
+export default function requestLog(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      route: req.route ? `${req.routeBase}${req.route.path}` : null,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+      uid: req.user?.uid,
+      tenantId: req.user?.tenantId
+    };
+
+    if (res.statusCode >= 500) logger.error("Request failed", fields);
+    else if (QUIET_PATHS.test(req.path)) logger.debug("Request completed", fields);
+    else logger.info("Request completed", fields);
+  });
+
+  next();
+}
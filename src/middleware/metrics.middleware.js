@@ -0,0 +1,43 @@
+import { counter, histogram } from "../utils/metrics.js";
+import { hashToken, verifyTokenHash } from "../utils/token.js";
+import { UnauthorizedError } from "../utils/errors.js";
+
+const httpRequests = counter("http_requests_total", "HTTP requests by method, route and status");
+const httpDuration = histogram("http_request_duration_seconds", "HTTP request latency by method and route");
+
+// The route label is the matched pattern (/api/devices/:deviceId), never the raw URL,
+// so ids do not create new series. Requests that match no route share "unmatched".
+export default function httpMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const route = req.route ? `${req.routeBase}${req.route.path}` : "unmatched";
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+}
+
+// Mounted in front of each router: Express resets req.baseUrl once a failing request
+// leaves the router, before "finish" fires
+export function recordRouteBase(req, res, next) {
+  req.routeBase = req.baseUrl;
+  next();
+}
+
+// GET /metrics is open unless METRICS_TOKEN is set; then scrapers send it as a bearer token
+export function requireMetricsToken(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return next();
+
+  const [scheme, value] = (req.headers.authorization || "").split(" ");
+
+  if (scheme !== "Bearer" || !verifyTokenHash(value || "", hashToken(token))) {
+    throw new UnauthorizedError("Missing or invalid metrics token");
+  }
+
+  next();
+}
@@ -0,0 +1,24 @@
+import { loadAccessible, getResourceLabel } from "../services/access.service.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+
+// requireOwnership("device") checks req.params.deviceId belongs to the caller's
+// tenant/facility and exposes the record as req.resources.device.
+//   from: "params" | "body" | "query"    key: defaults to `${resource}Id`
+//   optional: skip when the id is absent (body fields)
+export default function requireOwnership(resource, { from = "params", key = `${resource}Id`, optional = false } = {}) {
+  return async (req, res, next) => {
+    const id = req[from]?.[key];
+
+    if (id === undefined || id === null || id === "") {
+      if (optional) return next();
+      throw new ValidationError(`${key} is required`, [{ field: `${from}.${key}`, message: "is required" }]);
+    }
+
+    const record = await loadAccessible(req.user, resource, id);
+
+    if (!record) throw new NotFoundError(`${getResourceLabel(resource)} not found`);
+
+    req.resources = { ...req.resources, [resource]: record };
+    next();
+  };
+}
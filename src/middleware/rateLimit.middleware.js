@@ -0,0 +1,23 @@
+import { DEFAULT_LIMITS, enforceRequestLimits, getTenantLimits } from "../services/ratelimit.service.js";
+
+// Orchestrator probes and metric scrapes must keep working while a client is being limited
+const EXEMPT_PATHS = /^\/(api\/monitor\/health|metrics)(\/|$)/;
+
+// Mounted before the routers: every request counts against the client IP (see TRUST_PROXY)
+export async function limitByIp(req, res, next) {
+  if (EXEMPT_PATHS.test(req.path)) return next();
+
+  await enforceRequestLimits(res, [{ scope: "ip", key: req.ip, limit: DEFAULT_LIMITS.ip }]);
+
+  next();
+}
+
+// Called by verifyToken once the caller is known: the user and the user's tenant
+export async function limitCaller(req, res) {
+  const limits = await getTenantLimits(req.user.tenantId);
+
+  await enforceRequestLimits(res, [
+    { scope: "user", key: req.user.uid, limit: limits.user },
+    { scope: "tenant", key: req.user.tenantId, limit: limits.tenant }
+  ]);
+}
@@ -1,9 +1,23 @@
-export default function requireRole(roles) {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role))
-      return res.status(403).json({ error: "Forbidden" });
+import { getEffectivePermissions, hasPermission } from "../services/permission.service.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+// requirePermission("device:write") - every listed permission is required.
+// Effective permissions are resolved once per request and kept on req.user.permissions.
+// The middleware carries its permissions so test/openapi.test.js can compare them with the docs.
+export default function requirePermission(...permissions) {
+  const middleware = async (req, res, next) => {
+    if (!req.user.permissions) {
+      req.user.permissions = await getEffectivePermissions(req.user);
+    }
+
+    const missing = permissions.filter(p => !hasPermission(req.user.permissions, p));
+
+    if (missing.length) throw new ForbiddenError("Missing permission", { missing });
 
     next();
   };
-}
 
+  middleware.permissions = permissions;
+
+  return middleware;
+}
@@ -0,0 +1,16 @@
+import { v4 as uuidv4 } from "uuid";
+import { withLogContext } from "../utils/logger.js";
+
+// Reuse the caller's / proxy's x-request-id when it looks sane, otherwise mint one.
+// Echoed back in the response header and in every error body, and on every log line
+// written while the request is handled.
+const INCOMING_ID = /^[\w.:-]{1,128}$/;
+
+export default function requestId(req, res, next) {
+  const incoming = req.headers["x-request-id"];
+
+  req.id = typeof incoming === "string" && INCOMING_ID.test(incoming) ? incoming : uuidv4();
+  res.setHeader("x-request-id", req.id);
+
+  withLogContext({ requestId: req.id }, next);
+}
@@ -0,0 +1,21 @@
+import { claimBootstrap } from "../services/bootstrap.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+// Requests carrying "x-setup-token" go to the one-time bootstrap handler; anything else
+// falls through to the next (authenticated) route for the same path.
+export default function requireSetupToken(req, res, next) {
+  if (!req.headers["x-setup-token"]) return next("route");
+  next();
+}
+
+// Claims the bootstrap for this request. Runs after validation so a malformed body
+// cannot leave the token claimed; the handler releases it if account creation fails.
+export async function claimSetupToken(req, res, next) {
+  if (!(await claimBootstrap(req.headers["x-setup-token"]))) {
+    await recordAudit(req, { action: "bootstrap.refused", tenantId: null });
+    throw new ForbiddenError("Setup token is invalid or has already been used");
+  }
+
+  next();
+}
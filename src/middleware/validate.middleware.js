@@ -0,0 +1,56 @@
+import { ValidationError } from "../utils/errors.js";
+
+// validate({ params, query, body, anyOf }) checks the declared fields of each part of the
+// request (see validation/rules.js). Undeclared fields are left alone.
+// anyOf: [["body.mac", "body.macId"]] - at least one field of each group must be present.
+// Invalid requests get a ValidationError whose details list every failing field: [{ field, message }].
+
+const LOCATIONS = ["params", "query", "body"];
+
+function isMissing(value) {
+  return value === undefined || value === "";
+}
+
+export default function validate(schema) {
+  return async (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+      const fields = schema[location];
+      if (!fields) continue;
+
+      const source = req[location] || {};
+
+      for (const [name, rule] of Object.entries(fields)) {
+        const field = `${location}.${name}`;
+        const value = source[name];
+
+        if (isMissing(value)) {
+          if (rule.required) errors.push({ field, message: "is required" });
+          continue;
+        }
+
+        if (value === null) {
+          if (!rule.nullable) errors.push({ field, message: "must not be null" });
+          continue;
+        }
+
+        const message = await rule.check(value, req);
+        if (message) errors.push({ field, message });
+      }
+    }
+
+    for (const group of schema.anyOf || []) {
+      const present = group.some(path => {
+        const [location, name] = path.split(".");
+        return !isMissing(req[location]?.[name]);
+      });
+
+      if (!present) errors.push({ field: group.join("|"), message: `one of ${group.join(", ")} is required` });
+    }
+
+    if (errors.length) throw new ValidationError("Invalid request", errors);
+
+    next();
+  };
+}
@@ -0,0 +1,91 @@
+import { getDb, getShallowKeys } from "../../config/firebase.js";
+
+// updateIf condition: { field: value } pairs the record must still have, or a predicate
+// called with the current record
+function matches(current, expected) {
+  if (typeof expected === "function") return Boolean(expected(current));
+  return Object.entries(expected).every(([field, value]) => current[field] === value);
+}
+
+// Generic RTDB-backed collection: one child per record under `path`.
+// list/findBy return { id: record } maps, like snapshot.val().
+export function createCollection(path) {
+  const ref = (id) => getDb().ref(id ? `${path}/${id}` : path);
+
+  return {
+    path,
+
+    async get(id) {
+      const snap = await ref(id).once("value");
+      return snap.exists() ? snap.val() : null;
+    },
+
+    async exists(id) {
+      const snap = await ref(id).once("value");
+      return snap.exists();
+    },
+
+    async list({ limitToLast } = {}) {
+      let query = ref();
+      if (limitToLast) query = query.orderByKey().limitToLast(limitToLast);
+
+      const snap = await query.once("value");
+      return snap.val() || {};
+    },
+
+    async findBy(field, value) {
+      const snap = await ref()
+        .orderByChild(field)
+        .equalTo(value)
+        .once("value");
+
+      return snap.val() || {};
+    },
+
+    // Keys only, so counting never downloads the records
+    async count() {
+      return (await getShallowKeys(path)).length;
+    },
+
+    // Push with a generated chronological key; returns the key
+    async create(data) {
+      const child = ref().push();
+      await child.set(data);
+      return child.key;
+    },
+
+    async set(id, data) {
+      await ref(id).set(data);
+    },
+
+    // Shallow merge; null values delete the field
+    async update(id, patch) {
+      await ref(id).update(patch);
+    },
+
+    // update() that only applies while the record exists and still matches `expected`, in one
+    // transaction; false when the record is gone or changed
+    async updateIf(id, expected, patch) {
+      const { committed, snapshot } = await ref(id).transaction((current) => {
+        // The first run may see an empty local cache; the server then retries with its value
+        if (current === null) return null;
+        if (!matches(current, expected)) return undefined;
+
+        const next = { ...current, ...patch };
+        for (const [field, value] of Object.entries(patch)) if (value === null) delete next[field];
+        return next;
+      });
+
+      return committed && snapshot.exists();
+    },
+
+    // { id: record } written in one multi-location update: all of them or none
+    async setMany(records) {
+      await ref().update(records);
+    },
+
+    async remove(id) {
+      await ref(id).remove();
+    }
+  };
+}
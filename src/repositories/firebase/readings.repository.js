@@ -0,0 +1,96 @@
+import { getDb } from "../../config/firebase.js";
+import { bucketStart, addToBucket, newBucket, finishBucket } from "../../utils/buckets.js";
+
+// Readings live at tenants/<tenantId>/<sensorType>/<mac>/<timestamp>
+
+// Raw readings scanned per downsampling request (RTDB cannot aggregate)
+const MAX_SCAN = Number(process.env.SENSOR_MAX_SCAN) || 100000;
+const SCAN_CHUNK = 5000;
+
+function toReading([timestamp, value]) {
+  return typeof value === "object" && value !== null
+    ? { timestamp: Number(timestamp), ...value }
+    : { timestamp: Number(timestamp), value };
+}
+
+function readingsRef(tenantId, sensorType, mac) {
+  return getDb().ref(`tenants/${tenantId}/${sensorType}/${mac}`).orderByKey();
+}
+
+export async function insertReading(tenantId, sensorType, mac, timestamp, data) {
+  await getDb().ref(`tenants/${tenantId}/${sensorType}/${mac}/${timestamp}`).set(data);
+}
+
+// Latest readings, oldest first
+export async function getLatestReadings(tenantId, sensorType, mac, limit) {
+  const snapshot = await readingsRef(tenantId, sensorType, mac)
+    .limitToLast(limit)
+    .once("value");
+
+  return Object.entries(snapshot.val() || {}).map(toReading);
+}
+
+// One page of raw readings in [from, to], oldest first; cursor is the last timestamp seen
+export async function getReadingsPage(tenantId, sensorType, mac, { from, to, cursor, limit }) {
+  let query = readingsRef(tenantId, sensorType, mac);
+
+  if (cursor !== undefined && cursor !== null) query = query.startAfter(String(cursor));
+  else if (from !== undefined) query = query.startAt(String(from));
+
+  if (to !== undefined) query = query.endAt(String(to));
+
+  const snapshot = await query.limitToFirst(limit + 1).once("value");
+  const rows = Object.entries(snapshot.val() || {}).map(toReading);
+
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    data,
+    nextCursor: hasMore ? String(data[data.length - 1].timestamp) : null
+  };
+}
+
+// Bucketed avg/min/max per interval, scanning at most MAX_SCAN readings
+export async function getDownsampledReadings(tenantId, sensorType, mac, { from, to, interval }) {
+  const buckets = new Map();
+  let cursor = null;
+  let scanned = 0;
+
+  do {
+    const page = await getReadingsPage(tenantId, sensorType, mac, {
+      from,
+      to,
+      cursor,
+      limit: SCAN_CHUNK
+    });
+
+    for (const reading of page.data) {
+      const start = bucketStart(reading.timestamp, from, interval);
+
+      if (!buckets.has(start)) buckets.set(start, newBucket());
+      addToBucket(buckets.get(start), reading);
+    }
+
+    scanned += page.data.length;
+    cursor = page.nextCursor;
+  } while (cursor && scanned < MAX_SCAN);
+
+  const data = [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([timestamp, bucket]) => finishBucket(timestamp, bucket));
+
+  return { interval, from, to, scanned, truncated: Boolean(cursor), data };
+}
+
+// Tenant purge. Readings share the tenant's node, so this also removes the tenant record;
+// counting them first would mean downloading all of them, so the count is unknown (null).
+export async function deleteTenantReadings(tenantId) {
+  await getDb().ref(`tenants/${tenantId}`).remove();
+  return null;
+}
+
+// Readiness probe: one small read
+export async function ping() {
+  await getDb().ref("system/health").once("value");
+}
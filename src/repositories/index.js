@@ -0,0 +1,149 @@
+import * as firebaseCollections from "./firebase/collection.js";
+import * as memoryCollections from "./memory/collection.js";
+import * as firebaseReadings from "./firebase/readings.repository.js";
+import * as memoryReadings from "./memory/readings.repository.js";
+import * as postgresReadings from "./postgres/readings.repository.js";
+import * as memoryCounters from "./memory/counters.repository.js";
+import * as postgresCounters from "./postgres/counters.repository.js";
+import { histogram, timed } from "../utils/metrics.js";
+
+// Records backend: "firebase" (default) or "memory" (local development, optional MEMORY_DB_FILE)
+export const DATA_BACKEND = process.env.DATA_BACKEND || "firebase";
+
+// Sensor readings backend: defaults to DATA_BACKEND, or "postgres"
+export const SENSOR_STORE = process.env.SENSOR_STORE || DATA_BACKEND;
+
+// Rate limit counters: "memory" (default, per instance) or "postgres" (shared by every instance)
+export const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+const backends = {
+  firebase: firebaseCollections,
+  memory: memoryCollections
+};
+
+const readingStores = {
+  firebase: firebaseReadings,
+  memory: memoryReadings,
+  postgres: postgresReadings
+};
+
+const counterStores = {
+  memory: memoryCounters,
+  postgres: postgresCounters
+};
+
+if (!backends[DATA_BACKEND]) {
+  throw new Error(`Unknown DATA_BACKEND "${DATA_BACKEND}" (expected firebase or memory)`);
+}
+
+if (!readingStores[SENSOR_STORE]) {
+  throw new Error(`Unknown SENSOR_STORE "${SENSOR_STORE}" (expected firebase, memory or postgres)`);
+}
+
+if (!counterStores[RATE_LIMIT_STORE]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}" (expected memory or postgres)`);
+}
+
+const dbWriteDuration = histogram("db_write_duration_seconds", "Duration of store writes by collection and operation");
+
+const WRITE_METHODS = ["create", "set", "update", "updateIf", "setMany", "remove"];
+
+// Every write is timed; the label is the top-level node, so per-device paths share one series
+function createCollection(path) {
+  const collection = backends[DATA_BACKEND].createCollection(path);
+  const name = path.split("/")[0];
+
+  for (const method of WRITE_METHODS) {
+    const write = collection[method];
+    collection[method] = (...args) => timed(dbWriteDuration, { collection: name, operation: method }, () => write(...args));
+  }
+
+  return collection;
+}
+
+export const tenantsRepository = createCollection("tenants");
+export const usersRepository = createCollection("users");
+export const facilitiesRepository = createCollection("facilities");
+
+// Building -> floor -> zone hierarchy inside a facility
+export const zonesRepository = createCollection("zones");
+export const devicesRepository = createCollection("devices_registry");
+// Named device groups of a tenant (a device is in at most one: devices_registry.groupId)
+export const deviceGroupsRepository = createCollection("device_groups");
+
+export const alertRulesRepository = createCollection("alert_rules");
+export const alertsRepository = createCollection("alerts");
+
+// Unregistered MACs waiting to be claimed, keyed by MAC
+export const pendingDevicesRepository = createCollection("pending_devices");
+
+// Tenant-defined roles (named permission sets)
+export const rolesRepository = createCollection("roles");
+
+// Pending/accepted user invitations (only the token hash is stored)
+export const invitationsRepository = createCollection("invitations");
+
+// Append-only record of administrative actions (push keys keep it chronological)
+export const auditLogRepository = createCollection("audit_log");
+
+// Soft-deleted tenants awaiting purge, then their deletion report; keyed by tenantId
+export const tenantDeletionsRepository = createCollection("tenant_deletions");
+
+// Platform state such as the one-time bootstrap marker
+export const systemRepository = createCollection("system");
+
+// Per-tenant rate limit overrides set by super admins, keyed by tenantId
+export const rateLimitsRepository = createCollection("rate_limits");
+
+// Tenant API keys for integrations (only the key hash is stored), keyed by key id
+export const apiKeysRepository = createCollection("api_keys");
+
+// Accounts for AUTH_PROVIDER=local
+export const authAccountsRepository = createCollection("auth_accounts");
+
+// Connection history is kept per device
+export function deviceConnectionsRepository(deviceId) {
+  return createCollection(`device_connections/${deviceId}`);
+}
+
+// Downlink commands, per device
+export function deviceCommandsRepository(deviceId) {
+  return createCollection(`device_commands/${deviceId}`);
+}
+
+// Commands still waiting for delivery or an ack, keyed by commandId: { deviceId, deadline }.
+// Small enough for the sweep job to read whole.
+export const openCommandsRepository = createCollection("open_commands");
+
+// Tag index of a tenant: <tag> -> { deviceId: true }
+export function deviceTagsRepository(tenantId) {
+  return createCollection(`device_tags/${tenantId}`);
+}
+
+export async function removeDeviceTagIndex(tenantId) {
+  await createCollection("device_tags").remove(tenantId);
+}
+
+// Connection and command history of a device that is being removed for good
+export async function removeDeviceHistory(deviceId) {
+  await createCollection("device_connections").remove(deviceId);
+  await createCollection("device_commands").remove(deviceId);
+}
+
+const readingStore = readingStores[SENSOR_STORE];
+
+// Round trips used by the readiness check (GET /api/monitor/health/ready)
+export async function pingDataStore() {
+  await systemRepository.get("health");
+}
+
+export async function pingSensorStore() {
+  await readingStore.ping();
+}
+
+export const readingsRepository = {
+  ...readingStore,
+  insertReading: (...args) => timed(dbWriteDuration, { collection: "readings", operation: "insert" }, () => readingStore.insertReading(...args))
+};
+
+export const rateLimitCounters = counterStores[RATE_LIMIT_STORE];
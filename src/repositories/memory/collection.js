@@ -0,0 +1,75 @@
+import { getNode, setNode, updateNode, pushKey, compareKeys } from "./store.js";
+
+// updateIf condition: { field: value } pairs the record must still have, or a predicate
+// called with the current record
+function matches(current, expected) {
+  if (typeof expected === "function") return Boolean(expected(current));
+  return Object.entries(expected).every(([field, value]) => current[field] === value);
+}
+
+// In-memory counterpart of firebase/collection.js with the same contract
+export function createCollection(path) {
+  const at = (id) => `${path}/${id}`;
+
+  return {
+    path,
+
+    async get(id) {
+      return getNode(at(id));
+    },
+
+    async exists(id) {
+      return getNode(at(id)) !== null;
+    },
+
+    async list({ limitToLast } = {}) {
+      const data = getNode(path) || {};
+      if (!limitToLast) return data;
+
+      const keys = Object.keys(data).sort(compareKeys).slice(-limitToLast);
+      return Object.fromEntries(keys.map(key => [key, data[key]]));
+    },
+
+    async findBy(field, value) {
+      const data = getNode(path) || {};
+
+      return Object.fromEntries(
+        Object.entries(data).filter(([, record]) => record?.[field] === value)
+      );
+    },
+
+    async count() {
+      return Object.keys(getNode(path) || {}).length;
+    },
+
+    async create(data) {
+      const id = pushKey();
+      setNode(at(id), data);
+      return id;
+    },
+
+    async set(id, data) {
+      setNode(at(id), data);
+    },
+
+    async update(id, patch) {
+      updateNode(at(id), patch);
+    },
+
+    async updateIf(id, expected, patch) {
+      const current = getNode(at(id));
+      if (!current || !matches(current, expected)) return false;
+
+      updateNode(at(id), patch);
+      return true;
+    },
+
+    async setMany(records) {
+      for (const [id, data] of Object.entries(records)) setNode(at(id), data);
+    },
+
+    async remove(id) {
+      setNode(at(id), null);
+    }
+  };
+}
@@ -0,0 +1,37 @@
+// Fixed-window counters for rate limiting, kept in this process only (never in MEMORY_DB_FILE).
+// Each instance counts on its own; use RATE_LIMIT_STORE=postgres to share them.
+
+// key -> { windowStart, count }
+const counters = new Map();
+
+// Expired windows are dropped every SWEEP_EVERY hits
+const SWEEP_EVERY = 1000;
+let hits = 0;
+
+function sweep(now) {
+  for (const [key, counter] of counters) {
+    if (counter.expiresAt <= now) counters.delete(key);
+  }
+}
+
+// Counts one hit in the current window of `windowMs`; returns { count, windowStart }
+export async function hit(key, windowMs, now = Date.now()) {
+  if (++hits % SWEEP_EVERY === 0) sweep(now);
+
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const counter = counters.get(key);
+
+  if (counter && counter.windowStart === windowStart) {
+    counter.count++;
+    return { count: counter.count, windowStart };
+  }
+
+  counters.set(key, { windowStart, count: 1, expiresAt: windowStart + windowMs });
+  return { count: 1, windowStart };
+}
+
+export async function reset(prefix = "") {
+  for (const key of counters.keys()) {
+    if (key.startsWith(prefix)) counters.delete(key);
+  }
+}
@@ -0,0 +1,79 @@
+import { getNode, setNode } from "./store.js";
+import { bucketStart, addToBucket, newBucket, finishBucket } from "../../utils/buckets.js";
+
+// Readings live at sensor_readings/<tenantId>/<sensorType>/<mac>/<timestamp>
+
+function toReading([timestamp, value]) {
+  return typeof value === "object" && value !== null
+    ? { timestamp: Number(timestamp), ...value }
+    : { timestamp: Number(timestamp), value };
+}
+
+function series(tenantId, sensorType, mac) {
+  const node = getNode(`sensor_readings/${tenantId}/${sensorType}/${mac}`) || {};
+
+  return Object.entries(node)
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(toReading);
+}
+
+function inRange(readings, from, to) {
+  return readings.filter(r => (from === undefined || r.timestamp >= from) && (to === undefined || r.timestamp <= to));
+}
+
+export async function insertReading(tenantId, sensorType, mac, timestamp, data) {
+  setNode(`sensor_readings/${tenantId}/${sensorType}/${mac}/${timestamp}`, data);
+}
+
+export async function getLatestReadings(tenantId, sensorType, mac, limit) {
+  return series(tenantId, sensorType, mac).slice(-limit);
+}
+
+export async function getReadingsPage(tenantId, sensorType, mac, { from, to, cursor, limit }) {
+  const after = cursor !== undefined && cursor !== null;
+
+  let readings = inRange(series(tenantId, sensorType, mac), after ? undefined : from, to);
+  if (after) readings = readings.filter(r => r.timestamp > Number(cursor));
+
+  const hasMore = readings.length > limit;
+  const data = readings.slice(0, limit);
+
+  return {
+    data,
+    nextCursor: hasMore ? String(data[data.length - 1].timestamp) : null
+  };
+}
+
+export async function getDownsampledReadings(tenantId, sensorType, mac, { from, to, interval }) {
+  const readings = inRange(series(tenantId, sensorType, mac), from, to);
+  const buckets = new Map();
+
+  for (const reading of readings) {
+    const start = bucketStart(reading.timestamp, from, interval);
+
+    if (!buckets.has(start)) buckets.set(start, newBucket());
+    addToBucket(buckets.get(start), reading);
+  }
+
+  const data = [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([timestamp, bucket]) => finishBucket(timestamp, bucket));
+
+  return { interval, from, to, scanned: readings.length, truncated: false, data };
+}
+
+// Tenant purge; returns the number of readings removed
+export async function deleteTenantReadings(tenantId) {
+  const node = getNode(`sensor_readings/${tenantId}`) || {};
+
+  const count = Object.values(node)
+    .flatMap(byMac => Object.values(byMac))
+    .reduce((sum, readings) => sum + Object.keys(readings).length, 0);
+
+  setNode(`sensor_readings/${tenantId}`, null);
+
+  return count;
+}
+
+// Nothing to reach: the store lives in this process
+export async function ping() {}
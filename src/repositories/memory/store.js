@@ -0,0 +1,137 @@
+import fs from "fs";
+import path from "path";
+
+// JSON tree shaped like an RTDB export. Loaded from MEMORY_DB_FILE when it exists,
+// otherwise from the seed fixtures; writes are flushed back to MEMORY_DB_FILE if set.
+
+const DB_FILE = process.env.MEMORY_DB_FILE ? path.resolve(process.env.MEMORY_DB_FILE) : null;
+const SEED_FILE = process.env.MEMORY_SEED_FILE
+  ? path.resolve(process.env.MEMORY_SEED_FILE)
+  : new URL("../../fixtures/seed.json", import.meta.url);
+
+const SAVE_DELAY_MS = 200;
+
+let tree = load();
+let saveTimer = null;
+let pushCounter = 0;
+
+function load() {
+  if (DB_FILE && fs.existsSync(DB_FILE)) {
+    return JSON.parse(fs.readFileSync(DB_FILE, "utf8"));
+  }
+
+  if (process.env.MEMORY_SEED === "false") return {};
+
+  return JSON.parse(fs.readFileSync(SEED_FILE, "utf8"));
+}
+
+function scheduleSave() {
+  if (!DB_FILE || saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+    fs.writeFileSync(DB_FILE, JSON.stringify(tree, null, 2));
+  }, SAVE_DELAY_MS);
+}
+
+function segments(nodePath) {
+  return nodePath.split("/").filter(Boolean);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined ||
+    (typeof value === "object" && Object.keys(value).length === 0);
+}
+
+// RTDB never stores null children
+function prune(value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) return value;
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, child]) => child !== null && child !== undefined)
+      .map(([key, child]) => [key, prune(child)])
+  );
+}
+
+export function getNode(nodePath) {
+  let node = tree;
+
+  for (const key of segments(nodePath)) {
+    if (node === null || typeof node !== "object" || !(key in node)) return null;
+    node = node[key];
+  }
+
+  return node === undefined ? null : structuredClone(node);
+}
+
+// The Firebase SDK refuses undefined anywhere in a written value; so does this store,
+// or code that only works here would fail in production
+function assertDefined(value, nodePath) {
+  if (value === undefined) throw new Error(`Write to ${nodePath} contains undefined`);
+  if (value === null || typeof value !== "object") return;
+
+  for (const [key, child] of Object.entries(value)) assertDefined(child, `${nodePath}/${key}`);
+}
+
+// null removes the node; empty parents are pruned like RTDB does
+export function setNode(nodePath, value) {
+  assertDefined(value, nodePath);
+
+  const keys = segments(nodePath);
+  const last = keys.pop();
+  const parents = [];
+  let node = tree;
+
+  for (const key of keys) {
+    if (node[key] === null || typeof node[key] !== "object") {
+      if (isEmpty(value)) return;
+      node[key] = {};
+    }
+    parents.push([node, key]);
+    node = node[key];
+  }
+
+  if (isEmpty(value)) {
+    delete node[last];
+
+    for (let i = parents.length - 1; i >= 0; i--) {
+      const [parent, key] = parents[i];
+      if (Object.keys(parent[key]).length) break;
+      delete parent[key];
+    }
+  } else {
+    node[last] = prune(structuredClone(value));
+  }
+
+  scheduleSave();
+}
+
+export function updateNode(nodePath, patch) {
+  for (const [key, value] of Object.entries(patch)) {
+    setNode(`${nodePath}/${key}`, value);
+  }
+}
+
+// Chronologically sortable keys, like RTDB push ids
+export function pushKey() {
+  pushCounter = (pushCounter + 1) % 1679616;
+  return `-${Date.now().toString(36).padStart(9, "0")}${pushCounter.toString(36).padStart(4, "0")}`;
+}
+
+// RTDB key order: integer-like keys numerically first, then strings
+export function compareKeys(a, b) {
+  const intA = /^-?\d+$/.test(a);
+  const intB = /^-?\d+$/.test(b);
+
+  if (intA && intB) return Number(a) - Number(b);
+  if (intA) return -1;
+  if (intB) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export function resetStore(data = {}) {
+  tree = structuredClone(data);
+  scheduleSave();
+}
@@ -0,0 +1,49 @@
+import { getPool, ensureSchema } from "../../config/postgres.js";
+
+// Fixed-window counters shared by every instance (rate_limit_counters, see config/postgres.schema.sql).
+// Windows are aligned to the epoch, so all instances agree on where one starts.
+
+let schemaReady = null;
+
+// Expired windows are deleted every SWEEP_EVERY hits; nothing reads them again
+const SWEEP_EVERY = 1000;
+let hits = 0;
+
+async function query(text, params) {
+  if (process.env.PG_AUTO_SCHEMA !== "false") {
+    schemaReady ??= ensureSchema().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+    await schemaReady;
+  }
+
+  return getPool().query(text, params);
+}
+
+// Counts one hit in the current window of `windowMs`; returns { count, windowStart }
+export async function hit(key, windowMs, now = Date.now()) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  if (++hits % SWEEP_EVERY === 0) {
+    query("DELETE FROM rate_limit_counters WHERE expires_at < now()").catch(() => {});
+  }
+
+  const { rows } = await query(
+    `INSERT INTO rate_limit_counters (key, window_start, count, expires_at)
+     VALUES ($1, $2, 1, $3)
+     ON CONFLICT (key) DO UPDATE SET
+       count = CASE WHEN rate_limit_counters.window_start = EXCLUDED.window_start
+                    THEN rate_limit_counters.count + 1 ELSE 1 END,
+       window_start = EXCLUDED.window_start,
+       expires_at = EXCLUDED.expires_at
+     RETURNING count`,
+    [key, windowStart, new Date(windowStart + windowMs)]
+  );
+
+  return { count: rows[0].count, windowStart };
+}
+
+export async function reset(prefix = "") {
+  await query("DELETE FROM rate_limit_counters WHERE key LIKE $1", [`${prefix.replace(/[%_\\]/g, "\\$&")}%`]);
+}
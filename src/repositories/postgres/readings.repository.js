@@ -0,0 +1,179 @@
+import { getPool, ensureSchema } from "../../config/postgres.js";
+
+// Readings live in the sensor_readings table (see config/postgres.schema.sql)
+
+let schemaReady = null;
+
+async function query(text, params) {
+  if (process.env.PG_AUTO_SCHEMA !== "false") {
+    schemaReady ??= ensureSchema().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+    await schemaReady;
+  }
+
+  return getPool().query(text, params);
+}
+
+function toReading(row) {
+  const timestamp = Number(row.ts);
+
+  return typeof row.data === "object" && row.data !== null && !Array.isArray(row.data)
+    ? { timestamp, ...row.data }
+    : { timestamp, value: row.data };
+}
+
+const EPOCH_MS = "(extract(epoch FROM recorded_at) * 1000)::bigint";
+
+export async function insertReading(tenantId, sensorType, mac, timestamp, data) {
+  await query(
+    `INSERT INTO sensor_readings (tenant_id, sensor_type, mac, recorded_at, data)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (tenant_id, sensor_type, mac, recorded_at) DO UPDATE SET data = EXCLUDED.data`,
+    [tenantId, sensorType, mac, new Date(timestamp), JSON.stringify(data)]
+  );
+}
+
+// Batch insert used by the RTDB backfill; existing rows are kept
+export async function insertReadings(rows) {
+  if (!rows.length) return 0;
+
+  const values = [];
+  const params = [];
+
+  rows.forEach((row, i) => {
+    const base = i * 5;
+    values.push(`($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5})`);
+    params.push(row.tenantId, row.sensorType, row.mac, new Date(row.timestamp), JSON.stringify(row.data));
+  });
+
+  const result = await query(
+    `INSERT INTO sensor_readings (tenant_id, sensor_type, mac, recorded_at, data)
+     VALUES ${values.join(", ")}
+     ON CONFLICT DO NOTHING`,
+    params
+  );
+
+  return result.rowCount;
+}
+
+// Latest readings, oldest first
+export async function getLatestReadings(tenantId, sensorType, mac, limit) {
+  const { rows } = await query(
+    `SELECT ${EPOCH_MS} AS ts, data FROM sensor_readings
+     WHERE tenant_id = $1 AND sensor_type = $2 AND mac = $3
+     ORDER BY recorded_at DESC
+     LIMIT $4`,
+    [tenantId, sensorType, mac, limit]
+  );
+
+  return rows.reverse().map(toReading);
+}
+
+// One page of raw readings in [from, to], oldest first; cursor is the last timestamp seen
+export async function getReadingsPage(tenantId, sensorType, mac, { from, to, cursor, limit }) {
+  const conditions = ["tenant_id = $1", "sensor_type = $2", "mac = $3"];
+  const params = [tenantId, sensorType, mac];
+
+  if (cursor !== undefined && cursor !== null) {
+    params.push(new Date(Number(cursor)));
+    conditions.push(`recorded_at > $${params.length}`);
+  } else if (from !== undefined) {
+    params.push(new Date(from));
+    conditions.push(`recorded_at >= $${params.length}`);
+  }
+
+  if (to !== undefined) {
+    params.push(new Date(to));
+    conditions.push(`recorded_at <= $${params.length}`);
+  }
+
+  params.push(limit + 1);
+
+  const { rows } = await query(
+    `SELECT ${EPOCH_MS} AS ts, data FROM sensor_readings
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY recorded_at ASC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const readings = rows.map(toReading);
+  const hasMore = readings.length > limit;
+  const data = hasMore ? readings.slice(0, limit) : readings;
+
+  return {
+    data,
+    nextCursor: hasMore ? String(data[data.length - 1].timestamp) : null
+  };
+}
+
+// Bucketed avg/min/max per interval, aggregated in the database
+export async function getDownsampledReadings(tenantId, sensorType, mac, { from, to, interval }) {
+  const params = [tenantId, sensorType, mac, new Date(from), new Date(to), from, interval];
+
+  const inRange = `
+    SELECT
+      $6::bigint + floor((${EPOCH_MS} - $6::bigint) / $7::float8)::bigint * $7::bigint AS bucket,
+      CASE WHEN jsonb_typeof(data) = 'object' THEN data ELSE jsonb_build_object('value', data) END AS fields
+    FROM sensor_readings
+    WHERE tenant_id = $1 AND sensor_type = $2 AND mac = $3
+      AND recorded_at >= $4 AND recorded_at <= $5`;
+
+  const [counts, stats] = await Promise.all([
+    query(
+      `SELECT bucket, count(*) AS count FROM (${inRange}) r GROUP BY bucket ORDER BY bucket`,
+      params
+    ),
+    query(
+      `SELECT r.bucket, f.key AS field,
+              avg(v.num) AS avg, min(v.num) AS min, max(v.num) AS max
+       FROM (${inRange}) r
+       CROSS JOIN LATERAL jsonb_each(r.fields) f
+       CROSS JOIN LATERAL (
+         SELECT (f.value #>> '{}')::float8 AS num
+         WHERE jsonb_typeof(f.value) = 'number'
+            OR (jsonb_typeof(f.value) = 'string' AND f.value #>> '{}' ~ '^-?[0-9]+(\\.[0-9]+)?$')
+       ) v
+       GROUP BY r.bucket, f.key`,
+      params
+    )
+  ]);
+
+  const buckets = new Map(
+    counts.rows.map(row => [
+      Number(row.bucket),
+      { timestamp: Number(row.bucket), count: Number(row.count), avg: {}, min: {}, max: {} }
+    ])
+  );
+
+  for (const row of stats.rows) {
+    const bucket = buckets.get(Number(row.bucket));
+    bucket.avg[row.field] = Number(row.avg);
+    bucket.min[row.field] = Number(row.min);
+    bucket.max[row.field] = Number(row.max);
+  }
+
+  const data = [...buckets.values()];
+
+  return {
+    interval,
+    from,
+    to,
+    scanned: data.reduce((sum, b) => sum + b.count, 0),
+    truncated: false,
+    data
+  };
+}
+
+// Tenant purge; returns the number of readings removed
+export async function deleteTenantReadings(tenantId) {
+  const result = await query("DELETE FROM sensor_readings WHERE tenant_id = $1", [tenantId]);
+  return result.rowCount;
+}
+
+// Readiness probe; does not wait for the schema
+export async function ping() {
+  await getPool().query("SELECT 1");
+}
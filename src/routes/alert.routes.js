@@ -0,0 +1,49 @@
+import express from "express";
+import {verifyToken} from "../middleware/auth.middleware.js";
+import requirePermission from "../middleware/rbac.middleware.js";
+import {
+  createRule,
+  getRules,
+  getRuleById,
+  updateRule,
+  deleteRule,
+  getAlerts,
+  getAlertById,
+  acknowledgeAlert,
+  resolveAlert
+} from "../controller/alert.controller.js";
+import requireOwnership from "../middleware/ownership.middleware.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/alert.schemas.js";
+
+const router = express.Router();
+
+const ownRule = requireOwnership("rule");
+const ownAlert = requireOwnership("alert");
+
+// Alert rules
+router.get("/rules", verifyToken, requirePermission("alert:read"), validate(schemas.listRules), getRules);
+router.post("/rules", verifyToken, requirePermission("rule:write"), validate(schemas.createRule), createRule);
+router.get("/rules/:ruleId", verifyToken, requirePermission("alert:read"), validate(schemas.ruleById), ownRule, getRuleById);
+router.patch("/rules/:ruleId", verifyToken, requirePermission("rule:write"), validate(schemas.updateRule), ownRule, updateRule);
+router.delete("/rules/:ruleId", verifyToken, requirePermission("rule:write"), validate(schemas.ruleById), ownRule, deleteRule);
+
+// Triggered alerts
+router.get("/", verifyToken, requirePermission("alert:read"), validate(schemas.listAlerts), getAlerts);
+router.get("/:alertId", verifyToken, requirePermission("alert:read"), validate(schemas.alertById), ownAlert, getAlertById);
+router.post("/:alertId/acknowledge", verifyToken, requirePermission("alert:manage"), validate(schemas.alertById), ownAlert, acknowledgeAlert);
+router.post("/:alertId/resolve", verifyToken, requirePermission("alert:manage"), validate(schemas.alertById), ownAlert, resolveAlert);
+
+export default router;
+
+/*
+GET /api/alerts/rules	List alert rules (?sensorType=&deviceId=)
+POST /api/alerts/rules	Create rule
+GET /api/alerts/rules/:ruleId	Get rule
+PATCH /api/alerts/rules/:ruleId	Update rule
+DELETE /api/alerts/rules/:ruleId	Delete rule
+GET /api/alerts	List alerts (?state=&deviceId=&facilityId=&sensorType=&ruleId=)
+GET /api/alerts/:alertId	Get alert
+POST /api/alerts/:alertId/acknowledge	Acknowledge open alert
+POST /api/alerts/:alertId/resolve	Resolve alert
+*/
@@ -0,0 +1,33 @@
+import express from "express";
+import {verifyToken} from "../middleware/auth.middleware.js";
+import requirePermission from "../middleware/rbac.middleware.js";
+import requireOwnership from "../middleware/ownership.middleware.js";
+import {
+  getApiKeys,
+  getApiKeyById,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} from "../controller/apikey.controller.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/apikey.schemas.js";
+
+const router = express.Router();
+
+const ownKey = requireOwnership("apiKey", { key: "keyId" });
+
+router.get("/", verifyToken, requirePermission("apikey:manage"), validate(schemas.listApiKeys), getApiKeys);
+router.post("/", verifyToken, requirePermission("apikey:manage"), validate(schemas.createApiKey), createApiKey);
+router.get("/:keyId", verifyToken, requirePermission("apikey:manage"), validate(schemas.apiKeyById), ownKey, getApiKeyById);
+router.patch("/:keyId", verifyToken, requirePermission("apikey:manage"), validate(schemas.updateApiKey), ownKey, updateApiKey);
+router.delete("/:keyId", verifyToken, requirePermission("apikey:manage"), validate(schemas.apiKeyById), ownKey, revokeApiKey);
+
+export default router;
+
+/*
+GET /api/api-keys	API keys of the tenant (?status=active|revoked, ?tenantId= for super admins)
+POST /api/api-keys	Create key { name, permissions, facilityId?, readOnly? }; the key is only returned here
+GET /api/api-keys/:keyId	Get key (never the key itself)
+PATCH /api/api-keys/:keyId	Rename or re-scope key
+DELETE /api/api-keys/:keyId	Revoke key
+*/
@@ -0,0 +1,20 @@
+import express from "express";
+import {verifyToken} from "../middleware/auth.middleware.js";
+import requirePermission from "../middleware/rbac.middleware.js";
+import { getAuditLog } from "../controller/audit.controller.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/audit.schemas.js";
+
+const router = express.Router();
+
+// Read-only: entries are only ever appended by the actions themselves
+router.get("/", verifyToken, requirePermission("audit:read"), validate(schemas.queryAuditLog), getAuditLog);
+
+export default router;
+
+/*
+GET /api/audit	Audit entries, newest first
+	?action=device (prefix) or device.delete, ?actorUid=, ?targetType=, ?targetId=
+	?from=&to= (epoch ms), ?limit= (max 500), ?cursor= (nextCursor of the previous page)
+	?tenantId= (super admins; others always see their own tenant)
+*/
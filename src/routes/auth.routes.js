@@ -0,0 +1,15 @@
+import express from "express";
+import { localLogin } from "../controller/auth.controller.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/auth.schemas.js";
+
+const router = express.Router();
+
+// Email/password -> ID token for the local auth provider (Firebase clients sign in with the Firebase SDK)
+router.post("/login", validate(schemas.login), localLogin);
+
+export default router;
+
+/*
+POST /api/auth/login	Local ID token (AUTH_PROVIDER=local)
+*/
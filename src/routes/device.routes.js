@@ -1,8 +1,18 @@
 import express from "express";
 import {verifyToken} from "../middleware/auth.middleware.js";
-import requireRole from "../middleware/rbac.middleware.js";
-import { db } from "../config/firebase.js";
-import { getDeviceSensorData } from "../controller/sensor.controller.js";
+import requirePermission from "../middleware/rbac.middleware.js";
+import requireOwnership from "../middleware/ownership.middleware.js";
+import { getDeviceSensorData, getSensorSeries } from "../controller/sensor.controller.js";
+import {
+  getPendingDevices,
+  claimPendingDevice,
+  rejectPendingDevice,
+  blockPendingDevice,
+  unblockPendingDevice
+} from "../controller/pending.controller.js";
+import { getGroups, getGroup, createGroup, updateGroup, deleteGroup } from "../controller/group.controller.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/device.schemas.js";
 
 const router = express.Router();
 
@@ -10,62 +20,138 @@ const router = express.Router();
 router.post(
   "/register",
   verifyToken,
-  requireRole(["tenant_admin"]),
-  async (req, res) => {
-
-    const { mac, name,facilityId } = req.body;
-    const tenantId = req.user.tenantId;
-    
-
-    const ref = db.ref("devices_registry").push();
-
-    await ref.set({
-      mac,
-      name,
-      tenantId,
-      facilityId
-    });
-
-    res.json({ success: true });
-  }
+  requirePermission("device:register"),
+  validate(schemas.registerDevice),
+  requireOwnership("facility", { from: "body", optional: true }),
+  registerDevice
 );
 
 import {
+  registerDevice,
   getAllDevices,
   getTenantDevices,
   getDeviceById,
+  importDevices,
+  exportDevices,
   updateDevice,
-  deleteDevice
+  deleteDevice,
+  rotateDeviceCredential,
+  revokeDeviceCredential,
+  getDeviceConnections,
+  sendDeviceCommand,
+  getDeviceCommands,
+  getDeviceCommand
 } from "../controller/device.controller.js";
 
 
-router.get("/all", verifyToken, getAllDevices); // super admin
+router.get("/all", verifyToken, requirePermission("device:read"), validate(schemas.listDevices), getAllDevices); // everything in the caller's scope
+
+// Bulk onboarding and inventory export (CSV or JSON, same rows)
+router.post("/import", verifyToken, requirePermission("device:register"), validate(schemas.importDevices), importDevices);
+router.get("/export", verifyToken, requirePermission("device:read"), validate(schemas.exportDevices), exportDevices);
+
+// Named device groups of a tenant (devices join one with PATCH /:deviceId { groupId })
+const ownGroup = requireOwnership("group");
+
+router.get("/groups", verifyToken, requirePermission("device:read"), validate(schemas.listGroups), getGroups);
+router.post("/groups", verifyToken, requirePermission("device:group"), validate(schemas.createGroup), createGroup);
+router.get("/groups/:groupId", verifyToken, requirePermission("device:read"), validate(schemas.groupById), ownGroup, getGroup);
+router.patch("/groups/:groupId", verifyToken, requirePermission("device:group"), validate(schemas.updateGroup), ownGroup, updateGroup);
+router.delete("/groups/:groupId", verifyToken, requirePermission("device:group"), validate(schemas.groupById), ownGroup, deleteGroup);
+
+// Pending (unregistered) devices
+router.get("/pending", verifyToken, requirePermission("device:pending"), validate(schemas.listPending), getPendingDevices);
+router.post("/pending/claim", verifyToken, requirePermission("device:claim"), validate(schemas.claimPending), claimPendingDevice);
+router.post("/pending/:mac/reject", verifyToken, requirePermission("device:pending"), validate(schemas.pendingByMac), rejectPendingDevice);
+router.post("/pending/:mac/block", verifyToken, requirePermission("device:pending"), validate(schemas.pendingByMac), blockPendingDevice);
+router.post("/pending/:mac/unblock", verifyToken, requirePermission("device:pending"), validate(schemas.pendingByMac), unblockPendingDevice);
+
+
+// Everything below that targets :deviceId is limited to the caller's tenant/facility
+const ownDevice = requireOwnership("device");
+
+router.get("/:deviceId", verifyToken, requirePermission("device:read"), validate(schemas.deviceById), ownDevice, getDeviceById);
 
+router.get("/:deviceId/connections", verifyToken, requirePermission("device:read"), validate(schemas.listConnections), ownDevice, getDeviceConnections);
 
-router.get("/:deviceId", verifyToken, getDeviceById);
+// Downlink commands (relays, sirens, locks); queued while the device is offline
+router.post(
+  "/:deviceId/commands",
+  verifyToken,
+  requirePermission("device:command"),
+  validate(schemas.sendCommand),
+  ownDevice,
+  sendDeviceCommand
+);
+
+router.get("/:deviceId/commands", verifyToken, requirePermission("device:read"), validate(schemas.listCommands), ownDevice, getDeviceCommands);
+
+router.get("/:deviceId/commands/:commandId", verifyToken, requirePermission("device:read"), validate(schemas.commandById), ownDevice, getDeviceCommand);
+
+router.patch("/:deviceId", verifyToken, requirePermission("device:write"), validate(schemas.updateDevice), ownDevice, updateDevice);
 
-router.patch("/:deviceId", verifyToken, updateDevice);
+router.delete("/:deviceId", verifyToken, requirePermission("device:delete"), validate(schemas.deviceById), ownDevice, deleteDevice);
 
-router.delete("/:deviceId", verifyToken, deleteDevice);
+// Device credentials (issue a new secret / revoke the current one)
+router.post(
+  "/:deviceId/credentials/rotate",
+  verifyToken,
+  requirePermission("device:credentials"),
+  validate(schemas.deviceById),
+  ownDevice,
+  rotateDeviceCredential
+);
+
+router.delete(
+  "/:deviceId/credentials",
+  verifyToken,
+  requirePermission("device:credentials"),
+  validate(schemas.deviceById),
+  ownDevice,
+  revokeDeviceCredential
+);
 
 // Get Tenant Devices (Frontend - GET /api/devices -- Authorization: Bearer <idToken>)
-router.get("/", verifyToken, getTenantDevices);
+router.get("/", verifyToken, requirePermission("device:read"), validate(schemas.listDevices), getTenantDevices);
+// Aligned multi-device series (Frontend - GET /api/devices/pzem/series?macs=AA:..,BB:..&from=&to=&interval=5m)
+router.get("/:sensorType/series", verifyToken, requirePermission("sensor:read"), validate(schemas.sensorSeries), getSensorSeries);
 // Get Sensor Data (Frontend - GET /api/devices/pzem/AA:BB:CC:DD:EE:FF --Authorization: Bearer <idToken>)
-router.get("/:sensorType/:mac", verifyToken, getDeviceSensorData);
+// Optional ?from=&to=&limit=&cursor= for paging, ?interval=5m for downsampled buckets
+router.get("/:sensorType/:mac", verifyToken, requirePermission("sensor:read"), validate(schemas.sensorData), requireOwnership("deviceMac", { key: "mac" }), getDeviceSensorData);
 
 /*
-GET /api/devices	Get all devices (super_admin)
-GET /api/devices/tenant	Get devices of logged-in tenant
+GET /api/devices/all	Get all devices in the caller's scope (filters, sort and paging as below)
+GET /api/devices	Get devices of the caller's tenant (?facilityId=&zoneId=&groupId=&tag=&status=&sensorType=&q=&sort=&order=&limit=&cursor=)
+GET /api/devices/groups	Device groups (?tenantId= for super admins)
+POST /api/devices/groups	Create group { name, description, tenantId (super admin) }
+GET /api/devices/groups/:groupId	Get group
+PATCH /api/devices/groups/:groupId	Rename / describe group
+DELETE /api/devices/groups/:groupId	Delete group (its devices leave it)
+POST /api/devices/import	Bulk register from CSV / JSON rows (dryRun reports problems)
+GET /api/devices/export	Device inventory as CSV / JSON (?format=)
+GET /api/devices/pending	Unclaimed devices (super_admin)
+POST /api/devices/pending/claim	Claim by mac or claimCode
+POST /api/devices/pending/:mac/reject	Drop pending entry
+POST /api/devices/pending/:mac/block	Block MAC
+POST /api/devices/pending/:mac/unblock	Unblock MAC
 GET /api/devices/:deviceId	Get single device
-PATCH /api/devices/:deviceId	Update device name
+GET /api/devices/:deviceId/connections	Connection history
+POST /api/devices/:deviceId/commands	Send command to device
+GET /api/devices/:deviceId/commands	Command history (?status=&limit=)
+GET /api/devices/:deviceId/commands/:commandId	Single command
+GET /api/devices/:sensorType/:mac	Sensor history (latest / paged / downsampled)
+GET /api/devices/:sensorType/series	Aligned series for several MACs or a facility / zone
+PATCH /api/devices/:deviceId	Update device name / zone / group / tags
 DELETE /api/devices/:deviceId	Delete device
+POST /api/devices/:deviceId/credentials/rotate	Issue new device secret
+DELETE /api/devices/:deviceId/credentials	Revoke device secret
 */
 
 
 import { addDevice,getDevices } from "../controller/device.controller.js";
 
 // NEW FACILITY DEVICE ADD API
-router.post("/", verifyToken, requireRole("facility_admin"), addDevice);
-router.get("/", verifyToken, getDevices);
+router.post("/", verifyToken, requirePermission("device:register"), validate(schemas.addDevice), addDevice);
+router.get("/", verifyToken, requirePermission("device:read"), validate(schemas.listDevices), getDevices);
 
 export default router;
\ No newline at end of file
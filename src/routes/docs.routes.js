@@ -0,0 +1,41 @@
+import express from "express";
+import { getOpenApiSpec } from "../docs/openapi.js";
+
+const router = express.Router();
+
+// Swagger UI is loaded from a CDN so the backend needs no extra dependency. The version is
+// pinned and the browser checks each file against its hash (Subresource Integrity), so a
+// changed CDN file is refused instead of run. Upgrading means updating all three.
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5.33.1";
+
+const INTEGRITY = {
+  css: "sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW",
+  js: "sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw"
+};
+
+const DOCS_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>PR Warehouse Security API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" integrity="${INTEGRITY.css}" crossorigin="anonymous">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js" integrity="${INTEGRITY.js}" crossorigin="anonymous"></script>
+  <script>
+    SwaggerUIBundle({ url: "openapi.json", dom_id: "#docs", persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// Machine-readable spec (OpenAPI 3.0) and a browsable page on top of it; both public
+router.get("/openapi.json", (req, res) => {
+  res.json(getOpenApiSpec());
+});
+
+router.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+
+export default router;
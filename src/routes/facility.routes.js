@@ -1,11 +1,47 @@
 import express from "express";
 import {verifyToken} from "../middleware/auth.middleware.js";
-import requireRole from "../middleware/rbac.middleware.js";
-import {createFacility,getFacilities} from "../controller/facility.controller.js";
+import requirePermission from "../middleware/rbac.middleware.js";
+import requireOwnership from "../middleware/ownership.middleware.js";
+import {
+    createFacility,
+    getFacilities,
+    getFacility,
+    updateFacility,
+    deleteFacility
+} from "../controller/facility.controller.js";
+import { getZones, getZone, createZone, updateZone, deleteZone } from "../controller/zone.controller.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/facility.schemas.js";
 
 const router = express.Router();
 
-router.post("/",verifyToken,requireRole("tenant_admin"),createFacility);
-router.get("/",verifyToken,getFacilities);
+const ownFacility = requireOwnership("facility");
+const ownZone = requireOwnership("zone");
 
-export default router;
\ No newline at end of file
+router.post("/",verifyToken,requirePermission("facility:create"),validate(schemas.createFacility),createFacility);
+router.get("/",verifyToken,requirePermission("facility:read"),validate(schemas.listFacilities),getFacilities);
+router.get("/:facilityId",verifyToken,requirePermission("facility:read"),validate(schemas.facilityById),ownFacility,getFacility);
+router.patch("/:facilityId",verifyToken,requirePermission("facility:update"),validate(schemas.updateFacility),ownFacility,updateFacility);
+router.delete("/:facilityId",verifyToken,requirePermission("facility:delete"),validate(schemas.deleteFacility),ownFacility,deleteFacility);
+
+// Zones (building -> floor -> zone) inside a facility
+router.get("/:facilityId/zones",verifyToken,requirePermission("facility:read"),validate(schemas.listZones),ownFacility,getZones);
+router.post("/:facilityId/zones",verifyToken,requirePermission("facility:update"),validate(schemas.createZone),ownFacility,createZone);
+router.get("/:facilityId/zones/:zoneId",verifyToken,requirePermission("facility:read"),validate(schemas.zoneById),ownFacility,ownZone,getZone);
+router.patch("/:facilityId/zones/:zoneId",verifyToken,requirePermission("facility:update"),validate(schemas.updateZone),ownFacility,ownZone,updateZone);
+router.delete("/:facilityId/zones/:zoneId",verifyToken,requirePermission("facility:update"),validate(schemas.zoneById),ownFacility,ownZone,deleteZone);
+
+export default router;
+
+/*
+POST /api/facilities	Create facility { name, address, tenantId (super admin) }
+GET /api/facilities	Facilities in the caller's scope (?tenantId= for super admins)
+GET /api/facilities/:facilityId	Get facility
+PATCH /api/facilities/:facilityId	Rename / change address
+DELETE /api/facilities/:facilityId	Delete (?strategy=cascade, or ?strategy=reassign&reassignTo=<facilityId>)
+GET /api/facilities/:facilityId/zones	Zones, outermost first (parentId links the tree)
+POST /api/facilities/:facilityId/zones	Create zone { name, type: building|floor|zone, parentId }
+GET /api/facilities/:facilityId/zones/:zoneId	Get zone
+PATCH /api/facilities/:facilityId/zones/:zoneId	Rename / move zone
+DELETE /api/facilities/:facilityId/zones/:zoneId	Delete zone (no child zones; its devices leave the zone)
+*/
@@ -0,0 +1,38 @@
+import express from "express";
+import {verifyToken} from "../middleware/auth.middleware.js";
+import requirePermission from "../middleware/rbac.middleware.js";
+import requireOwnership from "../middleware/ownership.middleware.js";
+import {
+  createInvitation,
+  getInvitations,
+  getInvitationById,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation
+} from "../controller/invitation.controller.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/invitation.schemas.js";
+
+const router = express.Router();
+
+const ownInvitation = requireOwnership("invitation");
+
+// Invitee sets their own password with the token from the e-mail
+router.post("/accept", validate(schemas.acceptInvitation), acceptInvitation);
+
+router.post("/", verifyToken, requirePermission("user:invite"), validate(schemas.createInvitation), createInvitation);
+router.get("/", verifyToken, requirePermission("user:invite"), validate(schemas.listInvitations), getInvitations);
+router.get("/:invitationId", verifyToken, requirePermission("user:invite"), validate(schemas.invitationById), ownInvitation, getInvitationById);
+router.post("/:invitationId/resend", verifyToken, requirePermission("user:invite"), validate(schemas.invitationById), ownInvitation, resendInvitation);
+router.delete("/:invitationId", verifyToken, requirePermission("user:invite"), validate(schemas.invitationById), ownInvitation, revokeInvitation);
+
+export default router;
+
+/*
+POST /api/invitations	Invite { email, role, facilityId, tenantId (super admin) }
+GET /api/invitations	List (?status=pending|expired|accepted|revoked|all, default pending)
+GET /api/invitations/:invitationId	Get invitation
+POST /api/invitations/:invitationId/resend	New link + expiry, old link stops working
+DELETE /api/invitations/:invitationId	Revoke
+POST /api/invitations/accept	{ token, password } -> creates the account (no auth)
+*/
@@ -0,0 +1,16 @@
+import express from "express";
+const router = express.Router();
+
+import { requireMetricsToken } from "../middleware/metrics.middleware.js";
+import { getMetrics } from "../controller/monitor.controller.js";
+
+
+// Prometheus text format; mounted at /metrics, outside /api, where scrapers look by default
+router.get("/", requireMetricsToken, getMetrics);
+
+export default router;
+
+/*
+API	Purpose
+GET /metrics	Prometheus metrics (bearer METRICS_TOKEN when set)
+*/
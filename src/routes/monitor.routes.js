@@ -2,8 +2,11 @@ import express from "express";
 const router = express.Router();
 
 import {verifyToken} from "../middleware/auth.middleware.js";
+import requirePermission from "../middleware/rbac.middleware.js";
 
 import {
+  liveness,
+  readiness,
   backendHealth,
   frontendHealth,
   getDevicesCount,
@@ -12,23 +15,32 @@ import {
 } from "../controller/monitor.controller.js";
 
 
+// Probes for orchestrators: live = process answers, ready = stores and WebSockets answer (503 otherwise)
+router.get("/health/live", liveness);
+
+router.get("/health/ready", readiness);
+
 router.get("/health", backendHealth);
 
 router.get("/frontend", frontendHealth);
 
-router.get("/devices-count", verifyToken, getDevicesCount);
+// Platform-wide numbers
+router.get("/devices-count", verifyToken, requirePermission("monitor:read"), getDevicesCount);
 
-router.get("/tenants-count", verifyToken, getTenantsCount);
+router.get("/tenants-count", verifyToken, requirePermission("monitor:read"), getTenantsCount);
 
-router.get("/stats", verifyToken, getSystemStats);
+router.get("/stats", verifyToken, requirePermission("monitor:read"), getSystemStats);
 
 export default router;
 
 /*
 API	Purpose
-GET /api/monitor/health	Backend status
+GET /api/monitor/health/live	Liveness probe
+GET /api/monitor/health/ready	Readiness probe (503 when a dependency is down)
+GET /api/monitor/health	Backend status (readiness checks)
 GET /api/monitor/stats	System statistics
 GET /api/monitor/frontend	Frontend status
 GET /api/monitor/devices-count	Total devices
 GET /api/monitor/tenants-count	Total tenants
+GET /metrics	Prometheus metrics
 */
\ No newline at end of file
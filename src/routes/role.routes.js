@@ -0,0 +1,37 @@
+import express from "express";
+import {verifyToken} from "../middleware/auth.middleware.js";
+import requirePermission from "../middleware/rbac.middleware.js";
+import requireOwnership from "../middleware/ownership.middleware.js";
+import {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole
+} from "../controller/role.controller.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/role.schemas.js";
+
+const router = express.Router();
+
+const ownRole = requireOwnership("role", { key: "roleId" });
+
+router.get("/permissions", verifyToken, getPermissions);
+
+router.get("/", verifyToken, requirePermission("role:read"), validate(schemas.listRoles), getRoles);
+router.post("/", verifyToken, requirePermission("role:write"), validate(schemas.createRole), createRole);
+router.get("/:roleId", verifyToken, requirePermission("role:read"), validate(schemas.roleById), ownRole, getRoleById);
+router.patch("/:roleId", verifyToken, requirePermission("role:write"), validate(schemas.updateRole), ownRole, updateRole);
+router.delete("/:roleId", verifyToken, requirePermission("role:write"), validate(schemas.roleById), ownRole, deleteRole);
+
+export default router;
+
+/*
+GET /api/roles/permissions	All permission names
+GET /api/roles	Built-in roles + custom roles of the tenant (?tenantId= for super admins)
+POST /api/roles	Create custom role { name, description, permissions }
+GET /api/roles/:roleId	Get custom role
+PATCH /api/roles/:roleId	Update custom role
+DELETE /api/roles/:roleId	Delete custom role
+*/
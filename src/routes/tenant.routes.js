@@ -1,43 +1,104 @@
 import express from "express";
 import {verifyToken} from"../middleware/auth.middleware.js";
-import requireRole from"../middleware/rbac.middleware.js";
-import { db } from "../config/firebase.js";
-import { inviteTenantAdmin,updateTenant,deleteTenant,getTenantDevices,removeDeviceFromTenant,assignDeviceToTenant,getAllTenants,getTenantById } from "../controller/tenant.controller.js";
+import requirePermission from "../middleware/rbac.middleware.js";
+import requireOwnership from "../middleware/ownership.middleware.js";
+import { tenantsRepository } from "../repositories/index.js";
+import { recordAudit } from "../services/audit.service.js";
+import { inviteTenantAdmin,updateTenant,deleteTenant,restoreTenant,getTenantDeletions,getTenantDeletion,getTenantDevices,removeDeviceFromTenant,assignDeviceToTenant,getAllTenants,getTenantById,getTenantRateLimits,setTenantRateLimits,clearTenantRateLimits } from "../controller/tenant.controller.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/tenant.schemas.js";
 
 const router = express.Router();
 // Create a new tenant
 router.post(
   "/create",
   verifyToken,
-  requireRole(["super_admin"]),
+  requirePermission("tenant:create"),
+  validate(schemas.createTenant),
   async (req, res) => {
 
-    const ref = db.ref("tenants").push();
-
-    await ref.set({
+    const tenant = {
       name: req.body.name,
       createdAt: Date.now()
+    };
+
+    const tenantId = await tenantsRepository.create(tenant);
+
+    await recordAudit(req, {
+      action: "tenant.create",
+      targetType: "tenant",
+      targetId: tenantId,
+      tenantId,
+      after: tenant
     });
 
-    res.json({ tenantId: ref.key });
+    res.json({ tenantId });
   }
 );
 
 
-router.get("/:tenantId/devices", verifyToken, getTenantDevices);
+router.get(
+  "/:tenantId/devices",
+  verifyToken,
+  requirePermission("device:read"),
+  validate(schemas.tenantById),
+  requireOwnership("tenant"),
+  getTenantDevices
+);
 
-router.post("/:tenantId/devices/assign", verifyToken, assignDeviceToTenant);
+// Moving a device between tenants is a platform operation
+router.post(
+  "/:tenantId/devices/assign",
+  verifyToken,
+  requirePermission("device:assign"),
+  validate(schemas.assignDevice),
+  requireOwnership("tenant"),
+  assignDeviceToTenant
+);
 
-router.delete("/:tenantId/devices/:deviceId", verifyToken, removeDeviceFromTenant);
+router.delete(
+  "/:tenantId/devices/:deviceId",
+  verifyToken,
+  requirePermission("device:detach"),
+  validate(schemas.detachDevice),
+  requireOwnership("tenant"),
+  requireOwnership("device"),
+  removeDeviceFromTenant
+);
 
 // Invite Tenant Admin Through Super Admin (FrontEnd - /api/tenants/invite-admin (pass parameters accordingly))
-router.post("/invite-admin", verifyToken, inviteTenantAdmin);
+router.post(
+  "/invite-admin",
+  verifyToken,
+  requirePermission("user:invite"),
+  validate(schemas.inviteAdmin),
+  requireOwnership("tenant", { from: "body" }),
+  inviteTenantAdmin
+);
+
+
+// Soft-delete state and purge reports (outlive the tenant record)
+router.get(
+  "/deletions",
+  verifyToken,
+  requirePermission("tenant:delete"),
+  validate(schemas.listDeletions),
+  getTenantDeletions
+);
 
+router.get(
+  "/deletions/:tenantId",
+  verifyToken,
+  requirePermission("tenant:delete"),
+  validate(schemas.tenantById),
+  getTenantDeletion
+);
 
 // GET ALL TENANTS
 router.get(
   "/",
   verifyToken,
+  requirePermission("tenant:read"),
   getAllTenants
 );
 
@@ -45,6 +106,9 @@ router.get(
 router.get(
   "/:tenantId",
   verifyToken,
+  requirePermission("tenant:read"),
+  validate(schemas.tenantById),
+  requireOwnership("tenant"),
   getTenantById
 );
 
@@ -52,16 +116,56 @@ router.get(
 router.patch(
   "/:tenantId",
   verifyToken,
-  requireRole(["super_admin"]),
+  requirePermission("tenant:update"),
+  validate(schemas.updateTenant),
   updateTenant
 );
 
-// DELETE TENANT
+// DELETE TENANT (suspend, purge after TENANT_PURGE_GRACE_DAYS)
 router.delete(
   "/:tenantId",
   verifyToken,
-  requireRole(["super_admin"]),
+  requirePermission("tenant:delete"),
+  validate(schemas.tenantById),
   deleteTenant
 );
 
+// RESTORE A DELETED TENANT (before the purge)
+router.post(
+  "/:tenantId/restore",
+  verifyToken,
+  requirePermission("tenant:delete"),
+  validate(schemas.tenantById),
+  requireOwnership("tenant"),
+  restoreTenant
+);
+
+// RATE LIMIT OVERRIDES (defaults: RATE_LIMIT_* env)
+router.get(
+  "/:tenantId/rate-limits",
+  verifyToken,
+  requirePermission("tenant:limits"),
+  validate(schemas.tenantById),
+  requireOwnership("tenant"),
+  getTenantRateLimits
+);
+
+router.put(
+  "/:tenantId/rate-limits",
+  verifyToken,
+  requirePermission("tenant:limits"),
+  validate(schemas.setRateLimits),
+  requireOwnership("tenant"),
+  setTenantRateLimits
+);
+
+router.delete(
+  "/:tenantId/rate-limits",
+  verifyToken,
+  requirePermission("tenant:limits"),
+  validate(schemas.tenantById),
+  requireOwnership("tenant"),
+  clearTenantRateLimits
+);
+
 export default router;
\ No newline at end of file
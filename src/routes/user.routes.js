@@ -1,7 +1,9 @@
 import express from "express";
 const router = express.Router();
-import requireRole from "../middleware/rbac.middleware.js";
+import requirePermission from "../middleware/rbac.middleware.js";
 import {verifyToken} from "../middleware/auth.middleware.js";
+import requireOwnership from "../middleware/ownership.middleware.js";
+import requireSetupToken, { claimSetupToken } from "../middleware/setup.middleware.js";
 
 import {
   getAllUsers,
@@ -11,37 +13,83 @@ import {
   deleteUser,
   setRoles,
   createSuperAdmin,
-  createTenantAdmin
+  createTenantAdmin,
+  bootstrapSuperAdmin,
+  getMyPermissions,
+  assignCustomRole
 } from "../controller/user.controller.js";
+import validate from "../middleware/validate.middleware.js";
+import * as schemas from "../validation/user.schemas.js";
+
+// Re-sync auth claims from users/<uid>
+router.post(
+  "/auth/setClaims",
+  verifyToken,
+  requirePermission("user:role"),
+  validate(schemas.setClaims),
+  requireOwnership("user", { from: "body", key: "uid" }),
+  setRoles
+);
 
-router.post("/auth/setClaims",setRoles)
+// Caller's effective permissions (frontend hides actions it can't perform)
+router.get("/me/permissions", verifyToken, getMyPermissions);
 
-router.get("/", verifyToken, getAllUsers);
+router.get("/", verifyToken, requirePermission("user:read"), getAllUsers);
 
-router.get("/tenant/:tenantId", verifyToken, getUsersByTenant);
+router.get("/tenant/:tenantId", verifyToken, requirePermission("user:read"), validate(schemas.usersByTenant), requireOwnership("tenant"), getUsersByTenant);
 
-router.patch("/:uid/role", verifyToken, updateUserRole);
+router.patch("/:uid/role", verifyToken, requirePermission("user:role"), validate(schemas.updateRole), requireOwnership("user", { key: "uid" }), updateUserRole);
 
-router.patch("/:uid/email", verifyToken, updateUserEmail);
+router.patch("/:uid/email", verifyToken, requirePermission("user:write"), validate(schemas.updateEmail), requireOwnership("user", { key: "uid" }), updateUserEmail);
 
-router.delete("/:uid", verifyToken, deleteUser);
+router.delete("/:uid", verifyToken, requirePermission("user:delete"), validate(schemas.userById), requireOwnership("user", { key: "uid" }), deleteUser);
 
-router.post("/create-super-admin", createSuperAdmin);
+// Custom role ({ roleId } or { roleId: null } to go back to the built-in role's permissions)
+router.patch(
+  "/:uid/custom-role",
+  verifyToken,
+  requirePermission("user:assign"),
+  validate(schemas.assignCustomRole),
+  requireOwnership("user", { key: "uid" }),
+  requireOwnership("role", { from: "body", optional: true }),
+  assignCustomRole
+);
 
-router.post("/create-tenant-admin", createTenantAdmin);
+// First super admin: "x-setup-token: <SETUP_TOKEN>", works once. Later ones need an existing super admin.
+router.post("/create-super-admin", requireSetupToken, validate(schemas.createSuperAdmin), claimSetupToken, bootstrapSuperAdmin);
+router.post("/create-super-admin", verifyToken, requirePermission("user:create"), validate(schemas.createSuperAdmin), createSuperAdmin);
+
+router.post(
+  "/create-tenant-admin",
+  verifyToken,
+  requirePermission("user:create"),
+  validate(schemas.createTenantAdmin),
+  requireOwnership("tenant", { from: "body" }),
+  createTenantAdmin
+);
 
 
 /*
-GET /api/users	List all users
-GET /api/users/:tenantId	List users by tenant
+GET /api/users	List users in the caller's scope
+GET /api/users/me/permissions	Effective permissions of the caller
+GET /api/users/tenant/:tenantId	List users by tenant
 PATCH /api/users/:uid/role	Change role
 PATCH /api/users/:uid/email	Update email
+PATCH /api/users/:uid/custom-role	Assign / clear custom role
 DELETE /api/users/:uid	Delete user
 */
 
 // NEW FACILITY
 import {assignFacilityRole} from "../controller/user.controller.js";
-router.post("/assign-role", verifyToken, requireRole("tenant_admin"), assignFacilityRole);
+router.post(
+  "/assign-role",
+  verifyToken,
+  requirePermission("user:assign"),
+  validate(schemas.assignFacilityRole),
+  requireOwnership("user", { from: "body", key: "uid" }),
+  requireOwnership("facility", { from: "body" }),
+  assignFacilityRole
+);
 
 
 
@@ -0,0 +1,204 @@
+// Rewrite MACs stored before they were normalized (see src/utils/mac.js).
+//
+//   node src/scripts/migrate-macs.js [--tenant <id>] [--batch 1000] [--postgres] [--dry-run]
+//
+// Upper-cases mac/macId on devices_registry, re-keys pending_devices, and moves reading nodes
+// from tenants/<tenantId>/<sensorType>/<mac> to the normalized MAC. --postgres also rewrites
+// sensor_readings. Each step only touches records that still need it, so the script can be re-run.
+
+import { getDb, getShallowKeys } from "../config/firebase.js";
+import { getPool } from "../config/postgres.js";
+import { normalizeMac } from "../utils/mac.js";
+
+// Keys on tenants/<tenantId> that are tenant metadata, not sensor types
+const TENANT_META_KEYS = ["name", "createdAt", "sensors", "status", "deletedAt", "suspendedAt"];
+
+function parseArgs(argv) {
+  const args = { batch: 1000, postgres: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--postgres") args.postgres = true;
+    else if (arg === "--tenant") args.tenant = argv[++i];
+    else if (arg === "--batch") args.batch = Number(argv[++i]);
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+
+  return args;
+}
+
+async function migrateDevices(args) {
+  const snap = await getDb().ref("devices_registry").once("value");
+  const devices = Object.entries(snap.val() || {});
+
+  // A MAC already taken in its normalized form would end up on two devices
+  const taken = new Map(devices.map(([id, device]) => [device.mac, id]));
+  let updated = 0;
+
+  for (const [id, device] of devices) {
+    if (args.tenant && device.tenantId !== args.tenant) continue;
+
+    const mac = normalizeMac(device.mac ?? device.macId);
+    if (!mac || (device.mac === mac && (device.macId === undefined || device.macId === mac))) continue;
+
+    if (taken.has(mac) && taken.get(mac) !== id) {
+      console.warn(`devices_registry/${id}: ${mac} already belongs to ${taken.get(mac)}, skipped`);
+      continue;
+    }
+
+    const patch = { mac };
+    if (device.macId !== undefined) patch.macId = mac;
+
+    if (!args.dryRun) await getDb().ref(`devices_registry/${id}`).update(patch);
+    taken.set(mac, id);
+    updated++;
+
+    console.log(`devices_registry/${id}: ${device.mac ?? device.macId} -> ${mac}`);
+  }
+
+  return updated;
+}
+
+async function migratePending(args) {
+  const snap = await getDb().ref("pending_devices").once("value");
+  const pending = snap.val() || {};
+  let moved = 0;
+
+  for (const [key, record] of Object.entries(pending)) {
+    const mac = normalizeMac(key);
+    if (key === mac) continue;
+
+    if (pending[mac]) {
+      console.warn(`pending_devices/${key}: ${mac} is already pending, skipped`);
+      continue;
+    }
+
+    if (!args.dryRun) {
+      await getDb().ref().update({
+        [`pending_devices/${mac}`]: { ...record, mac },
+        [`pending_devices/${key}`]: null
+      });
+    }
+
+    moved++;
+    console.log(`pending_devices/${key} -> ${mac}`);
+  }
+
+  return moved;
+}
+
+async function getTenantIds(only) {
+  if (only) return [only];
+  return getShallowKeys("tenants");
+}
+
+// Moves tenants/<tenantId>/<sensorType>/<from> to <to> page by page; each page is one
+// multi-path update, so an interrupted run leaves every reading in exactly one place
+async function moveSeries(base, from, to, args) {
+  let moved = 0;
+  let last = null;
+
+  while (true) {
+    let query = getDb().ref(`${base}/${from}`).orderByKey();
+    if (last !== null) query = query.startAfter(last);
+
+    const snap = await query.limitToFirst(args.batch).once("value");
+    const readings = Object.entries(snap.val() || {});
+    if (!readings.length) break;
+
+    if (!args.dryRun) {
+      const updates = {};
+
+      for (const [timestamp, data] of readings) {
+        updates[`${base}/${to}/${timestamp}`] = data;
+        updates[`${base}/${from}/${timestamp}`] = null;
+      }
+
+      await getDb().ref().update(updates);
+    }
+
+    moved += readings.length;
+    last = readings[readings.length - 1][0];
+  }
+
+  return moved;
+}
+
+async function migrateReadings(args) {
+  let moved = 0;
+
+  for (const tenantId of await getTenantIds(args.tenant)) {
+    const sensorTypes = (await getShallowKeys(`tenants/${tenantId}`)).filter(key => !TENANT_META_KEYS.includes(key));
+
+    for (const sensorType of sensorTypes) {
+      const base = `tenants/${tenantId}/${sensorType}`;
+
+      for (const key of await getShallowKeys(base)) {
+        const mac = normalizeMac(key);
+        if (key === mac) continue;
+
+        const count = await moveSeries(base, key, mac, args);
+        moved += count;
+
+        console.log(`${base}/${key} -> ${mac}: ${count} readings`);
+      }
+    }
+  }
+
+  return moved;
+}
+
+// Rows whose normalized key already exists are dropped; that reading is already stored
+async function migratePostgres(args) {
+  const filter = args.tenant ? "AND tenant_id = $1" : "";
+  const params = args.tenant ? [args.tenant] : [];
+
+  if (args.dryRun) {
+    const { rows } = await getPool().query(
+      `SELECT count(*)::int AS count FROM sensor_readings WHERE mac <> upper(trim(mac)) ${filter}`,
+      params
+    );
+    return rows[0].count;
+  }
+
+  const { rowCount } = await getPool().query(
+    `WITH moved AS (
+       DELETE FROM sensor_readings WHERE mac <> upper(trim(mac)) ${filter}
+       RETURNING tenant_id, sensor_type, mac, recorded_at, data
+     )
+     INSERT INTO sensor_readings (tenant_id, sensor_type, mac, recorded_at, data)
+     SELECT tenant_id, sensor_type, upper(trim(mac)), recorded_at, data FROM moved
+     ON CONFLICT DO NOTHING`,
+    params
+  );
+
+  return rowCount;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const devices = await migrateDevices(args);
+  const pending = args.tenant ? 0 : await migratePending(args);
+  const readings = await migrateReadings(args);
+  let rows = 0;
+
+  if (args.postgres) {
+    rows = await migratePostgres(args);
+    await getPool().end();
+  }
+
+  console.log(
+    `Done${args.dryRun ? " (dry run)" : ""}: ${devices} devices, ${pending} pending devices, ` +
+    `${readings} RTDB readings${args.postgres ? `, ${rows} sensor_readings rows` : ""}`
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("Migration failed:", err.message);
+    process.exit(1);
+  });
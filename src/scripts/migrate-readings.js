@@ -0,0 +1,117 @@
+// Backfill Firebase RTDB sensor history into PostgreSQL.
+//
+//   node src/scripts/migrate-readings.js [--tenant <id>] [--sensor-types pzem,dht] [--from <ms>] [--to <ms>] [--batch 1000] [--dry-run]
+//
+// Reads tenants/<tenantId>/<sensorType>/<mac>/<timestamp> page by page and inserts into
+// sensor_readings. Rows that already exist are skipped, so the script can be re-run.
+
+import { getDb, getShallowKeys } from "../config/firebase.js";
+import { getPool, ensureSchema } from "../config/postgres.js";
+import * as firebaseReadings from "../repositories/firebase/readings.repository.js";
+import * as postgresReadings from "../repositories/postgres/readings.repository.js";
+
+// Keys on tenants/<tenantId> that are tenant metadata, not sensor types
+const TENANT_META_KEYS = ["name", "createdAt", "sensors", "status", "deletedAt", "suspendedAt"];
+
+function parseArgs(argv) {
+  const args = { batch: 1000, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--tenant") args.tenant = argv[++i];
+    else if (arg === "--sensor-types") args.sensorTypes = argv[++i].split(",");
+    else if (arg === "--from") args.from = Number(argv[++i]);
+    else if (arg === "--to") args.to = Number(argv[++i]);
+    else if (arg === "--batch") args.batch = Number(argv[++i]);
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+
+  return args;
+}
+
+async function getTenantIds(only) {
+  if (only) return [only];
+  return getShallowKeys("tenants");
+}
+
+// Sensor types come from --sensor-types, the tenant's "sensors" list, or its child keys
+async function getSensorTypes(tenantId, explicit) {
+  if (explicit) return explicit;
+
+  const sensorsSnap = await getDb().ref(`tenants/${tenantId}/sensors`).once("value");
+  const sensors = sensorsSnap.val();
+
+  if (Array.isArray(sensors)) return sensors;
+  if (sensors && typeof sensors === "object") return Object.keys(sensors);
+
+  return (await getShallowKeys(`tenants/${tenantId}`)).filter(key => !TENANT_META_KEYS.includes(key));
+}
+
+async function migrateSeries(tenantId, sensorType, mac, args) {
+  let cursor = null;
+  let read = 0;
+  let inserted = 0;
+
+  do {
+    const page = await firebaseReadings.getReadingsPage(tenantId, sensorType, mac, {
+      from: args.from,
+      to: args.to,
+      cursor,
+      limit: args.batch
+    });
+
+    const rows = page.data.map(({ timestamp, ...fields }) => ({
+      tenantId,
+      sensorType,
+      mac,
+      timestamp,
+      // Primitive readings come back as { value }
+      data: Object.keys(fields).length === 1 && "value" in fields ? fields.value : fields
+    }));
+
+    read += rows.length;
+    if (!args.dryRun) inserted += await postgresReadings.insertReadings(rows);
+
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return { read, inserted };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const totals = { read: 0, inserted: 0 };
+
+  if (!args.dryRun) await ensureSchema();
+
+  for (const tenantId of await getTenantIds(args.tenant)) {
+    const sensorTypes = await getSensorTypes(tenantId, args.sensorTypes);
+
+    for (const sensorType of sensorTypes) {
+      // Every series on the node, including MACs no longer (or never) in devices_registry
+      for (const mac of await getShallowKeys(`tenants/${tenantId}/${sensorType}`)) {
+        const result = await migrateSeries(tenantId, sensorType, mac, args);
+        if (!result.read) continue;
+
+        totals.read += result.read;
+        totals.inserted += result.inserted;
+
+        console.log(`${tenantId}/${sensorType}/${mac}: read ${result.read}, inserted ${result.inserted}`);
+      }
+    }
+  }
+
+  console.log(`Done${args.dryRun ? " (dry run)" : ""}: read ${totals.read}, inserted ${totals.inserted}`);
+}
+
+main()
+  .then(async () => {
+    await getPool().end();
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("Migration failed:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,125 @@
+import {
+  tenantsRepository,
+  usersRepository,
+  facilitiesRepository,
+  zonesRepository,
+  devicesRepository,
+  deviceGroupsRepository,
+  rolesRepository,
+  invitationsRepository,
+  apiKeysRepository,
+  alertRulesRepository,
+  alertsRepository
+} from "../repositories/index.js";
+import { normalizeMac } from "../utils/mac.js";
+
+// Central tenant/facility ownership checks. Every route that targets a resource
+// resolves it to a { tenantId, facilityId } scope and compares that to req.user.
+
+export const FACILITY_ROLES = ["facility_admin", "facility_user"];
+
+// tenantWide: the resource belongs to the whole tenant (tenant record, tenant-wide rule)
+// and facility roles of that tenant may see it. Otherwise facility roles need an exact facility match.
+export function canAccessScope(user, scope, { tenantWide = false } = {}) {
+  if (!user || !scope) return false;
+  if (user.role === "super_admin") return true;
+  if (!scope.tenantId || scope.tenantId !== user.tenantId) return false;
+  if (user.role === "tenant_admin") return true;
+
+  if (FACILITY_ROLES.includes(user.role)) {
+    if (tenantWide && !scope.facilityId) return true;
+    return Boolean(scope.facilityId) && scope.facilityId === user.facilityId;
+  }
+
+  return false;
+}
+
+// resource -> how to load it and which part of it is its scope
+const resources = {
+  tenant: {
+    label: "Tenant",
+    load: (id) => tenantsRepository.get(id),
+    scope: (id) => ({ tenantId: id, facilityId: null }),
+    tenantWide: true
+  },
+  facility: {
+    label: "Facility",
+    load: (id) => facilitiesRepository.get(id),
+    scope: (id, record) => ({ tenantId: record.tenantId, facilityId: id })
+  },
+  zone: {
+    label: "Zone",
+    load: (id) => zonesRepository.get(id),
+    scope: (id, record) => record
+  },
+  device: {
+    label: "Device",
+    load: (id) => devicesRepository.get(id),
+    scope: (id, record) => record
+  },
+  group: {
+    label: "Group",
+    load: (id) => deviceGroupsRepository.get(id),
+    scope: (id, record) => record,
+    tenantWide: true
+  },
+  deviceMac: {
+    label: "Device",
+    load: async (mac) => {
+      const matches = await devicesRepository.findBy("mac", normalizeMac(mac));
+      const [id] = Object.keys(matches);
+      return id ? { id, ...matches[id] } : null;
+    },
+    scope: (id, record) => record
+  },
+  user: {
+    label: "User",
+    load: (uid) => usersRepository.get(uid),
+    scope: (id, record) => record
+  },
+  role: {
+    label: "Role",
+    load: (id) => rolesRepository.get(id),
+    scope: (id, record) => record,
+    tenantWide: true
+  },
+  invitation: {
+    label: "Invitation",
+    load: (id) => invitationsRepository.get(id),
+    scope: (id, record) => record
+  },
+  apiKey: {
+    label: "API key",
+    load: (id) => apiKeysRepository.get(id),
+    scope: (id, record) => record
+  },
+  // Scoped like devices: a rule or alert without a facility is for tenant admins only
+  rule: {
+    label: "Rule",
+    load: (id) => alertRulesRepository.get(id),
+    scope: (id, record) => record
+  },
+  alert: {
+    label: "Alert",
+    load: (id) => alertsRepository.get(id),
+    scope: (id, record) => record
+  }
+};
+
+export function getResourceLabel(resource) {
+  return resources[resource].label;
+}
+
+// Returns the record (with id) when it exists and the user may access it, otherwise null
+export async function loadAccessible(user, resource, id) {
+  const definition = resources[resource];
+  if (!definition) throw new Error(`Unknown resource "${resource}"`);
+
+  const record = await definition.load(id);
+  if (!record) return null;
+
+  const scope = definition.scope(id, record);
+  if (!canAccessScope(user, scope, { tenantWide: definition.tenantWide })) return null;
+
+  return { id, ...record };
+}
@@ -0,0 +1,342 @@
+import { alertRulesRepository, alertsRepository } from "../repositories/index.js";
+import { v4 as uuidv4 } from "uuid";
+import { getDeviceById } from "./device.service.js";
+import { canAccessScope, loadAccessible, FACILITY_ROLES } from "./access.service.js";
+import { ValidationError, NotFoundError, ConflictError } from "../utils/errors.js";
+
+export const OPERATORS = [">", ">=", "<", "<=", "==", "!=", "outside", "between"];
+export const ALERT_STATES = ["open", "acknowledged", "resolved"];
+
+const RULE_CACHE_MS = 30000;
+
+// tenantId -> { rules, loadedAt }
+const ruleCache = new Map();
+
+// "<ruleId>_<mac>" -> first timestamp the condition held (for duration rules)
+const breachStarted = new Map();
+
+// "<ruleId>_<mac>" -> unresolved alert id, or null when known to have none
+const activeAlerts = new Map();
+
+function activeKey(ruleId, mac) {
+  return `${ruleId}_${mac}`;
+}
+
+// ==========================================
+// RULE DEFINITIONS
+// ==========================================
+function validateCondition(rule) {
+  if (!rule.sensorType) throw new ValidationError("sensorType is required");
+
+  if (!OPERATORS.includes(rule.operator)) {
+    throw new ValidationError(`operator must be one of ${OPERATORS.join(", ")}`);
+  }
+
+  if (rule.operator === "outside" || rule.operator === "between") {
+    if (typeof rule.min !== "number" || typeof rule.max !== "number" || rule.min > rule.max) {
+      throw new ValidationError("min and max are required numbers for band operators");
+    }
+  } else if (typeof rule.threshold !== "number") {
+    throw new ValidationError("threshold must be a number");
+  }
+
+  if (typeof rule.durationSec !== "number" || rule.durationSec < 0) {
+    throw new ValidationError("durationSec must be a non-negative number");
+  }
+}
+
+// Resolves the device (if any) the rule is pinned to and checks the caller owns it
+async function resolveRuleTarget(user, tenantId, deviceId, facilityId) {
+  if (!deviceId) {
+    const target = FACILITY_ROLES.includes(user.role) ? user.facilityId : facilityId || null;
+    const facility = target && await loadAccessible(user, "facility", target);
+
+    if (target && (!facility || facility.tenantId !== tenantId)) {
+      throw new NotFoundError("Facility not found");
+    }
+
+    return { deviceId: null, mac: null, facilityId: target };
+  }
+
+  const device = await getDeviceById(deviceId);
+
+  if (!device || device.tenantId !== tenantId || !canAccessScope(user, device)) {
+    throw new NotFoundError("Device not found");
+  }
+
+  return { deviceId, mac: device.mac, facilityId: device.facilityId || null };
+}
+
+export async function createRule(user, body) {
+  const id = uuidv4();
+  const tenantId = user.role === "super_admin" ? body.tenantId : user.tenantId;
+
+  if (!tenantId) throw new ValidationError("tenantId is required");
+
+  const target = await resolveRuleTarget(user, tenantId, body.deviceId, body.facilityId);
+
+  const rule = {
+    id,
+    name: body.name || `${body.sensorType} ${body.field || "value"} ${body.operator}`,
+    tenantId,
+    ...target,
+    sensorType: body.sensorType,
+    field: body.field || null,
+    operator: body.operator,
+    threshold: body.threshold ?? null,
+    min: body.min ?? null,
+    max: body.max ?? null,
+    durationSec: body.durationSec ?? 0,
+    severity: body.severity || "warning",
+    autoResolve: body.autoResolve ?? true,
+    enabled: body.enabled ?? true,
+    createdBy: user.uid,
+    createdAt: Date.now()
+  };
+
+  validateCondition(rule);
+
+  await alertRulesRepository.set(id, rule);
+  ruleCache.delete(tenantId);
+
+  return rule;
+}
+
+export async function getRules(user, filters = {}) {
+  const data = user.role === "super_admin" && !filters.tenantId
+    ? await alertRulesRepository.list()
+    : await alertRulesRepository.findBy("tenantId", user.role === "super_admin" ? filters.tenantId : user.tenantId);
+
+  const rules = Object.values(data);
+
+  return rules.filter(r =>
+    canAccessScope(user, r) &&
+    (!filters.sensorType || r.sensorType === filters.sensorType) &&
+    (!filters.deviceId || r.deviceId === filters.deviceId)
+  );
+}
+
+export async function updateRule(user, rule, body) {
+  const fields = ["name", "field", "operator", "threshold", "min", "max", "durationSec", "severity", "autoResolve", "enabled"];
+  const update = {};
+
+  for (const field of fields) {
+    if (body[field] !== undefined) update[field] = body[field];
+  }
+
+  if (body.deviceId !== undefined || body.facilityId !== undefined) {
+    Object.assign(update, await resolveRuleTarget(
+      user,
+      rule.tenantId,
+      body.deviceId !== undefined ? body.deviceId : rule.deviceId,
+      body.facilityId !== undefined ? body.facilityId : rule.facilityId
+    ));
+  }
+
+  const updated = { ...rule, ...update, updatedBy: user.uid, updatedAt: Date.now() };
+
+  validateCondition(updated);
+
+  await alertRulesRepository.set(rule.id, updated);
+  ruleCache.delete(rule.tenantId);
+
+  return updated;
+}
+
+export async function deleteRule(rule) {
+  await alertRulesRepository.remove(rule.id);
+  ruleCache.delete(rule.tenantId);
+}
+
+// Facility removal: rules pinned to it follow its devices to targetFacilityId, or are deleted
+export async function moveFacilityRules(facility, targetFacilityId) {
+  const data = await alertRulesRepository.findBy("facilityId", facility.id);
+
+  for (const ruleId of Object.keys(data)) {
+    if (targetFacilityId) await alertRulesRepository.update(ruleId, { facilityId: targetFacilityId });
+    else await alertRulesRepository.remove(ruleId);
+  }
+
+  ruleCache.delete(facility.tenantId);
+
+  return Object.keys(data).length;
+}
+
+// ==========================================
+// ALERTS
+// ==========================================
+export async function getAlertById(alertId) {
+  return alertsRepository.get(alertId);
+}
+
+export async function getAlerts(user, filters = {}) {
+  const data = user.role === "super_admin" && !filters.tenantId
+    ? await alertsRepository.list()
+    : await alertsRepository.findBy("tenantId", user.role === "super_admin" ? filters.tenantId : user.tenantId);
+
+  const alerts = Object.values(data);
+
+  return alerts
+    .filter(a =>
+      canAccessScope(user, a) &&
+      (!filters.state || a.state === filters.state) &&
+      (!filters.deviceId || a.deviceId === filters.deviceId) &&
+      (!filters.facilityId || a.facilityId === filters.facilityId) &&
+      (!filters.sensorType || a.sensorType === filters.sensorType) &&
+      (!filters.ruleId || a.ruleId === filters.ruleId)
+    )
+    .sort((a, b) => b.triggeredAt - a.triggeredAt);
+}
+
+export async function acknowledgeAlert(user, alert) {
+  if (alert.state !== "open") throw new ConflictError(`Alert is already ${alert.state}`);
+
+  const update = {
+    state: "acknowledged",
+    acknowledgedBy: user.uid,
+    acknowledgedAt: Date.now()
+  };
+
+  await alertsRepository.update(alert.id, update);
+
+  return { ...alert, ...update };
+}
+
+export async function resolveAlert(alert, resolvedBy) {
+  if (alert.state === "resolved") throw new ConflictError("Alert is already resolved");
+
+  const update = {
+    state: "resolved",
+    resolvedBy,
+    resolvedAt: Date.now(),
+    activeKey: null
+  };
+
+  await alertsRepository.update(alert.id, update);
+  if (alert.activeKey) activeAlerts.set(alert.activeKey, null);
+
+  return { ...alert, ...update };
+}
+
+// ==========================================
+// EVALUATION
+// ==========================================
+async function getTenantRules(tenantId) {
+  const cached = ruleCache.get(tenantId);
+  if (cached && Date.now() - cached.loadedAt < RULE_CACHE_MS) return cached.rules;
+
+  const data = await alertRulesRepository.findBy("tenantId", tenantId);
+  const rules = Object.values(data).filter(r => r.enabled);
+  ruleCache.set(tenantId, { rules, loadedAt: Date.now() });
+
+  return rules;
+}
+
+// null when the reading carries no number for the field (missing, null, "" or not numeric);
+// Number() would turn null and "" into 0 and trip rules such as "< 5"
+function readValue(data, field) {
+  const value = field ? data?.[field] : data;
+
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || value.trim() === "") return null;
+
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+export function conditionHolds(rule, value) {
+  if (Number.isNaN(value)) return false;
+
+  switch (rule.operator) {
+    case ">": return value > rule.threshold;
+    case ">=": return value >= rule.threshold;
+    case "<": return value < rule.threshold;
+    case "<=": return value <= rule.threshold;
+    case "==": return value === rule.threshold;
+    case "!=": return value !== rule.threshold;
+    case "outside": return value < rule.min || value > rule.max;
+    case "between": return value >= rule.min && value <= rule.max;
+    default: return false;
+  }
+}
+
+async function findActiveAlert(key) {
+  if (activeAlerts.has(key)) return activeAlerts.get(key);
+
+  const data = await alertsRepository.findBy("activeKey", key);
+  const alertId = Object.keys(data)[0] || null;
+  activeAlerts.set(key, alertId);
+
+  return alertId;
+}
+
+async function openAlert(rule, reading, value, key) {
+  const id = uuidv4();
+
+  const alert = {
+    id,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    severity: rule.severity,
+    tenantId: reading.tenantId,
+    facilityId: reading.facilityId || null,
+    deviceId: reading.deviceId || null,
+    mac: reading.mac,
+    sensorType: reading.sensorType,
+    field: rule.field,
+    value,
+    state: "open",
+    activeKey: key,
+    triggeredAt: reading.timestamp
+  };
+
+  await alertsRepository.set(id, alert);
+  activeAlerts.set(key, id);
+
+  return alert;
+}
+
+function ruleApplies(rule, reading) {
+  if (rule.sensorType !== reading.sensorType) return false;
+  if (rule.mac && rule.mac !== reading.mac) return false;
+  if (rule.facilityId && rule.facilityId !== reading.facilityId) return false;
+  return true;
+}
+
+// Runs every matching rule against one stored reading; returns alerts opened
+export async function evaluateReading(reading) {
+  const rules = await getTenantRules(reading.tenantId);
+  const opened = [];
+
+  for (const rule of rules) {
+    if (!ruleApplies(rule, reading)) continue;
+
+    const key = activeKey(rule.id, reading.mac);
+    const value = readValue(reading.data, rule.field);
+
+    // No value says nothing about the condition: neither open nor resolve, keep the breach timer
+    if (value === null) continue;
+
+    if (!conditionHolds(rule, value)) {
+      breachStarted.delete(key);
+
+      if (rule.autoResolve) {
+        const alertId = await findActiveAlert(key);
+        const alert = alertId && await getAlertById(alertId);
+        if (alert && alert.state !== "resolved") await resolveAlert(alert, "system");
+      }
+      continue;
+    }
+
+    if (!breachStarted.has(key)) breachStarted.set(key, reading.timestamp);
+
+    const heldFor = reading.timestamp - breachStarted.get(key);
+    if (heldFor < rule.durationSec * 1000) continue;
+
+    if (await findActiveAlert(key)) continue;
+
+    opened.push(await openAlert(rule, reading, value, key));
+  }
+
+  return opened;
+}
@@ -0,0 +1,217 @@
+import { apiKeysRepository, facilitiesRepository } from "../repositories/index.js";
+import { generateToken, hashToken, verifyTokenHash } from "../utils/token.js";
+import { GRANTABLE_PERMISSIONS } from "../config/permissions.js";
+import { getEffectivePermissions, hasPermission } from "./permission.service.js";
+import { canAccessScope } from "./access.service.js";
+import logger from "../utils/logger.js";
+import { ValidationError, ForbiddenError, ConflictError } from "../utils/errors.js";
+
+// Tenant API keys for machine-to-machine callers (BMS, reporting scripts). A key reads
+// "pwk_<keyId>_<secret>": the id finds the record, only a hash of the key is stored and the
+// plain key is returned once, on creation. verifyToken turns a key into a req.user limited
+// to the key's tenant (or facility) and permissions.
+
+const KEY_PATTERN = /^pwk_([0-9a-f]{16})_[0-9a-f]{48}$/;
+
+// Keys do not mint keys
+export const KEY_PERMISSIONS = GRANTABLE_PERMISSIONS.filter(p => !p.startsWith("apikey:"));
+
+// All a read-only key may send
+const READ_METHODS = ["GET", "HEAD"];
+
+// Revocation applies at once on this instance and within this window on the others
+const KEY_CACHE_MS = 30000;
+
+// lastUsedAt is written at most once per interval and key
+const LAST_USED_INTERVAL_MS = 60000;
+
+// keyId -> { key, loadedAt }
+const keyCache = new Map();
+
+export function isApiKey(token) {
+  return typeof token === "string" && token.startsWith("pwk_");
+}
+
+// Never expose the key hash
+export function toPublicApiKey(key) {
+  if (!key) return key;
+
+  const { keyHash, ...rest } = key;
+  return { ...rest, status: key.revokedAt ? "revoked" : "active" };
+}
+
+// Every permission must be one a key may carry and one the caller holds
+async function checkPermissions(user, permissions) {
+  const denied = permissions.filter(p => !KEY_PERMISSIONS.includes(p));
+  if (denied.length) throw new ForbiddenError(`Permissions cannot be granted to an API key: ${denied.join(", ")}`);
+
+  const granted = user.permissions || await getEffectivePermissions(user);
+  const missing = permissions.filter(p => !hasPermission(granted, p));
+  if (missing.length) throw new ForbiddenError("Cannot grant permissions you do not have", { missing });
+
+  return [...new Set(permissions)];
+}
+
+// Facility-scoped callers only issue keys for their own facility
+async function checkFacility(user, tenantId, facilityId) {
+  if (!canAccessScope(user, { tenantId, facilityId })) {
+    throw new ForbiddenError("API keys you manage must be limited to your facility");
+  }
+
+  if (!facilityId) return null;
+
+  const facility = await facilitiesRepository.get(facilityId);
+
+  if (!facility || facility.tenantId !== tenantId) {
+    throw new ValidationError("Invalid request", [{ field: "body.facilityId", message: "must be a facility of the key's tenant" }]);
+  }
+
+  return facilityId;
+}
+
+// ==========================================
+// MANAGEMENT
+// ==========================================
+export async function listApiKeys(user, { tenantId, status } = {}) {
+  const scopeTenant = user.role === "super_admin" ? tenantId : user.tenantId;
+
+  const data = scopeTenant
+    ? await apiKeysRepository.findBy("tenantId", scopeTenant)
+    : await apiKeysRepository.list();
+
+  return Object.values(data)
+    .filter(key => canAccessScope(user, key))
+    .map(toPublicApiKey)
+    .filter(key => !status || key.status === status)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Returns the stored key and the plain key, which is not kept anywhere
+export async function createApiKey(user, body) {
+  const tenantId = user.role === "super_admin" ? body.tenantId : user.tenantId;
+
+  if (!tenantId) throw new ValidationError("Invalid request", [{ field: "body.tenantId", message: "is required" }]);
+
+  const id = generateToken(8);
+  const plainKey = `pwk_${id}_${generateToken(24)}`;
+
+  const key = {
+    id,
+    tenantId,
+    facilityId: await checkFacility(user, tenantId, body.facilityId ?? user.facilityId ?? null),
+    name: body.name,
+    description: body.description || null,
+    permissions: await checkPermissions(user, body.permissions),
+    readOnly: body.readOnly === true,
+    keyHash: hashToken(plainKey),
+    createdBy: user.uid,
+    createdAt: Date.now(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  await apiKeysRepository.set(id, key);
+
+  return { apiKey: toPublicApiKey(key), key: plainKey };
+}
+
+export async function updateApiKey(user, key, body) {
+  if (key.revokedAt) throw new ConflictError("API key is revoked");
+
+  const update = {};
+
+  if (body.name !== undefined) update.name = body.name;
+  if (body.description !== undefined) update.description = body.description;
+  if (body.readOnly !== undefined) update.readOnly = body.readOnly;
+  if (body.permissions !== undefined) update.permissions = await checkPermissions(user, body.permissions);
+  if (body.facilityId !== undefined) update.facilityId = await checkFacility(user, key.tenantId, body.facilityId);
+
+  update.updatedBy = user.uid;
+  update.updatedAt = Date.now();
+
+  await apiKeysRepository.update(key.id, update);
+  keyCache.delete(key.id);
+
+  return toPublicApiKey({ ...key, ...update });
+}
+
+export async function revokeApiKey(user, key) {
+  if (key.revokedAt) throw new ConflictError("API key is already revoked");
+
+  const update = { revokedAt: Date.now(), revokedBy: user.uid };
+
+  await apiKeysRepository.update(key.id, update);
+  keyCache.delete(key.id);
+
+  return toPublicApiKey({ ...key, ...update });
+}
+
+// Facility deletion: keys follow the facility's devices (reassign) or are revoked (cascade)
+export async function moveFacilityApiKeys(user, facilityId, targetId) {
+  const keys = Object.values(await apiKeysRepository.findBy("facilityId", facilityId))
+    .filter(key => !key.revokedAt);
+
+  for (const key of keys) {
+    const update = targetId
+      ? { facilityId: targetId, updatedBy: user.uid, updatedAt: Date.now() }
+      : { revokedAt: Date.now(), revokedBy: user.uid };
+
+    await apiKeysRepository.update(key.id, update);
+    keyCache.delete(key.id);
+  }
+
+  return keys.length;
+}
+
+// ==========================================
+// AUTHENTICATION
+// ==========================================
+async function getKey(id) {
+  const cached = keyCache.get(id);
+  if (cached && Date.now() - cached.loadedAt < KEY_CACHE_MS) return cached.key;
+
+  const key = await apiKeysRepository.get(id);
+  keyCache.set(id, { key, loadedAt: Date.now() });
+
+  return key;
+}
+
+function recordUse(key) {
+  const now = Date.now();
+  if (key.lastUsedAt && now - key.lastUsedAt < LAST_USED_INTERVAL_MS) return;
+
+  key.lastUsedAt = now;
+
+  apiKeysRepository.update(key.id, { lastUsedAt: now })
+    .catch((err) => logger.error("API key last use update failed", { apiKeyId: key.id, err }));
+}
+
+// Plain key -> user context, or null for an unknown, wrong or revoked key. The built-in role
+// only decides scope (facility keys act like a facility admin of their facility); what the
+// key may do is its own permission list.
+export async function resolveApiKey(plainKey) {
+  const [, id] = KEY_PATTERN.exec(plainKey) || [];
+  if (!id) return null;
+
+  const key = await getKey(id);
+  if (!key || key.revokedAt || !verifyTokenHash(plainKey, key.keyHash)) return null;
+
+  recordUse(key);
+
+  return {
+    uid: `apikey:${id}`,
+    apiKeyId: id,
+    name: key.name,
+    role: key.facilityId ? "facility_admin" : "tenant_admin",
+    tenantId: key.tenantId,
+    facilityId: key.facilityId,
+    permissions: [...key.permissions],
+    readOnly: key.readOnly
+  };
+}
+
+export function assertKeyAllowsMethod(user, method) {
+  if (user.readOnly && !READ_METHODS.includes(method)) {
+    throw new ForbiddenError("API key is read-only");
+  }
+}
@@ -0,0 +1,100 @@
+import { auditLogRepository } from "../repositories/index.js";
+import logger from "../utils/logger.js";
+
+export const MAX_AUDIT_PAGE = 500;
+
+// Secrets never end up in before/after snapshots
+const REDACTED_FIELDS = ["credentialHash", "deviceSecret", "tokenHash", "passwordHash", "password", "keyHash"];
+
+// req.ip only reads X-Forwarded-For from trusted proxies (TRUST_PROXY)
+function clientIp(req) {
+  return req.ip || null;
+}
+
+export function redact(record) {
+  if (!record || typeof record !== "object") return record ?? null;
+
+  const copy = { ...record };
+  for (const field of REDACTED_FIELDS) delete copy[field];
+
+  return copy;
+}
+
+// Append one entry. Never throws: a failed audit write must not undo the action itself.
+//   recordAudit(req, { action: "device.delete", targetType: "device", targetId, tenantId, before, after, details })
+// Background jobs pass req = null and are recorded with actorUid "system".
+export async function recordAudit(req, { action, targetType, targetId, tenantId, before, after, details }) {
+  const entry = {
+    action,
+    actorUid: req ? req.user?.uid || null : "system",
+    actorRole: req?.user?.role || null,
+    targetType: targetType || null,
+    targetId: targetId || null,
+    tenantId: tenantId ?? req?.user?.tenantId ?? null,
+    before: redact(before),
+    after: redact(after),
+    details: details || null,
+    ip: req ? clientIp(req) : null,
+    userAgent: req?.headers["user-agent"] || null,
+    at: Date.now()
+  };
+
+  try {
+    await auditLogRepository.create(entry);
+  } catch (err) {
+    logger.error("Audit log write failed", { action, err });
+  }
+
+  return entry;
+}
+
+// Only the changed fields of a shallow update, as { before, after }
+export function diff(record, update) {
+  const before = {};
+  const after = {};
+
+  for (const [key, value] of Object.entries(update)) {
+    if (record?.[key] === value) continue;
+
+    before[key] = record?.[key] ?? null;
+    after[key] = value ?? null;
+  }
+
+  return { before, after };
+}
+
+// ==========================================
+// QUERY
+// ==========================================
+// Newest first. Super admins see everything (optionally ?tenantId=), others their own tenant.
+// Cursor is the id of the last entry of the previous page (push keys sort chronologically).
+export async function queryAuditLog(user, filters = {}) {
+  const tenantId = user.role === "super_admin" ? filters.tenantId : user.tenantId;
+  const limit = Math.min(Number(filters.limit) || 100, MAX_AUDIT_PAGE);
+  const from = filters.from !== undefined ? Number(filters.from) : null;
+  const to = filters.to !== undefined ? Number(filters.to) : null;
+
+  const data = tenantId
+    ? await auditLogRepository.findBy("tenantId", tenantId)
+    : await auditLogRepository.list();
+
+  const matches = Object.entries(data)
+    .map(([id, entry]) => ({ id, ...entry }))
+    .filter(e =>
+      (!filters.action || e.action === filters.action || e.action.startsWith(`${filters.action}.`)) &&
+      (!filters.actorUid || e.actorUid === filters.actorUid) &&
+      (!filters.targetType || e.targetType === filters.targetType) &&
+      (!filters.targetId || e.targetId === filters.targetId) &&
+      (from === null || e.at >= from) &&
+      (to === null || e.at <= to) &&
+      (!filters.cursor || e.id < filters.cursor)
+    )
+    .sort((a, b) => (a.id < b.id ? 1 : -1));
+
+  const page = matches.slice(0, limit);
+
+  return {
+    data: page,
+    nextCursor: matches.length > limit ? page[page.length - 1].id : null
+  };
+}
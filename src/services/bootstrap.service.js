@@ -0,0 +1,43 @@
+import { systemRepository, usersRepository } from "../repositories/index.js";
+import { hashToken, verifyTokenHash } from "../utils/token.js";
+
+// One-time setup token for creating the first super admin (POST /api/users/create-super-admin
+// with "x-setup-token"). Refused once bootstrap has completed or any super admin exists.
+const SETUP_TOKEN = process.env.SETUP_TOKEN || null;
+
+const BOOTSTRAP_KEY = "bootstrap";
+
+export async function isBootstrapped() {
+  if (await systemRepository.exists(BOOTSTRAP_KEY)) return true;
+
+  const superAdmins = await usersRepository.findBy("role", "super_admin");
+  return Object.keys(superAdmins).length > 0;
+}
+
+// Guards the check-then-claim below against two requests in the same process
+let claiming = false;
+
+// True when the token is valid and this caller now owns the bootstrap. The marker is
+// written before the account is created so a second request with the token is refused.
+export async function claimBootstrap(token) {
+  if (claiming || !SETUP_TOKEN || !verifyTokenHash(token, hashToken(SETUP_TOKEN))) return false;
+
+  claiming = true;
+
+  try {
+    if (await isBootstrapped()) return false;
+
+    await systemRepository.set(BOOTSTRAP_KEY, { status: "in_progress", startedAt: Date.now() });
+    return true;
+  } finally {
+    claiming = false;
+  }
+}
+
+export async function releaseBootstrap() {
+  await systemRepository.remove(BOOTSTRAP_KEY);
+}
+
+export async function completeBootstrap(uid) {
+  await systemRepository.set(BOOTSTRAP_KEY, { status: "completed", uid, completedAt: Date.now() });
+}
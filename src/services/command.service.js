@@ -0,0 +1,181 @@
+import { v4 as uuidv4 } from "uuid";
+import { deviceCommandsRepository, openCommandsRepository } from "../repositories/index.js";
+import { isConnected, sendToDevice } from "../websocket/connections.js";
+import logger from "../utils/logger.js";
+
+// pending -> delivered -> acked | failed, or timed_out (no ack / never delivered before expiry)
+export const COMMAND_STATES = ["pending", "delivered", "acked", "failed", "timed_out"];
+
+const ACK_TIMEOUT_MS = Number(process.env.COMMAND_ACK_TIMEOUT_MS) || 30000;
+const QUEUE_TTL_MS = Number(process.env.COMMAND_QUEUE_TTL_MS) || 86400000;
+const SWEEP_INTERVAL_MS = Number(process.env.COMMAND_SWEEP_INTERVAL_MS) || 5000;
+
+// Deadlines live in the store (expiresAt while pending, ackDeadline once delivered), so a
+// restart loses none. Every state change is a conditional update on the current status:
+// of two racing writers (an ack and the sweep, or two deliveries) only one wins.
+
+// Times the command out if its deadline passed; true when this call did it.
+// The open_commands entry is dropped once the command is finished.
+async function expire(deviceId, commandId, now) {
+  const repo = deviceCommandsRepository(deviceId);
+  const command = await repo.get(commandId);
+  const deadline = command?.status === "pending" ? command.expiresAt
+    : command?.status === "delivered" ? command.ackDeadline
+    : null;
+
+  if (deadline !== null && deadline > now) return false;
+
+  if (deadline !== null) {
+    const update = command.status === "pending"
+      ? { status: "timed_out", completedAt: now, error: "Expired before delivery" }
+      : { status: "timed_out", completedAt: now };
+
+    // Acked or delivered meanwhile: the next sweep looks again
+    if (!await repo.updateIf(commandId, { status: command.status }, update)) return false;
+  }
+
+  await openCommandsRepository.remove(commandId);
+  return deadline !== null;
+}
+
+// Sends over the open socket if there is one; otherwise the command stays queued
+async function deliver(command) {
+  const repo = deviceCommandsRepository(command.deviceId);
+  const now = Date.now();
+
+  if (now > command.expiresAt) {
+    await expire(command.deviceId, command.id, now);
+    return repo.get(command.id);
+  }
+
+  if (!isConnected(command.deviceId)) return command;
+
+  const update = {
+    status: "delivered",
+    deliveredAt: now,
+    ackDeadline: now + command.ackTimeoutMs,
+    attempts: (command.attempts || 0) + 1
+  };
+
+  // Claimed before sending: createCommand and a reconnect flushing the queue may both get here
+  if (!await repo.updateIf(command.id, { status: "pending" }, update)) return repo.get(command.id);
+
+  await openCommandsRepository.set(command.id, { deviceId: command.deviceId, deadline: update.ackDeadline });
+
+  const sent = sendToDevice(command.deviceId, {
+    type: "command",
+    commandId: command.id,
+    command: command.command,
+    params: command.params || {}
+  });
+
+  if (sent) return { ...command, ...update };
+
+  // The socket closed in between: back in the queue for the next connection
+  const requeue = { status: "pending", deliveredAt: null, ackDeadline: null, attempts: command.attempts || 0 };
+
+  if (await repo.updateIf(command.id, { status: "delivered", deliveredAt: now }, requeue)) {
+    await openCommandsRepository.set(command.id, { deviceId: command.deviceId, deadline: command.expiresAt });
+  }
+
+  return repo.get(command.id);
+}
+
+export async function createCommand(user, device, body) {
+  const id = uuidv4();
+  const now = Date.now();
+
+  const command = {
+    id,
+    deviceId: device.id,
+    mac: device.mac,
+    tenantId: device.tenantId,
+    facilityId: device.facilityId || null,
+    command: body.command,
+    params: body.params || {},
+    status: "pending",
+    attempts: 0,
+    ackTimeoutMs: body.timeoutSec ? body.timeoutSec * 1000 : ACK_TIMEOUT_MS,
+    expiresAt: now + (body.ttlSec ? body.ttlSec * 1000 : QUEUE_TTL_MS),
+    createdBy: user.uid,
+    createdAt: now
+  };
+
+  await deviceCommandsRepository(device.id).set(id, command);
+  await openCommandsRepository.set(id, { deviceId: device.id, deadline: command.expiresAt });
+
+  return deliver(command);
+}
+
+// Called when a device (re)connects: flush its queue oldest first
+export async function deliverPendingCommands(deviceId) {
+  const pending = await deviceCommandsRepository(deviceId).findBy("status", "pending");
+
+  const queue = Object.values(pending).sort((a, b) => a.createdAt - b.createdAt);
+
+  for (const command of queue) {
+    await deliver(command);
+  }
+}
+
+// Device reply: { type: "ack", commandId, ok, result, error }
+export async function handleCommandAck(deviceId, payload) {
+  const repo = deviceCommandsRepository(deviceId);
+  const command = payload.commandId && await repo.get(payload.commandId);
+
+  if (!command || !["pending", "delivered"].includes(command.status)) return null;
+
+  const update = {
+    status: payload.ok === false ? "failed" : "acked",
+    completedAt: Date.now(),
+    result: payload.result ?? null,
+    error: payload.error ?? null
+  };
+
+  // Lost to the sweep: the command already timed out
+  if (!await repo.updateIf(command.id, { status: command.status }, update)) return null;
+
+  await openCommandsRepository.remove(command.id);
+
+  return { ...command, ...update };
+}
+
+export async function getCommands(deviceId, { status, limit = 50 } = {}) {
+  const repo = deviceCommandsRepository(deviceId);
+  const data = status ? await repo.findBy("status", status) : await repo.list();
+
+  return Object.values(data)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+}
+
+export async function getCommand(deviceId, commandId) {
+  return deviceCommandsRepository(deviceId).get(commandId);
+}
+
+// ==========================================
+// TIMEOUT SWEEP
+// ==========================================
+// Times out delivered commands past their ack deadline and queued ones past their TTL,
+// whether or not the device ever reconnects; returns how many
+export async function sweepCommands(now = Date.now()) {
+  const open = await openCommandsRepository.list();
+  let timedOut = 0;
+
+  for (const [commandId, { deviceId, deadline }] of Object.entries(open)) {
+    if (deadline > now) continue;
+    if (await expire(deviceId, commandId, now)) timedOut++;
+  }
+
+  return timedOut;
+}
+
+export function startCommandSweepJob() {
+  const run = () => sweepCommands().catch((err) => logger.error("Command sweep failed", { err }));
+
+  const interval = setInterval(run, SWEEP_INTERVAL_MS);
+  interval.unref();
+  run();
+
+  return interval;
+}
@@ -1,52 +1,287 @@
-import { db } from "../config/firebase.js";
+import { devicesRepository, zonesRepository, deviceTagsRepository, removeDeviceHistory } from "../repositories/index.js";
 import {v4 as uuidv4} from "uuid";
+import { generateToken, hashToken, verifyTokenHash } from "../utils/token.js";
+import { withPresence } from "./presence.service.js";
+import { canAccessScope, FACILITY_ROLES } from "./access.service.js";
+import { getZoneSubtree } from "./zone.service.js";
+import { disconnectDevice } from "../websocket/connections.js";
+import { normalizeMac } from "../utils/mac.js";
+import { ValidationError, ConflictError } from "../utils/errors.js";
 
-export async function getDeviceByMac(mac) {
-  const snapshot = await db.ref("devices_registry")
-    .orderByChild("mac")
-    .equalTo(mac)
-    .once("value");
+export const DEVICE_SORTS = ["name", "mac", "createdAt", "lastSeen", "status"];
+
+export const MAX_DEVICE_PAGE = 500;
 
-  if (!snapshot.exists()) return null;
+export const MAX_DEVICE_TAGS = 20;
 
-  const data = snapshot.val();
+export async function getDeviceByMac(mac) {
+  const data = await devicesRepository.findBy("mac", normalizeMac(mac));
   const key = Object.keys(data)[0];
 
+  if (!key) return null;
+
   return { id: key, ...data[key] };
 }
 
-// NEW FACILITY FUNCTIONS
-export const addDevice = async (user, body) => {
-  const id = uuidv4();
+export async function getDeviceById(deviceId) {
+  const device = await devicesRepository.get(deviceId);
+
+  if (!device) return null;
+
+  return { id: deviceId, ...device };
+}
+
+// Strip credential hash and resolve live status before a device leaves the API
+export function toPublicDevice(device) {
+  if (!device) return device;
+
+  const { credentialHash, ...rest } = device;
+  return withPresence(rest);
+}
+
+// ==========================================
+// TAGS AND SENSOR TYPES
+// ==========================================
+// Tags are stored lower-cased on the device; device_tags/<tenantId>/<tag> lists the tagged
+// device ids for lookups. Lookups re-check every hit against the device, so a deleted or
+// moved device only leaves a harmless stale entry behind.
+export function normalizeTags(tags) {
+  return [...new Set((tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+export async function reindexDeviceTags(tenantId, deviceId, before = [], after = []) {
+  if (!tenantId) return;
+
+  const index = deviceTagsRepository(tenantId);
+
+  for (const tag of after.filter(tag => !before.includes(tag))) {
+    await index.update(tag, { [deviceId]: true });
+  }
+
+  for (const tag of before.filter(tag => !after.includes(tag))) {
+    await index.update(tag, { [deviceId]: null });
+  }
+}
+
+// Everything kept for a device besides its record: the open session, connection and command
+// history and tag index entries. Run before removing the record, so a retry finds the device.
+export async function removeDeviceData(deviceId, device, reason = "Device deleted") {
+  disconnectDevice(deviceId, reason);
+  await removeDeviceHistory(deviceId);
+  await reindexDeviceTags(device.tenantId, deviceId, device.tags, []);
+}
+
+async function findTaggedDevices(tenantId, tag) {
+  const ids = Object.keys(await deviceTagsRepository(tenantId).get(tag) || {});
+  const devices = await Promise.all(ids.map(id => devicesRepository.get(id)));
+
+  return Object.fromEntries(ids.map((id, i) => [id, devices[i]]).filter(([, device]) => device));
+}
+
+// Sensor types a device has reported, kept on the device for the ?sensorType= filter
+export async function recordSensorType(device, sensorType) {
+  if (typeof sensorType !== "string" || device.sensorTypes?.includes(sensorType)) return;
+
+  device.sensorTypes = [...(device.sensorTypes || []), sensorType];
+  await devicesRepository.update(device.id, { sensorTypes: device.sensorTypes });
+}
+
+// ==========================================
+// LISTS
+// ==========================================
+// The narrowest indexed lookup that covers the filters; the rest is filtered in memory.
+// Only super admins without a tenant filter ever read the whole registry.
+async function candidateDevices(user, { tenantId, facilityId, zone, groupId, tag }) {
+  const superAdmin = user.role === "super_admin";
+  const scopeTenant = superAdmin ? tenantId : user.tenantId;
+  const scopeFacility = facilityId || (FACILITY_ROLES.includes(user.role) ? user.facilityId : null);
+
+  if (!superAdmin && !scopeTenant) return {};
+
+  if (zone) return devicesRepository.findBy("facilityId", zone.facilityId);
+  if (groupId) return devicesRepository.findBy("groupId", groupId);
+  if (tag && scopeTenant) return findTaggedDevices(scopeTenant, tag);
+  if (scopeFacility) return devicesRepository.findBy("facilityId", scopeFacility);
+  if (scopeTenant) return devicesRepository.findBy("tenantId", scopeTenant);
+
+  return devicesRepository.list();
+}
+
+function matchesSearch(device, q) {
+  const text = q.toLowerCase();
+  return [device.name, device.mac].some(value => value?.toLowerCase().includes(text));
+}
+
+// Devices the user may see, narrowed by placement (a zone includes its sub-zones), group, tag,
+// reported sensor type, live status and a name/MAC search
+export async function findDevices(user, filters = {}) {
+  const { tenantId, facilityId, zoneId, groupId, status, sensorType, q } = filters;
+  const tag = filters.tag && normalizeTags([filters.tag])[0];
+
+  const zone = zoneId && await zonesRepository.get(zoneId);
+  if (zoneId && !zone) return [];
+
+  const zoneIds = zone ? await getZoneSubtree(zone) : null;
+  const data = await candidateDevices(user, { tenantId, facilityId, zone, groupId, tag });
+
+  return Object.entries(data)
+    .map(([id, device]) => ({ id, ...device }))
+    .filter(device =>
+      canAccessScope(user, device) &&
+      (!tenantId || device.tenantId === tenantId) &&
+      (!facilityId || device.facilityId === facilityId) &&
+      (!zoneIds || zoneIds.has(device.zoneId)) &&
+      (!groupId || device.groupId === groupId) &&
+      (!tag || device.tags?.includes(tag)) &&
+      (!sensorType || device.sensorTypes?.includes(sensorType)) &&
+      (!q || matchesSearch(device, q))
+    )
+    .map(toPublicDevice)
+    .filter(device => !status || device.status === status);
+}
+
+function sortValue(device, sort) {
+  if (sort === "createdAt" || sort === "lastSeen") return device[sort] || 0;
+  if (sort === "name") return (device.name || device.mac || "").toLowerCase();
+  return device[sort] || "";
+}
+
+function compareKeys([valueA, idA], [valueB, idB]) {
+  if (valueA !== valueB) return valueA < valueB ? -1 : 1;
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+// The cursor is the sort key of the last device of the previous page
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (Array.isArray(key) && key.length === 2 && typeof key[1] === "string") return key;
+  } catch {
+    // reported below
+  }
+
+  throw new ValidationError("Invalid request", [{ field: "query.cursor", message: "is not a cursor of this list" }]);
+}
+
+// findDevices + sorting (?sort=&order=). With ?limit= or ?cursor= the result is a page:
+// { data, nextCursor }; without them the whole sorted list.
+export async function listDevices(user, filters = {}) {
+  const sort = filters.sort || "name";
+  const direction = filters.order === "desc" ? -1 : 1;
+  const keyOf = device => [sortValue(device, sort), device.id];
+  const compare = (a, b) => direction * compareKeys(a, b);
+
+  const devices = (await findDevices(user, filters))
+    .sort((a, b) => compare(keyOf(a), keyOf(b)));
+
+  if (filters.limit === undefined && filters.cursor === undefined) return devices;
+
+  const limit = Math.min(Number(filters.limit) || 100, MAX_DEVICE_PAGE);
+  const after = filters.cursor ? decodeCursor(filters.cursor) : null;
+  const remaining = after ? devices.filter(device => compare(keyOf(device), after) > 0) : devices;
+  const page = remaining.slice(0, limit);
+
+  return {
+    data: page,
+    nextCursor: remaining.length > limit ? encodeCursor(keyOf(page[page.length - 1])) : null
+  };
+}
+
+// DEVICE CREDENTIALS
+// The secret is returned once; only its hash is kept in devices_registry
+export function newDeviceCredential() {
+  const deviceSecret = generateToken();
+
+  return {
+    deviceSecret,
+    fields: {
+      credentialHash: hashToken(deviceSecret),
+      credentialIssuedAt: Date.now(),
+      credentialRevokedAt: null
+    }
+  };
+}
+
+export async function rotateDeviceCredential(deviceId) {
+  const { deviceSecret, fields } = newDeviceCredential();
+
+  await devicesRepository.update(deviceId, fields);
+
+  return deviceSecret;
+}
+
+export async function revokeDeviceCredential(deviceId) {
+  await devicesRepository.update(deviceId, {
+    credentialHash: null,
+    credentialRevokedAt: Date.now()
+  });
+}
+
+// Returns the registered device when mac + secret match, otherwise null
+export async function verifyDeviceCredential(mac, secret) {
+  if (!mac || !secret) return null;
+
+  const device = await getDeviceByMac(mac);
+
+  // A device detached from its tenant keeps its credential for a later assignment, but has no
+  // tenant to store readings under until then
+  if (!device || !device.credentialHash || !device.tenantId) return null;
+
+  return verifyTokenHash(secret, device.credentialHash) ? device : null;
+}
+
+// One device per MAC: lookups by MAC find the first record, so a second one could never authenticate
+async function assertMacAvailable(mac) {
+  if (await getDeviceByMac(mac)) throw new ConflictError("Device is already registered");
+}
+
+// Returns the new device with its one-time secret. Absent name/facility are stored as null.
+export async function registerDevice(user, { mac, name, tenantId, facilityId }) {
+  const normalized = normalizeMac(mac);
+  await assertMacAvailable(normalized);
+
+  const { deviceSecret, fields } = newDeviceCredential();
 
   const device = {
-    id,
-    name: body.name,
-    macId: body.macId,
-    tenantId: user.tenantId,
-    facilityId: user.facilityId,
+    mac: normalized,
+    name: name || null,
+    tenantId,
+    facilityId: facilityId || null,
     addedBy: user.uid,
-    createdAt: Date.now()
+    createdAt: Date.now(),
+    ...fields
   };
 
-  await db.ref(`devices_registry/${id}`).set(device);
+  const deviceId = await devicesRepository.create(device);
 
-  return device;
-};
+  return { deviceId, deviceSecret, device };
+}
 
-export const getDevices = async (user) => {
-  const snap = await db.ref("devices_registry").once("value");
-  const data = snap.val() || {};
+// NEW FACILITY FUNCTIONS
+export const addDevice = async (user, tenantId, body) => {
+  const id = uuidv4();
+  const mac = normalizeMac(body.mac ?? body.macId);
+  await assertMacAvailable(mac);
 
-  let devices = Object.values(data);
+  const { deviceSecret, fields } = newDeviceCredential();
 
-  if (user.role === "tenant_admin") {
-    return devices.filter(d => d.tenantId === user.tenantId);
-  }
+  const device = {
+    id,
+    name: body.name || null,
+    mac,
+    macId: mac,
+    tenantId,
+    facilityId: user.facilityId || null,
+    addedBy: user.uid,
+    createdAt: Date.now(),
+    ...fields
+  };
 
-  if (user.role === "facility_admin" || user.role === "facility_user") {
-    return devices.filter(d => d.facilityId === user.facilityId);
-  }
+  await devicesRepository.set(id, device);
 
-  return [];
+  return { ...toPublicDevice(device), deviceSecret };
 };
\ No newline at end of file
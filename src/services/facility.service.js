@@ -1,21 +1,162 @@
-import {db} from "../config/firebase.js";
+import {facilitiesRepository, devicesRepository, usersRepository} from "../repositories/index.js";
 import {v4 as uuidv4} from "uuid";
+import { authProvider } from "../auth/index.js";
+import { FACILITY_ROLES } from "./access.service.js";
+import { moveFacilityApiKeys } from "./apikey.service.js";
+import { claimsFor } from "./user.service.js";
+import { removeFacilityZones } from "./zone.service.js";
+import { moveFacilityRules } from "./alert.service.js";
+import { moveFacilityInvitations } from "./invitation.service.js";
+import { removeDeviceData } from "./device.service.js";
+import { disconnectDevice } from "../websocket/connections.js";
+import { ValidationError, ConflictError } from "../utils/errors.js";
+
+export const DELETE_STRATEGIES = ["cascade", "reassign"];
 
 export const createFacility = async (user,body)=>{
+    const tenantId = user.role === "super_admin" ? body.tenantId : user.tenantId;
+
+    if (!tenantId) {
+        throw new ValidationError("Invalid request", [{ field: "body.tenantId", message: "is required" }]);
+    }
+
     const id = uuidv4();
     const facility = {
         id,
         name:body.name,
-        tenantId:user.tenantId,
+        address:body.address || null,
+        tenantId,
         createdBy:user.uid,
         createdAt:Date.now()
     };
-    await db.ref(`facilities/${id}`).set(facility);
+    await facilitiesRepository.set(id, facility);
     return facility;
 };
 
-export const getFacilities = async (user)=> {
-    const snap = await db.ref("facilities").once("value");
-    const data = snap.val() || {};
-    return Object.values(data).filter(f=>f.tenantId===user.tenantId);
-};
\ No newline at end of file
+// Super admins: every facility (or ?tenantId=). Facility roles: only their own.
+export const getFacilities = async (user, filters = {})=> {
+    if (FACILITY_ROLES.includes(user.role)) {
+        const facility = user.facilityId && await getFacilityById(user.facilityId);
+        return facility ? [facility] : [];
+    }
+
+    const tenantId = user.role === "super_admin" ? filters.tenantId : user.tenantId;
+
+    const data = tenantId
+        ? await facilitiesRepository.findBy("tenantId", tenantId)
+        : await facilitiesRepository.list();
+
+    return Object.entries(data)
+        .map(([id, facility]) => ({ id, ...facility }))
+        .sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const getFacilityById = async (facilityId)=> {
+    const facility = await facilitiesRepository.get(facilityId);
+    return facility && { id: facilityId, ...facility };
+};
+
+export const updateFacility = async (facility, body)=> {
+    const update = {};
+
+    for (const field of ["name", "address"]) {
+        if (body[field] !== undefined) update[field] = body[field];
+    }
+
+    update.updatedAt = Date.now();
+    await facilitiesRepository.update(facility.id, update);
+
+    return { ...facility, ...update };
+};
+
+// ==========================================
+// DELETE
+// ==========================================
+// Profiles without an auth account are still moved or removed
+async function ignoreMissingAccount(action) {
+    try {
+        await action();
+    } catch (err) {
+        if (err.code !== "auth/user-not-found") throw err;
+    }
+}
+
+async function deleteUsers(uids) {
+    for (const uid of uids) {
+        await ignoreMissingAccount(() => authProvider.deleteUser(uid));
+        await usersRepository.remove(uid);
+    }
+}
+
+async function moveUsers(users, facilityId) {
+    for (const [uid, user] of Object.entries(users)) {
+        await usersRepository.update(uid, { facilityId });
+        await ignoreMissingAccount(() => authProvider.setCustomUserClaims(uid, claimsFor({ ...user, facilityId })));
+    }
+}
+
+async function resolveReassignTarget(facility, reassignTo) {
+    const target = reassignTo && await getFacilityById(reassignTo);
+
+    if (!target || target.id === facility.id || target.tenantId !== facility.tenantId) {
+        throw new ValidationError("Invalid request", [
+            { field: "query.reassignTo", message: "must be another facility of the same tenant" }
+        ]);
+    }
+
+    return target;
+}
+
+// A facility that still has devices or users needs an explicit strategy:
+//   cascade  - delete its devices and users (auth accounts included), revoke pending invitations and API keys
+//   reassign - move devices, users, alert rules, pending invitations and API keys to `reassignTo`
+// Zones always go with the facility; reassigned devices lose their zone.
+export const deleteFacility = async (user, facility, { strategy, reassignTo } = {})=> {
+    const devices = await devicesRepository.findBy("facilityId", facility.id);
+    const users = await usersRepository.findBy("facilityId", facility.id);
+
+    const deviceIds = Object.keys(devices);
+    const uids = Object.keys(users);
+
+    if (!strategy && (deviceIds.length || uids.length)) {
+        throw new ConflictError(
+            `Facility still has ${deviceIds.length} device(s) and ${uids.length} user(s); pass strategy=cascade or strategy=reassign`,
+            { devices: deviceIds.length, users: uids.length }
+        );
+    }
+
+    const target = strategy === "reassign" ? await resolveReassignTarget(facility, reassignTo) : null;
+
+    if (target) {
+        for (const deviceId of deviceIds) {
+            await devicesRepository.update(deviceId, { facilityId: target.id, zoneId: null });
+
+            // The open session still carries the old facility for its readings
+            disconnectDevice(deviceId, "Facility reassigned");
+        }
+
+        await moveUsers(users, target.id);
+    } else {
+        for (const [deviceId, device] of Object.entries(devices)) {
+            await removeDeviceData(deviceId, device, "Facility deleted");
+            await devicesRepository.remove(deviceId);
+        }
+
+        await deleteUsers(uids);
+    }
+
+    const summary = {
+        strategy: strategy || null,
+        reassignTo: target?.id || null,
+        devices: deviceIds.length,
+        users: uids.length,
+        zones: await removeFacilityZones(facility.id),
+        rules: await moveFacilityRules(facility, target?.id || null),
+        invitations: await moveFacilityInvitations(user, facility, target?.id || null),
+        apiKeys: await moveFacilityApiKeys(user, facility.id, target?.id || null)
+    };
+
+    await facilitiesRepository.remove(facility.id);
+
+    return summary;
+};
@@ -0,0 +1,79 @@
+import { deviceGroupsRepository, devicesRepository } from "../repositories/index.js";
+import { v4 as uuidv4 } from "uuid";
+import { ValidationError } from "../utils/errors.js";
+
+// Named groups of devices across the facilities of one tenant ("HVAC", "Line 3").
+// A device is in at most one group (devices_registry.groupId), which keeps the
+// group filter an indexed lookup; tags cover overlapping labels.
+
+export async function getGroups(user, filters = {}) {
+  const tenantId = user.role === "super_admin" ? filters.tenantId : user.tenantId;
+
+  const data = tenantId
+    ? await deviceGroupsRepository.findBy("tenantId", tenantId)
+    : await deviceGroupsRepository.list();
+
+  return Object.values(data).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function createGroup(user, body) {
+  const tenantId = user.role === "super_admin" ? body.tenantId : user.tenantId;
+
+  if (!tenantId) {
+    throw new ValidationError("Invalid request", [{ field: "body.tenantId", message: "is required" }]);
+  }
+
+  const id = uuidv4();
+
+  const group = {
+    id,
+    name: body.name,
+    description: body.description || null,
+    tenantId,
+    createdBy: user.uid,
+    createdAt: Date.now()
+  };
+
+  await deviceGroupsRepository.set(id, group);
+
+  return group;
+}
+
+export async function updateGroup(group, body) {
+  const update = {};
+
+  if (body.name !== undefined) update.name = body.name;
+  if (body.description !== undefined) update.description = body.description;
+
+  await deviceGroupsRepository.update(group.id, update);
+
+  return { ...group, ...update };
+}
+
+// Its devices simply leave the group
+export async function deleteGroup(group) {
+  const devices = await devicesRepository.findBy("groupId", group.id);
+
+  for (const deviceId of Object.keys(devices)) {
+    await devicesRepository.update(deviceId, { groupId: null });
+  }
+
+  await deviceGroupsRepository.remove(group.id);
+
+  return { devices: Object.keys(devices).length };
+}
+
+// Device membership: the group must belong to the device's tenant (null takes it out of its group)
+export async function resolveDeviceGroup(device, groupId) {
+  if (groupId === null) return null;
+
+  const group = await deviceGroupsRepository.get(groupId);
+
+  if (!group || !device.tenantId || group.tenantId !== device.tenantId) {
+    throw new ValidationError("Invalid request", [
+      { field: "body.groupId", message: "group does not exist in the device's tenant" }
+    ]);
+  }
+
+  return group;
+}
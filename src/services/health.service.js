@@ -0,0 +1,81 @@
+import { DATA_BACKEND, SENSOR_STORE, pingDataStore, pingSensorStore } from "../repositories/index.js";
+import { getWebSocketStatus } from "../websocket/index.js";
+
+// Liveness: the process is up and serving. Readiness: its dependencies answer, so it
+// should receive traffic. A probe that does not answer in time counts as down.
+
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000;
+
+// Optional; GET /api/monitor/frontend probes it
+const FRONTEND_URL = process.env.FRONTEND_URL || null;
+
+function withTimeout(promise) {
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// probe resolves (optionally with details) when healthy and throws otherwise
+async function runCheck(probe) {
+  const start = Date.now();
+
+  try {
+    const details = await withTimeout(probe());
+    return { status: "up", latencyMs: Date.now() - start, ...details };
+  } catch (err) {
+    return { status: "down", latencyMs: Date.now() - start, error: err.message };
+  }
+}
+
+async function probeWebSockets() {
+  const status = getWebSocketStatus();
+
+  if (!status) throw new Error("WebSocket server is not attached");
+  if (!status.listening) throw new Error("HTTP server is not listening");
+
+  return { connections: { esp: status.esp, dashboard: status.dashboard } };
+}
+
+export function getLiveness() {
+  return {
+    status: "ok",
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  };
+}
+
+export async function getReadiness() {
+  const checks = {
+    dataStore: { backend: DATA_BACKEND, ...await runCheck(pingDataStore) },
+    websocket: await runCheck(probeWebSockets)
+  };
+
+  // Readings may live in a store of their own
+  if (SENSOR_STORE !== DATA_BACKEND) {
+    checks.sensorStore = { backend: SENSOR_STORE, ...await runCheck(pingSensorStore) };
+  }
+
+  const ready = Object.values(checks).every(check => check.status === "up");
+
+  return {
+    status: ready ? "ok" : "error",
+    checks,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// "unknown" when FRONTEND_URL is not configured
+export async function getFrontendHealth() {
+  if (!FRONTEND_URL) return { status: "unknown", url: null };
+
+  const check = await runCheck(async () => {
+    const res = await fetch(FRONTEND_URL, { method: "HEAD" });
+    if (!res.ok) throw new Error(`Answered ${res.status}`);
+  });
+
+  return { url: FRONTEND_URL, ...check };
+}
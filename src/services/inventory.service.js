@@ -0,0 +1,201 @@
+import { devicesRepository, facilitiesRepository } from "../repositories/index.js";
+import { v4 as uuidv4 } from "uuid";
+import {
+  findDevices,
+  newDeviceCredential,
+  normalizeTags,
+  reindexDeviceTags,
+  MAX_DEVICE_TAGS
+} from "./device.service.js";
+import { FACILITY_ROLES } from "./access.service.js";
+import { normalizeMac } from "../utils/mac.js";
+import { mac as macRule, string, tag as tagRule } from "../validation/rules.js";
+import { parseCsv, toCsv, unescapeFormula } from "../utils/csv.js";
+import { ValidationError } from "../utils/errors.js";
+
+// Bulk device onboarding. Import and export share one row format, so an export can be
+// edited and imported again:
+//   mac, name, facility (facility id or name), tags (";"-separated in CSV, an array in JSON)
+
+export const INVENTORY_COLUMNS = ["mac", "name", "facility", "tags"];
+
+export const MAX_IMPORT_ROWS = 1000;
+
+const TAG_SEPARATOR = ";";
+
+const checks = {
+  mac: macRule(),
+  name: string({ max: 100 }),
+  tag: tagRule()
+};
+
+// ==========================================
+// PARSING
+// ==========================================
+// CSV text -> row objects keyed by the (lower-cased) header
+function rowsFromCsv(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim().toLowerCase());
+
+  if (!columns.includes("mac")) {
+    throw new ValidationError("Invalid request", [{ field: "body.csv", message: "header must include a mac column" }]);
+  }
+
+  return lines.map(line => Object.fromEntries(columns.map((column, i) => [column, unescapeFormula(line[i]?.trim() ?? "")])));
+}
+
+// Non-string tags are kept as they are so the tag check reports them
+function splitTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? "").split(TAG_SEPARATOR);
+  const strings = list.filter(tag => typeof tag === "string");
+
+  return [...normalizeTags(strings), ...list.filter(tag => typeof tag !== "string")];
+}
+
+// tenant facilities -> resolver of the "facility" column (id first, then a unique name)
+function facilityResolver(facilities) {
+  return (value) => {
+    const byId = facilities.find(f => f.id === value);
+    if (byId) return { facility: byId };
+
+    const byName = facilities.filter(f => f.name?.toLowerCase() === value.toLowerCase());
+    if (byName.length > 1) return { error: "matches several facilities; use the facility id" };
+
+    return byName[0] ? { facility: byName[0] } : { error: "unknown facility" };
+  };
+}
+
+// ==========================================
+// IMPORT
+// ==========================================
+// Checks every row without writing anything. Row numbers are 1-based and do not count the CSV header.
+export async function planImport(user, tenantId, { csv, devices }) {
+  const rows = csv !== undefined ? rowsFromCsv(csv) : devices;
+
+  if (!rows.length) throw new ValidationError("Invalid request", [{ field: csv !== undefined ? "body.csv" : "body.devices", message: "contains no devices" }]);
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError("Invalid request", [{ field: csv !== undefined ? "body.csv" : "body.devices", message: `must contain at most ${MAX_IMPORT_ROWS} devices` }]);
+  }
+
+  // Facility-level callers only import into their own facility
+  const ownFacility = FACILITY_ROLES.includes(user.role) ? user.facilityId : null;
+
+  const facilities = Object.entries(await facilitiesRepository.findBy("tenantId", tenantId))
+    .map(([id, facility]) => ({ ...facility, id }))
+    .filter(facility => !ownFacility || facility.id === ownFacility);
+
+  const resolveFacility = facilityResolver(facilities);
+
+  // One read of the registry instead of a MAC lookup per row
+  const registered = new Set(Object.values(await devicesRepository.list()).map(device => normalizeMac(device.mac)));
+
+  const seen = new Map();
+  const errors = [];
+  const planned = [];
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 1;
+    const fail = (field, message) => errors.push({ row: rowNumber, field, message });
+    const failures = errors.length;
+
+    if (!row || typeof row !== "object") {
+      fail("row", "must be an object");
+      continue;
+    }
+
+    const mac = typeof row.mac === "string" ? normalizeMac(row.mac) : "";
+    const macError = mac ? checks.mac.check(mac) : "is required";
+
+    if (macError) {
+      fail("mac", macError);
+    } else if (seen.has(mac)) {
+      fail("mac", `duplicates row ${seen.get(mac)}`);
+    } else if (registered.has(mac)) {
+      fail("mac", "is already registered");
+    }
+
+    if (mac && !seen.has(mac)) seen.set(mac, rowNumber);
+
+    const name = typeof row.name === "string" ? row.name.trim() : row.name;
+    const nameError = name !== undefined && name !== null && name !== "" ? checks.name.check(name) : null;
+    if (nameError) fail("name", nameError);
+
+    let facilityId = ownFacility;
+
+    if (row.facility) {
+      const { facility, error } = resolveFacility(String(row.facility).trim());
+      if (error) fail("facility", error);
+      else facilityId = facility.id;
+    }
+
+    const tags = splitTags(row.tags);
+    const tagError = tags.length > MAX_DEVICE_TAGS
+      ? `must contain at most ${MAX_DEVICE_TAGS} tags`
+      : tags.map(tag => checks.tag.check(tag)).find(Boolean);
+    if (tagError) fail("tags", tagError);
+
+    if (errors.length === failures) {
+      planned.push({ row: rowNumber, mac, name: name || mac, facilityId: facilityId || null, tags });
+    }
+  }
+
+  return { total: rows.length, valid: planned.length, errors, devices: planned };
+}
+
+// Writes every planned device in one atomic update; returns them with their one-time secrets
+export async function commitImport(user, tenantId, plan) {
+  const now = Date.now();
+  const records = {};
+  const created = [];
+
+  for (const { mac, name, facilityId, tags } of plan.devices) {
+    const id = uuidv4();
+    const { deviceSecret, fields } = newDeviceCredential();
+
+    records[id] = {
+      mac,
+      name,
+      tenantId,
+      facilityId,
+      tags,
+      addedBy: user.uid,
+      importedAt: now,
+      createdAt: now,
+      ...fields
+    };
+
+    created.push({ deviceId: id, mac, name, facilityId, tags, deviceSecret });
+  }
+
+  await devicesRepository.setMany(records);
+
+  for (const { deviceId, tags } of created) {
+    await reindexDeviceTags(tenantId, deviceId, [], tags);
+  }
+
+  return created;
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+// The tenant's devices (facility roles: their facility) as import rows, ordered by MAC
+export async function exportInventory(user, tenantId, format) {
+  const devices = await findDevices(user, { tenantId });
+
+  const rows = devices
+    .map(device => ({
+      mac: device.mac,
+      name: device.name || "",
+      facility: device.facilityId || "",
+      tags: device.tags || []
+    }))
+    .sort((a, b) => String(a.mac).localeCompare(String(b.mac)));
+
+  if (format !== "csv") return { devices: rows };
+
+  return toCsv(INVENTORY_COLUMNS, rows.map(row => ({ ...row, tags: row.tags.join(TAG_SEPARATOR) })));
+}
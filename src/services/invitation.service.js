@@ -0,0 +1,233 @@
+import { invitationsRepository, usersRepository } from "../repositories/index.js";
+import { v4 as uuidv4 } from "uuid";
+import { sendMail } from "../mail/index.js";
+import { generateToken, hashToken } from "../utils/token.js";
+import { FACILITY_ROLES, loadAccessible } from "./access.service.js";
+import { createAccount } from "./user.service.js";
+import { isTenantSuspended } from "./tenant.service.js";
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError, GoneError, fromAuthError } from "../utils/errors.js";
+
+export const INVITABLE_ROLES = ["tenant_admin", ...FACILITY_ROLES];
+
+const INVITATION_TTL_MS = (Number(process.env.INVITATION_TTL_HOURS) || 72) * 3600000;
+
+// Where the frontend shows the "set your password" form; the token is appended as ?token=
+const ACCEPT_URL = process.env.INVITATION_ACCEPT_URL || "http://localhost:3000/accept-invite";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function isExpired(invitation) {
+  return invitation.status === "pending" && invitation.expiresAt <= Date.now();
+}
+
+// Never expose the token hash; report lapsed invitations as "expired"
+export function toPublicInvitation(invitation) {
+  if (!invitation) return invitation;
+
+  const { tokenHash, ...rest } = invitation;
+  return { ...rest, status: isExpired(invitation) ? "expired" : invitation.status };
+}
+
+// Fresh single-use token; the plain value only ever goes into the e-mail
+function issueToken() {
+  const token = generateToken(32);
+
+  return {
+    token,
+    fields: {
+      tokenHash: hashToken(token),
+      expiresAt: Date.now() + INVITATION_TTL_MS
+    }
+  };
+}
+
+async function deliver(invitation, token) {
+  const link = `${ACCEPT_URL}?token=${token}`;
+
+  await sendMail({
+    to: invitation.email,
+    subject: "You have been invited",
+    text: [
+      `You have been invited as ${invitation.role}.`,
+      `Set your password here: ${link}`,
+      `The link expires ${new Date(invitation.expiresAt).toISOString()}.`
+    ].join("\n")
+  });
+
+  const update = { sentAt: Date.now(), sendCount: (invitation.sendCount || 0) + 1 };
+  await invitationsRepository.update(invitation.id, update);
+
+  return { ...invitation, ...update };
+}
+
+// ==========================================
+// CREATE / RESEND / REVOKE
+// ==========================================
+// Facility-level inviters can only invite facility roles into their own facility
+async function resolveTarget(inviter, { role, tenantId, facilityId }) {
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of ${INVITABLE_ROLES.join(", ")}`);
+  }
+
+  const scopedToFacility = FACILITY_ROLES.includes(inviter.role);
+  const targetTenant = inviter.role === "super_admin" ? tenantId : inviter.tenantId;
+
+  if (!targetTenant) throw new ValidationError("tenantId is required");
+  if (!await loadAccessible(inviter, "tenant", targetTenant)) throw new NotFoundError("Tenant not found");
+
+  if (role === "tenant_admin") {
+    if (scopedToFacility) throw new ForbiddenError("Facility users cannot invite tenant admins");
+    return { tenantId: targetTenant, facilityId: null };
+  }
+
+  const targetFacility = scopedToFacility ? inviter.facilityId : facilityId;
+  const facility = targetFacility && await loadAccessible(inviter, "facility", targetFacility);
+
+  if (!facility || facility.tenantId !== targetTenant) throw new NotFoundError("Facility not found");
+
+  return { tenantId: targetTenant, facilityId: targetFacility };
+}
+
+export async function createInvitation(inviter, body) {
+  const email = String(body.email || "").trim().toLowerCase();
+  if (!email.includes("@")) throw new ValidationError("A valid email is required");
+
+  const target = await resolveTarget(inviter, body);
+
+  const existingUsers = await usersRepository.findBy("email", email);
+  if (Object.keys(existingUsers).length) throw new ConflictError("A user with this email already exists");
+
+  const open = Object.values(await invitationsRepository.findBy("email", email))
+    .find(i => i.status === "pending" && i.tenantId === target.tenantId && !isExpired(i));
+
+  if (open) throw new ConflictError("An invitation is already pending for this email; resend it instead");
+
+  const id = uuidv4();
+  const { token, fields } = issueToken();
+
+  const invitation = {
+    id,
+    email,
+    role: body.role,
+    ...target,
+    status: "pending",
+    invitedBy: inviter.uid,
+    createdAt: Date.now(),
+    sendCount: 0,
+    ...fields
+  };
+
+  await invitationsRepository.set(id, invitation);
+
+  return toPublicInvitation(await deliver(invitation, token));
+}
+
+// New token and expiry; the previous link stops working
+export async function resendInvitation(invitation) {
+  if (invitation.status !== "pending") throw new ConflictError(`Invitation is ${invitation.status}`);
+
+  const { token, fields } = issueToken();
+  await invitationsRepository.update(invitation.id, fields);
+
+  return toPublicInvitation(await deliver({ ...invitation, ...fields }, token));
+}
+
+export async function revokeInvitation(user, invitation) {
+  if (invitation.status !== "pending") throw new ConflictError(`Invitation is ${invitation.status}`);
+
+  const update = {
+    status: "revoked",
+    tokenHash: null,
+    revokedBy: user.uid,
+    revokedAt: Date.now()
+  };
+
+  await invitationsRepository.update(invitation.id, update);
+
+  return toPublicInvitation({ ...invitation, ...update });
+}
+
+// Facility removal: pending invitations move to targetFacilityId, or are revoked
+export async function moveFacilityInvitations(user, facility, targetFacilityId) {
+  const data = await invitationsRepository.findBy("facilityId", facility.id);
+  const pending = Object.values(data).filter(i => i.status === "pending");
+
+  for (const invitation of pending) {
+    if (targetFacilityId) await invitationsRepository.update(invitation.id, { facilityId: targetFacilityId });
+    else await revokeInvitation(user, invitation);
+  }
+
+  return pending.length;
+}
+
+export async function listInvitations(user, filters = {}) {
+  const tenantId = user.role === "super_admin" ? filters.tenantId : user.tenantId;
+
+  const data = tenantId
+    ? await invitationsRepository.findBy("tenantId", tenantId)
+    : await invitationsRepository.list();
+
+  const status = filters.status || "pending";
+
+  return Object.values(data)
+    .filter(i => !FACILITY_ROLES.includes(user.role) || i.facilityId === user.facilityId)
+    .map(toPublicInvitation)
+    .filter(i => status === "all" || i.status === status)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// ==========================================
+// ACCEPT (unauthenticated, token is the credential)
+// ==========================================
+export async function acceptInvitation({ token, password }) {
+  if (!token) throw new ValidationError("token is required");
+
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const tokenHash = hashToken(token);
+  const matches = await invitationsRepository.findBy("tokenHash", tokenHash);
+  const [id] = Object.keys(matches);
+  const invitation = id && { id, ...matches[id] };
+
+  if (!invitation || invitation.status !== "pending") throw new NotFoundError("Invitation not found");
+  if (isExpired(invitation)) throw new GoneError("Invitation has expired");
+  if (await isTenantSuspended(invitation.tenantId)) throw new ForbiddenError("Tenant is suspended");
+
+  // Burn the token first so a second request with the same link cannot race this one
+  const claimed = await invitationsRepository.updateIf(
+    id,
+    current => current?.status === "pending" && current.tokenHash === tokenHash,
+    { status: "accepting", tokenHash: null }
+  );
+
+  if (!claimed) throw new ConflictError("Invitation is already being accepted");
+
+  let uid;
+
+  try {
+    uid = await createAccount({
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      tenantId: invitation.tenantId,
+      facilityId: invitation.facilityId,
+      emailVerified: true,
+      profile: { invitedBy: invitation.invitedBy, invitationId: id }
+    });
+  } catch (err) {
+    await invitationsRepository.updateIf(id, { status: "accepting" }, { status: "pending", tokenHash });
+
+    if (err.code === "auth/email-already-exists") throw new ConflictError("A user with this email already exists");
+    throw fromAuthError(err) || err;
+  }
+
+  await invitationsRepository.update(id, {
+    status: "accepted",
+    acceptedUid: uid,
+    acceptedAt: Date.now()
+  });
+
+  return { uid, email: invitation.email, role: invitation.role, tenantId: invitation.tenantId, invitationId: id };
+}
@@ -0,0 +1,161 @@
+import { pendingDevicesRepository, devicesRepository } from "../repositories/index.js";
+import { getDeviceByMac, newDeviceCredential } from "./device.service.js";
+import { getFacilityById } from "./facility.service.js";
+import { FACILITY_ROLES } from "./access.service.js";
+import { sendToDevice, getDeviceConnection } from "../websocket/connections.js";
+import { normalizeMac } from "../utils/mac.js";
+import { ValidationError, NotFoundError, ConflictError } from "../utils/errors.js";
+
+// Unknown MACs that connect to /ws/esp32 wait here until an admin claims, rejects or blocks them
+export const ALLOW_PENDING = process.env.ALLOW_PENDING_DEVICES !== "false";
+
+const MAX_SAMPLES = 5;
+const MAX_SAMPLE_BYTES = 2048;
+
+// Pending sockets share the connection registry under a prefixed key
+export function pendingConnectionKey(mac) {
+  return `pending:${normalizeMac(mac)}`;
+}
+
+export async function getPendingDevice(mac) {
+  return pendingDevicesRepository.get(normalizeMac(mac));
+}
+
+// Returns the pending record, or null when the MAC is blocked
+export async function recordPendingConnection(mac, { remoteAddress, claimCode, metadata }) {
+  const key = normalizeMac(mac);
+  const existing = await pendingDevicesRepository.get(key);
+  const now = Date.now();
+
+  if (existing?.status === "blocked") return null;
+
+  const record = {
+    mac: key,
+    status: "pending",
+    firstSeen: existing?.firstSeen || now,
+    lastSeen: now,
+    connectCount: (existing?.connectCount || 0) + 1,
+    remoteAddress: remoteAddress || null,
+    claimCode: claimCode || existing?.claimCode || null,
+    metadata: metadata || existing?.metadata || null,
+    samples: existing?.samples || []
+  };
+
+  await pendingDevicesRepository.set(key, record);
+
+  return record;
+}
+
+// Keeps the last few raw payloads so admins can recognise the device
+export async function recordPendingSample(mac, payload) {
+  const key = normalizeMac(mac);
+  const existing = await pendingDevicesRepository.get(key);
+  if (!existing || existing.status !== "pending") return;
+
+  const raw = JSON.stringify(payload);
+  const sample = {
+    receivedAt: Date.now(),
+    payload: raw.length > MAX_SAMPLE_BYTES ? { truncated: raw.slice(0, MAX_SAMPLE_BYTES) } : payload
+  };
+
+  await pendingDevicesRepository.update(key, {
+    lastSeen: sample.receivedAt,
+    claimCode: payload?.claimCode || existing.claimCode || null,
+    samples: [...(existing.samples || []), sample].slice(-MAX_SAMPLES)
+  });
+}
+
+export async function isBlocked(mac) {
+  const existing = await pendingDevicesRepository.get(normalizeMac(mac));
+  return existing?.status === "blocked";
+}
+
+export async function listPendingDevices({ status } = {}) {
+  const data = status
+    ? await pendingDevicesRepository.findBy("status", status)
+    : await pendingDevicesRepository.list();
+
+  return Object.values(data).sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+async function findByClaimCode(claimCode) {
+  const matches = await pendingDevicesRepository.findBy("claimCode", claimCode);
+  return Object.values(matches).find(p => p.status === "pending") || null;
+}
+
+// Tenant admins claim into any facility of their tenant, facility-level callers into their own
+export async function claimPendingDevice(user, { mac, claimCode, facilityId, name }) {
+  const pending = claimCode ? await findByClaimCode(claimCode) : await getPendingDevice(mac);
+
+  if (!pending || pending.status !== "pending") throw new NotFoundError("Pending device not found");
+  if (claimCode && mac && normalizeMac(mac) !== pending.mac) throw new NotFoundError("Pending device not found");
+
+  const targetFacilityId = FACILITY_ROLES.includes(user.role) ? user.facilityId : facilityId;
+  const facility = targetFacilityId && await getFacilityById(targetFacilityId);
+
+  if (!facility || facility.tenantId !== user.tenantId) throw new ValidationError("Unknown facility");
+
+  if (await getDeviceByMac(pending.mac)) throw new ConflictError("Device is already registered");
+
+  const { deviceSecret, fields } = newDeviceCredential();
+  const now = Date.now();
+
+  const device = {
+    mac: pending.mac,
+    name: name || pending.mac,
+    tenantId: user.tenantId,
+    facilityId: targetFacilityId,
+    addedBy: user.uid,
+    claimedAt: now,
+    createdAt: now,
+    metadata: pending.metadata || null,
+    ...fields
+  };
+
+  const deviceId = await devicesRepository.create(device);
+  await pendingDevicesRepository.remove(pending.mac);
+
+  // Anyone can open a pending socket for a MAC. The credential is only pushed to a socket that
+  // presented the claim code the admin used; otherwise it is in the response alone.
+  const connectionKey = pendingConnectionKey(pending.mac);
+  const socket = getDeviceConnection(connectionKey);
+
+  const provisioned = Boolean(claimCode && socket?.claimCode === claimCode)
+    && sendToDevice(connectionKey, { type: "provisioned", deviceId, deviceSecret });
+
+  socket?.close(1000, provisioned ? "Provisioned" : "Claimed");
+
+  const { credentialHash, ...publicDevice } = device;
+
+  return { deviceId, deviceSecret, provisioned, device: publicDevice };
+}
+
+export async function rejectPendingDevice(mac) {
+  const pending = await getPendingDevice(mac);
+  if (!pending) throw new NotFoundError("Pending device not found");
+
+  await pendingDevicesRepository.remove(pending.mac);
+  getDeviceConnection(pendingConnectionKey(pending.mac))?.close(1008, "Rejected");
+}
+
+export async function blockPendingDevice(user, mac) {
+  const key = normalizeMac(mac);
+  const existing = await pendingDevicesRepository.get(key);
+  const now = Date.now();
+
+  await pendingDevicesRepository.set(key, {
+    ...(existing || { mac: key, firstSeen: now, lastSeen: now, connectCount: 0 }),
+    status: "blocked",
+    blockedBy: user.uid,
+    blockedAt: now
+  });
+
+  getDeviceConnection(pendingConnectionKey(key))?.close(1008, "Blocked");
+}
+
+export async function unblockPendingDevice(mac) {
+  const pending = await getPendingDevice(mac);
+  if (!pending || pending.status !== "blocked") throw new NotFoundError("Blocked device not found");
+
+  await pendingDevicesRepository.remove(pending.mac);
+}
@@ -0,0 +1,142 @@
+import { rolesRepository, usersRepository } from "../repositories/index.js";
+import { v4 as uuidv4 } from "uuid";
+import { PERMISSIONS, ROLE_PERMISSIONS, GRANTABLE_PERMISSIONS } from "../config/permissions.js";
+import { ValidationError, ForbiddenError, ConflictError } from "../utils/errors.js";
+
+const ROLE_CACHE_MS = 30000;
+
+// roleId -> { role, loadedAt }
+const roleCache = new Map();
+
+// ==========================================
+// CHECKS
+// ==========================================
+export function hasPermission(granted, permission) {
+  if (granted.includes("*") || granted.includes(permission)) return true;
+
+  const [resource] = permission.split(":");
+  return granted.includes(`${resource}:*`);
+}
+
+async function getCustomRole(roleId) {
+  const cached = roleCache.get(roleId);
+  if (cached && Date.now() - cached.loadedAt < ROLE_CACHE_MS) return cached.role;
+
+  const role = await rolesRepository.get(roleId);
+  roleCache.set(roleId, { role, loadedAt: Date.now() });
+
+  return role;
+}
+
+// A custom role replaces the built-in permission set; the built-in role still decides scope.
+// A deleted or foreign custom role falls back to the built-in set.
+// API keys carry their own list (services/apikey.service.js).
+export async function getEffectivePermissions(user) {
+  if (user.apiKeyId) return user.permissions;
+
+  const builtIn = ROLE_PERMISSIONS[user.role] || [];
+
+  if (!user.customRoleId || user.role === "super_admin") return builtIn;
+
+  const role = await getCustomRole(user.customRoleId);
+  if (!role || role.tenantId !== user.tenantId) return builtIn;
+
+  return role.permissions.filter(p => GRANTABLE_PERMISSIONS.includes(p));
+}
+
+// ==========================================
+// CUSTOM ROLES
+// ==========================================
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions) || !permissions.length) {
+    throw new ValidationError("permissions must be a non-empty array");
+  }
+
+  const unknown = permissions.filter(p => !PERMISSIONS[p]);
+  if (unknown.length) throw new ValidationError(`Unknown permissions: ${unknown.join(", ")}`);
+
+  const denied = permissions.filter(p => !GRANTABLE_PERMISSIONS.includes(p));
+  if (denied.length) throw new ForbiddenError(`Permissions cannot be granted by a custom role: ${denied.join(", ")}`);
+
+  return [...new Set(permissions)];
+}
+
+function builtInRoles() {
+  return Object.entries(ROLE_PERMISSIONS).map(([id, permissions]) => ({
+    id,
+    name: id,
+    builtIn: true,
+    permissions
+  }));
+}
+
+export async function listRoles(user, filters = {}) {
+  const tenantId = user.role === "super_admin" ? filters.tenantId : user.tenantId;
+
+  const data = tenantId
+    ? await rolesRepository.findBy("tenantId", tenantId)
+    : await rolesRepository.list();
+
+  return [...builtInRoles(), ...Object.values(data)];
+}
+
+export async function createRole(user, body) {
+  const tenantId = user.role === "super_admin" ? body.tenantId : user.tenantId;
+
+  if (!tenantId) throw new ValidationError("tenantId is required");
+  if (!body.name) throw new ValidationError("name is required");
+  if (ROLE_PERMISSIONS[body.name]) throw new ConflictError(`${body.name} is a built-in role`);
+
+  const id = uuidv4();
+
+  const role = {
+    id,
+    tenantId,
+    name: body.name,
+    description: body.description || null,
+    permissions: validatePermissions(body.permissions),
+    createdBy: user.uid,
+    createdAt: Date.now()
+  };
+
+  await rolesRepository.set(id, role);
+
+  return role;
+}
+
+export async function updateRole(user, role, body) {
+  const update = {};
+
+  if (body.name !== undefined) {
+    if (!body.name) throw new ValidationError("name is required");
+    if (ROLE_PERMISSIONS[body.name]) throw new ConflictError(`${body.name} is a built-in role`);
+    update.name = body.name;
+  }
+
+  if (body.description !== undefined) update.description = body.description;
+  if (body.permissions !== undefined) update.permissions = validatePermissions(body.permissions);
+
+  const updated = { ...role, ...update, updatedBy: user.uid, updatedAt: Date.now() };
+
+  await rolesRepository.set(role.id, updated);
+  roleCache.delete(role.id);
+
+  return updated;
+}
+
+// Users still pointing at the role fall back to their built-in permissions
+export async function deleteRole(role) {
+  await rolesRepository.remove(role.id);
+  roleCache.delete(role.id);
+}
+
+// role: custom role record, or null to go back to the built-in permissions
+export async function assignCustomRole(target, role) {
+  if (role && role.tenantId !== target.tenantId) {
+    throw new ValidationError("Role belongs to another tenant");
+  }
+
+  await usersRepository.update(target.id, { customRoleId: role ? role.id : null });
+
+  return { message: role ? "Custom role assigned" : "Custom role removed" };
+}
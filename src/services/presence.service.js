@@ -0,0 +1,96 @@
+import { devicesRepository, deviceConnectionsRepository } from "../repositories/index.js";
+
+// Device is considered offline after this much silence (no message or pong)
+export const OFFLINE_AFTER_MS = Number(process.env.DEVICE_OFFLINE_AFTER_MS) || 90000;
+
+// Avoid a registry write for every message; lastSeen is persisted at most this often
+const LAST_SEEN_WRITE_MS = Number(process.env.DEVICE_LAST_SEEN_WRITE_MS) || 15000;
+
+const lastWritten = new Map();
+
+// Presence writes race device deletion: the socket of a deleted device closes after its
+// record is gone. updateIf with no condition only writes to a record that still exists,
+// where a plain update() would bring back a partial one.
+const IF_EXISTS = {};
+
+export async function markOnline(deviceId, { remoteAddress, metadata }) {
+  const now = Date.now();
+
+  const connectionId = await deviceConnectionsRepository(deviceId).create({
+    connectedAt: now,
+    remoteAddress: remoteAddress || null,
+    metadata: metadata || null
+  });
+
+  const update = {
+    status: "online",
+    lastSeen: now,
+    connectedAt: now,
+    remoteAddress: remoteAddress || null
+  };
+
+  if (metadata) update.metadata = metadata;
+
+  await devicesRepository.updateIf(deviceId, IF_EXISTS, update);
+  lastWritten.set(deviceId, now);
+
+  return connectionId;
+}
+
+export async function markOffline(deviceId) {
+  const now = Date.now();
+
+  await devicesRepository.updateIf(deviceId, IF_EXISTS, {
+    status: "offline",
+    lastSeen: now,
+    disconnectedAt: now
+  });
+
+  lastWritten.delete(deviceId);
+}
+
+// Closes one entry of the device's connection history
+export async function endConnection(deviceId, connectionId, reason) {
+  if (!connectionId) return;
+
+  await deviceConnectionsRepository(deviceId).updateIf(connectionId, IF_EXISTS, {
+    disconnectedAt: Date.now(),
+    reason: reason || null
+  });
+}
+
+// Persist lastSeen (throttled) and any firmware-reported metadata
+export async function touch(deviceId, metadata) {
+  const now = Date.now();
+  const update = {};
+
+  if (now - (lastWritten.get(deviceId) || 0) >= LAST_SEEN_WRITE_MS) {
+    update.lastSeen = now;
+    lastWritten.set(deviceId, now);
+  }
+
+  if (metadata) update.metadata = metadata;
+
+  if (Object.keys(update).length) {
+    await devicesRepository.updateIf(deviceId, IF_EXISTS, update);
+  }
+}
+
+// Stored status can be stale if the server stopped without closing sockets
+export function withPresence(device) {
+  if (!device) return device;
+
+  const online =
+    device.status === "online" &&
+    Date.now() - (device.lastSeen || 0) < OFFLINE_AFTER_MS;
+
+  return { ...device, status: online ? "online" : "offline" };
+}
+
+export async function getConnectionHistory(deviceId, limit = 50) {
+  const connections = await deviceConnectionsRepository(deviceId).list({ limitToLast: limit });
+
+  return Object.entries(connections)
+    .map(([id, data]) => ({ id, ...data }))
+    .sort((a, b) => b.connectedAt - a.connectedAt);
+}
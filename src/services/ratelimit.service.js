@@ -0,0 +1,168 @@
+import { rateLimitCounters, rateLimitsRepository } from "../repositories/index.js";
+import { TooManyRequestsError } from "../utils/errors.js";
+import { counter } from "../utils/metrics.js";
+import logger from "../utils/logger.js";
+
+// Fixed-window rate limits. HTTP requests count against the client IP and, once authenticated,
+// against the user and the user's tenant; ESP messages count against the device. Defaults come
+// from RATE_LIMIT_<SCOPE>="<count>/<seconds>" (or "off"); super admins override the user,
+// tenant and device limits per tenant (rate_limits/<tenantId>).
+
+export const RATE_LIMIT_SCOPES = ["ip", "user", "tenant", "device"];
+
+// The scopes a tenant override may set
+export const TENANT_LIMIT_SCOPES = ["user", "tenant", "device"];
+
+const DEFAULTS = { ip: "600/60", user: "300/60", tenant: "3000/60", device: "30/10" };
+
+// Overrides are read on every request; other instances notice a change within this window
+const OVERRIDES_CACHE_MS = 30000;
+
+// tenantId -> { overrides, loadedAt }
+const overridesCache = new Map();
+
+const rateLimited = counter("rate_limited_total", "HTTP requests and device messages refused by a rate limit, by scope");
+
+function parseLimit(scope, text) {
+  if (text === "off") return null;
+
+  const [, count, seconds] = /^(\d+)\/(\d+)$/.exec(text.trim()) || [];
+
+  if (!Number(count) || !Number(seconds)) {
+    throw new Error(`RATE_LIMIT_${scope.toUpperCase()} must be "<count>/<seconds>" or "off", got "${text}"`);
+  }
+
+  return { limit: Number(count), windowSeconds: Number(seconds) };
+}
+
+export const DEFAULT_LIMITS = Object.fromEntries(RATE_LIMIT_SCOPES.map(scope => [
+  scope,
+  parseLimit(scope, process.env[`RATE_LIMIT_${scope.toUpperCase()}`] || DEFAULTS[scope])
+]));
+
+// ==========================================
+// TENANT OVERRIDES
+// ==========================================
+async function getOverrides(tenantId) {
+  const cached = overridesCache.get(tenantId);
+  if (cached && Date.now() - cached.loadedAt < OVERRIDES_CACHE_MS) return cached.overrides;
+
+  const overrides = await rateLimitsRepository.get(tenantId);
+  overridesCache.set(tenantId, { overrides, loadedAt: Date.now() });
+
+  return overrides;
+}
+
+// Defaults with the tenant's overrides on top; a scope is null when it is not limited
+export async function getTenantLimits(tenantId) {
+  const overrides = tenantId ? await getOverrides(tenantId) : null;
+
+  return Object.fromEntries(RATE_LIMIT_SCOPES.map(scope => [scope, overrides?.[scope] || DEFAULT_LIMITS[scope]]));
+}
+
+// { overrides, effective } as shown to super admins
+export async function describeTenantLimits(tenantId) {
+  const record = await rateLimitsRepository.get(tenantId);
+
+  return {
+    tenantId,
+    overrides: record || null,
+    defaults: DEFAULT_LIMITS,
+    effective: await getTenantLimits(tenantId)
+  };
+}
+
+// Replaces the tenant's overrides; scopes left out (or null) fall back to the defaults
+export async function setTenantOverrides(user, tenantId, limits) {
+  const record = {
+    ...Object.fromEntries(TENANT_LIMIT_SCOPES.filter(scope => limits[scope]).map(scope => [scope, limits[scope]])),
+    updatedAt: Date.now(),
+    updatedBy: user.uid
+  };
+
+  await rateLimitsRepository.set(tenantId, record);
+  overridesCache.set(tenantId, { overrides: record, loadedAt: Date.now() });
+
+  return record;
+}
+
+export async function clearTenantOverrides(tenantId) {
+  await rateLimitsRepository.remove(tenantId);
+  overridesCache.set(tenantId, { overrides: null, loadedAt: Date.now() });
+}
+
+// ==========================================
+// COUNTING
+// ==========================================
+// Counts one hit against scope:key. Returns null when the counter store is unreachable:
+// a shared store that is down must not take the API or ingestion down with it.
+async function consume(scope, key, { limit, windowSeconds }) {
+  const windowMs = windowSeconds * 1000;
+
+  try {
+    const { count, windowStart } = await rateLimitCounters.hit(`${scope}:${key}`, windowMs);
+
+    return {
+      scope,
+      limit,
+      windowSeconds,
+      remaining: Math.max(0, limit - count),
+      resetAt: windowStart + windowMs,
+      allowed: count <= limit
+    };
+  } catch (err) {
+    logger.error("Rate limit store failed", { scope, err });
+    return null;
+  }
+}
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// RateLimit-* describe the most constrained limit the request counted against
+function setHeaders(res, state) {
+  res.setHeader("RateLimit-Limit", state.limit);
+  res.setHeader("RateLimit-Remaining", state.remaining);
+  res.setHeader("RateLimit-Reset", secondsUntil(state.resetAt));
+}
+
+// checks: [{ scope, key, limit }]; entries without a key or limit are skipped.
+// Throws TooManyRequestsError (429 + Retry-After) at the first exhausted limit.
+export async function enforceRequestLimits(res, checks) {
+  for (const { scope, key, limit } of checks) {
+    if (!key || !limit) continue;
+
+    const state = await consume(scope, key, limit);
+    if (!state) continue;
+
+    const tightest = res.locals.rateLimit;
+
+    if (!state.allowed || !tightest || state.remaining < tightest.remaining) {
+      res.locals.rateLimit = state;
+      setHeaders(res, state);
+    }
+
+    if (!state.allowed) {
+      rateLimited.inc({ scope });
+
+      throw new TooManyRequestsError(
+        `Rate limit exceeded: ${state.limit} requests per ${state.windowSeconds} s (${scope})`,
+        secondsUntil(state.resetAt),
+        { scope, limit: state.limit, windowSeconds: state.windowSeconds }
+      );
+    }
+  }
+}
+
+// Device messages over the limit are dropped. Returns null when the message may be processed,
+// otherwise the exhausted limit with retryAfter (seconds).
+export async function limitDeviceMessage(key, tenantId) {
+  const { device } = await getTenantLimits(tenantId);
+  if (!device) return null;
+
+  const state = await consume("device", key, device);
+  if (!state || state.allowed) return null;
+
+  rateLimited.inc({ scope: "device" });
+
+  return { ...state, retryAfter: secondsUntil(state.resetAt) };
+}
@@ -1,12 +1,97 @@
-import { db } from "../config/firebase.js";
-export async function insertSensorData(tenantId, sensorType, mac, data) {
+import { readingsRepository } from "../repositories/index.js";
+import { evaluateReading } from "./alert.service.js";
+import { ValidationError } from "../utils/errors.js";
+import logger from "../utils/logger.js";
+
+// device is optional context ({ id, facilityId }) used by alert rules
+export async function insertSensorData(tenantId, sensorType, mac, data, device) {
 
   const timestamp = Date.now();
 
-  const ref = db.ref(
-    `tenants/${tenantId}/${sensorType}/${mac}/${timestamp}`
-  );
+  await readingsRepository.insertReading(tenantId, sensorType, mac, timestamp, data);
+
+  // A failing rule must never drop the reading itself
+  try {
+    await evaluateReading({
+      tenantId,
+      sensorType,
+      mac,
+      deviceId: device?.id,
+      facilityId: device?.facilityId,
+      data,
+      timestamp
+    });
+  } catch (err) {
+    logger.error("Alert evaluation failed", { tenantId, deviceId: device?.id, sensorType, err });
+  }
+
+  return timestamp;
+}
+
+// ==========================================
+// HISTORY QUERIES
+// ==========================================
+export const MAX_PAGE_SIZE = 1000;
+export const MAX_SERIES_DEVICES = 20;
+export const MAX_BUCKETS = 500;
+export const MAX_REQUESTED_BUCKETS = 5000;
+
+const UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// "30s", "5m", "1h", "1d" or plain milliseconds
+export function parseInterval(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const match = /^(\d+)(s|m|h|d)?$/.exec(String(value));
+  if (!match) return NaN;
+
+  return Number(match[1]) * (match[2] ? UNITS[match[2]] : 1);
+}
+
+export function resolveInterval(interval, from, to) {
+  if (interval) return interval;
+  return Math.max(1000, Math.ceil((to - from) / MAX_BUCKETS));
+}
 
-  await ref.set(data);
+// Latest readings, oldest first (the original limitToLast behaviour)
+export async function getLatestReadings(tenantId, sensorType, mac, limit = 50) {
+  return readingsRepository.getLatestReadings(tenantId, sensorType, mac, limit);
 }
 
+// A readings cursor is the timestamp of the last reading on the previous page
+function decodeCursor(cursor) {
+  if (cursor === undefined) return undefined;
+  if (/^\d{1,15}$/.test(cursor)) return Number(cursor);
+
+  throw new ValidationError("Invalid request", [{ field: "query.cursor", message: "is not a cursor of this list" }]);
+}
+
+export async function getReadingsPage(tenantId, sensorType, mac, options) {
+  return readingsRepository.getReadingsPage(tenantId, sensorType, mac, { ...options, cursor: decodeCursor(options.cursor) });
+}
+
+// Bucketed avg/min/max per interval, only buckets that contain readings
+export async function getDownsampledReadings(tenantId, sensorType, mac, range) {
+  return readingsRepository.getDownsampledReadings(tenantId, sensorType, mac, range);
+}
+
+// Several MACs bucketed onto one shared time axis; missing buckets are null
+export async function getAlignedSeries(sensorType, devices, { from, to, interval }) {
+  const results = await Promise.all(
+    devices.map(({ tenantId, mac }) => getDownsampledReadings(tenantId, sensorType, mac, { from, to, interval }))
+  );
+
+  const timestamps = [];
+  for (let t = from; t <= to; t += interval) timestamps.push(t);
+
+  const series = {};
+  let truncated = false;
+
+  devices.forEach(({ mac }, i) => {
+    const byTime = new Map(results[i].data.map(b => [b.timestamp, b]));
+    series[mac] = timestamps.map(t => byTime.get(t) || null);
+    truncated = truncated || results[i].truncated;
+  });
+
+  return { interval, from, to, truncated, timestamps, series };
+}
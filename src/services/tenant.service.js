@@ -0,0 +1,207 @@
+import {
+  tenantsRepository,
+  tenantDeletionsRepository,
+  devicesRepository,
+  usersRepository,
+  facilitiesRepository,
+  zonesRepository,
+  alertRulesRepository,
+  alertsRepository,
+  rolesRepository,
+  invitationsRepository,
+  deviceGroupsRepository,
+  apiKeysRepository,
+  rateLimitsRepository,
+  readingsRepository,
+  removeDeviceTagIndex
+} from "../repositories/index.js";
+import { authProvider } from "../auth/index.js";
+import { disconnectDevice } from "../websocket/connections.js";
+import { recordAudit } from "./audit.service.js";
+import { removeDeviceData } from "./device.service.js";
+import { ConflictError } from "../utils/errors.js";
+import logger from "../utils/logger.js";
+
+// Soft delete -> purge. Deleting a tenant suspends it (logins and device ingestion are refused)
+// and schedules a purge after the grace period; until then it can be restored. The purge job
+// hard-deletes every record of the tenant and stores a deletion report in tenant_deletions.
+
+export const PURGE_GRACE_MS = Number(process.env.TENANT_PURGE_GRACE_DAYS ?? 30) * 86400000;
+
+const PURGE_INTERVAL_MS = Number(process.env.TENANT_PURGE_INTERVAL_MS) || 3600000;
+
+// Suspension is checked on every request; other instances notice a change within this window
+const SUSPENDED_CACHE_MS = 30000;
+
+// tenantId -> { suspended, loadedAt }
+const suspendedCache = new Map();
+
+// ==========================================
+// SUSPENSION
+// ==========================================
+// The tenant_deletions record (scheduled or purged) is what suspends a tenant
+export async function isTenantSuspended(tenantId) {
+  if (!tenantId) return false;
+
+  const cached = suspendedCache.get(tenantId);
+  if (cached && Date.now() - cached.loadedAt < SUSPENDED_CACHE_MS) return cached.suspended;
+
+  const suspended = await tenantDeletionsRepository.exists(tenantId);
+  suspendedCache.set(tenantId, { suspended, loadedAt: Date.now() });
+
+  return suspended;
+}
+
+export async function softDeleteTenant(user, tenantId, tenant) {
+  if (await tenantDeletionsRepository.exists(tenantId)) throw new ConflictError("Tenant is already deleted");
+
+  const now = Date.now();
+
+  const deletion = {
+    tenantId,
+    name: tenant.name || null,
+    status: "scheduled",
+    deletedAt: now,
+    deletedBy: user.uid,
+    purgeAt: now + PURGE_GRACE_MS
+  };
+
+  await tenantDeletionsRepository.set(tenantId, deletion);
+  await tenantsRepository.update(tenantId, { deletedAt: now, purgeAt: deletion.purgeAt });
+  suspendedCache.set(tenantId, { suspended: true, loadedAt: now });
+
+  // Open device sessions would otherwise keep ingesting until they reconnect
+  const devices = await devicesRepository.findBy("tenantId", tenantId);
+  for (const deviceId of Object.keys(devices)) disconnectDevice(deviceId, "Tenant suspended");
+
+  return deletion;
+}
+
+export async function restoreTenant(tenantId) {
+  const deletion = await tenantDeletionsRepository.get(tenantId);
+
+  if (!deletion) throw new ConflictError("Tenant is not deleted");
+  if (deletion.status !== "scheduled") throw new ConflictError("Tenant was already purged");
+
+  await tenantsRepository.update(tenantId, { deletedAt: null, purgeAt: null });
+  await tenantDeletionsRepository.remove(tenantId);
+  suspendedCache.delete(tenantId);
+
+  return deletion;
+}
+
+export async function getDeletions(filters = {}) {
+  const data = filters.status
+    ? await tenantDeletionsRepository.findBy("status", filters.status)
+    : await tenantDeletionsRepository.list();
+
+  return Object.values(data).sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+export async function getDeletion(tenantId) {
+  return tenantDeletionsRepository.get(tenantId);
+}
+
+// ==========================================
+// PURGE
+// ==========================================
+// Removes every record of `repository` whose `field` is `value`; returns how many
+async function removeAll(repository, field, value, beforeRemove) {
+  const data = await repository.findBy(field, value);
+
+  for (const [id, record] of Object.entries(data)) {
+    if (beforeRemove) await beforeRemove(id, record);
+    await repository.remove(id);
+  }
+
+  return Object.keys(data).length;
+}
+
+// Returns false when there was no auth account to delete
+async function deleteAuthAccount(uid) {
+  try {
+    await authProvider.deleteUser(uid);
+    return true;
+  } catch (err) {
+    if (err.code === "auth/user-not-found") return false;
+    throw err;
+  }
+}
+
+// Every step is idempotent, so a purge that failed halfway is simply run again.
+// The audit log is kept: it is the record of what happened to the tenant.
+export async function purgeTenant(tenantId) {
+  let authAccounts = 0;
+
+  const report = {
+    devices: await removeAll(devicesRepository, "tenantId", tenantId, (deviceId, device) => (
+      removeDeviceData(deviceId, device, "Tenant deleted")
+    )),
+    users: await removeAll(usersRepository, "tenantId", tenantId, async (uid) => {
+      if (await deleteAuthAccount(uid)) authAccounts++;
+    }),
+    facilities: await removeAll(facilitiesRepository, "tenantId", tenantId),
+    zones: await removeAll(zonesRepository, "tenantId", tenantId),
+    groups: await removeAll(deviceGroupsRepository, "tenantId", tenantId),
+    alertRules: await removeAll(alertRulesRepository, "tenantId", tenantId),
+    alerts: await removeAll(alertsRepository, "tenantId", tenantId),
+    roles: await removeAll(rolesRepository, "tenantId", tenantId),
+    invitations: await removeAll(invitationsRepository, "tenantId", tenantId),
+    apiKeys: await removeAll(apiKeysRepository, "tenantId", tenantId)
+  };
+
+  report.authAccounts = authAccounts;
+  await removeDeviceTagIndex(tenantId);
+  await rateLimitsRepository.remove(tenantId);
+
+  // Last: on Firebase the readings share the tenant record's node
+  report.readings = await readingsRepository.deleteTenantReadings(tenantId);
+  await tenantsRepository.remove(tenantId);
+
+  return report;
+}
+
+// Purges every tenant whose grace period ended before `now`; returns the reports
+export async function purgeExpiredTenants(now = Date.now()) {
+  const scheduled = await tenantDeletionsRepository.findBy("status", "scheduled");
+  const purged = [];
+
+  for (const deletion of Object.values(scheduled)) {
+    if (deletion.purgeAt > now) continue;
+
+    const { tenantId } = deletion;
+
+    try {
+      const report = await purgeTenant(tenantId);
+      const purgedAt = Date.now();
+
+      await tenantDeletionsRepository.update(tenantId, { status: "purged", purgedAt, report });
+
+      await recordAudit(null, {
+        action: "tenant.purge",
+        targetType: "tenant",
+        targetId: tenantId,
+        tenantId,
+        details: report
+      });
+
+      logger.info("Tenant purged", { tenantId, report });
+      purged.push({ ...deletion, status: "purged", purgedAt, report });
+    } catch (err) {
+      logger.error("Tenant purge failed", { tenantId, err });
+    }
+  }
+
+  return purged;
+}
+
+// Started by server.js; runs once at startup, then every TENANT_PURGE_INTERVAL_MS
+export function startTenantPurgeJob() {
+  const run = () => purgeExpiredTenants().catch((err) => logger.error("Tenant purge job failed", { err }));
+
+  const interval = setInterval(run, PURGE_INTERVAL_MS);
+  interval.unref();
+  run();
+
+  return interval;
+}
@@ -1,14 +1,48 @@
-import { db } from "../config/firebase.js";
+import { authProvider } from "../auth/index.js";
+import { usersRepository } from "../repositories/index.js";
+import { ValidationError } from "../utils/errors.js";
+
+// Claims mirrored into the ID token from users/<uid>
+export function claimsFor({ role, tenantId, facilityId }) {
+  const claims = { role };
+
+  if (tenantId) claims.tenantId = tenantId;
+  if (facilityId) claims.facilityId = facilityId;
+
+  return claims;
+}
+
+// Creates the auth account, its claims and the users/<uid> profile; returns the uid
+export const createAccount = async ({ email, password, role, tenantId, facilityId, emailVerified, profile }) => {
+  const account = await authProvider.createUser({
+    email,
+    password,
+    emailVerified: Boolean(emailVerified)
+  });
+
+  const claims = claimsFor({ role, tenantId, facilityId });
+
+  await authProvider.setCustomUserClaims(account.uid, claims);
+
+  await usersRepository.set(account.uid, {
+    email,
+    ...claims,
+    ...profile,
+    createdAt: Date.now()
+  });
+
+  return account.uid;
+};
 
 export const assignFacilityRole = async ({ uid, role, facilityId }) => {
   if (!["facility_admin", "facility_user"].includes(role)) {
-    throw new Error("Invalid role");
+    throw new ValidationError("role must be facility_admin or facility_user");
   }
 
-  await db.ref(`users/${uid}`).update({
+  await usersRepository.update(uid, {
     role,
     facilityId
   });
 
   return { message: "Role assigned" };
-};
\ No newline at end of file
+};
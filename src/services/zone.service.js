@@ -0,0 +1,132 @@
+import { zonesRepository, devicesRepository } from "../repositories/index.js";
+import { v4 as uuidv4 } from "uuid";
+import { ValidationError, ConflictError } from "../utils/errors.js";
+
+// Outermost first. A zone's parent must be of an outer type (floor in a building, zone on a
+// floor or directly in a building); any type may sit at the top of the facility.
+export const ZONE_TYPES = ["building", "floor", "zone"];
+
+function depth(type) {
+  return ZONE_TYPES.indexOf(type);
+}
+
+// Outermost first, so every parent comes before its children
+function byLevel(a, b) {
+  return depth(a.type) - depth(b.type) || a.name.localeCompare(b.name);
+}
+
+async function resolveParent(facility, parentId, type) {
+  if (!parentId) return null;
+
+  const parent = await zonesRepository.get(parentId);
+
+  if (!parent || parent.facilityId !== facility.id) {
+    throw new ValidationError("Invalid request", [
+      { field: "body.parentId", message: "zone does not exist in this facility" }
+    ]);
+  }
+
+  if (depth(parent.type) >= depth(type)) {
+    throw new ValidationError("Invalid request", [
+      { field: "body.parentId", message: `a ${type} cannot be placed inside a ${parent.type}` }
+    ]);
+  }
+
+  return parent;
+}
+
+export async function getZones(facilityId) {
+  const data = await zonesRepository.findBy("facilityId", facilityId);
+  return Object.values(data).sort(byLevel);
+}
+
+// Ids of the zone and every zone below it
+export async function getZoneSubtree(zone) {
+  const ids = new Set([zone.id]);
+
+  for (const candidate of await getZones(zone.facilityId)) {
+    if (ids.has(candidate.parentId)) ids.add(candidate.id);
+  }
+
+  return ids;
+}
+
+export async function createZone(user, facility, body) {
+  const parent = await resolveParent(facility, body.parentId, body.type);
+  const id = uuidv4();
+
+  const zone = {
+    id,
+    name: body.name,
+    type: body.type,
+    parentId: parent?.id || null,
+    tenantId: facility.tenantId,
+    facilityId: facility.id,
+    createdBy: user.uid,
+    createdAt: Date.now()
+  };
+
+  await zonesRepository.set(id, zone);
+
+  return zone;
+}
+
+// The type never changes, so outer-to-inner ordering (and therefore no cycles) is preserved
+export async function updateZone(facility, zone, body) {
+  const update = {};
+
+  if (body.name !== undefined) update.name = body.name;
+
+  if (body.parentId !== undefined) {
+    const parent = await resolveParent(facility, body.parentId, zone.type);
+    update.parentId = parent?.id || null;
+  }
+
+  await zonesRepository.update(zone.id, update);
+
+  return { ...zone, ...update };
+}
+
+// Child zones must be moved or deleted first; devices in the zone stay in the facility
+export async function deleteZone(zone) {
+  const children = await zonesRepository.findBy("parentId", zone.id);
+  const count = Object.keys(children).length;
+
+  if (count) throw new ConflictError(`Zone has ${count} child zone${count === 1 ? "" : "s"}`);
+
+  const devices = await devicesRepository.findBy("zoneId", zone.id);
+
+  for (const deviceId of Object.keys(devices)) {
+    await devicesRepository.update(deviceId, { zoneId: null });
+  }
+
+  await zonesRepository.remove(zone.id);
+
+  return { devices: Object.keys(devices).length };
+}
+
+// Device placement: the zone must belong to the device's facility (null takes it out of its zone)
+export async function resolveDeviceZone(device, zoneId) {
+  if (zoneId === null) return null;
+
+  const zone = await zonesRepository.get(zoneId);
+
+  if (!zone || !device.facilityId || zone.facilityId !== device.facilityId) {
+    throw new ValidationError("Invalid request", [
+      { field: "body.zoneId", message: "zone does not exist in the device's facility" }
+    ]);
+  }
+
+  return zone;
+}
+
+// Facility removal takes its zones with it
+export async function removeFacilityZones(facilityId) {
+  const zones = await zonesRepository.findBy("facilityId", facilityId);
+
+  for (const zoneId of Object.keys(zones)) {
+    await zonesRepository.remove(zoneId);
+  }
+
+  return Object.keys(zones).length;
+}
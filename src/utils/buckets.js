@@ -0,0 +1,39 @@
+// In-process bucketing for stores that cannot aggregate (Firebase RTDB)
+
+export function bucketStart(timestamp, from, interval) {
+  return from + Math.floor((timestamp - from) / interval) * interval;
+}
+
+// Keeps count/sum/min/max for every numeric field of the readings in one bucket
+export function addToBucket(bucket, reading) {
+  bucket.count += 1;
+
+  for (const [field, raw] of Object.entries(reading)) {
+    if (field === "timestamp") continue;
+
+    const value = Number(raw);
+    if (raw === null || raw === "" || typeof raw === "boolean" || Number.isNaN(value)) continue;
+
+    const stat = bucket.fields[field] || (bucket.fields[field] = { sum: 0, n: 0, min: value, max: value });
+    stat.sum += value;
+    stat.n += 1;
+    stat.min = Math.min(stat.min, value);
+    stat.max = Math.max(stat.max, value);
+  }
+}
+
+export function newBucket() {
+  return { count: 0, fields: {} };
+}
+
+export function finishBucket(timestamp, bucket) {
+  const result = { timestamp, count: bucket.count, avg: {}, min: {}, max: {} };
+
+  for (const [field, stat] of Object.entries(bucket.fields)) {
+    result.avg[field] = stat.sum / stat.n;
+    result.min[field] = stat.min;
+    result.max[field] = stat.max;
+  }
+
+  return result;
+}
@@ -0,0 +1,68 @@
+// Minimal RFC 4180 CSV: comma-separated, fields with commas, quotes or newlines are quoted,
+// quotes inside quoted fields are doubled. Used by the device import/export.
+
+// A cell starting with one of these is run as a formula by spreadsheet apps
+// (CSV injection), so toCsv prefixes it with an apostrophe, which shows it as text
+const FORMULA_START = /^[=+\-@]/;
+
+// text -> array of rows (arrays of strings); blank lines are skipped
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some(value => value !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== "")) rows.push(row);
+
+  return rows;
+}
+
+// Undoes the apostrophe toCsv adds, so an exported file imports the original values
+export function unescapeFormula(value) {
+  return value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+function quote(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// Header + one line per record, in `columns` order
+export function toCsv(columns, records) {
+  const lines = [columns, ...records.map(record => columns.map(column => record[column]))];
+  return lines.map(line => line.map(quote).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,84 @@
+// Application errors. Throw these from services, middleware and controllers; the error
+// middleware turns them into { code, message, requestId, details } responses.
+
+export class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// details: [{ field, message }] when specific fields are at fault
+export class ValidationError extends AppError {
+  constructor(message = "Invalid request", details) {
+    super(400, "VALIDATION_FAILED", message, details);
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized") {
+    super(401, "UNAUTHORIZED", message);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", details) {
+    super(403, "FORBIDDEN", message, details);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found") {
+    super(404, "NOT_FOUND", message);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", details) {
+    super(409, "CONFLICT", message, details);
+  }
+}
+
+// The resource existed but is no longer usable (expired links)
+export class GoneError extends AppError {
+  constructor(message = "Gone") {
+    super(410, "GONE", message);
+  }
+}
+
+// A rate limit ran out; retryAfter (seconds) is sent as the Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", retryAfter, details) {
+    super(429, "RATE_LIMITED", message, details);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Firebase Auth codes (also raised by the local provider) -> application errors
+const AUTH_ERRORS = {
+  "auth/email-already-exists": ConflictError,
+  "auth/uid-already-exists": ConflictError,
+  "auth/phone-number-already-exists": ConflictError,
+  "auth/user-not-found": NotFoundError,
+  "auth/id-token-expired": UnauthorizedError,
+  "auth/id-token-revoked": UnauthorizedError,
+  "auth/invalid-id-token": UnauthorizedError,
+  "auth/argument-error": UnauthorizedError,
+  "auth/invalid-credential": UnauthorizedError,
+  "auth/user-disabled": ForbiddenError
+};
+
+// Codes that are the server's fault, not the caller's
+const AUTH_SERVER_ERRORS = ["auth/internal-error", "auth/insufficient-permission", "auth/project-not-found"];
+
+// Returns the matching AppError, or null when err is not a client-side Firebase Auth error
+export function fromAuthError(err) {
+  const code = typeof err?.code === "string" ? err.code : "";
+  if (!code.startsWith("auth/") || AUTH_SERVER_ERRORS.includes(code)) return null;
+
+  const Type = AUTH_ERRORS[code] || ValidationError;
+  return new Type(err.message);
+}
@@ -0,0 +1,79 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Structured logs: one JSON object per line on stdout (warn and error on stderr).
+//   logger.info("Tenant purged", { tenantId, report })
+//   logger.child({ deviceId }).warn("MAC mismatch", { reported })
+// Lines also carry the context of the request or device connection being handled
+// (requestId, uid, tenantId / connectionId, deviceId, ...), see withLogContext.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// LOG_LEVEL=debug|info|warn|error|silent (default info)
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+
+// Matched against field names at any depth: passwords, ID/API/setup tokens, device keys, claim codes and their hashes
+const SENSITIVE_FIELD = /password|passwd|secret|token|authorization|cookie|credential|api[-_]?key|^key(Hash)?$|claimCode/i;
+
+const REDACTED = "[REDACTED]";
+
+const context = new AsyncLocalStorage();
+
+// Runs fn with fields added to every line logged inside it, including from services it awaits
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Adds fields to the current context, e.g. the caller once the token is verified
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, ...(err.code ? { code: err.code } : {}), stack: err.stack };
+}
+
+export function redact(value, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== "object") return value;
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, seen));
+
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    SENSITIVE_FIELD.test(key) && field !== null && field !== undefined ? REDACTED : redact(field, seen)
+  ]));
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...bindings,
+    ...(fields instanceof Error ? { err: fields } : fields)
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + "\n");
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    // Same logger with fields bound to every line
+    child: (fields) => createLogger({ ...bindings, ...fields })
+  };
+}
+
+export const logger = createLogger();
+
+export default logger;
@@ -0,0 +1,5 @@
+// MACs are stored and compared upper-case ("AA:BB:CC:DD:EE:FF"), whatever case the
+// device, an admin or an import file used
+export function normalizeMac(mac) {
+  return String(mac || "").trim().toUpperCase();
+}
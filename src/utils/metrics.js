@@ -0,0 +1,137 @@
+// Minimal Prometheus registry (text exposition format 0.0.4). Metrics are declared next to
+// the code that measures them and rendered together by GET /metrics.
+//   counter(name, help).inc(labels, by)
+//   gauge(name, help, collect)          collect() -> [{ labels, value }] read at scrape time
+//   histogram(name, help, buckets).observe(labels, seconds)
+
+const registry = new Map();
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function register(name, metric) {
+  if (registry.has(name)) throw new Error(`Metric "${name}" is already registered`);
+  registry.set(name, metric);
+  return metric;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+export function counter(name, help) {
+  const series = new Map();
+
+  return register(name, {
+    type: "counter",
+    help,
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += by;
+      series.set(key, entry);
+    },
+    samples: () => [...series.values()].map(({ labels, value }) => ({ name, labels, value }))
+  });
+}
+
+export function gauge(name, help, collect) {
+  return register(name, {
+    type: "gauge",
+    help,
+    samples: () => collect().map(({ labels = {}, value }) => ({ name, labels, value }))
+  });
+}
+
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  return register(name, {
+    type: "histogram",
+    help,
+    observe(labels = {}, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+
+      series.set(key, entry);
+    },
+    samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: bound }, value: counts[i] })),
+      { name: `${name}_bucket`, labels: { ...labels, le: Infinity }, value: count },
+      { name: `${name}_sum`, labels, value: sum },
+      { name: `${name}_count`, labels, value: count }
+    ])
+  });
+}
+
+// Runs fn and records how long it took (resolved or not) in `metric`
+export async function timed(metric, labels, fn) {
+  const start = process.hrtime.bigint();
+
+  try {
+    return await fn();
+  } finally {
+    metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+export function renderMetrics() {
+  const lines = [];
+
+  for (const [name, metric] of registry) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+    for (const sample of metric.samples()) {
+      const labels = { ...sample.labels };
+      if ("le" in labels) labels.le = formatValue(labels.le);
+
+      lines.push(`${sample.name}${formatLabels(labels)} ${formatValue(sample.value)}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// Events per second averaged over the last `seconds`, for "current rate" gauges
+export function rateWindow(seconds = 60) {
+  const counts = new Map();
+
+  const prune = (now) => {
+    for (const second of counts.keys()) {
+      if (second <= now - seconds) counts.delete(second);
+    }
+  };
+
+  return {
+    mark(by = 1) {
+      const now = Math.floor(Date.now() / 1000);
+      counts.set(now, (counts.get(now) || 0) + by);
+      prune(now);
+    },
+    perSecond() {
+      prune(Math.floor(Date.now() / 1000));
+      return [...counts.values()].reduce((sum, count) => sum + count, 0) / seconds;
+    }
+  };
+}
@@ -0,0 +1,24 @@
+import express from "express";
+
+// TRUST_PROXY is the Express "trust proxy" setting: a hop count ("1") or the trusted proxy
+// addresses ("loopback", "10.0.0.0/8"). Unset: X-Forwarded-For is ignored.
+const raw = process.env.TRUST_PROXY;
+
+export const TRUST_PROXY = !raw ? false : /^\d+$/.test(raw) ? Number(raw) : raw;
+
+// Compiled by Express itself, so WebSocket upgrades (which never pass through the app)
+// resolve the client address exactly like req.ip
+const isTrusted = express().set("trust proxy", TRUST_PROXY).get("trust proxy fn");
+
+// req.ip for a raw Node request: walk from the socket peer back through X-Forwarded-For
+// while the hop is a trusted proxy
+export function clientAddress(req) {
+  const forwarded = (req.headers["x-forwarded-for"] || "").split(",").map(addr => addr.trim()).filter(Boolean);
+  const hops = [req.socket.remoteAddress, ...forwarded.reverse()];
+
+  for (let i = 0; i < hops.length - 1; i++) {
+    if (!isTrusted(hops[i], i)) return hops[i];
+  }
+
+  return hops[hops.length - 1];
+}
@@ -0,0 +1,20 @@
+import crypto from "crypto";
+
+// Random secret handed out once (device keys, invites, API keys)
+export function generateToken(bytes = 24) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+// Only the hash of a secret is ever stored
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function verifyTokenHash(token, hash) {
+  if (!token || !hash) return false;
+
+  const a = Buffer.from(hashToken(token), "hex");
+  const b = Buffer.from(hash, "hex");
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,59 @@
+import { string, number, boolean, id, sensorType, oneOf, ref } from "./rules.js";
+import { OPERATORS, ALERT_STATES } from "../services/alert.service.js";
+
+// Operator-specific requirements (threshold vs. min/max) are checked by the alert service
+const ruleFields = {
+  name: string({ max: 100 }),
+  field: string({ max: 64, nullable: true }),
+  operator: oneOf(OPERATORS),
+  threshold: number({ nullable: true }),
+  min: number({ nullable: true }),
+  max: number({ nullable: true }),
+  durationSec: number({ min: 0 }),
+  severity: string({ max: 32 }),
+  autoResolve: boolean(),
+  enabled: boolean(),
+  deviceId: ref("device", { nullable: true }),
+  facilityId: ref("facility", { nullable: true })
+};
+
+export const listRules = {
+  query: {
+    sensorType: sensorType(),
+    deviceId: id(),
+    tenantId: id()
+  }
+};
+
+export const createRule = {
+  body: {
+    ...ruleFields,
+    sensorType: sensorType({ required: true }),
+    operator: oneOf(OPERATORS, { required: true }),
+    tenantId: ref("tenant")
+  }
+};
+
+export const ruleById = {
+  params: { ruleId: id({ required: true }) }
+};
+
+export const updateRule = {
+  params: { ruleId: id({ required: true }) },
+  body: ruleFields
+};
+
+export const listAlerts = {
+  query: {
+    state: oneOf(ALERT_STATES),
+    deviceId: id(),
+    facilityId: id(),
+    sensorType: sensorType(),
+    ruleId: id(),
+    tenantId: id()
+  }
+};
+
+export const alertById = {
+  params: { alertId: id({ required: true }) }
+};
@@ -0,0 +1,38 @@
+import { string, array, boolean, id, oneOf, ref } from "./rules.js";
+import { KEY_PERMISSIONS } from "../services/apikey.service.js";
+
+// Whether the caller holds the permissions it grants is checked by the API key service
+const permissionList = (flags) => array({ items: oneOf(KEY_PERMISSIONS), min: 1, max: KEY_PERMISSIONS.length, ...flags });
+
+const keyParams = { keyId: id({ required: true }) };
+
+export const listApiKeys = {
+  query: {
+    status: oneOf(["active", "revoked"]),
+    tenantId: id()
+  }
+};
+
+export const createApiKey = {
+  body: {
+    name: string({ required: true, max: 64 }),
+    description: string({ max: 256, nullable: true }),
+    permissions: permissionList({ required: true }),
+    facilityId: ref("facility", { description: "Limit the key to one facility of the tenant" }),
+    readOnly: boolean({ description: "Only GET requests are accepted" }),
+    tenantId: ref("tenant", { description: "Super admins only; others always create keys for their own tenant" })
+  }
+};
+
+export const apiKeyById = { params: keyParams };
+
+export const updateApiKey = {
+  params: keyParams,
+  body: {
+    name: string({ max: 64 }),
+    description: string({ max: 256, nullable: true }),
+    permissions: permissionList(),
+    facilityId: ref("facility", { nullable: true, description: "null makes the key tenant-wide" }),
+    readOnly: boolean()
+  }
+};
@@ -0,0 +1,16 @@
+import { string, numeric, id } from "./rules.js";
+import { MAX_AUDIT_PAGE } from "../services/audit.service.js";
+
+export const queryAuditLog = {
+  query: {
+    action: string({ max: 64 }),
+    actorUid: id(),
+    targetType: string({ max: 64 }),
+    targetId: string({ max: 128 }),
+    from: numeric({ min: 0 }),
+    to: numeric({ min: 0 }),
+    limit: numeric({ min: 1, max: MAX_AUDIT_PAGE, integer: true }),
+    cursor: id(),
+    tenantId: id()
+  }
+};
@@ -0,0 +1,9 @@
+import { string, email } from "./rules.js";
+
+// No length rule on login: the password is checked against the stored one
+export const login = {
+  body: {
+    email: email({ required: true }),
+    password: string({ required: true, max: 128 })
+  }
+};
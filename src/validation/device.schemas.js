@@ -0,0 +1,178 @@
+import { string, number, numeric, boolean, object, array, id, mac, macList, sensorType, tag, oneOf, ref } from "./rules.js";
+import { COMMAND_STATES } from "../services/command.service.js";
+import { DEVICE_SORTS, MAX_DEVICE_PAGE, MAX_DEVICE_TAGS } from "../services/device.service.js";
+import { MAX_IMPORT_ROWS } from "../services/inventory.service.js";
+
+const deviceParams = { deviceId: id({ required: true }) };
+
+export const registerDevice = {
+  body: {
+    mac: mac({ required: true }),
+    name: string({ max: 100 }),
+    facilityId: ref("facility"),
+    tenantId: ref("tenant", { description: "Required for super admins; others always register into their own tenant" })
+  }
+};
+
+export const addDevice = {
+  body: {
+    mac: mac(),
+    macId: mac(),
+    name: string({ max: 100 }),
+    tenantId: ref("tenant", { description: "Required for super admins; others always add to their own tenant" })
+  },
+  anyOf: [["body.mac", "body.macId"]]
+};
+
+// Placement filters; a zone also matches the devices of its sub-zones
+const placementQuery = {
+  facilityId: ref("facility"),
+  zoneId: ref("zone")
+};
+
+export const listDevices = {
+  query: {
+    ...placementQuery,
+    groupId: ref("group"),
+    tag: tag(),
+    status: oneOf(["online", "offline"]),
+    sensorType: sensorType({ description: "Devices that have reported this sensor type" }),
+    q: string({ max: 100, description: "Case-insensitive search in name and MAC" }),
+    tenantId: id({ description: "Super admins only" }),
+    sort: oneOf(DEVICE_SORTS),
+    order: oneOf(["asc", "desc"]),
+    limit: numeric({ min: 1, max: MAX_DEVICE_PAGE, integer: true, description: "Page size; with limit or cursor the response is { data, nextCursor }" }),
+    cursor: string({ max: 512 })
+  }
+};
+
+export const deviceById = { params: deviceParams };
+
+// Rows are checked one by one by the inventory service, which reports every bad row
+export const importDevices = {
+  body: {
+    csv: string({ max: 200000, description: "CSV with a header row: mac,name,facility,tags (tags separated by ;)" }),
+    devices: array({ items: object(), min: 1, max: MAX_IMPORT_ROWS, description: "Rows of { mac, name, facility, tags }" }),
+    dryRun: boolean({ description: "Only report what would be imported" }),
+    tenantId: ref("tenant", { description: "Target tenant (super admins only)" })
+  },
+  anyOf: [["body.csv", "body.devices"]]
+};
+
+export const exportDevices = {
+  query: {
+    format: oneOf(["json", "csv"]),
+    tenantId: ref("tenant", { description: "Tenant to export (super admins only)" })
+  }
+};
+
+export const updateDevice = {
+  params: deviceParams,
+  body: {
+    name: string({ max: 100 }),
+    zoneId: id({ nullable: true, description: "Zone of the device's facility; null takes the device out of its zone" }),
+    groupId: id({ nullable: true, description: "Group of the device's tenant; null takes the device out of its group" }),
+    tags: array({ items: tag(), max: MAX_DEVICE_TAGS, description: "Replaces the device's tags (stored lower-cased)" })
+  },
+  anyOf: [["body.name", "body.zoneId", "body.groupId", "body.tags"]]
+};
+
+// ==========================================
+// GROUPS
+// ==========================================
+const groupParams = { groupId: id({ required: true }) };
+
+export const listGroups = {
+  query: { tenantId: id({ description: "Super admins only" }) }
+};
+
+export const createGroup = {
+  body: {
+    name: string({ required: true, max: 100 }),
+    description: string({ max: 256, nullable: true }),
+    tenantId: ref("tenant", { description: "Super admins only; others always create in their own tenant" })
+  }
+};
+
+export const groupById = { params: groupParams };
+
+export const updateGroup = {
+  params: groupParams,
+  body: {
+    name: string({ max: 100 }),
+    description: string({ max: 256, nullable: true })
+  },
+  anyOf: [["body.name", "body.description"]]
+};
+
+export const sendCommand = {
+  params: deviceParams,
+  body: {
+    command: string({ required: true, max: 64 }),
+    params: object(),
+    timeoutSec: number({ min: 1, max: 3600 }),
+    ttlSec: number({ min: 1, max: 604800 })
+  }
+};
+
+export const listCommands = {
+  params: deviceParams,
+  query: {
+    status: oneOf(COMMAND_STATES),
+    limit: numeric({ min: 1, max: 500, integer: true })
+  }
+};
+
+export const commandById = {
+  params: { ...deviceParams, commandId: id({ required: true }) }
+};
+
+export const listConnections = {
+  params: deviceParams,
+  query: { limit: numeric({ min: 1, max: 500, integer: true }) }
+};
+
+// from/to/limit/interval are range-checked again by the sensor controller
+const rangeQuery = {
+  from: numeric({ min: 0 }),
+  to: numeric({ min: 0 }),
+  interval: string({ max: 16 })
+};
+
+export const sensorData = {
+  params: { sensorType: sensorType({ required: true }), mac: mac({ required: true }) },
+  query: {
+    ...rangeQuery,
+    limit: numeric({ min: 1, integer: true }),
+    cursor: string({ max: 64 }),
+    downsample: string({ max: 16 })
+  }
+};
+
+// Devices by MAC and/or every device placed in a facility or zone (both: the intersection)
+export const sensorSeries = {
+  params: { sensorType: sensorType({ required: true }) },
+  query: { ...rangeQuery, macs: macList(), ...placementQuery },
+  anyOf: [["query.macs", "query.facilityId", "query.zoneId"]]
+};
+
+// ==========================================
+// PENDING DEVICES
+// ==========================================
+export const listPending = {
+  query: { status: oneOf(["pending", "blocked"]) }
+};
+
+export const claimPending = {
+  body: {
+    mac: mac(),
+    claimCode: string({ max: 64 }),
+    facilityId: ref("facility"),
+    name: string({ max: 100 })
+  },
+  anyOf: [["body.mac", "body.claimCode"]]
+};
+
+export const pendingByMac = {
+  params: { mac: mac({ required: true }) }
+};
@@ -0,0 +1,62 @@
+import { string, id, oneOf, ref } from "./rules.js";
+import { DELETE_STRATEGIES } from "../services/facility.service.js";
+import { ZONE_TYPES } from "../services/zone.service.js";
+
+const facilityParams = { facilityId: id({ required: true }) };
+const zoneParams = { ...facilityParams, zoneId: id({ required: true }) };
+
+export const createFacility = {
+  body: {
+    name: string({ required: true, max: 100 }),
+    address: string({ max: 256, nullable: true }),
+    tenantId: ref("tenant", { description: "Super admins only; others always create in their own tenant" })
+  }
+};
+
+export const listFacilities = {
+  query: { tenantId: id() }
+};
+
+export const facilityById = { params: facilityParams };
+
+export const updateFacility = {
+  params: facilityParams,
+  body: {
+    name: string({ max: 100 }),
+    address: string({ max: 256, nullable: true })
+  },
+  anyOf: [["body.name", "body.address"]]
+};
+
+export const deleteFacility = {
+  params: facilityParams,
+  query: {
+    strategy: oneOf(DELETE_STRATEGIES, { description: "Required while the facility still has devices or users" }),
+    reassignTo: ref("facility", { description: "Target facility for strategy=reassign" })
+  }
+};
+
+// ==========================================
+// ZONES
+// ==========================================
+export const listZones = { params: facilityParams };
+
+export const createZone = {
+  params: facilityParams,
+  body: {
+    name: string({ required: true, max: 100 }),
+    type: oneOf(ZONE_TYPES, { required: true }),
+    parentId: id({ nullable: true })
+  }
+};
+
+export const zoneById = { params: zoneParams };
+
+export const updateZone = {
+  params: zoneParams,
+  body: {
+    name: string({ max: 100 }),
+    parentId: id({ nullable: true })
+  },
+  anyOf: [["body.name", "body.parentId"]]
+};
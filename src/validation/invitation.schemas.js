@@ -0,0 +1,29 @@
+import { string, id, email, password, oneOf, ref } from "./rules.js";
+import { INVITABLE_ROLES } from "../services/invitation.service.js";
+
+export const createInvitation = {
+  body: {
+    email: email({ required: true }),
+    role: oneOf(INVITABLE_ROLES, { required: true }),
+    facilityId: ref("facility"),
+    tenantId: ref("tenant")
+  }
+};
+
+export const listInvitations = {
+  query: {
+    status: oneOf(["pending", "expired", "accepted", "revoked", "all"]),
+    tenantId: id()
+  }
+};
+
+export const invitationById = {
+  params: { invitationId: id({ required: true }) }
+};
+
+export const acceptInvitation = {
+  body: {
+    token: string({ required: true, max: 256 }),
+    password: password({ required: true })
+  }
+};
@@ -0,0 +1,31 @@
+import { string, array, id, oneOf, ref } from "./rules.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+// Whether a permission may be granted by the caller is checked by the permission service
+const permissionList = array({ items: oneOf(Object.keys(PERMISSIONS)), max: Object.keys(PERMISSIONS).length });
+
+export const listRoles = {
+  query: { tenantId: id() }
+};
+
+export const createRole = {
+  body: {
+    name: string({ required: true, max: 64 }),
+    description: string({ max: 256, nullable: true }),
+    permissions: permissionList,
+    tenantId: ref("tenant")
+  }
+};
+
+export const roleById = {
+  params: { roleId: id({ required: true }) }
+};
+
+export const updateRole = {
+  params: { roleId: id({ required: true }) },
+  body: {
+    name: string({ max: 64 }),
+    description: string({ max: 256, nullable: true }),
+    permissions: permissionList
+  }
+};
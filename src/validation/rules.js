@@ -0,0 +1,187 @@
+import { loadAccessible } from "../services/access.service.js";
+
+// Field rules for validate(). A rule is { required, nullable, check(value, req), schema } where
+// check returns an error message (or a promise of one) and null when the value is fine, and
+// schema is the OpenAPI description of the same field (see docs/openapi.js).
+
+const MAC_PATTERN = /^[0-9A-Fa-f]{2}(:[0-9A-Fa-f]{2}){5}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Realtime Database keys cannot contain . # $ [ ] or /
+const ID_PATTERN = /^[^.#$[\]/\s]{1,128}$/;
+
+// pzem, dht22, soil_moisture ...
+const SENSOR_TYPE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Device tags double as index keys (stored lower-cased)
+const TAG_PATTERN = /^[A-Za-z0-9_:-]{1,32}$/;
+
+function rule(check, { required = false, nullable = false, description } = {}, schema = {}) {
+  return {
+    required,
+    nullable,
+    check,
+    schema: {
+      ...schema,
+      ...(nullable ? { nullable: true } : {}),
+      ...(description ? { description } : {})
+    }
+  };
+}
+
+export function string({ min = 1, max = 256, pattern, patternMessage, values, format, ...flags } = {}) {
+  const schema = values
+    ? { type: "string", enum: values }
+    : {
+        type: "string",
+        minLength: min,
+        maxLength: max,
+        ...(pattern ? { pattern: pattern.source } : {}),
+        ...(format ? { format } : {})
+      };
+
+  return rule((value) => {
+    if (typeof value !== "string") return "must be a string";
+    if (value.length < min) return min === 1 ? "must not be empty" : `must be at least ${min} characters`;
+    if (value.length > max) return `must be at most ${max} characters`;
+    if (values && !values.includes(value)) return `must be one of ${values.join(", ")}`;
+    if (pattern && !pattern.test(value)) return patternMessage || "has an invalid format";
+    return null;
+  }, flags, schema);
+}
+
+export function oneOf(values, flags) {
+  return string({ values, ...flags });
+}
+
+function numberSchema({ min, max, integer }) {
+  return {
+    type: integer ? "integer" : "number",
+    ...(min !== undefined ? { minimum: min } : {}),
+    ...(max !== undefined ? { maximum: max } : {})
+  };
+}
+
+// JSON body numbers
+export function number({ min, max, integer = false, ...flags } = {}) {
+  return rule((value) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+    if (integer && !Number.isInteger(value)) return "must be an integer";
+    if (min !== undefined && value < min) return `must be at least ${min}`;
+    if (max !== undefined && value > max) return `must be at most ${max}`;
+    return null;
+  }, flags, numberSchema({ min, max, integer }));
+}
+
+// Query-string numbers ("?limit=50")
+export function numeric({ min, max, integer = false, ...flags } = {}) {
+  const inner = number({ min, max, integer });
+
+  return rule((value) => {
+    if (typeof value !== "string" || value.trim() === "" || Number.isNaN(Number(value))) return "must be a number";
+    return inner.check(Number(value));
+  }, flags, numberSchema({ min, max, integer }));
+}
+
+export function boolean(flags) {
+  return rule((value) => (typeof value === "boolean" ? null : "must be true or false"), flags, { type: "boolean" });
+}
+
+export function object(flags) {
+  return rule((value) => (
+    value && typeof value === "object" && !Array.isArray(value) ? null : "must be an object"
+  ), flags, { type: "object", additionalProperties: true });
+}
+
+export function array({ items, min = 0, max = 100, ...flags } = {}) {
+  return rule(async (value, req) => {
+    if (!Array.isArray(value)) return "must be an array";
+    if (value.length < min) return `must contain at least ${min} item${min === 1 ? "" : "s"}`;
+    if (value.length > max) return `must contain at most ${max} items`;
+
+    if (items) {
+      for (let i = 0; i < value.length; i++) {
+        const message = await items.check(value[i], req);
+        if (message) return `[${i}] ${message}`;
+      }
+    }
+
+    return null;
+  }, flags, { type: "array", items: items ? items.schema : {}, minItems: min, maxItems: max });
+}
+
+export function email(flags) {
+  return string({ max: 254, pattern: EMAIL_PATTERN, patternMessage: "must be an email address", format: "email", ...flags });
+}
+
+export function password(flags) {
+  return string({ min: 8, max: 128, format: "password", ...flags });
+}
+
+export function mac(flags) {
+  return string({ max: 17, pattern: MAC_PATTERN, patternMessage: "must be a MAC address like AA:BB:CC:DD:EE:FF", ...flags });
+}
+
+export function id(flags) {
+  return string({ max: 128, pattern: ID_PATTERN, patternMessage: "must be an id without . # $ [ ] / or spaces", ...flags });
+}
+
+export function sensorType(flags) {
+  return string({ max: 32, pattern: SENSOR_TYPE_PATTERN, patternMessage: "must be a sensor type like pzem", ...flags });
+}
+
+export function tag(flags) {
+  return string({ max: 32, pattern: TAG_PATTERN, patternMessage: "must be a tag of letters, digits, _ : or -", ...flags });
+}
+
+// { limit, windowSeconds }: at most `limit` hits per window
+export function rateLimit(flags) {
+  const limit = number({ min: 1, max: 1000000, integer: true });
+  const windowSeconds = number({ min: 1, max: 86400, integer: true });
+
+  return rule((value) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return "must be an object";
+
+    const unknown = Object.keys(value).find(key => key !== "limit" && key !== "windowSeconds");
+    if (unknown) return `has an unknown field ${unknown}`;
+
+    const limitError = value.limit === undefined ? "is required" : limit.check(value.limit);
+    if (limitError) return `limit ${limitError}`;
+
+    const windowError = value.windowSeconds === undefined ? "is required" : windowSeconds.check(value.windowSeconds);
+    return windowError ? `windowSeconds ${windowError}` : null;
+  }, flags, {
+    type: "object",
+    required: ["limit", "windowSeconds"],
+    properties: { limit: limit.schema, windowSeconds: windowSeconds.schema }
+  });
+}
+
+// An id that must name an existing record the caller can see. Foreign records read as
+// missing, so the response does not reveal other tenants' ids.
+export function ref(resource, flags = {}) {
+  const format = id();
+
+  return rule(async (value, req) => {
+    const message = format.check(value);
+    if (message) return message;
+
+    return (await loadAccessible(req.user, resource, value)) ? null : `${resource} does not exist`;
+  }, { description: `ID of an existing ${resource} in the caller's scope`, ...flags }, format.schema);
+}
+
+// "?macs=AA:BB:CC:DD:EE:01,AA:BB:CC:DD:EE:02"
+export function macList({ max = 20, ...flags } = {}) {
+  const item = mac();
+
+  return rule((value) => {
+    if (typeof value !== "string") return "must be a comma-separated list of MAC addresses";
+
+    const macs = value.split(",").map(m => m.trim()).filter(Boolean);
+    if (!macs.length) return "must not be empty";
+    if (macs.length > max) return `must contain at most ${max} MAC addresses`;
+
+    const invalid = macs.find(m => item.check(m));
+    return invalid ? `${invalid} is not a MAC address` : null;
+  }, { description: `Comma-separated MAC addresses (at most ${max})`, ...flags }, { type: "string" });
+}
@@ -0,0 +1,47 @@
+import { string, array, id, email, sensorType, oneOf, ref, rateLimit } from "./rules.js";
+
+const tenantParams = { tenantId: id({ required: true }) };
+
+export const createTenant = {
+  body: { name: string({ required: true, max: 100 }) }
+};
+
+export const tenantById = { params: tenantParams };
+
+export const updateTenant = {
+  params: tenantParams,
+  body: {
+    name: string({ max: 100 }),
+    sensors: array({ items: sensorType(), max: 50 })
+  }
+};
+
+export const assignDevice = {
+  params: tenantParams,
+  body: { deviceId: ref("device", { required: true }) }
+};
+
+export const detachDevice = {
+  params: { ...tenantParams, deviceId: id({ required: true }) }
+};
+
+export const inviteAdmin = {
+  body: {
+    email: email({ required: true }),
+    tenantId: ref("tenant", { required: true })
+  }
+};
+
+export const listDeletions = {
+  query: { status: oneOf(["scheduled", "purged"]) }
+};
+
+// Scopes left out (or null) fall back to the RATE_LIMIT_* defaults
+export const setRateLimits = {
+  params: tenantParams,
+  body: {
+    user: rateLimit({ nullable: true, description: "Requests per user of the tenant" }),
+    tenant: rateLimit({ nullable: true, description: "Requests of all the tenant's users together" }),
+    device: rateLimit({ nullable: true, description: "Messages per device of the tenant" })
+  }
+};
@@ -0,0 +1,57 @@
+import { id, email, password, oneOf, ref } from "./rules.js";
+import { ROLE_PERMISSIONS } from "../config/permissions.js";
+import { FACILITY_ROLES } from "../services/access.service.js";
+import { INVITABLE_ROLES } from "../services/invitation.service.js";
+
+const userParams = { uid: id({ required: true }) };
+
+export const usersByTenant = {
+  params: { tenantId: id({ required: true }) }
+};
+
+export const userById = { params: userParams };
+
+export const updateRole = {
+  params: userParams,
+  body: { role: oneOf(Object.keys(ROLE_PERMISSIONS), { required: true }) }
+};
+
+export const updateEmail = {
+  params: userParams,
+  body: { email: email({ required: true }) }
+};
+
+// { roleId: null } clears the custom role
+export const assignCustomRole = {
+  params: userParams,
+  body: { roleId: ref("role", { required: true, nullable: true }) }
+};
+
+export const setClaims = {
+  body: { uid: id({ required: true }) }
+};
+
+export const createSuperAdmin = {
+  body: {
+    email: email({ required: true }),
+    password: password({ required: true })
+  }
+};
+
+export const createTenantAdmin = {
+  body: {
+    email: email({ required: true }),
+    password: password({ required: true }),
+    tenantId: ref("tenant", { required: true }),
+    role: oneOf(INVITABLE_ROLES),
+    facilityId: ref("facility")
+  }
+};
+
+export const assignFacilityRole = {
+  body: {
+    uid: id({ required: true }),
+    role: oneOf(FACILITY_ROLES, { required: true }),
+    facilityId: ref("facility", { required: true })
+  }
+};
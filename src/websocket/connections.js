@@ -0,0 +1,59 @@
+import { gauge } from "../utils/metrics.js";
+
+// deviceId -> open ESP socket, one connection per device identity.
+// Shared by the socket handler and services that push to devices.
+const activeConnections = new Map();
+
+gauge("ws_esp_connections", "Open ESP32 connections (state=pending: unregistered devices)", () => {
+  const pending = [...activeConnections.keys()].filter(key => key.startsWith("pending:")).length;
+
+  return [
+    { labels: { state: "registered" }, value: activeConnections.size - pending },
+    { labels: { state: "pending" }, value: pending }
+  ];
+});
+
+export function getDeviceConnection(deviceId) {
+  return activeConnections.get(deviceId) || null;
+}
+
+export function getDeviceConnections() {
+  return activeConnections.values();
+}
+
+// Returns the socket this one replaces, if any
+export function setDeviceConnection(deviceId, ws) {
+  const previous = activeConnections.get(deviceId) || null;
+  activeConnections.set(deviceId, ws);
+  return previous;
+}
+
+// Returns false when a newer socket already took over the device
+export function removeDeviceConnection(deviceId, ws) {
+  if (activeConnections.get(deviceId) !== ws) return false;
+
+  activeConnections.delete(deviceId);
+  return true;
+}
+
+// Used when a credential is rotated or revoked, or the device changes tenant or facility
+export function disconnectDevice(deviceId, reason = "Credential revoked") {
+  const ws = activeConnections.get(deviceId);
+  if (!ws) return false;
+
+  ws.closeReason = reason;
+  ws.close(1008, reason);
+  return true;
+}
+
+export function isConnected(deviceId) {
+  const ws = activeConnections.get(deviceId);
+  return Boolean(ws && ws.readyState === ws.OPEN);
+}
+
+export function sendToDevice(deviceId, message) {
+  if (!isConnected(deviceId)) return false;
+
+  activeConnections.get(deviceId).send(JSON.stringify(message));
+  return true;
+}
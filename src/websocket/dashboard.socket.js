@@ -0,0 +1,280 @@
+import { resolveUser } from "../middleware/auth.middleware.js";
+import { getDeviceById } from "../services/device.service.js";
+import { canAccessScope, loadAccessible } from "../services/access.service.js";
+import { getEffectivePermissions, hasPermission } from "../services/permission.service.js";
+import { isTenantSuspended } from "../services/tenant.service.js";
+import { array, id, sensorType } from "../validation/rules.js";
+import { gauge } from "../utils/metrics.js";
+import { v4 as uuidv4 } from "uuid";
+import jwt from "jsonwebtoken";
+import logger from "../utils/logger.js";
+
+// ws -> { user, token, devices, facilities, sensorTypes }
+const clients = new Map();
+
+gauge("ws_dashboard_connections", "Open dashboard stream connections", () => [{ value: clients.size }]);
+
+const HEARTBEAT_INTERVAL_MS = Number(process.env.DASHBOARD_HEARTBEAT_INTERVAL_MS) || 30000;
+
+// How often an open stream re-checks its token, tenant and permissions
+const SESSION_CHECK_MS = Number(process.env.DASHBOARD_SESSION_CHECK_MS) || 60000;
+
+// Per connection, counting what is already subscribed
+export const MAX_SUBSCRIPTIONS = { devices: 500, facilities: 100, sensorTypes: 50 };
+
+// Largest accepted client message (a full device subscription fits)
+export const MAX_MESSAGE_BYTES = 128 * 1024;
+
+const subscriptionChecks = {
+  devices: array({ items: id(), max: MAX_SUBSCRIPTIONS.devices }),
+  facilities: array({ items: id(), max: MAX_SUBSCRIPTIONS.facilities }),
+  sensorTypes: array({ items: sensorType(), max: MAX_SUBSCRIPTIONS.sensorTypes })
+};
+
+// Token -> user allowed to stream, or null. The live stream is sensor data, so the caller
+// needs "sensor:read"; run at the handshake and again every SESSION_CHECK_MS.
+async function authorize(token) {
+  try {
+    const user = await resolveUser(token);
+    if (!user || await isTenantSuspended(user.tenantId)) return null;
+
+    user.permissions = await getEffectivePermissions(user);
+
+    return hasPermission(user.permissions, "sensor:read") ? user : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Handshake auth: Firebase ID token or API key as ?token= (browsers) or Authorization header.
+// Resolves to the session { user, token, expiresAt } (expiresAt: the ID token's exp, null for keys).
+export async function authenticateDashboard(req) {
+  const url = new URL(req.url, "http://localhost");
+
+  const token =
+    url.searchParams.get("token") ||
+    req.headers.authorization?.split("Bearer ")[1];
+
+  if (!token) return null;
+
+  const user = await authorize(token);
+  if (!user) return null;
+
+  const exp = jwt.decode(token)?.exp;
+
+  return { user, token, expiresAt: exp ? exp * 1000 : null };
+}
+
+async function canSubscribeDevice(user, deviceId) {
+  const device = await getDeviceById(deviceId);
+  return Boolean(device) && canAccessScope(user, device);
+}
+
+async function canSubscribeFacility(user, facilityId) {
+  return Boolean(await loadAccessible(user, "facility", facilityId));
+}
+
+function listSubscriptions(client) {
+  return {
+    devices: [...client.devices],
+    facilities: [...client.facilities],
+    sensorTypes: [...client.sensorTypes]
+  };
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+}
+
+// Error message for a subscription list that is malformed or would pass its cap, else null
+async function checkSubscription(client, payload) {
+  for (const [kind, check] of Object.entries(subscriptionChecks)) {
+    if (payload[kind] === undefined) continue;
+
+    const message = await check.check(payload[kind]);
+    if (message) return `${kind} ${message}`;
+
+    const total = new Set([...client[kind], ...payload[kind]]).size;
+    if (total > MAX_SUBSCRIPTIONS[kind]) return `at most ${MAX_SUBSCRIPTIONS[kind]} ${kind} can be subscribed`;
+  }
+
+  return null;
+}
+
+async function subscribe(client, payload) {
+  const rejected = [];
+
+  for (const deviceId of payload.devices || []) {
+    if (await canSubscribeDevice(client.user, deviceId)) client.devices.add(deviceId);
+    else rejected.push({ device: deviceId });
+  }
+
+  for (const facilityId of payload.facilities || []) {
+    if (await canSubscribeFacility(client.user, facilityId)) client.facilities.add(facilityId);
+    else rejected.push({ facility: facilityId });
+  }
+
+  // Sensor type subscriptions are still filtered per reading by device visibility
+  for (const sensorType of payload.sensorTypes || []) {
+    client.sensorTypes.add(sensorType);
+  }
+
+  return rejected;
+}
+
+function unsubscribe(client, payload) {
+  for (const deviceId of payload.devices || []) client.devices.delete(deviceId);
+  for (const facilityId of payload.facilities || []) client.facilities.delete(facilityId);
+  for (const sensorType of payload.sensorTypes || []) client.sensorTypes.delete(sensorType);
+}
+
+// Re-runs the handshake checks. An expired or revoked token or key, a suspended tenant or a
+// lost "sensor:read" closes the stream; a changed scope drops what is no longer visible.
+async function revalidate(ws, client, log) {
+  const user = await authorize(client.token);
+
+  if (!user) {
+    log.info("Dashboard session no longer valid; closing");
+    ws.close(1008, "Session expired or revoked");
+    return;
+  }
+
+  const previous = client.user;
+  client.user = user;
+
+  // Readings are filtered by scope anyway; this only tells the client what it lost
+  const sameScope = ["role", "tenantId", "facilityId"].every(field => previous[field] === user[field]);
+  if (sameScope) return;
+
+  const devices = [...client.devices];
+  const facilities = [...client.facilities];
+  client.devices.clear();
+  client.facilities.clear();
+
+  const rejected = await subscribe(client, { devices, facilities });
+  if (rejected.length) send(ws, { type: "subscribed", subscriptions: listSubscriptions(client), rejected });
+}
+
+// Called by the ESP handler for every stored reading
+export function publishReading(device, sensorType, timestamp, data) {
+  if (!clients.size) return;
+
+  const message = {
+    type: "reading",
+    deviceId: device.id,
+    mac: device.mac,
+    tenantId: device.tenantId,
+    facilityId: device.facilityId,
+    sensorType,
+    timestamp,
+    data
+  };
+
+  for (const [ws, client] of clients) {
+    const visible = canAccessScope(client.user, device);
+    if (!visible) continue;
+
+    const subscribed =
+      client.devices.has(device.id) ||
+      client.facilities.has(device.facilityId) ||
+      client.sensorTypes.has(sensorType);
+
+    if (subscribed) send(ws, message);
+  }
+}
+
+// Ping every interval; terminate sockets that did not answer the previous ping
+function startHeartbeat(wss) {
+  const interval = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (ws.awaitingPong) {
+        ws.terminate();
+        continue;
+      }
+
+      ws.awaitingPong = true;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  interval.unref();
+  wss.on("close", () => clearInterval(interval));
+}
+
+export function handleDashboardConnection(wss) {
+
+  startHeartbeat(wss);
+
+  wss.on("connection", (ws, req, { user, token, expiresAt }) => {
+
+    const client = {
+      user,
+      token,
+      devices: new Set(),
+      facilities: new Set(),
+      sensorTypes: new Set()
+    };
+
+    const log = logger.child({ connectionId: uuidv4(), uid: user.uid, tenantId: user.tenantId || null });
+
+    clients.set(ws, client);
+    log.info("Dashboard connected");
+
+    send(ws, { type: "welcome", uid: user.uid, role: user.role });
+
+    ws.on("pong", () => {
+      ws.awaitingPong = false;
+    });
+
+    // The stream ends with the ID token; the client reconnects with a fresh one
+    const timers = [];
+
+    if (expiresAt) {
+      timers.push(setTimeout(() => ws.close(1008, "Token expired"), Math.min(Math.max(expiresAt - Date.now(), 0), 2 ** 31 - 1)));
+    }
+
+    timers.push(setInterval(() => {
+      revalidate(ws, client, log).catch((err) => log.error("Dashboard session check failed", { err }));
+    }, SESSION_CHECK_MS));
+
+    for (const timer of timers) timer.unref();
+
+    ws.on("message", async (message) => {
+      try {
+        const payload = JSON.parse(message);
+
+        if (payload.type === "subscribe") {
+          const invalid = await checkSubscription(client, payload);
+          if (invalid) {
+            send(ws, { type: "error", message: invalid });
+            return;
+          }
+
+          const rejected = await subscribe(client, payload);
+          send(ws, { type: "subscribed", subscriptions: listSubscriptions(client), rejected });
+          return;
+        }
+
+        if (payload.type === "unsubscribe") {
+          unsubscribe(client, payload);
+          send(ws, { type: "subscribed", subscriptions: listSubscriptions(client), rejected: [] });
+          return;
+        }
+
+        send(ws, { type: "error", message: "Unknown message type" });
+
+      } catch (err) {
+        log.warn("Dashboard message failed", { err });
+        send(ws, { type: "error", message: "Invalid message" });
+      }
+    });
+
+    ws.on("close", () => {
+      for (const timer of timers) clearTimeout(timer);
+      clients.delete(ws);
+      log.info("Dashboard disconnected");
+    });
+  });
+}
+
+export default handleDashboardConnection;
@@ -1,55 +1,311 @@
-import { getDeviceByMac } from"../services/device.service.js";
+import { v4 as uuidv4 } from "uuid";
+import { verifyDeviceCredential, getDeviceByMac, recordSensorType } from "../services/device.service.js";
+import {
+  ALLOW_PENDING,
+  isBlocked,
+  pendingConnectionKey,
+  recordPendingConnection,
+  recordPendingSample
+} from "../services/pending.service.js";
 import { insertSensorData } from "../services/sensor.service.js";
+import { markOnline, markOffline, endConnection, touch, OFFLINE_AFTER_MS } from "../services/presence.service.js";
+import { deliverPendingCommands, handleCommandAck } from "../services/command.service.js";
+import { isTenantSuspended } from "../services/tenant.service.js";
+import { limitDeviceMessage } from "../services/ratelimit.service.js";
+import { publishReading } from "./dashboard.socket.js";
+import { getDeviceConnection, getDeviceConnections, setDeviceConnection, removeDeviceConnection } from "./connections.js";
+import { counter, gauge, rateWindow } from "../utils/metrics.js";
+import { normalizeMac } from "../utils/mac.js";
+import { array, object, string, sensorType as sensorTypeRule } from "../validation/rules.js";
+import { clientAddress } from "../utils/proxy.js";
+import logger, { withLogContext } from "../utils/logger.js";
+
+// Messages from registered devices; errors are messages that could not be processed
+const ingestMessages = counter("ingest_messages_total", "Messages received from registered devices");
+const ingestErrors = counter("ingest_errors_total", "Device messages that failed to parse or store");
+const ingestRate = rateWindow(60);
+
+gauge("ingest_messages_per_second", "Device messages per second, averaged over the last minute", () => [
+  { value: ingestRate.perSecond() }
+]);
+
+const HEARTBEAT_INTERVAL_MS = Number(process.env.DEVICE_HEARTBEAT_INTERVAL_MS) || 30000;
+
+// Firmware may announce itself in handshake headers
+function getHandshakeMetadata(req) {
+  const firmware = req.headers["x-firmware-version"];
+  const model = req.headers["x-device-model"];
+
+  if (!firmware && !model) return null;
+
+  return { firmware: firmware || null, model: model || null };
+}
+
+// What a device may report in a message's `meta` (same fields as the handshake headers)
+const META_FIELDS = {
+  firmware: string({ max: 64, nullable: true }),
+  model: string({ max: 64, nullable: true })
+};
+
+const messageChecks = {
+  meta: object(),
+  sensors: array({ items: object(), max: 20 })
+};
+
+// Error message for a device message that must not be stored, else null. Both fields are
+// optional: an ack carries neither, a heartbeat may carry only meta.
+async function checkMessage(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) return "message must be an object";
+
+  for (const [field, rule] of Object.entries(messageChecks)) {
+    if (payload[field] === undefined) continue;
+
+    const message = await rule.check(payload[field]);
+    if (message) return `${field} ${message}`;
+  }
+
+  for (const [key, value] of Object.entries(payload.meta || {})) {
+    const rule = META_FIELDS[key];
+    if (!rule) return `meta.${key} is not allowed`;
+    if (value === null) continue;
+
+    const message = rule.check(value);
+    if (message) return `meta.${key} ${message}`;
+  }
+
+  for (const [i, sensor] of (payload.sensors || []).entries()) {
+    const message = sensorTypeRule.check(sensor.type);
+    if (message) return `sensors[${i}].type ${message}`;
+  }
+
+  return null;
+}
+
+// Handshake auth: "x-device-mac"/"x-device-key" headers or ?mac=&key= query.
+// Unknown (never registered, not blocked) MACs are let in as pending devices.
+export async function authenticateESP(req) {
+  const url = new URL(req.url, "http://localhost");
+
+  const mac = req.headers["x-device-mac"] || url.searchParams.get("mac");
+  const key = req.headers["x-device-key"] || url.searchParams.get("key");
+
+  const device = await verifyDeviceCredential(mac, key);
+
+  // Devices of a deleted tenant stop ingesting until it is restored
+  if (device) return await isTenantSuspended(device.tenantId) ? null : device;
+
+  if (!mac || !ALLOW_PENDING) return null;
+  if (await getDeviceByMac(mac) || await isBlocked(mac)) return null;
+
+  return {
+    pending: true,
+    mac: normalizeMac(mac),
+    claimCode: req.headers["x-claim-code"] || url.searchParams.get("claimCode")
+  };
+}
+
+// Over-limit messages are dropped; the device is told once per window when to resume
+function throttle(ws, state, log) {
+  if (ws.throttledUntil === state.resetAt) return;
+
+  ws.throttledUntil = state.resetAt;
+  ws.send(JSON.stringify({ type: "throttled", retryAfter: state.retryAfter, limit: state.limit, windowSeconds: state.windowSeconds }));
+
+  log.warn("Device over its message limit; dropping messages", { limit: state.limit, windowSeconds: state.windowSeconds });
+}
+
+// Unregistered device: record it for claiming, never store its readings. Pending sockets are
+// unauthenticated, so a second one for the same MAC is refused rather than taking over.
+function handlePendingConnection(ws, req, pending) {
+  const key = pendingConnectionKey(pending.mac);
+
+  const log = logger.child({ connectionId: uuidv4(), mac: pending.mac, pending: true });
+
+  const current = getDeviceConnection(key);
+
+  if (current && current.readyState === current.OPEN) {
+    log.warn("Pending device already connected; refusing second connection", { remoteAddress: clientAddress(req) });
+    return ws.close(1008, "Already connected");
+  }
+
+  setDeviceConnection(key, ws);
+  ws.lastSeen = Date.now();
+
+  // Only this code, presented at handshake, lets a claim push the credential to the socket
+  ws.claimCode = pending.claimCode || null;
+
+  log.info("Pending device connected", { remoteAddress: clientAddress(req) });
+
+  recordPendingConnection(pending.mac, {
+    remoteAddress: clientAddress(req),
+    claimCode: pending.claimCode,
+    metadata: getHandshakeMetadata(req)
+  }).then((record) => {
+    if (!record) return ws.close(1008, "Blocked");
+    ws.send(JSON.stringify({ type: "pending", mac: pending.mac }));
+  }).catch((err) => log.error("Pending device registration failed", { err }));
+
+  ws.on("pong", () => {
+    ws.lastSeen = Date.now();
+  });
+
+  ws.on("message", async (message) => {
+    try {
+      ws.lastSeen = Date.now();
+
+      const throttled = await limitDeviceMessage(key, null);
+      if (throttled) return throttle(ws, throttled, log);
+
+      await recordPendingSample(pending.mac, JSON.parse(message));
+    } catch (err) {
+      log.warn("Pending device message failed", { err });
+    }
+  });
+
+  ws.on("close", () => {
+    removeDeviceConnection(key, ws);
+    log.info("Pending device disconnected");
+  });
+}
+
+// Ping every interval; drop sockets that stayed silent past the offline window
+function startHeartbeat(wss) {
+  const interval = setInterval(() => {
+    const now = Date.now();
+
+    for (const ws of getDeviceConnections()) {
+      if (now - ws.lastSeen > OFFLINE_AFTER_MS) {
+        ws.closeReason = "Heartbeat timeout";
+        ws.terminate();
+        continue;
+      }
+
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  interval.unref();
+  wss.on("close", () => clearInterval(interval));
+}
 
 export async function handleESPMessage(wss) {
 
-  wss.on("connection", (ws, req) => {
+  startHeartbeat(wss);
+
+  wss.on("connection", (ws, req, device) => {
+
+    if (device.pending) return handlePendingConnection(ws, req, device);
 
-    
-    if (req.url !== "/ws/esp32") {
-      ws.close();
-      return;
+    const { mac, tenantId } = device;
+
+    // Bound to every line about this connection, and to service logs while a message is handled
+    const logContext = { connectionId: uuidv4(), deviceId: device.id, tenantId, mac };
+    const log = logger.child(logContext);
+
+    // A newer connection for the same device replaces the old one
+    const previous = setDeviceConnection(device.id, ws);
+    if (previous) {
+      previous.closeReason = "Replaced by new connection";
+      previous.close(1000, previous.closeReason);
     }
 
-    console.log("ESP connected");
+    ws.lastSeen = Date.now();
+
+    log.info("ESP connected", { remoteAddress: clientAddress(req) });
+
+    // Resolves to the connection history id
+    const connection = markOnline(device.id, {
+      remoteAddress: clientAddress(req),
+      metadata: getHandshakeMetadata(req)
+    }).catch((err) => {
+      log.error("Presence update failed", { err });
+      return null;
+    });
+
+    // Anything queued while the device was offline
+    deliverPendingCommands(device.id).catch((err) => log.error("Command delivery failed", { err }));
+
+    ws.on("pong", () => {
+      ws.lastSeen = Date.now();
+      touch(device.id).catch((err) => log.error("Presence update failed", { err }));
+    });
+
+    ws.on("close", async () => {
+      const current = removeDeviceConnection(device.id, ws);
+
+      log.info("ESP disconnected", { reason: ws.closeReason || "Closed" });
 
-    ws.on("message", async (message) => {
       try {
+        await endConnection(device.id, await connection, ws.closeReason || "Closed");
+
+        // A replaced socket must not flip the new connection offline
+        if (current) await markOffline(device.id);
+      } catch (err) {
+        log.error("Presence update failed", { err });
+      }
+    });
+
+    ws.on("message", (message) => withLogContext(logContext, async () => {
+      ingestMessages.inc();
+      ingestRate.mark();
+
+      try {
+        ws.lastSeen = Date.now();
+
+        const throttled = await limitDeviceMessage(device.id, tenantId);
+        if (throttled) return throttle(ws, throttled, log);
+
         const payload = JSON.parse(message);
-        const mac = payload.mac;
 
-        const device = await getDeviceByMac(mac);
+        const invalid = await checkMessage(payload);
+
+        if (invalid) {
+          log.warn("Invalid device message dropped", { reason: invalid });
+          return;
+        }
 
-        if (!device) {
-          console.log("Device not registered:", mac);
+        if (payload.mac && normalizeMac(payload.mac) !== mac) {
+          log.warn("MAC mismatch on bound connection", { reportedMac: payload.mac });
           return;
         }
 
-        const tenantId = device.tenantId;
+        await touch(device.id, payload.meta);
+
+        if (payload.type === "ack") {
+          await handleCommandAck(device.id, payload);
+          return;
+        }
+
+        if (!payload.sensors) return;
 
         for (const sensor of payload.sensors) {
           const sensorType = sensor.type;
           const sensorData = sensor.data;
 
-          await insertSensorData(
+          const timestamp = await insertSensorData(
             tenantId,
             sensorType,
             mac,
-            sensorData
+            sensorData,
+            device
           );
+
+          publishReading(device, sensorType, timestamp, sensorData);
+
+          await recordSensorType(device, sensorType);
         }
 
-        console.log("Data inserted successfully");
+        log.debug("Readings stored", { sensorTypes: payload.sensors.map(sensor => sensor.type) });
 
       } catch (err) {
-        console.error("WebSocket error:", err.message);
-      }
-    });
+        ingestErrors.inc();
 
-    ws.on("close", () => {
-      console.log("ESP disconnected");
-    });
+        // Malformed JSON is the device's fault; anything else is ours
+        if (err instanceof SyntaxError) log.warn("Device message is not valid JSON", { err });
+        else log.error("Device message failed", { err });
+      }
+    }));
   });
 }
 
-export default handleESPMessage;
\ No newline at end of file
+export default handleESPMessage;
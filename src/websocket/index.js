@@ -0,0 +1,62 @@
+import { WebSocketServer } from "ws";
+import { handleESPMessage, authenticateESP } from "./device.socket.js";
+import { handleDashboardConnection, authenticateDashboard, MAX_MESSAGE_BYTES } from "./dashboard.socket.js";
+import logger from "../utils/logger.js";
+
+function rejectUpgrade(socket, status, text) {
+  socket.write(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Set by attachWebSockets; read by the readiness check
+let attached = null;
+
+// null when no server has been attached (the app without server.js, as in tests)
+export function getWebSocketStatus() {
+  if (!attached) return null;
+
+  return {
+    listening: attached.server.listening,
+    esp: attached.endpoints["/ws/esp32"].wss.clients.size,
+    dashboard: attached.endpoints["/ws/dashboard"].wss.clients.size
+  };
+}
+
+// Routes HTTP upgrades by path; each endpoint authenticates before the handshake completes
+export function attachWebSockets(server) {
+  const espWss = new WebSocketServer({ noServer: true });
+  handleESPMessage(espWss);
+
+  const dashboardWss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+  handleDashboardConnection(dashboardWss);
+
+  const endpoints = {
+    "/ws/esp32": { wss: espWss, authenticate: authenticateESP },
+    "/ws/dashboard": { wss: dashboardWss, authenticate: authenticateDashboard }
+  };
+
+  server.on("upgrade", async (req, socket, head) => {
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const endpoint = endpoints[pathname];
+
+      if (!endpoint) return rejectUpgrade(socket, 404, "Not Found");
+
+      const identity = await endpoint.authenticate(req);
+      if (!identity) return rejectUpgrade(socket, 401, "Unauthorized");
+
+      endpoint.wss.handleUpgrade(req, socket, head, (ws) => {
+        endpoint.wss.emit("connection", ws, req, identity);
+      });
+    } catch (err) {
+      logger.error("WebSocket upgrade failed", { path: req.url.split("?")[0], err });
+      rejectUpgrade(socket, 500, "Internal Server Error");
+    }
+  });
+
+  attached = { server, endpoints };
+
+  return endpoints;
+}
+
+export default attachWebSockets;
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { evaluateReading } = await import("../src/services/alert.service.js");
+
+await serve(app);
+
+const tokens = await loginAs("acme", "northAdmin");
+
+// A stored pzem reading of device-pzem-1
+const reading = (data, timestamp = Date.now()) => ({
+  tenantId: "tenant-acme",
+  sensorType: "pzem",
+  mac: "AA:BB:CC:DD:EE:01",
+  deviceId: "device-pzem-1",
+  facilityId: "facility-north",
+  timestamp,
+  data
+});
+
+const openAlerts = async (ruleId) => (await call("GET", `/api/alerts?ruleId=${ruleId}&state=open`, tokens.acme)).body;
+
+test("missing or non-numeric values never open an alert", async () => {
+  const rule = await call("POST", "/api/alerts/rules", tokens.acme, {
+    name: "Under-voltage",
+    sensorType: "pzem",
+    field: "voltage",
+    operator: "<",
+    threshold: 200,
+    durationSec: 0
+  });
+  assert.equal(rule.status, 201);
+
+  for (const data of [{ voltage: null }, { voltage: "" }, { voltage: "n/a" }, { current: 1.2 }, null]) {
+    assert.deepEqual(await evaluateReading(reading(data)), [], JSON.stringify(data));
+  }
+
+  assert.deepEqual(await openAlerts(rule.body.id), []);
+
+  const [opened] = await evaluateReading(reading({ voltage: "190.5" }));
+  assert.equal(opened.ruleId, rule.body.id);
+  assert.equal(opened.value, 190.5);
+
+  await call("DELETE", `/api/alerts/rules/${rule.body.id}`, tokens.acme);
+});
+
+test("a missing value does not resolve an open alert", async () => {
+  const rule = await call("POST", "/api/alerts/rules", tokens.acme, {
+    name: "Over-voltage",
+    sensorType: "pzem",
+    field: "voltage",
+    operator: ">",
+    threshold: 250,
+    durationSec: 0
+  });
+
+  assert.equal((await evaluateReading(reading({ voltage: 260 }))).length, 1);
+
+  await evaluateReading(reading({ current: 1.2 }));
+  await evaluateReading(reading({ voltage: null }));
+  assert.equal((await openAlerts(rule.body.id)).length, 1);
+
+  await evaluateReading(reading({ voltage: 230 }));
+  assert.deepEqual(await openAlerts(rule.body.id), []);
+});
+
+test("facility roles only see rules and alerts of their own facility", async () => {
+  const rule = await call("POST", "/api/alerts/rules", tokens.acme, {
+    name: "Any over-current",
+    sensorType: "pzem",
+    field: "current",
+    operator: ">",
+    threshold: 10,
+    durationSec: 0
+  });
+
+  // A device placed in facility-north and one in no facility at all
+  const [north] = await evaluateReading(reading({ current: 12 }));
+  const [unplaced] = await evaluateReading({ ...reading({ current: 12 }), mac: "AA:BB:CC:00:00:71", deviceId: "device-unplaced", facilityId: null });
+
+  assert.equal((await call("GET", `/api/alerts/${north.id}`, tokens.northAdmin)).status, 200);
+  assert.equal((await call("GET", `/api/alerts/${unplaced.id}`, tokens.northAdmin)).status, 404);
+  assert.equal((await call("POST", `/api/alerts/${unplaced.id}/acknowledge`, tokens.northAdmin)).status, 404);
+  assert.equal((await call("POST", `/api/alerts/${unplaced.id}/resolve`, tokens.northAdmin)).status, 404);
+
+  const listed = (await call("GET", `/api/alerts?ruleId=${rule.body.id}`, tokens.northAdmin)).body;
+  assert.deepEqual(listed.map(a => a.id), [north.id]);
+
+  // The rule has no facility either
+  assert.equal((await call("GET", `/api/alerts/rules/${rule.body.id}`, tokens.northAdmin)).status, 404);
+  assert.ok(!(await call("GET", "/api/alerts/rules", tokens.northAdmin)).body.some(r => r.id === rule.body.id));
+
+  assert.equal((await call("POST", `/api/alerts/${unplaced.id}/acknowledge`, tokens.acme)).status, 200);
+  assert.equal((await call("DELETE", `/api/alerts/rules/${rule.body.id}`, tokens.acme)).status, 200);
+});
@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "globex", "northAdmin");
+
+test("tenant admins create keys that are shown once and stored hashed", async () => {
+  const created = await call("POST", "/api/api-keys", tokens.acme, {
+    name: "BMS",
+    permissions: ["device:read", "sensor:read"],
+    readOnly: true
+  });
+
+  assert.equal(created.status, 201);
+  assert.match(created.body.key, /^pwk_[0-9a-f]{16}_[0-9a-f]{48}$/);
+  assert.equal(created.body.tenantId, "tenant-acme");
+  assert.equal(created.body.status, "active");
+  assert.equal(created.body.keyHash, undefined);
+
+  const listed = await call("GET", "/api/api-keys", tokens.acme);
+  const entry = listed.body.find(key => key.id === created.body.id);
+  assert.ok(entry);
+  assert.equal(entry.key, undefined);
+  assert.equal(entry.keyHash, undefined);
+
+  // Other tenants and facility admins cannot see it
+  assert.equal((await call("GET", `/api/api-keys/${created.body.id}`, tokens.globex)).status, 404);
+  assert.equal((await call("GET", "/api/api-keys", tokens.northAdmin)).status, 403);
+
+  const audit = await call("GET", `/api/audit?action=apikey.create&targetId=${created.body.id}`, tokens.acme);
+  assert.equal(audit.body.data.length, 1);
+  assert.ok(!JSON.stringify(audit.body).includes(created.body.key));
+});
+
+test("a key acts with its tenant scope and permissions only", async () => {
+  const { body: apiKey } = await call("POST", "/api/api-keys", tokens.acme, {
+    name: "Reporting",
+    permissions: ["device:read", "device:write"]
+  });
+
+  const devices = await call("GET", "/api/devices", apiKey.key);
+  assert.equal(devices.status, 200);
+  assert.ok(devices.body.length > 0);
+  assert.ok(devices.body.every(device => device.tenantId === "tenant-acme"));
+
+  // x-api-key works as well
+  const viaHeader = await call("GET", "/api/devices", null, null, { "x-api-key": apiKey.key });
+  assert.equal(viaHeader.status, 200);
+
+  const renamed = await call("PATCH", "/api/devices/device-pzem-1", apiKey.key, { name: "Renamed by key" });
+  assert.equal(renamed.status, 200);
+
+  const users = await call("GET", "/api/users", apiKey.key);
+  assert.equal(users.status, 403);
+  assert.deepEqual(users.body.details, { missing: ["user:read"] });
+
+  assert.equal((await call("GET", "/api/devices/device-globex-1", apiKey.key)).status, 404);
+
+  // Keys never manage keys
+  assert.equal((await call("GET", "/api/api-keys", apiKey.key)).status, 403);
+
+  const shown = await call("GET", `/api/api-keys/${apiKey.id}`, tokens.acme);
+  assert.ok(shown.body.lastUsedAt > 0);
+});
+
+test("read-only and facility keys are limited accordingly", async () => {
+  const { body: readOnly } = await call("POST", "/api/api-keys", tokens.acme, {
+    name: "Dashboard export",
+    permissions: ["device:read", "device:write"],
+    readOnly: true
+  });
+
+  assert.equal((await call("GET", "/api/devices", readOnly.key)).status, 200);
+
+  const write = await call("PATCH", "/api/devices/device-pzem-1", readOnly.key, { name: "Nope" });
+  assert.equal(write.status, 403);
+  assert.equal(write.body.message, "API key is read-only");
+
+  const { body: south } = await call("POST", "/api/api-keys", tokens.acme, {
+    name: "South BMS",
+    permissions: ["device:read"],
+    facilityId: "facility-south"
+  });
+
+  const devices = await call("GET", "/api/devices", south.key);
+  assert.equal(devices.status, 200);
+  assert.ok(devices.body.every(device => device.facilityId === "facility-south"));
+
+  const foreignFacility = await call("POST", "/api/api-keys", tokens.super, {
+    name: "Wrong",
+    permissions: ["device:read"],
+    tenantId: "tenant-globex",
+    facilityId: "facility-north"
+  });
+  assert.equal(foreignFacility.status, 400);
+});
+
+test("keys cannot carry more than their creator or platform permissions", async () => {
+  const platform = await call("POST", "/api/api-keys", tokens.acme, { name: "x", permissions: ["device:assign"] });
+  assert.equal(platform.status, 400);
+
+  const minting = await call("POST", "/api/api-keys", tokens.acme, { name: "x", permissions: ["apikey:manage"] });
+  assert.equal(minting.status, 400);
+
+  // A facility admin allowed to manage keys only issues what it holds, for its facility
+  const { body: role } = await call("POST", "/api/roles", tokens.acme, {
+    name: "key-manager",
+    permissions: ["apikey:manage", "device:read"]
+  });
+  await call("PATCH", "/api/users/uid-facility-admin/custom-role", tokens.acme, { roleId: role.id });
+
+  const escalation = await call("POST", "/api/api-keys", tokens.northAdmin, { name: "x", permissions: ["device:write"] });
+  assert.equal(escalation.status, 403);
+  assert.deepEqual(escalation.body.details, { missing: ["device:write"] });
+
+  const otherFacility = await call("POST", "/api/api-keys", tokens.northAdmin, {
+    name: "x",
+    permissions: ["device:read"],
+    facilityId: "facility-south"
+  });
+  assert.equal(otherFacility.status, 400);
+
+  const own = await call("POST", "/api/api-keys", tokens.northAdmin, { name: "North", permissions: ["device:read"] });
+  assert.equal(own.status, 201);
+  assert.equal(own.body.facilityId, "facility-north");
+
+  const listed = await call("GET", "/api/api-keys", tokens.northAdmin);
+  assert.ok(listed.body.every(key => key.facilityId === "facility-north"));
+
+  await call("PATCH", "/api/users/uid-facility-admin/custom-role", tokens.acme, { roleId: null });
+});
+
+test("revoked keys stop working", async () => {
+  const { body: apiKey } = await call("POST", "/api/api-keys", tokens.acme, { name: "Old", permissions: ["device:read"] });
+
+  assert.equal((await call("GET", "/api/devices", apiKey.key)).status, 200);
+
+  const revoked = await call("DELETE", `/api/api-keys/${apiKey.id}`, tokens.acme);
+  assert.equal(revoked.status, 200);
+  assert.equal(revoked.body.status, "revoked");
+
+  const refused = await call("GET", "/api/devices", apiKey.key);
+  assert.equal(refused.status, 401);
+
+  assert.equal((await call("DELETE", `/api/api-keys/${apiKey.id}`, tokens.acme)).status, 409);
+
+  const listed = await call("GET", "/api/api-keys?status=revoked", tokens.acme);
+  assert.deepEqual(listed.body.map(key => key.id), [apiKey.id]);
+
+  // A tampered secret is refused as well
+  const { body: other } = await call("POST", "/api/api-keys", tokens.acme, { name: "New", permissions: ["device:read"] });
+  const tampered = other.key.slice(0, -1) + (other.key.endsWith("0") ? "1" : "0");
+  assert.equal((await call("GET", "/api/devices", tampered)).status, 401);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "globex", "northUser");
+
+await call("PATCH", "/api/devices/device-pzem-1", tokens.acme, { name: "Renamed panel" });
+// No TRUST_PROXY in the tests, so the forwarded address must not be recorded
+await call("PATCH", "/api/devices/device-globex-1", tokens.globex, { name: "Renamed freezer" }, { "x-forwarded-for": "203.0.113.9" });
+await call("POST", "/api/devices/device-pzem-1/credentials/rotate", tokens.acme);
+
+test("mutations are recorded with actor, before/after and IP", async () => {
+  const { status, body } = await call("GET", "/api/audit?action=device.update&targetId=device-pzem-1", tokens.acme);
+  assert.equal(status, 200);
+
+  const [entry] = body.data;
+  assert.equal(entry.actorUid, "uid-tenant-admin");
+  assert.equal(entry.tenantId, "tenant-acme");
+  assert.deepEqual(entry.before, { name: "Main panel PZEM" });
+  assert.deepEqual(entry.after, { name: "Renamed panel" });
+  assert.ok(entry.ip);
+  assert.ok(entry.at);
+});
+
+test("the IP comes from the connection unless the proxy is trusted", async () => {
+  const { body } = await call("GET", "/api/audit?action=device.update&targetId=device-globex-1", tokens.super);
+  assert.match(body.data[0].ip, /127\.0\.0\.1/);
+});
+
+test("tenant admins only see their own tenant", async () => {
+  const acme = await call("GET", "/api/audit", tokens.acme);
+  assert.ok(acme.body.data.length > 0);
+  assert.ok(acme.body.data.every(e => e.tenantId === "tenant-acme"));
+
+  // ?tenantId is ignored for non super admins
+  const probe = await call("GET", "/api/audit?tenantId=tenant-globex", tokens.acme);
+  assert.ok(probe.body.data.every(e => e.tenantId === "tenant-acme"));
+
+  const all = await call("GET", "/api/audit?action=device.update", tokens.super);
+  assert.deepEqual(new Set(all.body.data.map(e => e.tenantId)), new Set(["tenant-acme", "tenant-globex"]));
+});
+
+test("action prefix filter, paging and newest first", async () => {
+  const first = await call("GET", "/api/audit?action=device&limit=1", tokens.acme);
+  assert.equal(first.body.data.length, 1);
+  assert.equal(first.body.data[0].action, "device.credentials_rotate");
+  assert.ok(first.body.nextCursor);
+
+  const second = await call("GET", `/api/audit?action=device&limit=1&cursor=${first.body.nextCursor}`, tokens.acme);
+  assert.equal(second.body.data[0].action, "device.update");
+});
+
+test("audit log needs audit:read", async () => {
+  assert.equal((await call("GET", "/api/audit", tokens.northUser)).status, 403);
+});
@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "globex", "northAdmin", "northUser");
+
+// ==========================================
+// DEVICES
+// ==========================================
+test("tenant admin cannot read, update or delete another tenant's device", async () => {
+  assert.equal((await call("GET", "/api/devices/device-globex-1", tokens.acme)).status, 404);
+  assert.equal((await call("PATCH", "/api/devices/device-globex-1", tokens.acme, { name: "mine" })).status, 404);
+  assert.equal((await call("DELETE", "/api/devices/device-globex-1", tokens.acme)).status, 404);
+
+  const device = await call("GET", "/api/devices/device-globex-1", tokens.globex);
+  assert.equal(device.status, 200);
+  assert.equal(device.body.name, "Freezer PZEM");
+});
+
+test("device sub-resources are scoped to the owner", async () => {
+  for (const path of ["connections", "commands"]) {
+    assert.equal((await call("GET", `/api/devices/device-globex-1/${path}`, tokens.acme)).status, 404);
+  }
+
+  assert.equal((await call("POST", "/api/devices/device-globex-1/commands", tokens.acme, { command: "relay" })).status, 404);
+  assert.equal((await call("POST", "/api/devices/device-globex-1/credentials/rotate", tokens.acme)).status, 404);
+  assert.equal((await call("DELETE", "/api/devices/device-globex-1/credentials", tokens.acme)).status, 404);
+});
+
+test("facility roles are limited to their own facility", async () => {
+  assert.equal((await call("GET", "/api/devices/device-pzem-1", tokens.northUser)).status, 200);
+  assert.equal((await call("GET", "/api/devices/device-pzem-2", tokens.northUser)).status, 404);
+  assert.equal((await call("GET", "/api/devices/device-pzem-2/commands", tokens.northAdmin)).status, 404);
+
+  const list = await call("GET", "/api/devices", tokens.northUser);
+  assert.deepEqual(list.body.map(d => d.id), ["device-pzem-1"]);
+});
+
+test("facility user cannot modify devices", async () => {
+  assert.equal((await call("PATCH", "/api/devices/device-pzem-1", tokens.northUser, { name: "x" })).status, 403);
+  assert.equal((await call("DELETE", "/api/devices/device-pzem-1", tokens.northUser)).status, 403);
+});
+
+test("sensor history is only served for owned MACs", async () => {
+  assert.equal((await call("GET", "/api/devices/pzem/AA:BB:CC:DD:EE:10", tokens.acme)).status, 404);
+  assert.equal((await call("GET", "/api/devices/pzem/AA:BB:CC:DD:EE:01", tokens.acme)).status, 200);
+  assert.equal((await call("GET", "/api/devices/pzem/series?macs=AA:BB:CC:DD:EE:01,AA:BB:CC:DD:EE:10", tokens.acme)).status, 404);
+});
+
+test("registering a device into another tenant's facility is rejected", async () => {
+  const res = await call("POST", "/api/devices/register", tokens.acme, {
+    mac: "AA:BB:CC:DD:EE:20",
+    name: "Intruder",
+    facilityId: "facility-globex-east"
+  });
+
+  // Foreign facilities read as nonexistent
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.details, [{ field: "body.facilityId", message: "facility does not exist" }]);
+});
+
+// ==========================================
+// TENANTS
+// ==========================================
+test("tenant admin cannot read another tenant or its devices", async () => {
+  assert.equal((await call("GET", "/api/tenants/tenant-globex", tokens.acme)).status, 404);
+  assert.equal((await call("GET", "/api/tenants/tenant-globex/devices", tokens.acme)).status, 404);
+  assert.equal((await call("GET", "/api/tenants/tenant-acme", tokens.acme)).status, 200);
+});
+
+test("tenant list only contains the caller's tenant", async () => {
+  const own = await call("GET", "/api/tenants", tokens.acme);
+  assert.deepEqual(own.body.data.map(t => t.id), ["tenant-acme"]);
+
+  const all = await call("GET", "/api/tenants", tokens.super);
+  assert.ok(all.body.data.length >= 2);
+});
+
+test("tenant admin cannot move or detach devices across tenants", async () => {
+  assert.equal((await call("POST", "/api/tenants/tenant-acme/devices/assign", tokens.acme, { deviceId: "device-globex-1" })).status, 403);
+  assert.equal((await call("DELETE", "/api/tenants/tenant-globex/devices/device-globex-1", tokens.acme)).status, 404);
+  assert.equal((await call("DELETE", "/api/tenants/tenant-acme/devices/device-globex-1", tokens.acme)).status, 404);
+
+  const device = await call("GET", "/api/devices/device-globex-1", tokens.globex);
+  assert.equal(device.body.tenantId, "tenant-globex");
+});
+
+test("facility roles only see their facility in the tenant device list", async () => {
+  const list = await call("GET", "/api/tenants/tenant-acme/devices", tokens.northUser);
+  assert.deepEqual(list.body.map(d => d.deviceId), ["device-pzem-1"]);
+
+  assert.equal((await call("GET", "/api/tenants/tenant-globex/devices", tokens.northUser)).status, 404);
+});
+
+// ==========================================
+// USERS
+// ==========================================
+test("tenant admin cannot list, edit or delete another tenant's users", async () => {
+  assert.equal((await call("GET", "/api/users/tenant/tenant-globex", tokens.acme)).status, 404);
+  assert.equal((await call("PATCH", "/api/users/uid-globex-admin/email", tokens.acme, { email: "x@acme.test" })).status, 404);
+  assert.equal((await call("DELETE", "/api/users/uid-globex-admin", tokens.acme)).status, 404);
+
+  const users = await call("GET", "/api/users/tenant/tenant-acme", tokens.acme);
+  assert.equal(users.status, 200);
+  assert.ok(users.body.every(u => u.tenantId === "tenant-acme"));
+});
+
+test("facility role cannot be assigned across tenants", async () => {
+  const foreignUser = await call("POST", "/api/users/assign-role", tokens.acme, {
+    uid: "uid-globex-admin",
+    role: "facility_user",
+    facilityId: "facility-north"
+  });
+  assert.equal(foreignUser.status, 404);
+
+  const foreignFacility = await call("POST", "/api/users/assign-role", tokens.acme, {
+    uid: "uid-facility-user",
+    role: "facility_user",
+    facilityId: "facility-globex-east"
+  });
+  assert.equal(foreignFacility.status, 400);
+});
+
+// ==========================================
+// MONITOR
+// ==========================================
+test("platform statistics are super admin only", async () => {
+  assert.equal((await call("GET", "/api/monitor/stats", tokens.acme)).status, 403);
+  assert.equal((await call("GET", "/api/monitor/stats", tokens.super)).status, 200);
+});
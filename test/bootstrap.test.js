@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { serve, call, login } from "./helpers.js";
+
+// Empty store: no super admin yet, so the setup token is usable once
+process.env.MEMORY_SEED = "false";
+process.env.SETUP_TOKEN = "one-time-setup-token";
+
+const { default: app } = await import("../src/app.js");
+const { auditLogRepository } = await import("../src/repositories/index.js");
+
+await serve(app);
+
+test("account endpoints require authentication", async () => {
+  assert.equal((await call("POST", "/api/users/create-super-admin", null, { email: "a@x.test", password: "password123" })).status, 401);
+  assert.equal((await call("POST", "/api/users/create-tenant-admin", null, { email: "b@x.test", password: "password123", tenantId: "t" })).status, 401);
+  assert.equal((await call("POST", "/api/users/auth/setClaims", null, { uid: "x" })).status, 401);
+});
+
+test("wrong setup token is refused", async () => {
+  const res = await call("POST", "/api/users/create-super-admin", null, { email: "root@x.test", password: "password123" }, { "x-setup-token": "guess" });
+
+  assert.equal(res.status, 403);
+});
+
+test("setup token creates the first super admin exactly once", async () => {
+  const first = await call("POST", "/api/users/create-super-admin", null, { email: "root@x.test", password: "password123" }, { "x-setup-token": "one-time-setup-token" });
+  assert.equal(first.status, 201);
+
+  const second = await call("POST", "/api/users/create-super-admin", null, { email: "root2@x.test", password: "password123" }, { "x-setup-token": "one-time-setup-token" });
+  assert.equal(second.status, 403);
+
+  const token = await login("root@x.test");
+  const me = await call("GET", "/api/users/me/permissions", token);
+  assert.equal(me.body.role, "super_admin");
+
+  // Later super admins need an authenticated super admin
+  const another = await call("POST", "/api/users/create-super-admin", token, { email: "root2@x.test", password: "password123" });
+  assert.equal(another.status, 201);
+
+  const actions = Object.values(await auditLogRepository.list()).map(e => e.action);
+  assert.ok(actions.includes("bootstrap.super_admin"));
+  assert.ok(actions.includes("bootstrap.refused"));
+  assert.ok(actions.includes("user.create"));
+});
+
+test("local auth refuses to start without a secret or in production", () => {
+  const start = (env) => spawnSync(process.execPath, ["-e", "await import('./src/auth/index.js')", "--input-type=module"], {
+    env: { ...process.env, DATA_BACKEND: "memory", AUTH_PROVIDER: "local", ...env },
+    encoding: "utf8"
+  });
+
+  const noSecret = start({ LOCAL_AUTH_SECRET: "" });
+  assert.notEqual(noSecret.status, 0);
+  assert.match(noSecret.stderr, /requires LOCAL_AUTH_SECRET/);
+
+  const production = start({ NODE_ENV: "production" });
+  assert.notEqual(production.status, 0);
+  assert.match(production.stderr, /use firebase in production/);
+
+  assert.equal(start({}).status, 0);
+});
@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { serve, call, loginAs, api } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { attachWebSockets } = await import("../src/websocket/index.js");
+const { deliverPendingCommands, sweepCommands } = await import("../src/services/command.service.js");
+const { deviceCommandsRepository } = await import("../src/repositories/index.js");
+
+await serve(app);
+
+attachWebSockets(api.server);
+
+const tokens = await loginAs("acme");
+
+// A device of its own, so the seed devices keep an empty command history
+const registered = await call("POST", "/api/devices/register", tokens.acme, {
+  mac: "AA:BB:CC:00:00:81",
+  name: "Relay board",
+  facilityId: "facility-north"
+});
+const { deviceId, deviceSecret } = registered.body;
+
+const commandsPath = `/api/devices/${deviceId}/commands`;
+
+// Device socket collecting the commands it is sent
+async function connectDevice() {
+  const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/esp32`, {
+    headers: { "x-device-mac": "AA:BB:CC:00:00:81", "x-device-key": deviceSecret }
+  });
+
+  const commands = [];
+  ws.on("message", (data) => {
+    const message = JSON.parse(data);
+    if (message.type === "command") commands.push(message);
+  });
+
+  await new Promise((resolve, reject) => ws.once("open", resolve).once("error", reject));
+
+  return { ws, commands };
+}
+
+async function disconnect(ws) {
+  const closed = new Promise(resolve => ws.once("close", resolve));
+  ws.close();
+  await closed;
+  await new Promise(resolve => setTimeout(resolve, 20));
+}
+
+// check may be async
+async function waitFor(check) {
+  for (let i = 0; i < 50; i++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  assert.fail("timed out waiting");
+}
+
+const getCommand = async (commandId) => (await call("GET", `${commandsPath}/${commandId}`, tokens.acme)).body;
+
+test("a queued command is sent once when the device reconnects", async () => {
+  const queued = await call("POST", commandsPath, tokens.acme, { command: "relay", params: { on: true } });
+  assert.equal(queued.status, 202);
+  assert.equal(queued.body.status, "pending");
+
+  const { ws, commands } = await connectDevice();
+  await waitFor(async () => (await getCommand(queued.body.id)).status === "delivered");
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepEqual(commands.map(c => c.commandId), [queued.body.id]);
+
+  const command = await getCommand(queued.body.id);
+  assert.equal(command.attempts, 1);
+  assert.ok(command.ackDeadline > command.deliveredAt);
+
+  ws.send(JSON.stringify({ type: "ack", commandId: queued.body.id, ok: true, result: { on: true } }));
+  await waitFor(async () => (await getCommand(queued.body.id)).status === "acked");
+
+  // Finished commands are left alone by the sweep
+  assert.equal(await sweepCommands(Date.now() + 86400000), 0);
+  assert.equal((await getCommand(queued.body.id)).status, "acked");
+
+  await disconnect(ws);
+});
+
+test("two deliveries racing for one command send it once", async () => {
+  const { ws, commands } = await connectDevice();
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const now = Date.now();
+  await deviceCommandsRepository(deviceId).set("raced", {
+    id: "raced",
+    deviceId,
+    command: "relay",
+    status: "pending",
+    attempts: 0,
+    ackTimeoutMs: 30000,
+    expiresAt: now + 60000,
+    createdAt: now
+  });
+
+  await Promise.all([deliverPendingCommands(deviceId), deliverPendingCommands(deviceId)]);
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepEqual(commands.map(c => c.commandId), ["raced"]);
+  assert.equal((await getCommand("raced")).attempts, 1);
+
+  ws.send(JSON.stringify({ type: "ack", commandId: "raced", ok: true }));
+  await waitFor(async () => (await getCommand("raced")).status === "acked");
+
+  await disconnect(ws);
+});
+
+test("the sweep times out unacknowledged commands and a late ack is ignored", async () => {
+  const { ws, commands } = await connectDevice();
+
+  const sent = await call("POST", commandsPath, tokens.acme, { command: "reboot", timeoutSec: 5 });
+  assert.equal(sent.body.status, "delivered");
+  await waitFor(() => commands.length === 1);
+
+  // Before the deadline nothing happens
+  assert.equal(await sweepCommands(Date.now()), 0);
+  assert.equal((await getCommand(sent.body.id)).status, "delivered");
+
+  assert.equal(await sweepCommands(sent.body.ackDeadline + 1), 1);
+
+  const command = await getCommand(sent.body.id);
+  assert.equal(command.status, "timed_out");
+
+  ws.send(JSON.stringify({ type: "ack", commandId: sent.body.id, ok: true }));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal((await getCommand(sent.body.id)).status, "timed_out");
+
+  await disconnect(ws);
+});
+
+test("queued commands expire without the device reconnecting", async () => {
+  const queued = await call("POST", commandsPath, tokens.acme, { command: "relay", ttlSec: 60 });
+  assert.equal(queued.body.status, "pending");
+
+  assert.equal(await sweepCommands(queued.body.expiresAt + 1), 1);
+
+  const command = await getCommand(queued.body.id);
+  assert.equal(command.status, "timed_out");
+  assert.equal(command.error, "Expired before delivery");
+
+  // Nothing left to send on the next connection
+  const { ws, commands } = await connectDevice();
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(commands, []);
+
+  await disconnect(ws);
+});
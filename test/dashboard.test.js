@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import jwt from "jsonwebtoken";
+import { serve, call, loginAs, api } from "./helpers.js";
+
+process.env.DASHBOARD_SESSION_CHECK_MS = "100";
+process.env.DASHBOARD_HEARTBEAT_INTERVAL_MS = "100";
+
+const { default: app } = await import("../src/app.js");
+const { attachWebSockets } = await import("../src/websocket/index.js");
+
+await serve(app);
+
+attachWebSockets(api.server);
+
+const tokens = await loginAs("acme");
+
+// Dashboard socket collecting what the server sends; `closed` resolves to [code, reason]
+async function connect(token, options = {}) {
+  const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/dashboard?token=${token}`, options);
+
+  const received = [];
+  ws.on("message", data => received.push(JSON.parse(data)));
+
+  const closed = new Promise(resolve => ws.on("close", (code, reason) => resolve([code, String(reason)])));
+
+  await new Promise((resolve, reject) => ws.once("open", resolve).once("error", reject));
+
+  return { ws, received, closed };
+}
+
+// Sends one message and resolves to the reply
+function request(client, message) {
+  const count = client.received.length;
+  client.ws.send(JSON.stringify(message));
+
+  return new Promise((resolve) => {
+    const poll = setInterval(() => {
+      if (client.received.length > count) {
+        clearInterval(poll);
+        resolve(client.received[count]);
+      }
+    }, 10);
+  });
+}
+
+test("subscriptions are checked and capped", async () => {
+  const client = await connect(tokens.acme);
+
+  const long = await request(client, { type: "subscribe", sensorTypes: ["x".repeat(1000)] });
+  assert.equal(long.type, "error");
+  assert.match(long.message, /^sensorTypes \[0\]/);
+
+  const many = await request(client, { type: "subscribe", sensorTypes: Array.from({ length: 51 }, (_, i) => `type${i}`) });
+  assert.equal(many.type, "error");
+  assert.equal(many.message, "sensorTypes must contain at most 50 items");
+
+  const first = await request(client, { type: "subscribe", sensorTypes: Array.from({ length: 50 }, (_, i) => `type${i}`) });
+  assert.equal(first.type, "subscribed");
+
+  // The cap counts what is already subscribed
+  const more = await request(client, { type: "subscribe", sensorTypes: ["pzem"] });
+  assert.equal(more.message, "at most 50 sensorTypes can be subscribed");
+
+  const devices = await request(client, { type: "subscribe", devices: "device-pzem-1" });
+  assert.equal(devices.message, "devices must be an array");
+
+  client.ws.close();
+  await client.closed;
+});
+
+test("the stream closes when the ID token expires", async () => {
+  const token = jwt.sign({ email: "admin@acme.test" }, process.env.LOCAL_AUTH_SECRET, {
+    subject: "uid-tenant-admin",
+    issuer: "local",
+    expiresIn: 1
+  });
+
+  const client = await connect(token);
+  assert.deepEqual(await client.closed, [1008, "Token expired"]);
+});
+
+test("revoking the API key of an open stream closes it", async () => {
+  const { body: apiKey } = await call("POST", "/api/api-keys", tokens.acme, { name: "Wallboard", permissions: ["sensor:read"] });
+
+  const client = await connect(apiKey.key);
+  const subscribed = await request(client, { type: "subscribe", devices: ["device-pzem-1"] });
+  assert.equal(subscribed.type, "subscribed");
+
+  assert.equal((await call("DELETE", `/api/api-keys/${apiKey.id}`, tokens.acme)).status, 200);
+  assert.deepEqual(await client.closed, [1008, "Session expired or revoked"]);
+});
+
+test("sockets that stop answering pings are dropped", async () => {
+  const client = await connect(tokens.acme, { autoPong: false });
+  const [code] = await client.closed;
+  assert.equal(code, 1006);
+});
@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "northAdmin");
+
+const CSV = [
+  "mac,name,facility,tags",
+  "aa:bb:cc:00:00:01,Freezer 1,North Warehouse,cold;dock",
+  "AA:BB:CC:00:00:02,\"Line 2, east\",facility-south,",
+  "AA:BB:CC:DD:EE:01,Duplicate,,",
+  "not-a-mac,Broken,,",
+  "AA:BB:CC:00:00:01,Repeat,,",
+  "AA:BB:CC:00:00:03,Elsewhere,facility-globex-east,"
+].join("\n");
+
+test("a dry run reports every bad row and writes nothing", async () => {
+  const report = await call("POST", "/api/devices/import", tokens.acme, { csv: CSV, dryRun: true });
+  assert.equal(report.status, 200);
+  assert.equal(report.body.total, 6);
+  assert.equal(report.body.valid, 2);
+
+  assert.deepEqual(report.body.errors.map(e => [e.row, e.field, e.message]), [
+    [3, "mac", "is already registered"],
+    [4, "mac", "must be a MAC address like AA:BB:CC:DD:EE:FF"],
+    [5, "mac", "duplicates row 1"],
+    [6, "facility", "unknown facility"]
+  ]);
+
+  assert.deepEqual(report.body.devices[0], {
+    row: 1, mac: "AA:BB:CC:00:00:01", name: "Freezer 1", facilityId: "facility-north", tags: ["cold", "dock"]
+  });
+  assert.equal(report.body.devices[1].name, "Line 2, east");
+
+  const devices = await call("GET", "/api/devices", tokens.acme);
+  assert.ok(!devices.body.some(d => d.mac === "AA:BB:CC:00:00:01"));
+});
+
+test("an import with bad rows is refused as a whole", async () => {
+  const refused = await call("POST", "/api/devices/import", tokens.acme, { csv: CSV });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.details.length, 4);
+
+  const devices = await call("GET", "/api/devices", tokens.acme);
+  assert.ok(!devices.body.some(d => d.mac === "AA:BB:CC:00:00:02"));
+});
+
+test("a clean import registers every row with its own secret", async () => {
+  const imported = await call("POST", "/api/devices/import", tokens.acme, {
+    devices: [
+      { mac: "AA:BB:CC:00:00:01", name: "Freezer 1", facility: "north warehouse", tags: ["cold"] },
+      { mac: "AA:BB:CC:00:00:02", facility: "facility-south" }
+    ]
+  });
+  assert.equal(imported.status, 201);
+  assert.equal(imported.body.imported, 2);
+  assert.ok(imported.body.devices.every(d => d.deviceSecret));
+
+  const device = await call("GET", `/api/devices/${imported.body.devices[0].deviceId}`, tokens.acme);
+  assert.equal(device.body.facilityId, "facility-north");
+  assert.equal(device.body.tenantId, "tenant-acme");
+  assert.deepEqual(device.body.tags, ["cold"]);
+  assert.equal(device.body.credentialHash, undefined);
+
+  const audit = await call("GET", "/api/audit?action=device.import", tokens.acme);
+  assert.equal(audit.body.data[0].details.count, 2);
+});
+
+test("facility admins import into their own facility only", async () => {
+  const report = await call("POST", "/api/devices/import", tokens.northAdmin, {
+    dryRun: true,
+    devices: [{ mac: "AA:BB:CC:00:00:10" }, { mac: "AA:BB:CC:00:00:11", facility: "facility-south" }]
+  });
+
+  assert.equal(report.body.devices[0].facilityId, "facility-north");
+  assert.deepEqual(report.body.errors, [{ row: 2, field: "facility", message: "unknown facility" }]);
+
+  // Super admins have no tenant of their own
+  const noTenant = await call("POST", "/api/devices/import", tokens.super, { devices: [{ mac: "AA:BB:CC:00:00:12" }] });
+  assert.equal(noTenant.status, 400);
+  assert.equal(noTenant.body.details[0].field, "body.tenantId");
+});
+
+test("the export uses the import format", async () => {
+  const json = await call("GET", "/api/devices/export", tokens.acme);
+  assert.equal(json.status, 200);
+  assert.deepEqual(json.body.devices.map(d => d.mac), ["AA:BB:CC:00:00:01", "AA:BB:CC:00:00:02", "AA:BB:CC:DD:EE:01", "AA:BB:CC:DD:EE:03"]);
+  assert.deepEqual(json.body.devices[0], { mac: "AA:BB:CC:00:00:01", name: "Freezer 1", facility: "facility-north", tags: ["cold"] });
+
+  const csv = await call("GET", "/api/devices/export?format=csv", tokens.acme);
+  assert.match(csv.type, /text\/csv/);
+  assert.equal(csv.text.split("\r\n")[0], "mac,name,facility,tags");
+  assert.equal(csv.text.split("\r\n")[1], "AA:BB:CC:00:00:01,Freezer 1,facility-north,cold");
+
+  // An export parses back as is; every MAC is taken, so only duplicates are reported
+  const again = await call("POST", "/api/devices/import", tokens.acme, { csv: csv.text, dryRun: true });
+  assert.equal(again.body.valid, 0);
+  assert.ok(again.body.errors.every(e => e.message === "is already registered"));
+
+  const north = await call("GET", "/api/devices/export", tokens.northAdmin);
+  assert.ok(north.body.devices.every(d => d.facility === "facility-north"));
+
+  const globex = await call("GET", "/api/devices/export?tenantId=tenant-globex", tokens.super);
+  assert.deepEqual(globex.body.devices.map(d => d.mac), ["AA:BB:CC:DD:EE:10"]);
+});
+
+test("exported cells that look like formulas are escaped and import back unchanged", async () => {
+  const name = "=HYPERLINK(\"http://evil.test\")";
+  const imported = await call("POST", "/api/devices/import", tokens.acme, { devices: [{ mac: "AA:BB:CC:00:00:20", name }] });
+  assert.equal(imported.status, 201);
+
+  const csv = await call("GET", "/api/devices/export?format=csv", tokens.acme);
+  const line = csv.text.split("\r\n").find(row => row.startsWith("AA:BB:CC:00:00:20"));
+  assert.equal(line, "AA:BB:CC:00:00:20,\"'=HYPERLINK(\"\"http://evil.test\"\")\",,");
+
+  const edited = `mac,name\r\nAA:BB:CC:00:00:21,"'=HYPERLINK(""http://evil.test"")"\r\nAA:BB:CC:00:00:22,'plain\r\n`;
+  const again = await call("POST", "/api/devices/import", tokens.acme, { csv: edited, dryRun: true });
+  assert.deepEqual(again.body.devices.map(d => d.name), [name, "'plain"]);
+});
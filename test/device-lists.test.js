@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { devicesRepository, deviceTagsRepository } = await import("../src/repositories/index.js");
+const { recordSensorType } = await import("../src/services/device.service.js");
+const { markOnline } = await import("../src/services/presence.service.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "northAdmin", "northUser");
+
+const imported = await call("POST", "/api/devices/import", tokens.acme, {
+  devices: [
+    { mac: "AA:BB:CC:00:00:01", name: "Freezer A", facility: "facility-north", tags: ["cold"] },
+    { mac: "AA:BB:CC:00:00:02", name: "Freezer B", facility: "facility-north", tags: ["cold", "dock"] },
+    { mac: "AA:BB:CC:00:00:03", name: "Compressor", facility: "facility-south" },
+    { mac: "AA:BB:CC:00:00:04", name: "Lighting", facility: "facility-south", tags: ["Dock"] }
+  ]
+});
+assert.equal(imported.status, 201);
+
+const macs = list => list.map(device => device.mac);
+
+test("tags are set on the device and looked up through the tag index", async () => {
+  const tagged = await call("PATCH", "/api/devices/device-pzem-1", tokens.northAdmin, { tags: ["Cold", "cold", "meter"] });
+  assert.equal(tagged.status, 200);
+
+  const device = await call("GET", "/api/devices/device-pzem-1", tokens.acme);
+  assert.deepEqual(device.body.tags, ["cold", "meter"]);
+
+  const cold = await call("GET", "/api/devices?tag=COLD&sort=mac", tokens.acme);
+  assert.deepEqual(macs(cold.body), ["AA:BB:CC:00:00:01", "AA:BB:CC:00:00:02", "AA:BB:CC:DD:EE:01"]);
+
+  // Facility roles only see their facility's tagged devices
+  const dock = await call("GET", "/api/devices?tag=dock", tokens.northUser);
+  assert.deepEqual(macs(dock.body), ["AA:BB:CC:00:00:02"]);
+
+  const untagged = await call("PATCH", "/api/devices/device-pzem-1", tokens.acme, { tags: ["meter"] });
+  assert.equal(untagged.status, 200);
+  assert.ok(!macs((await call("GET", "/api/devices?tag=cold", tokens.acme)).body).includes("AA:BB:CC:DD:EE:01"));
+
+  const invalid = await call("PATCH", "/api/devices/device-pzem-1", tokens.acme, { tags: ["no spaces"] });
+  assert.equal(invalid.status, 400);
+});
+
+test("devices join one group of their tenant", async () => {
+  assert.equal((await call("POST", "/api/devices/groups", tokens.northAdmin, { name: "HVAC" })).status, 403);
+
+  const hvac = await call("POST", "/api/devices/groups", tokens.acme, { name: "HVAC" });
+  assert.equal(hvac.status, 201);
+  assert.equal(hvac.body.tenantId, "tenant-acme");
+
+  const foreign = await call("POST", "/api/devices/groups", tokens.super, { name: "Globex", tenantId: "tenant-globex" });
+  assert.equal((await call("GET", `/api/devices/groups/${foreign.body.id}`, tokens.acme)).status, 404);
+
+  const wrongTenant = await call("PATCH", "/api/devices/device-pzem-2", tokens.acme, { groupId: foreign.body.id });
+  assert.equal(wrongTenant.status, 400);
+  assert.equal(wrongTenant.body.details[0].field, "body.groupId");
+
+  assert.equal((await call("PATCH", "/api/devices/device-pzem-1", tokens.northAdmin, { groupId: hvac.body.id })).status, 200);
+  assert.equal((await call("PATCH", "/api/devices/device-pzem-2", tokens.acme, { groupId: hvac.body.id })).status, 200);
+
+  const members = await call("GET", `/api/devices?groupId=${hvac.body.id}`, tokens.acme);
+  assert.deepEqual(macs(members.body).sort(), ["AA:BB:CC:DD:EE:01", "AA:BB:CC:DD:EE:03"]);
+
+  // Facility users see tenant groups, but only their own facility's members
+  assert.deepEqual(macs((await call("GET", `/api/devices?groupId=${hvac.body.id}`, tokens.northUser)).body), ["AA:BB:CC:DD:EE:01"]);
+  assert.deepEqual((await call("GET", "/api/devices/groups", tokens.northUser)).body.map(g => g.name), ["HVAC"]);
+
+  const removed = await call("DELETE", `/api/devices/groups/${hvac.body.id}`, tokens.acme);
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.devices, 2);
+  assert.ok(!(await call("GET", "/api/devices/device-pzem-1", tokens.acme)).body.groupId);
+});
+
+test("lists filter by search, status and reported sensor type", async () => {
+  const freezers = await call("GET", "/api/devices/all?q=freezer", tokens.acme);
+  assert.deepEqual(macs(freezers.body), ["AA:BB:CC:00:00:01", "AA:BB:CC:00:00:02"]);
+
+  const byMac = await call("GET", "/api/devices?q=dd:ee:03", tokens.acme);
+  assert.deepEqual(macs(byMac.body), ["AA:BB:CC:DD:EE:03"]);
+
+  assert.deepEqual((await call("GET", "/api/devices?status=online", tokens.acme)).body, []);
+  await markOnline("device-pzem-2", {});
+  assert.deepEqual(macs((await call("GET", "/api/devices?status=online", tokens.acme)).body), ["AA:BB:CC:DD:EE:03"]);
+
+  await recordSensorType({ id: "device-pzem-1" }, "pzem");
+  const pzem = await call("GET", "/api/devices?sensorType=pzem", tokens.acme);
+  assert.deepEqual(macs(pzem.body), ["AA:BB:CC:DD:EE:01"]);
+
+  const south = await call("GET", "/api/devices?facilityId=facility-south&tag=dock", tokens.acme);
+  assert.deepEqual(macs(south.body), ["AA:BB:CC:00:00:04"]);
+});
+
+test("cursor pagination walks the sorted list without gaps", async () => {
+  const all = await call("GET", "/api/devices?sort=mac&order=desc", tokens.acme);
+  assert.equal(all.body.length, 6);
+
+  const seen = [];
+  let cursor = "";
+
+  do {
+    const page = await call("GET", `/api/devices?sort=mac&order=desc&limit=4${cursor ? `&cursor=${cursor}` : ""}`, tokens.acme);
+    assert.equal(page.status, 200);
+    assert.ok(page.body.data.length <= 4);
+    seen.push(...macs(page.body.data));
+    cursor = page.body.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, macs(all.body));
+
+  const byName = await call("GET", "/api/devices?limit=2", tokens.acme);
+  assert.deepEqual(byName.body.data.map(d => d.name), ["Compressor", "Freezer A"]);
+
+  const invalid = await call("GET", "/api/devices?limit=2&cursor=garbage", tokens.acme);
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.details[0].field, "query.cursor");
+});
+
+test("tenant-scoped lists never read the whole registry", async () => {
+  const list = devicesRepository.list;
+  devicesRepository.list = () => { throw new Error("full scan"); };
+
+  try {
+    assert.equal((await call("GET", "/api/devices/all", tokens.acme)).status, 200);
+    assert.equal((await call("GET", "/api/devices?tag=dock", tokens.acme)).status, 200);
+    assert.equal((await call("GET", "/api/devices/all", tokens.northUser)).status, 200);
+  } finally {
+    devicesRepository.list = list;
+  }
+});
+
+test("detaching a device drops its zone, group and tag index entries", async () => {
+  const { body: group } = await call("POST", "/api/devices/groups", tokens.acme, { name: "Outgoing" });
+  const [freezer] = (await call("GET", "/api/devices?q=freezer%20b", tokens.acme)).body;
+
+  await call("PATCH", `/api/devices/${freezer.id}`, tokens.acme, { groupId: group.id });
+
+  const detached = await call("DELETE", `/api/tenants/tenant-acme/devices/${freezer.id}`, tokens.acme);
+  assert.equal(detached.status, 200);
+
+  const device = await devicesRepository.get(freezer.id);
+  assert.ok(!device.tenantId && !device.groupId && !device.zoneId);
+
+  assert.equal((await deviceTagsRepository("tenant-acme").get("dock"))?.[freezer.id], undefined);
+});
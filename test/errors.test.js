@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { fromAuthError, ConflictError, ValidationError, UnauthorizedError } = await import("../src/utils/errors.js");
+const { errorHandler } = await import("../src/middleware/error.middleware.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "northUser");
+
+test("errors share one envelope carrying the request ID", async () => {
+  const res = await call("GET", "/api/devices/device-globex-1", tokens.acme);
+
+  assert.equal(res.status, 404);
+  assert.deepEqual(Object.keys(res.body).sort(), ["code", "message", "requestId"]);
+  assert.equal(res.body.code, "NOT_FOUND");
+  assert.equal(res.body.message, "Device not found");
+  assert.equal(res.body.requestId, res.headers.get("x-request-id"));
+});
+
+test("an incoming x-request-id is kept", async () => {
+  const res = await call("GET", "/api/devices/all", null, undefined, { "x-request-id": "trace-123" });
+
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "UNAUTHORIZED");
+  assert.equal(res.headers.get("x-request-id"), "trace-123");
+  assert.equal(res.body.requestId, "trace-123");
+});
+
+test("missing permissions are listed in details", async () => {
+  const res = await call("DELETE", "/api/devices/device-pzem-1", tokens.northUser);
+
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "FORBIDDEN");
+  assert.deepEqual(res.body.details, { missing: ["device:delete"] });
+});
+
+test("unknown routes and malformed JSON", async () => {
+  const unknown = await call("GET", "/api/nothing-here", tokens.acme);
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, "NOT_FOUND");
+
+  const malformed = await call("POST", "/api/facilities", tokens.acme, "{ not json");
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.code, "VALIDATION_FAILED");
+});
+
+test("auth provider errors map to 4xx", async () => {
+  const duplicate = await call("POST", "/api/users/create-tenant-admin", tokens.super, {
+    email: "admin@acme.test",
+    password: "password123",
+    tenantId: "tenant-acme"
+  });
+
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.code, "CONFLICT");
+
+  assert.ok(fromAuthError({ code: "auth/email-already-exists", message: "taken" }) instanceof ConflictError);
+  assert.ok(fromAuthError({ code: "auth/invalid-password", message: "short" }) instanceof ValidationError);
+  assert.ok(fromAuthError({ code: "auth/id-token-expired", message: "expired" }) instanceof UnauthorizedError);
+  assert.equal(fromAuthError({ code: "auth/internal-error", message: "boom" }), null);
+  assert.equal(fromAuthError(new Error("plain")), null);
+});
+
+test("unexpected errors answer a generic 500", () => {
+  const sent = {};
+  const res = {
+    headersSent: false,
+    status(code) { sent.status = code; return this; },
+    json(body) { sent.body = body; return this; }
+  };
+
+  const original = console.error;
+  console.error = () => {};
+
+  try {
+    errorHandler(new Error("database password is hunter2"), { id: "req-1", method: "GET", originalUrl: "/x" }, res, () => {});
+  } finally {
+    console.error = original;
+  }
+
+  assert.equal(sent.status, 500);
+  assert.deepEqual(sent.body, { code: "INTERNAL", message: "Internal server error", requestId: "req-1" });
+});
@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { deviceCommandsRepository, deviceConnectionsRepository, deviceTagsRepository } = await import("../src/repositories/index.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "globex", "northAdmin", "northUser");
+
+const ids = list => list.map(item => item.id).sort();
+
+test("facility lists follow the caller's scope", async () => {
+  const all = await call("GET", "/api/facilities", tokens.super);
+  assert.equal(all.status, 200);
+  assert.deepEqual(ids(all.body), ["facility-globex-east", "facility-north", "facility-south"]);
+
+  const globex = await call("GET", "/api/facilities?tenantId=tenant-globex", tokens.super);
+  assert.deepEqual(ids(globex.body), ["facility-globex-east"]);
+
+  const acme = await call("GET", "/api/facilities", tokens.acme);
+  assert.deepEqual(ids(acme.body), ["facility-north", "facility-south"]);
+
+  const north = await call("GET", "/api/facilities", tokens.northUser);
+  assert.deepEqual(ids(north.body), ["facility-north"]);
+});
+
+test("facilities can be read and updated within scope", async () => {
+  const own = await call("GET", "/api/facilities/facility-north", tokens.northUser);
+  assert.equal(own.status, 200);
+  assert.equal(own.body.name, "North Warehouse");
+
+  assert.equal((await call("GET", "/api/facilities/facility-south", tokens.northUser)).status, 404);
+  assert.equal((await call("GET", "/api/facilities/facility-north", tokens.globex)).status, 404);
+
+  const renamed = await call("PATCH", "/api/facilities/facility-south", tokens.acme, { name: "South DC", address: "1 Dock Road" });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.name, "South DC");
+  assert.equal(renamed.body.address, "1 Dock Road");
+
+  assert.equal((await call("PATCH", "/api/facilities/facility-north", tokens.northUser, { name: "Mine" })).status, 403);
+
+  const created = await call("POST", "/api/facilities", tokens.super, { name: "West", tenantId: "tenant-globex" });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.tenantId, "tenant-globex");
+});
+
+test("zones nest building -> floor -> zone and place devices", async () => {
+  const building = await call("POST", "/api/facilities/facility-north/zones", tokens.northAdmin, { name: "Main", type: "building" });
+  assert.equal(building.status, 201);
+
+  const floor = await call("POST", "/api/facilities/facility-north/zones", tokens.northAdmin, {
+    name: "Ground", type: "floor", parentId: building.body.id
+  });
+  assert.equal(floor.status, 201);
+
+  const zone = await call("POST", "/api/facilities/facility-north/zones", tokens.northAdmin, {
+    name: "Cold room", type: "zone", parentId: floor.body.id
+  });
+  assert.equal(zone.status, 201);
+
+  const inverted = await call("POST", "/api/facilities/facility-north/zones", tokens.northAdmin, {
+    name: "Mezzanine", type: "floor", parentId: zone.body.id
+  });
+  assert.equal(inverted.status, 400);
+  assert.equal(inverted.body.details[0].field, "body.parentId");
+
+  // Facility admins only manage their own facility
+  assert.equal((await call("POST", "/api/facilities/facility-south/zones", tokens.northAdmin, { name: "X", type: "zone" })).status, 404);
+
+  const listed = await call("GET", "/api/facilities/facility-north/zones", tokens.northUser);
+  assert.deepEqual(listed.body.map(z => z.type), ["building", "floor", "zone"]);
+
+  // A zone of another facility cannot be addressed through this one
+  const south = await call("POST", "/api/facilities/facility-south/zones", tokens.acme, { name: "Dock", type: "zone" });
+  assert.equal((await call("GET", `/api/facilities/facility-north/zones/${south.body.id}`, tokens.acme)).status, 404);
+
+  const placed = await call("PATCH", "/api/devices/device-pzem-1", tokens.northAdmin, { zoneId: zone.body.id });
+  assert.equal(placed.status, 200);
+
+  const wrongFacility = await call("PATCH", "/api/devices/device-pzem-2", tokens.acme, { zoneId: zone.body.id });
+  assert.equal(wrongFacility.status, 400);
+
+  // A building matches the devices on its floors and zones
+  const inBuilding = await call("GET", `/api/devices/all?zoneId=${building.body.id}`, tokens.acme);
+  assert.deepEqual(ids(inBuilding.body), ["device-pzem-1"]);
+
+  const inSouth = await call("GET", "/api/devices?facilityId=facility-south", tokens.acme);
+  assert.deepEqual(ids(inSouth.body), ["device-pzem-2"]);
+
+  const series = await call("GET", `/api/devices/pzem/series?zoneId=${floor.body.id}&interval=1h`, tokens.acme);
+  assert.equal(series.status, 200);
+  assert.deepEqual(Object.keys(series.body.series), ["AA:BB:CC:DD:EE:01"]);
+
+  const noSelection = await call("GET", "/api/devices/pzem/series?interval=1h", tokens.acme);
+  assert.equal(noSelection.status, 400);
+
+  const withChildren = await call("DELETE", `/api/facilities/facility-north/zones/${floor.body.id}`, tokens.acme);
+  assert.equal(withChildren.status, 409);
+
+  const removed = await call("DELETE", `/api/facilities/facility-north/zones/${zone.body.id}`, tokens.acme);
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.devices, 1);
+
+  const device = await call("GET", "/api/devices/device-pzem-1", tokens.acme);
+  assert.ok(!device.body.zoneId);
+});
+
+test("deleting a facility with devices or users needs a strategy", async () => {
+  const refused = await call("DELETE", "/api/facilities/facility-north", tokens.acme);
+  assert.equal(refused.status, 409);
+  assert.deepEqual(refused.body.details, { devices: 1, users: 2 });
+
+  const foreign = await call("DELETE", "/api/facilities/facility-north?strategy=reassign&reassignTo=facility-globex-east", tokens.acme);
+  assert.equal(foreign.status, 400);
+
+  const missingTarget = await call("DELETE", "/api/facilities/facility-north?strategy=reassign", tokens.acme);
+  assert.equal(missingTarget.status, 400);
+
+  assert.equal((await call("DELETE", "/api/facilities/facility-north?strategy=cascade", tokens.northAdmin)).status, 403);
+});
+
+test("reassigning moves devices and users to the target facility", async () => {
+  const deleted = await call("DELETE", "/api/facilities/facility-north?strategy=reassign&reassignTo=facility-south", tokens.acme);
+  assert.equal(deleted.status, 200);
+  assert.equal(deleted.body.devices, 1);
+  assert.equal(deleted.body.users, 2);
+  assert.equal(deleted.body.zones, 2);
+
+  assert.equal((await call("GET", "/api/facilities/facility-north", tokens.acme)).status, 404);
+
+  const device = await call("GET", "/api/devices/device-pzem-1", tokens.acme);
+  assert.equal(device.body.facilityId, "facility-south");
+
+  const me = await call("GET", "/api/users/me/permissions", tokens.northUser);
+  assert.equal(me.body.facilityId, "facility-south");
+
+  const audit = await call("GET", "/api/audit?action=facility.delete", tokens.acme);
+  assert.equal(audit.body.data[0].details.reassignTo, "facility-south");
+});
+
+test("cascading deletes the facility's devices and users", async () => {
+  assert.equal((await call("PATCH", "/api/devices/device-pzem-2", tokens.acme, { tags: ["dock"] })).status, 200);
+  assert.equal((await call("POST", "/api/devices/device-pzem-2/commands", tokens.acme, { command: "relay" })).status, 202);
+  await deviceConnectionsRepository("device-pzem-2").create({ connectedAt: Date.now() });
+
+  const deleted = await call("DELETE", "/api/facilities/facility-south?strategy=cascade", tokens.acme);
+  assert.equal(deleted.status, 200);
+  assert.equal(deleted.body.devices, 2);
+
+  assert.equal((await call("GET", "/api/devices/device-pzem-2", tokens.acme)).status, 404);
+
+  // Nothing of the devices is left behind
+  assert.deepEqual(await deviceCommandsRepository("device-pzem-2").list(), {});
+  assert.deepEqual(await deviceConnectionsRepository("device-pzem-2").list(), {});
+  assert.equal(await deviceTagsRepository("tenant-acme").get("dock"), null);
+
+  const users = await call("GET", "/api/users", tokens.acme);
+  assert.ok(!users.body.some(u => u.facilityId === "facility-south"));
+
+  const login = await call("POST", "/api/auth/login", null, { email: "north-user@acme.test", password: "password123" });
+  assert.equal(login.status, 401);
+});
@@ -0,0 +1,72 @@
+import { after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+// Shared setup for the API tests. Import it before anything from src/: it points the app at
+// the in-memory store seeded from src/fixtures/seed.json and at local email/password auth.
+// A test file changes the environment further between this import and loading src/app.js.
+
+process.env.DATA_BACKEND = "memory";
+process.env.AUTH_PROVIDER = "local";
+process.env.LOCAL_AUTH_SECRET = "test-secret";
+delete process.env.MEMORY_DB_FILE;
+delete process.env.MEMORY_SEED;
+delete process.env.MEMORY_SEED_FILE;
+
+// Request logs would drown the test report; `LOG_LEVEL=debug npm test` shows them
+process.env.LOG_LEVEL ??= "silent";
+
+// Seed users, all with the password "password123"
+export const USERS = {
+  super: "super@local.test",
+  acme: "admin@acme.test",
+  globex: "admin@globex.test",
+  northAdmin: "north-admin@acme.test",
+  northUser: "north-user@acme.test"
+};
+
+// The HTTP server of the current test file, set by serve()
+export const api = { server: null, baseUrl: null };
+
+// Serves app on a free port until the file's tests are done. Awaited at the top of the
+// file, like the logins and any data the tests share, so all of it is ready before the tests.
+export async function serve(app) {
+  api.server = http.createServer(app);
+  await new Promise(resolve => api.server.listen(0, "127.0.0.1", resolve));
+  api.baseUrl = `http://127.0.0.1:${api.server.address().port}`;
+
+  after(() => new Promise(resolve => api.server.close(resolve)));
+}
+
+// body: an object sent as JSON, or a string sent as is. Returns the parsed JSON body (null when
+// the response is not JSON) along with the raw text and headers.
+export async function call(method, path, token, body, headers = {}) {
+  const res = await fetch(api.baseUrl + path, {
+    method,
+    headers: {
+      "content-type": "application/json",
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: typeof body === "string" ? body : body ? JSON.stringify(body) : undefined
+  });
+
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch { /* not JSON */ }
+
+  return { status: res.status, headers: res.headers, type: res.headers.get("content-type"), text, body: json };
+}
+
+export async function login(email, password = "password123") {
+  const { status, body } = await call("POST", "/api/auth/login", null, { email, password });
+  assert.equal(status, 200, `login failed for ${email}`);
+  return body.idToken;
+}
+
+// { acme: "<ID token>", ... } for the named USERS
+export async function loginAs(...names) {
+  const tokens = {};
+  for (const name of names) tokens[name] = await login(USERS[name]);
+  return tokens;
+}
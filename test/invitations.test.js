@@ -0,0 +1,130 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { serve, call, login, loginAs } from "./helpers.js";
+
+const mailDir = await fs.mkdtemp(path.join(os.tmpdir(), "invitations-mail-"));
+
+process.env.MAIL_TRANSPORT = "file";
+process.env.MAIL_DIR = mailDir;
+
+const { default: app } = await import("../src/app.js");
+const { acceptInvitation } = await import("../src/services/invitation.service.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "northUser");
+
+after(() => fs.rm(mailDir, { recursive: true, force: true }));
+
+// Token from the newest mail sent to `to`
+async function lastInviteToken(to) {
+  const files = (await fs.readdir(mailDir)).sort();
+
+  for (const file of files.reverse()) {
+    const mail = JSON.parse(await fs.readFile(path.join(mailDir, file), "utf8"));
+    if (mail.to === to) return mail.text.match(/token=([0-9a-f]+)/)[1];
+  }
+
+  return null;
+}
+
+test("invitee accepts once and can sign in with their own password", async () => {
+  const invited = await call("POST", "/api/invitations", tokens.acme, {
+    email: "new-user@acme.test",
+    role: "facility_user",
+    facilityId: "facility-north"
+  });
+
+  assert.equal(invited.status, 201);
+  assert.equal(invited.body.status, "pending");
+  assert.equal(invited.body.tokenHash, undefined);
+
+  const token = await lastInviteToken("new-user@acme.test");
+
+  const accepted = await call("POST", "/api/invitations/accept", null, { token, password: "s3cret-pass" });
+  assert.equal(accepted.status, 201);
+
+  const again = await call("POST", "/api/invitations/accept", null, { token, password: "other-pass" });
+  assert.equal(again.status, 404);
+
+  const session = await login("new-user@acme.test", "s3cret-pass");
+
+  const me = await call("GET", "/api/users/me/permissions", session);
+  assert.equal(me.body.role, "facility_user");
+  assert.equal(me.body.facilityId, "facility-north");
+});
+
+test("resend invalidates the previous link and revoke invalidates all", async () => {
+  const invited = await call("POST", "/api/invitations", tokens.acme, {
+    email: "second@acme.test",
+    role: "tenant_admin"
+  });
+
+  const first = await lastInviteToken("second@acme.test");
+
+  const resent = await call("POST", `/api/invitations/${invited.body.id}/resend`, tokens.acme);
+  assert.equal(resent.status, 200);
+  assert.equal(resent.body.sendCount, 2);
+
+  const second = await lastInviteToken("second@acme.test");
+  assert.notEqual(first, second);
+
+  assert.equal((await call("POST", "/api/invitations/accept", null, { token: first, password: "s3cret-pass" })).status, 404);
+
+  const revoked = await call("DELETE", `/api/invitations/${invited.body.id}`, tokens.acme);
+  assert.equal(revoked.body.status, "revoked");
+
+  assert.equal((await call("POST", "/api/invitations/accept", null, { token: second, password: "s3cret-pass" })).status, 404);
+});
+
+test("pending list and cross-tenant rules", async () => {
+  await call("POST", "/api/invitations", tokens.acme, { email: "third@acme.test", role: "facility_admin", facilityId: "facility-south" });
+
+  const list = await call("GET", "/api/invitations", tokens.acme);
+  assert.ok(list.body.some(i => i.email === "third@acme.test"));
+  assert.ok(list.body.every(i => i.status === "pending" && i.tenantId === "tenant-acme"));
+
+  const duplicate = await call("POST", "/api/invitations", tokens.acme, { email: "third@acme.test", role: "facility_user", facilityId: "facility-north" });
+  assert.equal(duplicate.status, 409);
+
+  const foreignFacility = await call("POST", "/api/invitations", tokens.acme, { email: "x@acme.test", role: "facility_user", facilityId: "facility-globex-east" });
+  assert.equal(foreignFacility.status, 400);
+
+  const superAdmin = await call("POST", "/api/invitations", tokens.acme, { email: "y@acme.test", role: "super_admin" });
+  assert.equal(superAdmin.status, 400);
+
+  assert.equal((await call("POST", "/api/invitations", tokens.northUser, { email: "z@acme.test", role: "facility_user" })).status, 403);
+});
+
+test("tenant admin invite goes through the invitation flow", async () => {
+  const res = await call("POST", "/api/tenants/invite-admin", tokens.super, { email: "boss@globex.test", tenantId: "tenant-globex" });
+  assert.equal(res.status, 201);
+
+  const token = await lastInviteToken("boss@globex.test");
+  const accepted = await call("POST", "/api/invitations/accept", null, { token, password: "s3cret-pass" });
+  assert.equal(accepted.status, 201);
+
+  const session = await login("boss@globex.test", "s3cret-pass");
+  const tenant = await call("GET", "/api/tenants/tenant-globex", session);
+  assert.equal(tenant.status, 200);
+});
+
+test("two concurrent accepts of one link create a single account", async () => {
+  await call("POST", "/api/invitations", tokens.acme, { email: "race@acme.test", role: "facility_user", facilityId: "facility-north" });
+  const token = await lastInviteToken("race@acme.test");
+
+  // Called directly so both look the token up before either claims it
+  const [first, second] = await Promise.allSettled([
+    acceptInvitation({ token, password: "first-pass" }),
+    acceptInvitation({ token, password: "second-pass" })
+  ]);
+
+  assert.equal(first.status, "fulfilled");
+  assert.equal(second.reason?.name, "ConflictError");
+
+  const [invitation] = (await call("GET", "/api/invitations?status=all", tokens.acme)).body.filter(i => i.email === "race@acme.test");
+  assert.equal(invitation.status, "accepted");
+});
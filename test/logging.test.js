@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { serve, api } from "./helpers.js";
+
+process.env.LOG_LEVEL = "debug";
+
+const { default: app } = await import("../src/app.js");
+const { default: logger, redact, withLogContext } = await import("../src/utils/logger.js");
+const consoleMail = await import("../src/mail/console.transport.js");
+
+await serve(app);
+
+// Log lines written to stdout / stderr while fn runs, parsed
+async function captureLogs(fn) {
+  const lines = [];
+  const original = { out: process.stdout.write, err: process.stderr.write };
+
+  const capture = (stream, write) => function (chunk, ...rest) {
+    const text = String(chunk);
+    if (text.startsWith("{\"time\"")) lines.push(...text.trim().split("\n").map(line => JSON.parse(line)));
+    else return write.call(stream, chunk, ...rest);
+    return true;
+  };
+
+  process.stdout.write = capture(process.stdout, original.out);
+  process.stderr.write = capture(process.stderr, original.err);
+
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = original.out;
+    process.stderr.write = original.err;
+  }
+
+  return lines;
+}
+
+test("sensitive fields are redacted at any depth", () => {
+  const redacted = redact({
+    email: "new@local.test",
+    password: "hunter2",
+    body: { idToken: "abc", nested: [{ deviceSecret: "s", claimCode: "c", key: "k" }] },
+    headers: { authorization: "Bearer abc" },
+    empty: { password: null }
+  });
+
+  assert.deepEqual(redacted, {
+    email: "new@local.test",
+    password: "[REDACTED]",
+    body: { idToken: "[REDACTED]", nested: [{ deviceSecret: "[REDACTED]", claimCode: "[REDACTED]", key: "[REDACTED]" }] },
+    headers: { authorization: "[REDACTED]" },
+    empty: { password: null }
+  });
+});
+
+test("lines are JSON with level, bound fields and context", async () => {
+  const lines = await captureLogs(() => withLogContext({ connectionId: "conn-1" }, async () => {
+    logger.child({ deviceId: "device-pzem-1" }).warn("Something happened", { err: new Error("boom"), token: "t" });
+  }));
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].level, "warn");
+  assert.equal(lines[0].msg, "Something happened");
+  assert.equal(lines[0].connectionId, "conn-1");
+  assert.equal(lines[0].deviceId, "device-pzem-1");
+  assert.equal(lines[0].err.message, "boom");
+  assert.equal(lines[0].token, "[REDACTED]");
+});
+
+test("each request is logged with its request id and caller", async () => {
+  let requestId;
+
+  const lines = await captureLogs(async () => {
+    const login = await fetch(`${api.baseUrl}/api/auth/login`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ email: "admin@acme.test", password: "password123" })
+    });
+    const { idToken } = await login.json();
+
+    const res = await fetch(`${api.baseUrl}/api/devices/device-pzem-1?x=1`, {
+      headers: { authorization: `Bearer ${idToken}`, "x-request-id": "trace-123" }
+    });
+    requestId = res.headers.get("x-request-id");
+  });
+
+  assert.equal(requestId, "trace-123");
+
+  const entry = lines.find(line => line.requestId === "trace-123");
+  assert.ok(entry, "no log line for the request");
+  assert.equal(entry.msg, "Request completed");
+  assert.equal(entry.route, "/api/devices/:deviceId");
+  assert.equal(entry.path, "/api/devices/device-pzem-1");
+  assert.equal(entry.status, 200);
+  assert.equal(entry.tenantId, "tenant-acme");
+  assert.ok(entry.uid);
+
+  // The login body never reaches the logs
+  assert.ok(!JSON.stringify(lines).includes("password123"));
+});
+
+test("the console mail transport logs the recipient but never the text", async () => {
+  const lines = await captureLogs(() => consoleMail.send({
+    from: "no-reply@localhost",
+    to: "new-user@acme.test",
+    subject: "You are invited",
+    text: "Accept: https://app.test/accept-invite?token=secret-token"
+  }));
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].to, "new-user@acme.test");
+  assert.ok(!JSON.stringify(lines).includes("secret-token"));
+
+  const production = spawnSync(process.execPath, ["--input-type=module", "-e", "await import('./src/mail/index.js')"], {
+    env: { ...process.env, NODE_ENV: "production", MAIL_TRANSPORT: "console" },
+    encoding: "utf8"
+  });
+  assert.notEqual(production.status, 0);
+  assert.match(production.stderr, /MAIL_TRANSPORT=console does not deliver mail/);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs, api } from "./helpers.js";
+
+delete process.env.METRICS_TOKEN;
+
+const { default: app } = await import("../src/app.js");
+const { attachWebSockets } = await import("../src/websocket/index.js");
+
+await serve(app);
+
+const tokens = await loginAs("acme");
+
+test("liveness answers without probing dependencies", async () => {
+  const { status, body } = await call("GET", "/api/monitor/health/live");
+
+  assert.equal(status, 200);
+  assert.equal(body.status, "ok");
+  assert.equal(typeof body.uptime, "number");
+});
+
+test("readiness fails until the WebSocket server is attached", async () => {
+  const before = await call("GET", "/api/monitor/health/ready");
+  assert.equal(before.status, 503);
+  assert.equal(before.body.status, "error");
+  assert.equal(before.body.checks.dataStore.status, "up");
+  assert.equal(before.body.checks.dataStore.backend, "memory");
+  assert.equal(before.body.checks.websocket.status, "down");
+  assert.equal(before.body.checks.sensorStore, undefined);
+
+  const legacy = await call("GET", "/api/monitor/health");
+  assert.equal(legacy.status, 503);
+  assert.equal(legacy.body.backend, "degraded");
+
+  attachWebSockets(api.server);
+
+  const ready = await call("GET", "/api/monitor/health/ready");
+  assert.equal(ready.status, 200);
+  assert.equal(ready.body.status, "ok");
+  assert.deepEqual(ready.body.checks.websocket.connections, { esp: 0, dashboard: 0 });
+});
+
+test("frontend status is unknown without FRONTEND_URL", async () => {
+  const { status, body } = await call("GET", "/api/monitor/frontend");
+
+  assert.equal(status, 200);
+  assert.equal(body.frontend, "unknown");
+});
+
+test("metrics are exposed in Prometheus text format", async () => {
+  await call("GET", "/api/devices/device-pzem-1", tokens.acme);
+  await call("GET", "/api/devices/no-such-device", tokens.acme);
+  await call("PATCH", "/api/devices/device-pzem-1", tokens.acme, { name: "Renamed" });
+
+  const { status, type, text } = await call("GET", "/metrics");
+
+  assert.equal(status, 200);
+  assert.match(type, /^text\/plain;.*version=0\.0\.4/);
+  assert.match(text, /^# TYPE http_requests_total counter$/m);
+  assert.match(text, /^http_requests_total\{method="GET",route="\/api\/devices\/:deviceId",status="200"\} 1$/m);
+  assert.match(text, /^http_requests_total\{method="GET",route="\/api\/devices\/:deviceId",status="404"\} 1$/m);
+  assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/api\/devices\/:deviceId"\} 2$/m);
+  assert.match(text, /^ws_esp_connections\{state="registered"\} 0$/m);
+  assert.match(text, /^# TYPE ingest_messages_total counter$/m);
+  assert.match(text, /^db_write_duration_seconds_count\{collection="devices_registry",operation="update"\} \d+$/m);
+});
+
+test("metrics require METRICS_TOKEN when it is set", async () => {
+  process.env.METRICS_TOKEN = "scrape-secret";
+
+  try {
+    assert.equal((await call("GET", "/metrics")).status, 401);
+    assert.equal((await call("GET", "/metrics", "wrong")).status, 401);
+    assert.equal((await call("GET", "/metrics", "scrape-secret")).status, 200);
+  } finally {
+    delete process.env.METRICS_TOKEN;
+  }
+});
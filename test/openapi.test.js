@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, api } from "./helpers.js";
+
+const { default: app, apiRouters } = await import("../src/app.js");
+const { getOpenApiSpec, toOpenApiPath } = await import("../src/docs/openapi.js");
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+await serve(app);
+
+// "GET /api/devices/{deviceId}" -> permissions its requirePermission middleware checks,
+// for every route the app mounts
+function registeredPermissions() {
+  const operations = new Map();
+
+  for (const [prefix, router] of Object.entries(apiRouters)) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const path = toOpenApiPath(prefix + layer.route.path).replace(/(.)\/$/, "$1");
+      const permissions = layer.route.stack.flatMap(handler => handler.handle.permissions || []);
+
+      for (const method of Object.keys(layer.route.methods)) {
+        if (METHODS.includes(method)) operations.set(`${method.toUpperCase()} ${path}`, permissions);
+      }
+    }
+  }
+
+  return operations;
+}
+
+function registeredOperations() {
+  return new Set(registeredPermissions().keys());
+}
+
+function documentedOperations(spec) {
+  const operations = new Set();
+
+  for (const [path, item] of Object.entries(spec.paths)) {
+    for (const method of Object.keys(item)) {
+      if (METHODS.includes(method)) operations.add(`${method.toUpperCase()} ${path}`);
+    }
+  }
+
+  return operations;
+}
+
+test("every registered route is described in the OpenAPI spec", () => {
+  const documented = documentedOperations(getOpenApiSpec());
+  const missing = [...registeredOperations()].filter(op => !documented.has(op));
+
+  assert.deepEqual(missing, [], `missing from src/docs/openapi.js: ${missing.join(", ")}`);
+});
+
+test("the OpenAPI spec describes no route that is not registered", () => {
+  const registered = registeredOperations();
+  const unknown = [...documentedOperations(getOpenApiSpec())].filter(op => !registered.has(op));
+
+  assert.deepEqual(unknown, [], `not registered: ${unknown.join(", ")}`);
+});
+
+test("x-permission matches the permission each route checks", () => {
+  const spec = getOpenApiSpec();
+  const mismatched = [];
+
+  for (const [operation, permissions] of registeredPermissions()) {
+    const [method, path] = operation.split(" ");
+    const documented = spec.paths[path]?.[method.toLowerCase()]?.["x-permission"];
+
+    if ((documented || null) !== (permissions.join(", ") || null)) {
+      mismatched.push(`${operation}: documented ${documented || "none"}, checked ${permissions.join(", ") || "none"}`);
+    }
+  }
+
+  assert.deepEqual(mismatched, [], mismatched.join("\n"));
+});
+
+test("path parameters are declared and every $ref resolves", () => {
+  const spec = getOpenApiSpec();
+
+  for (const [path, item] of Object.entries(spec.paths)) {
+    const expected = [...path.matchAll(/{(\w+)}/g)].map(m => m[1]).sort();
+
+    for (const [method, operation] of Object.entries(item)) {
+      const declared = operation.parameters.filter(p => p.in === "path").map(p => p.name).sort();
+      assert.deepEqual(declared, expected, `${method.toUpperCase()} ${path}`);
+    }
+  }
+
+  const refs = JSON.stringify(spec).matchAll(/"\$ref":"#\/components\/(\w+)\/(\w+)"/g);
+
+  for (const [ref, section, name] of refs) {
+    assert.ok(spec.components[section]?.[name], `unresolved ${ref}`);
+  }
+});
+
+test("the spec and docs page are served without authentication", async () => {
+  const specRes = await fetch(`${api.baseUrl}/api/openapi.json`);
+  assert.equal(specRes.status, 200);
+
+  const spec = await specRes.json();
+  assert.equal(spec.openapi, "3.0.3");
+  assert.ok(spec.paths["/api/devices/{deviceId}"].get);
+  assert.equal(spec.paths["/api/devices/{deviceId}"].get["x-permission"], "device:read");
+  assert.ok(spec["x-websockets"]["/ws/esp32"]);
+  assert.ok(spec["x-websockets"]["/ws/dashboard"]);
+
+  const docsRes = await fetch(`${api.baseUrl}/api/docs`);
+  assert.equal(docsRes.status, 200);
+  assert.match(docsRes.headers.get("content-type"), /text\/html/);
+  const page = await docsRes.text();
+  assert.match(page, /openapi\.json/);
+
+  // Pinned Swagger UI files, checked by the browser against their hashes
+  const assets = [...page.matchAll(/<(?:link|script) [^>]*(?:href|src)="([^"]+)"[^>]*>/g)];
+  assert.equal(assets.length, 2);
+
+  for (const [tag, url] of assets) {
+    assert.match(url, /^https:\/\/unpkg\.com\/swagger-ui-dist@\d+\.\d+\.\d+\//);
+    assert.match(tag, /integrity="sha384-[A-Za-z0-9+/]+={0,2}"/);
+    assert.match(tag, /crossorigin="anonymous"/);
+  }
+});
+
+test("request bodies come from the route's validation schema", () => {
+  const operation = getOpenApiSpec().paths["/api/devices/register"].post;
+  const schema = operation.requestBody.content["application/json"].schema;
+
+  assert.deepEqual(schema.required, ["mac"]);
+  assert.equal(schema.properties.mac.pattern, "^[0-9A-Fa-f]{2}(:[0-9A-Fa-f]{2}){5}$");
+  assert.equal(operation.responses[400].$ref, "#/components/responses/BadRequest");
+
+  const addDevice = getOpenApiSpec().paths["/api/devices"].post.requestBody.content["application/json"].schema;
+  assert.deepEqual(addDevice.allOf, [{ anyOf: [{ required: ["mac"] }, { required: ["macId"] }] }]);
+});
@@ -0,0 +1,183 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { serve, call, loginAs, api } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { authenticateESP } = await import("../src/websocket/device.socket.js");
+const { attachWebSockets } = await import("../src/websocket/index.js");
+
+await serve(app);
+
+attachWebSockets(api.server);
+
+const tokens = await loginAs("super", "acme", "northAdmin");
+
+// Handshake of a device with the given headers
+const handshake = (headers) => authenticateESP({ url: "/", headers });
+
+// Open pending socket collecting what the server sends; `closed` resolves to [code, reason]
+async function connectPending(mac, claimCode) {
+  const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/esp32`, {
+    headers: { "x-device-mac": mac, ...(claimCode ? { "x-claim-code": claimCode } : {}) }
+  });
+
+  const received = [];
+  ws.on("message", data => received.push(JSON.parse(data)));
+
+  const closed = new Promise(resolve => ws.on("close", (code, reason) => resolve([code, String(reason)])));
+
+  await new Promise((resolve, reject) => ws.once("open", resolve).once("error", reject));
+  await waitFor(() => received.some(message => message.type === "pending"));
+
+  return { ws, received, closed };
+}
+
+// check may be async
+async function waitFor(check) {
+  for (let i = 0; i < 50; i++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  assert.fail("timed out waiting");
+}
+
+test("MACs are stored upper-case and matched in any case", async () => {
+  const registered = await call("POST", "/api/devices/register", tokens.acme, {
+    mac: "aa:bb:cc:00:00:61",
+    name: "Lower-case MAC",
+    facilityId: "facility-north"
+  });
+  assert.equal(registered.status, 200);
+
+  const device = await call("GET", `/api/devices/${registered.body.deviceId}`, tokens.acme);
+  assert.equal(device.body.mac, "AA:BB:CC:00:00:61");
+
+  for (const mac of ["aa:bb:cc:00:00:61", "AA:BB:CC:00:00:61"]) {
+    const session = await handshake({ "x-device-mac": mac, "x-device-key": registered.body.deviceSecret });
+    assert.equal(session?.id, registered.body.deviceId);
+  }
+
+  assert.equal((await call("GET", "/api/devices/pzem/aa:bb:cc:00:00:61", tokens.acme)).status, 200);
+});
+
+test("a second pending socket for the same MAC is refused", async () => {
+  const first = await connectPending("AA:BB:CC:00:00:71", "CODE-71");
+
+  const second = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/esp32`, { headers: { "x-device-mac": "aa:bb:cc:00:00:71" } });
+  const [code, reason] = await new Promise(resolve => second.on("close", (c, r) => resolve([c, String(r)])));
+  assert.equal(code, 1008);
+  assert.equal(reason, "Already connected");
+
+  // The first socket still holds the MAC and gets its credential on a claim by code
+  const claimed = await call("POST", "/api/devices/pending/claim", tokens.acme, { claimCode: "CODE-71", facilityId: "facility-north" });
+  assert.equal(claimed.status, 201);
+  assert.equal(claimed.body.provisioned, true);
+
+  await waitFor(() => first.received.some(message => message.type === "provisioned"));
+  const provisioned = first.received.find(message => message.type === "provisioned");
+  assert.equal(provisioned.deviceSecret, claimed.body.deviceSecret);
+  assert.deepEqual(await first.closed, [1000, "Provisioned"]);
+});
+
+test("claiming by MAC never pushes the credential to the pending socket", async () => {
+  const socket = await connectPending("AA:BB:CC:00:00:72", "CODE-72");
+
+  const claimed = await call("POST", "/api/devices/pending/claim", tokens.acme, { mac: "AA:BB:CC:00:00:72", facilityId: "facility-north" });
+  assert.equal(claimed.status, 201);
+  assert.equal(claimed.body.provisioned, false);
+  assert.ok(claimed.body.deviceSecret);
+
+  assert.deepEqual(await socket.closed, [1000, "Claimed"]);
+  assert.ok(!socket.received.some(message => message.type === "provisioned"));
+});
+
+test("a claim code sent after the handshake does not unlock the push", async () => {
+  const socket = await connectPending("AA:BB:CC:00:00:73");
+  socket.ws.send(JSON.stringify({ claimCode: "CODE-73" }));
+
+  await waitFor(async () => {
+    const pending = await call("GET", "/api/devices/pending", tokens.super);
+    return pending.body.find(device => device.mac === "AA:BB:CC:00:00:73")?.claimCode === "CODE-73";
+  });
+
+  const claimed = await call("POST", "/api/devices/pending/claim", tokens.acme, { claimCode: "CODE-73", facilityId: "facility-north" });
+  assert.equal(claimed.status, 201);
+  assert.equal(claimed.body.provisioned, false);
+  assert.deepEqual(await socket.closed, [1000, "Claimed"]);
+});
+
+test("claim by code places the device in the caller's scope", async () => {
+  const socket = await connectPending("AA:BB:CC:00:00:74", "CODE-74");
+
+  const listed = await call("GET", "/api/devices/pending?status=pending", tokens.super);
+  assert.ok(listed.body.some(device => device.mac === "AA:BB:CC:00:00:74" && device.connectCount === 1));
+  assert.equal((await call("GET", "/api/devices/pending", tokens.acme)).status, 403);
+
+  assert.equal((await call("POST", "/api/devices/pending/claim", tokens.acme, { claimCode: "WRONG", facilityId: "facility-north" })).status, 404);
+
+  const foreign = await call("POST", "/api/devices/pending/claim", tokens.acme, { claimCode: "CODE-74", facilityId: "facility-globex-east" });
+  assert.equal(foreign.status, 400);
+
+  assert.equal((await call("POST", "/api/devices/pending/claim", tokens.northAdmin, { claimCode: "CODE-74", facilityId: "facility-south" })).status, 400);
+
+  // Facility admins claim into their own facility
+  const claimed = await call("POST", "/api/devices/pending/claim", tokens.northAdmin, { claimCode: "CODE-74", name: "Dock door" });
+  assert.equal(claimed.status, 201);
+  assert.equal(claimed.body.device.facilityId, "facility-north");
+  assert.equal(claimed.body.device.tenantId, "tenant-acme");
+  assert.equal(claimed.body.device.name, "Dock door");
+  await socket.closed;
+
+  const session = await handshake({ "x-device-mac": "AA:BB:CC:00:00:74", "x-device-key": claimed.body.deviceSecret });
+  assert.equal(session?.id, claimed.body.deviceId);
+
+  const pending = await call("GET", "/api/devices/pending", tokens.super);
+  assert.ok(!pending.body.some(device => device.mac === "AA:BB:CC:00:00:74"));
+
+  const audit = await call("GET", `/api/audit?action=device.claim&targetId=${claimed.body.deviceId}`, tokens.acme);
+  assert.equal(audit.body.data.length, 1);
+  assert.ok(!JSON.stringify(audit.body).includes(claimed.body.deviceSecret));
+});
+
+test("blocked MACs are disconnected and refused until unblocked", async () => {
+  const socket = await connectPending("AA:BB:CC:00:00:75");
+
+  assert.equal((await call("POST", "/api/devices/pending/AA:BB:CC:00:00:75/block", tokens.acme)).status, 403);
+  assert.equal((await call("POST", "/api/devices/pending/aa:bb:cc:00:00:75/block", tokens.super)).status, 200);
+  assert.deepEqual(await socket.closed, [1008, "Blocked"]);
+
+  assert.equal(await handshake({ "x-device-mac": "AA:BB:CC:00:00:75" }), null);
+
+  const blocked = await call("GET", "/api/devices/pending?status=blocked", tokens.super);
+  assert.deepEqual(blocked.body.map(device => device.mac), ["AA:BB:CC:00:00:75"]);
+
+  const claim = await call("POST", "/api/devices/pending/claim", tokens.acme, { mac: "AA:BB:CC:00:00:75", facilityId: "facility-north" });
+  assert.equal(claim.status, 404);
+
+  assert.equal((await call("POST", "/api/devices/pending/AA:BB:CC:00:00:75/unblock", tokens.super)).status, 200);
+  assert.equal((await handshake({ "x-device-mac": "AA:BB:CC:00:00:75" }))?.pending, true);
+});
+
+test("rejecting drops the entry and closes the socket", async () => {
+  const socket = await connectPending("AA:BB:CC:00:00:76");
+
+  assert.equal((await call("POST", "/api/devices/pending/AA:BB:CC:00:00:76/reject", tokens.super)).status, 200);
+  assert.deepEqual(await socket.closed, [1008, "Rejected"]);
+
+  const pending = await call("GET", "/api/devices/pending", tokens.super);
+  assert.ok(!pending.body.some(device => device.mac === "AA:BB:CC:00:00:76"));
+});
+
+test("a MAC registered meanwhile cannot be claimed", async () => {
+  const socket = await connectPending("AA:BB:CC:00:00:77", "CODE-77");
+
+  const imported = await call("POST", "/api/devices/import", tokens.acme, { devices: [{ mac: "aa:bb:cc:00:00:77", facility: "facility-north" }] });
+  assert.equal(imported.status, 201);
+
+  const claim = await call("POST", "/api/devices/pending/claim", tokens.acme, { claimCode: "CODE-77", facilityId: "facility-north" });
+  assert.equal(claim.status, 409);
+
+  socket.ws.close();
+});
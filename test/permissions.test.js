@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { hasPermission } = await import("../src/services/permission.service.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "globex", "northAdmin", "northUser");
+
+test("wildcards match whole resources", () => {
+  assert.ok(hasPermission(["*"], "device:write"));
+  assert.ok(hasPermission(["device:*"], "device:write"));
+  assert.ok(!hasPermission(["device:*"], "user:write"));
+  assert.ok(!hasPermission(["device:read"], "device:write"));
+});
+
+test("effective permissions follow the built-in role", async () => {
+  const user = await call("GET", "/api/users/me/permissions", tokens.northUser);
+  assert.equal(user.status, 200);
+  assert.ok(user.body.permissions.includes("device:read"));
+  assert.ok(!user.body.permissions.includes("device:write"));
+
+  const admin = await call("GET", "/api/users/me/permissions", tokens.super);
+  assert.deepEqual(admin.body.permissions, ["*"]);
+});
+
+test("missing permission answers 403", async () => {
+  // Previously requireRole("facility_admin") was a substring match
+  assert.equal((await call("POST", "/api/facilities", tokens.northAdmin, { name: "Nope" })).status, 403);
+  assert.equal((await call("PATCH", "/api/devices/device-pzem-1", tokens.northUser, { name: "x" })).status, 403);
+  assert.equal((await call("GET", "/api/users", tokens.northUser)).status, 403);
+  assert.equal((await call("PATCH", "/api/tenants/tenant-acme", tokens.acme, { name: "x" })).status, 403);
+});
+
+test("custom roles cannot grant platform permissions", async () => {
+  const res = await call("POST", "/api/roles", tokens.acme, { name: "root", permissions: ["tenant:create"] });
+  assert.equal(res.status, 403);
+
+  const unknown = await call("POST", "/api/roles", tokens.acme, { name: "typo", permissions: ["device:fly"] });
+  assert.equal(unknown.status, 400);
+});
+
+test("custom role replaces the built-in permission set", async () => {
+  const created = await call("POST", "/api/roles", tokens.acme, {
+    name: "operator",
+    permissions: ["device:read", "device:command", "sensor:read"]
+  });
+  assert.equal(created.status, 201);
+
+  const roleId = created.body.id;
+
+  // Other tenants can neither see nor assign it
+  assert.equal((await call("GET", `/api/roles/${roleId}`, tokens.globex)).status, 404);
+  assert.equal((await call("PATCH", "/api/users/uid-globex-admin/custom-role", tokens.acme, { roleId })).status, 404);
+
+  const assigned = await call("PATCH", "/api/users/uid-facility-user/custom-role", tokens.acme, { roleId });
+  assert.equal(assigned.status, 200);
+
+  const effective = await call("GET", "/api/users/me/permissions", tokens.northUser);
+  assert.deepEqual(effective.body.permissions, ["device:read", "device:command", "sensor:read"]);
+
+  const command = await call("POST", "/api/devices/device-pzem-1/commands", tokens.northUser, { command: "relay" });
+  assert.equal(command.status, 202);
+
+  // Scope still comes from the built-in role
+  assert.equal((await call("POST", "/api/devices/device-pzem-2/commands", tokens.northUser, { command: "relay" })).status, 404);
+
+  await call("PATCH", "/api/users/uid-facility-user/custom-role", tokens.acme, { roleId: null });
+
+  const restored = await call("GET", "/api/users/me/permissions", tokens.northUser);
+  assert.ok(!restored.body.permissions.includes("device:command"));
+});
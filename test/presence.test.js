@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { serve, call, loginAs, api } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { attachWebSockets } = await import("../src/websocket/index.js");
+const { devicesRepository, deviceConnectionsRepository } = await import("../src/repositories/index.js");
+
+await serve(app);
+
+attachWebSockets(api.server);
+
+const tokens = await loginAs("super", "acme");
+
+async function register(mac) {
+  const { body } = await call("POST", "/api/devices/register", tokens.acme, { mac, facilityId: "facility-north" });
+  return { mac, ...body };
+}
+
+// Open device socket; `closed` resolves to [code, reason]
+async function connect({ mac, deviceSecret }) {
+  const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/esp32`, {
+    headers: { "x-device-mac": mac, "x-device-key": deviceSecret }
+  });
+
+  const closed = new Promise(resolve => ws.on("close", (code, reason) => resolve([code, String(reason)])));
+
+  await new Promise((resolve, reject) => ws.once("open", resolve).once("error", reject));
+
+  return { ws, closed };
+}
+
+// Resolves to the handshake's HTTP status, or 101 when the socket opened
+function handshakeStatus({ mac, deviceSecret }) {
+  const ws = new WebSocket(`${api.baseUrl.replace("http", "ws")}/ws/esp32`, {
+    headers: { "x-device-mac": mac, "x-device-key": deviceSecret }
+  });
+
+  return new Promise((resolve) => {
+    ws.once("open", () => {
+      ws.close();
+      resolve(101);
+    });
+    ws.once("error", error => resolve(Number(/Unexpected server response: (\d+)/.exec(error.message)?.[1])));
+  });
+}
+
+// check may be async
+async function waitFor(check) {
+  for (let i = 0; i < 50; i++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  assert.fail("timed out waiting");
+}
+
+test("deleting a connected device leaves no presence records behind", async () => {
+  const device = await register("AA:BB:CC:00:00:91");
+  const { closed } = await connect(device);
+  await waitFor(async () => (await devicesRepository.get(device.deviceId))?.status === "online");
+
+  assert.equal((await call("DELETE", `/api/devices/${device.deviceId}`, tokens.acme)).status, 200);
+  assert.deepEqual(await closed, [1008, "Device deleted"]);
+
+  // Give the server's close handler time to run
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(await devicesRepository.get(device.deviceId), null);
+  assert.deepEqual(await deviceConnectionsRepository(device.deviceId).list(), {});
+});
+
+test("a device detached from its tenant cannot reconnect until it is assigned again", async () => {
+  const device = await register("AA:BB:CC:00:00:92");
+  const { closed } = await connect(device);
+
+  assert.equal((await call("DELETE", `/api/tenants/tenant-acme/devices/${device.deviceId}`, tokens.acme)).status, 200);
+  assert.deepEqual(await closed, [1008, "Removed from tenant"]);
+
+  assert.equal(await handshakeStatus(device), 401);
+
+  const assigned = await call("POST", "/api/tenants/tenant-acme/devices/assign", tokens.super, { deviceId: device.deviceId });
+  assert.equal(assigned.status, 200);
+  assert.equal(await handshakeStatus(device), 101);
+});
+
+test("device messages with unexpected meta or sensors are dropped", async () => {
+  const device = await register("AA:BB:CC:00:00:93");
+  const { ws } = await connect(device);
+
+  const metadata = async () => (await devicesRepository.get(device.deviceId)).metadata;
+
+  ws.send(JSON.stringify({ meta: { firmware: "1.0.0" } }));
+  await waitFor(async () => (await metadata())?.firmware === "1.0.0");
+
+  ws.send(JSON.stringify({ meta: { firmware: "1.0.1", notes: "x".repeat(10000) } }));
+  ws.send(JSON.stringify({ meta: { firmware: "1".repeat(100) } }));
+  ws.send(JSON.stringify({ meta: ["1.0.2"] }));
+  ws.send(JSON.stringify({ meta: { firmware: "1.0.3" }, sensors: "pzem" }));
+  ws.send(JSON.stringify({ meta: { firmware: "1.0.4" }, sensors: [{ type: "../pzem", data: { voltage: 230 } }] }));
+  ws.send("null");
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(await metadata(), { firmware: "1.0.0" });
+
+  // Still served after the rejected ones
+  ws.send(JSON.stringify({ meta: { firmware: "2.0.0", model: null } }));
+  await waitFor(async () => (await metadata())?.firmware === "2.0.0");
+
+  ws.close();
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { serve, call, loginAs, api } from "./helpers.js";
+
+process.env.RATE_LIMIT_IP = "1000/60";
+process.env.RATE_LIMIT_USER = "8/60";
+process.env.RATE_LIMIT_TENANT = "off";
+process.env.RATE_LIMIT_DEVICE = "3/60";
+delete process.env.RATE_LIMIT_STORE;
+
+const { default: app } = await import("../src/app.js");
+const { attachWebSockets } = await import("../src/websocket/index.js");
+
+await serve(app);
+
+attachWebSockets(api.server);
+
+const tokens = await loginAs("super", "acme", "northUser", "globex");
+
+test("users over their limit get 429 with retry headers", async () => {
+  let res;
+
+  for (let i = 0; i < 8; i++) {
+    res = await call("GET", "/api/facilities", tokens.northUser);
+    assert.equal(res.status, 200);
+  }
+
+  assert.equal(res.headers.get("ratelimit-limit"), "8");
+  assert.equal(res.headers.get("ratelimit-remaining"), "0");
+
+  const limited = await call("GET", "/api/facilities", tokens.northUser);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, "RATE_LIMITED");
+  assert.deepEqual(limited.body.details, { scope: "user", limit: 8, windowSeconds: 60 });
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+
+  // Other users of the same tenant have their own budget
+  assert.equal((await call("GET", "/api/facilities", tokens.acme)).status, 200);
+
+  // Probes are never limited
+  assert.equal((await call("GET", "/api/monitor/health/live")).status, 200);
+});
+
+test("super admins override a tenant's limits", async () => {
+  const denied = await call("PUT", "/api/tenants/tenant-globex/rate-limits", tokens.acme, { user: { limit: 2, windowSeconds: 60 } });
+  assert.equal(denied.status, 403);
+
+  const invalid = await call("PUT", "/api/tenants/tenant-globex/rate-limits", tokens.super, { user: { limit: 0 } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.details[0].field, "body.user");
+
+  const set = await call("PUT", "/api/tenants/tenant-globex/rate-limits", tokens.super, { user: { limit: 2, windowSeconds: 60 } });
+  assert.equal(set.status, 200);
+  assert.deepEqual(set.body.effective.user, { limit: 2, windowSeconds: 60 });
+  assert.deepEqual(set.body.effective.device, { limit: 3, windowSeconds: 60 });
+  assert.equal(set.body.effective.tenant, null);
+
+  assert.equal((await call("GET", "/api/facilities", tokens.globex)).status, 200);
+  assert.equal((await call("GET", "/api/facilities", tokens.globex)).status, 200);
+  assert.equal((await call("GET", "/api/facilities", tokens.globex)).status, 429);
+
+  const cleared = await call("DELETE", "/api/tenants/tenant-globex/rate-limits", tokens.super);
+  assert.equal(cleared.status, 200);
+
+  const shown = await call("GET", "/api/tenants/tenant-globex/rate-limits", tokens.super);
+  assert.equal(shown.body.overrides, null);
+  assert.deepEqual(shown.body.effective.user, { limit: 8, windowSeconds: 60 });
+
+  const audit = await call("GET", "/api/audit?action=tenant.rate_limits", tokens.super);
+  assert.deepEqual(audit.body.data.map(entry => entry.action), ["tenant.rate_limits.clear", "tenant.rate_limits.update"]);
+});
+
+test("device messages over the limit are dropped and the device is told once", async () => {
+  const registered = await call("POST", "/api/devices/register", tokens.acme, { mac: "AA:BB:CC:DD:EE:42", facilityId: "facility-north" });
+  assert.equal(registered.status, 200);
+
+  const url = `${api.baseUrl.replace("http", "ws")}/ws/esp32?mac=AA:BB:CC:DD:EE:42&key=${registered.body.deviceSecret}`;
+  const ws = new WebSocket(url);
+  const received = [];
+
+  ws.on("message", data => received.push(JSON.parse(data)));
+  await new Promise((resolve, reject) => ws.once("open", resolve).once("error", reject));
+
+  for (let i = 0; i < 6; i++) {
+    ws.send(JSON.stringify({ sensors: [{ type: "pzem", data: { voltage: 230 + i } }] }));
+  }
+
+  // Wait for the server to work through the messages
+  await new Promise(resolve => setTimeout(resolve, 300));
+  ws.close();
+
+  const throttled = received.filter(message => message.type === "throttled");
+  assert.equal(throttled.length, 1);
+  assert.equal(throttled[0].limit, 3);
+  assert.ok(throttled[0].retryAfter > 0);
+
+  const metrics = await fetch(`${api.baseUrl}/metrics`).then(res => res.text());
+  assert.match(metrics, /^rate_limited_total\{scope="device"\} 3$/m);
+  assert.match(metrics, /^rate_limited_total\{scope="user"\} 2$/m);
+});
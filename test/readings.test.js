@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { readingsRepository } = await import("../src/repositories/index.js");
+
+await serve(app);
+
+const tokens = await loginAs("acme");
+
+// A series of its own on device-pzem-1, starting at the epoch
+for (const timestamp of [0, 1000, 2000]) {
+  await readingsRepository.insertReading("tenant-acme", "range_test", "AA:BB:CC:DD:EE:01", timestamp, { value: timestamp });
+}
+
+const readings = (query) => call("GET", `/api/devices/range_test/AA:BB:CC:DD:EE:01?${query}`, tokens.acme);
+
+test("0 is a bound, not a missing one", async () => {
+  const upTo = await readings("to=0");
+  assert.deepEqual(upTo.body.data.map(r => r.timestamp), [0]);
+
+  const from = await readings("from=0&to=1000");
+  assert.deepEqual(from.body.data.map(r => r.timestamp), [0, 1000]);
+});
+
+test("pages follow the cursor and a malformed cursor is a 400", async () => {
+  const first = await readings("from=0&limit=1");
+  assert.deepEqual(first.body.data.map(r => r.timestamp), [0]);
+  assert.equal(first.body.nextCursor, "0");
+
+  const second = await readings(`cursor=${first.body.nextCursor}&limit=1`);
+  assert.deepEqual(second.body.data.map(r => r.timestamp), [1000]);
+
+  for (const cursor of ["abc", "1e3", "-1"]) {
+    const res = await readings(`cursor=${cursor}`);
+    assert.equal(res.status, 400, cursor);
+    assert.deepEqual(res.body.details, [{ field: "query.cursor", message: "is not a cursor of this list" }]);
+  }
+});
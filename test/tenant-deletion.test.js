@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+const { readingsRepository } = await import("../src/repositories/index.js");
+const { purgeExpiredTenants } = await import("../src/services/tenant.service.js");
+const { authenticateESP } = await import("../src/websocket/device.socket.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "globex");
+
+// Handshake of a device with the given credentials
+const handshake = (mac, key) => authenticateESP({ url: "/", headers: { "x-device-mac": mac, "x-device-key": key } });
+
+test("only super admins delete tenants", async () => {
+  assert.equal((await call("DELETE", "/api/tenants/tenant-acme", tokens.acme)).status, 403);
+  assert.equal((await call("GET", "/api/tenants/deletions", tokens.acme)).status, 403);
+});
+
+test("a deleted tenant is suspended until it is restored", async () => {
+  const rotated = await call("POST", "/api/devices/device-pzem-1/credentials/rotate", tokens.acme);
+  assert.ok(await handshake("AA:BB:CC:DD:EE:01", rotated.body.deviceSecret));
+
+  const deleted = await call("DELETE", "/api/tenants/tenant-acme", tokens.super);
+  assert.equal(deleted.status, 200);
+  assert.ok(deleted.body.purgeAt > Date.now());
+
+  assert.equal((await call("DELETE", "/api/tenants/tenant-acme", tokens.super)).status, 409);
+
+  const locked = await call("GET", "/api/devices", tokens.acme);
+  assert.equal(locked.status, 403);
+  assert.equal(locked.body.message, "Tenant is suspended");
+
+  assert.equal(await handshake("AA:BB:CC:DD:EE:01", rotated.body.deviceSecret), null);
+
+  const tenant = await call("GET", "/api/tenants/tenant-acme", tokens.super);
+  assert.ok(tenant.body.deletedAt);
+  assert.equal((await call("PATCH", "/api/tenants/tenant-acme", tokens.super, { name: "Renamed" })).status, 409);
+
+  const scheduled = await call("GET", "/api/tenants/deletions?status=scheduled", tokens.super);
+  assert.deepEqual(scheduled.body.map(d => d.tenantId), ["tenant-acme"]);
+
+  assert.equal((await call("POST", "/api/tenants/tenant-acme/restore", tokens.super)).status, 200);
+  assert.equal((await call("POST", "/api/tenants/tenant-acme/restore", tokens.super)).status, 409);
+
+  assert.equal((await call("GET", "/api/devices", tokens.acme)).status, 200);
+  assert.ok(await handshake("AA:BB:CC:DD:EE:01", rotated.body.deviceSecret));
+  assert.ok(!(await call("GET", "/api/tenants/tenant-acme", tokens.super)).body.deletedAt);
+
+  const audit = await call("GET", "/api/audit?targetId=tenant-acme", tokens.super);
+  assert.deepEqual(audit.body.data.map(e => e.action).slice(0, 2), ["tenant.restore", "tenant.delete"]);
+});
+
+test("the purge job hard-deletes the tenant after the grace period", async () => {
+  await readingsRepository.insertReading("tenant-globex", "pzem", "AA:BB:CC:DD:EE:10", Date.now(), { voltage: 230 });
+
+  assert.equal((await call("DELETE", "/api/tenants/tenant-globex", tokens.super)).status, 200);
+
+  // Still within the grace period
+  assert.deepEqual(await purgeExpiredTenants(), []);
+
+  const [purged] = await purgeExpiredTenants(Date.now() + 31 * 86400000);
+  assert.equal(purged.tenantId, "tenant-globex");
+  assert.equal(purged.report.devices, 1);
+  assert.equal(purged.report.facilities, 1);
+  assert.equal(purged.report.users, 1);
+  assert.equal(purged.report.authAccounts, 1);
+  assert.equal(purged.report.readings, 1);
+
+  assert.equal((await call("GET", "/api/tenants/tenant-globex", tokens.super)).status, 404);
+  assert.equal((await call("GET", "/api/devices/device-globex-1", tokens.super)).status, 404);
+
+  const login = await call("POST", "/api/auth/login", null, { email: "admin@globex.test", password: "password123" });
+  assert.equal(login.status, 401);
+
+  const report = await call("GET", "/api/tenants/deletions/tenant-globex", tokens.super);
+  assert.equal(report.status, 200);
+  assert.equal(report.body.status, "purged");
+  assert.equal(report.body.report.devices, 1);
+
+  assert.equal((await call("POST", "/api/tenants/tenant-globex/restore", tokens.super)).status, 404);
+
+  const audit = await call("GET", "/api/audit?action=tenant.purge", tokens.super);
+  assert.equal(audit.body.data[0].actorUid, "system");
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { serve, call, loginAs } from "./helpers.js";
+
+const { default: app } = await import("../src/app.js");
+
+await serve(app);
+
+const tokens = await loginAs("super", "acme", "globex");
+
+test("every failing field is listed in one 400", async () => {
+  const res = await call("POST", "/api/devices/register", tokens.acme, {
+    mac: "not-a-mac",
+    name: 42,
+    facilityId: "facility/../x"
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, "VALIDATION_FAILED");
+  assert.equal(res.body.message, "Invalid request");
+  assert.deepEqual(res.body.details.map(e => e.field), ["body.mac", "body.name", "body.facilityId"]);
+});
+
+test("required fields and alternatives", async () => {
+  const missing = await call("POST", "/api/devices/register", tokens.acme, {});
+  assert.deepEqual(missing.body.details, [{ field: "body.mac", message: "is required" }]);
+
+  const claim = await call("POST", "/api/devices/pending/claim", tokens.acme, { name: "x" });
+  assert.equal(claim.status, 400);
+  assert.deepEqual(claim.body.details.map(e => e.field), ["body.mac|body.claimCode"]);
+});
+
+test("MAC addresses are checked in params and query", async () => {
+  assert.equal((await call("GET", "/api/devices/pzem/zz-zz", tokens.acme)).status, 400);
+
+  const series = await call("GET", "/api/devices/pzem/series?macs=AA:BB:CC:DD:EE:01,nope", tokens.acme);
+  assert.equal(series.status, 400);
+  assert.equal(series.body.details[0].field, "query.macs");
+
+  // Lower-case MACs are valid input
+  assert.notEqual((await call("GET", "/api/devices/pzem/aa:bb:cc:dd:ee:01", tokens.acme)).status, 400);
+});
+
+test("query values must parse", async () => {
+  const res = await call("GET", "/api/audit?limit=abc&from=yesterday", tokens.acme);
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.details.map(e => e.field), ["query.from", "query.limit"]);
+
+  assert.equal((await call("GET", "/api/alerts?state=sleeping", tokens.acme)).status, 400);
+  assert.equal((await call("GET", "/api/audit?limit=10", tokens.acme)).status, 200);
+});
+
+test("role names must be known roles", async () => {
+  const res = await call("PATCH", "/api/users/uid-facility-user/role", tokens.super, { role: "owner" });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details[0].field, "body.role");
+
+  const invite = await call("POST", "/api/invitations", tokens.acme, { email: "someone@acme.test", role: "root" });
+  assert.equal(invite.status, 400);
+
+  const permissions = await call("POST", "/api/roles", tokens.acme, { name: "typo", permissions: ["device:fly"] });
+  assert.equal(permissions.body.details[0].field, "body.permissions");
+});
+
+test("referenced facilities must exist", async () => {
+  const res = await call("POST", "/api/users/assign-role", tokens.acme, {
+    uid: "uid-facility-user",
+    role: "facility_user",
+    facilityId: "facility-nowhere"
+  });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.details, [{ field: "body.facilityId", message: "facility does not exist" }]);
+});
+
+test("typed body fields and nullable references", async () => {
+  const command = await call("POST", "/api/devices/device-pzem-1/commands", tokens.acme, { command: "relay", ttlSec: "soon" });
+  assert.equal(command.status, 400);
+  assert.equal(command.body.details[0].field, "body.ttlSec");
+
+  const rule = await call("POST", "/api/alerts/rules", tokens.acme, { sensorType: "pzem", operator: "~", durationSec: -1 });
+  assert.deepEqual(rule.body.details.map(e => e.field), ["body.operator", "body.durationSec"]);
+
+  // null clears the custom role and is allowed
+  assert.equal((await call("PATCH", "/api/users/uid-facility-user/custom-role", tokens.acme, { roleId: null })).status, 200);
+});
+
+test("public endpoints are validated too", async () => {
+  const accept = await call("POST", "/api/invitations/accept", null, { token: "abc", password: "short" });
+  assert.equal(accept.status, 400);
+  assert.equal(accept.body.details[0].field, "body.password");
+
+  const login = await call("POST", "/api/auth/login", null, { email: "nobody" });
+  assert.deepEqual(login.body.details.map(e => e.field), ["body.email", "body.password"]);
+});
+
+test("registration refuses a known MAC and needs a tenant from super admins", async () => {
+  const duplicate = await call("POST", "/api/devices/register", tokens.acme, { mac: "aa:bb:cc:dd:ee:01" });
+  assert.equal(duplicate.status, 409);
+  assert.equal((await call("POST", "/api/devices", tokens.acme, { macId: "AA:BB:CC:DD:EE:01" })).status, 409);
+
+  const noTenant = await call("POST", "/api/devices/register", tokens.super, { mac: "AA:BB:CC:00:00:81" });
+  assert.equal(noTenant.status, 400);
+  assert.equal(noTenant.body.details[0].field, "body.tenantId");
+
+  const wrongFacility = await call("POST", "/api/devices/register", tokens.super, {
+    mac: "AA:BB:CC:00:00:81",
+    tenantId: "tenant-globex",
+    facilityId: "facility-north"
+  });
+  assert.equal(wrongFacility.status, 400);
+
+  // Name and facility are optional
+  const registered = await call("POST", "/api/devices/register", tokens.super, { mac: "AA:BB:CC:00:00:81", tenantId: "tenant-globex" });
+  assert.equal(registered.status, 200);
+  assert.equal((await call("GET", `/api/devices/${registered.body.deviceId}`, tokens.globex)).status, 200);
+});